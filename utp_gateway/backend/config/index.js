@@ -7,6 +7,33 @@ const path = require('path');
 // Load environment variables
 require('dotenv').config();
 
+// Price feed settings for an asset, read from <PREFIX>_PRICE_* variables
+const assetPriceFeed = (prefix, defaults) => ({
+  provider: process.env[`${prefix}_PRICE_PROVIDER`] || defaults.provider,
+  name: defaults.name,
+  url: process.env[`${prefix}_PRICE_API`] || defaults.url,
+  price_path: process.env[`${prefix}_PRICE_PATH`] || 'price',
+  timestamp_path: process.env[`${prefix}_PRICE_TIMESTAMP_PATH`] || null,
+  currency: process.env[`${prefix}_PRICE_CURRENCY`] || defaults.currency || 'INR',
+  unit: process.env[`${prefix}_PRICE_UNIT`] || defaults.unit || 'gram',
+  file: process.env[`${prefix}_PRICE_REPLAY_FILE`] || null,
+  volume_path: process.env[`${prefix}_PRICE_VOLUME_PATH`] || null,
+  weight: parseFloat(process.env[`${prefix}_PRICE_WEIGHT`]) || 1,
+  price: defaults.price
+});
+
+// Extra price sources for an asset, read from <PREFIX>_PRICE_SOURCES as a JSON array of feed settings
+const additionalPriceFeeds = (prefix) => {
+  const sources = process.env[`${prefix}_PRICE_SOURCES`];
+  if (!sources) return [];
+
+  try {
+    return JSON.parse(sources);
+  } catch (error) {
+    throw new Error(`${prefix}_PRICE_SOURCES must be a JSON array: ${error.message}`);
+  }
+};
+
 const config = {
   // Server Configuration
   server: {
@@ -50,6 +77,53 @@ const config = {
     bst_price_api: process.env.BST_PRICE_API || 'https://api.lme.co.uk/lists',
     bpt_price_api: process.env.BPT_PRICE_API || 'https://api.lppm.org/platinum/pricing',
     binr_price_source: process.env.BINR_PRICE_SOURCE || 'fixed',
+    max_age_ms: parseInt(process.env.PRICE_MAX_AGE_MS) || 5 * 60 * 1000, // 5 minutes
+    fx_rates: {
+      USD: parseFloat(process.env.USD_INR_RATE) || 83.00
+    },
+
+    // Combining several sources per asset (method: median or vwap)
+    aggregation: {
+      method: process.env.PRICE_AGGREGATION_METHOD || 'median',
+      max_deviation: parseFloat(process.env.PRICE_MAX_DEVIATION) || 0.02, // 2% from the median
+      min_sources: parseInt(process.env.PRICE_MIN_SOURCES) || 1
+    },
+
+    // Price feeds per asset (provider: http_json, static, file_replay, simulated)
+    feeds: {
+      bgt: [assetPriceFeed('BGT', {
+        provider: 'simulated',
+        name: 'LBMA Gold Fix',
+        url: 'https://api.lbma.org.uk/gold/pricing',
+        currency: 'USD',
+        unit: 'troy_ounce'
+      }), ...additionalPriceFeeds('BGT')],
+      bst: [assetPriceFeed('BST', {
+        provider: 'simulated',
+        name: 'LME Silver',
+        url: 'https://api.lme.co.uk/lists',
+        currency: 'USD',
+        unit: 'troy_ounce'
+      }), ...additionalPriceFeeds('BST')],
+      bpt: [assetPriceFeed('BPT', {
+        provider: 'simulated',
+        name: 'LPPM Platinum',
+        url: 'https://api.lppm.org/platinum/pricing',
+        currency: 'USD',
+        unit: 'troy_ounce'
+      }), ...additionalPriceFeeds('BPT')],
+      binr: [assetPriceFeed('BINR', {
+        provider: process.env.BINR_PRICE_SOURCE || 'fixed',
+        name: 'Fixed Rate',
+        unit: 'unit',
+        price: 1.00
+      }), ...additionalPriceFeeds('BINR')],
+      rwa: [assetPriceFeed('RWA', {
+        provider: 'simulated',
+        name: 'Dynamic Market',
+        unit: 'unit'
+      }), ...additionalPriceFeeds('RWA')]
+    },
     
     // Base prices (INR per unit)
     base_prices: {
@@ -61,6 +135,34 @@ const config = {
     }
   },
 
+  // Conversion Quote Configuration
+  conversion: {
+    quote_ttl_ms: parseInt(process.env.QUOTE_TTL_MS) || 60 * 1000, // 60 seconds
+    quote_spread_rate: parseFloat(process.env.QUOTE_SPREAD_RATE) || 0.0005, // 0.05%
+    quote_signing_secret: process.env.QUOTE_SIGNING_SECRET || 'default-quote-signing-secret'
+  },
+
+  // Price history and OHLC candles
+  priceHistory: {
+    tick_retention_ms: parseInt(process.env.PRICE_HISTORY_TICK_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000, // 30 days
+    candle_retention_ms: {
+      '1m': parseInt(process.env.PRICE_HISTORY_1M_RETENTION_MS) || 24 * 60 * 60 * 1000, // 1 day
+      '5m': parseInt(process.env.PRICE_HISTORY_5M_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days
+      '1h': parseInt(process.env.PRICE_HISTORY_1H_RETENTION_MS) || 90 * 24 * 60 * 60 * 1000, // 90 days
+      '1d': parseInt(process.env.PRICE_HISTORY_1D_RETENTION_MS) || 5 * 365 * 24 * 60 * 60 * 1000 // 5 years
+    },
+    max_candles: parseInt(process.env.PRICE_HISTORY_MAX_CANDLES) || 1000,
+    sample_interval_ms: parseInt(process.env.PRICE_HISTORY_SAMPLE_INTERVAL_MS) || 60 * 1000 // record every asset once a minute
+  },
+
+  // Real-time price streaming over WebSocket
+  priceStream: {
+    path: process.env.PRICE_STREAM_PATH || '/ws/prices',
+    heartbeat_interval_ms: parseInt(process.env.PRICE_STREAM_HEARTBEAT_MS) || 30 * 1000, // 30 seconds
+    max_subscriptions: parseInt(process.env.PRICE_STREAM_MAX_SUBSCRIPTIONS) || 20, // assets + pairs per connection
+    require_auth: process.env.PRICE_STREAM_REQUIRE_AUTH === 'true'
+  },
+
   // Settlement Configuration
   settlement: {
     inr_min: parseFloat(process.env.INR_SETTLEMENT_MIN) || 10,
@@ -68,47 +170,315 @@ const config = {
     binr_min: parseFloat(process.env.BINR_SETTLEMENT_MIN) || 1,
     binr_max: parseFloat(process.env.BINR_SETTLEMENT_MAX) || 100000,
     batch_size: parseInt(process.env.SETTLEMENT_BATCH_SIZE) || 100,
+    confirmation_wait_ms: parseInt(process.env.SETTLEMENT_CONFIRMATION_WAIT_MS) || 3000, // wait for a rail to confirm before returning 'processing'
+    rail_poll_interval_ms: parseInt(process.env.SETTLEMENT_RAIL_POLL_INTERVAL_MS) || 250,
+    status_sweep_interval_ms: parseInt(process.env.SETTLEMENT_STATUS_SWEEP_INTERVAL_MS) || 30000, // poll rails for processing settlements
+
+    // Scheduled settlement (merchant settlement_preferences.settlement_schedule other than 'instant')
+    scheduler_interval_ms: parseInt(process.env.SETTLEMENT_SCHEDULER_INTERVAL_MS) || 60000,
+    daily_cutoff: process.env.SETTLEMENT_DAILY_CUTOFF || '16:00', // daily (T+0): payments before the cut-off settle at the cut-off
+    next_day_payout_time: process.env.SETTLEMENT_NEXT_DAY_PAYOUT_TIME || '10:00', // t_plus_1: payout time on the next business day
+
+    // Business calendar for scheduled payouts (times are local to timezone_offset_minutes)
+    calendar: {
+      timezone_offset_minutes: parseInt(process.env.SETTLEMENT_TIMEZONE_OFFSET_MINUTES) || 330, // IST
+      weekly_offs: (process.env.SETTLEMENT_WEEKLY_OFFS || '0').split(',').filter(Boolean).map(Number), // 0 = Sunday
+      holidays: (process.env.SETTLEMENT_HOLIDAYS || '').split(',').map(date => date.trim()).filter(Boolean),
+      holiday_file: process.env.SETTLEMENT_HOLIDAY_FILE || null // JSON array of 'YYYY-MM-DD' or { date, name }
+    },
+
+    // NEFT batches run every batch_interval_minutes inside the window; scheduled NEFT payouts wait for the next batch
+    neft_window: {
+      start: process.env.NEFT_WINDOW_START || '08:00',
+      end: process.env.NEFT_WINDOW_END || '19:00',
+      batch_interval_minutes: parseInt(process.env.NEFT_BATCH_INTERVAL_MINUTES) || 30,
+      business_days_only: process.env.NEFT_BUSINESS_DAYS_ONLY ? process.env.NEFT_BUSINESS_DAYS_ONLY === 'true' : true
+    },
+
+    // Operating hours of the other bank rails ('24:00' ends at midnight); rails without a window run 24x7.
+    // Scheduled payouts on a closed rail wait for it to open, and inr_auto routes around it.
+    rail_windows: {
+      imps: {
+        start: process.env.IMPS_WINDOW_START || '00:00',
+        end: process.env.IMPS_WINDOW_END || '24:00',
+        business_days_only: process.env.IMPS_BUSINESS_DAYS_ONLY === 'true'
+      },
+      rtgs: {
+        start: process.env.RTGS_WINDOW_START || '07:00',
+        end: process.env.RTGS_WINDOW_END || '18:00',
+        business_days_only: process.env.RTGS_BUSINESS_DAYS_ONLY ? process.env.RTGS_BUSINESS_DAYS_ONLY === 'true' : true
+      }
+    },
+
+    // Failed payout legs with a retryable failure code are retried with exponential backoff
+    // (base_delay_ms * 2^(attempt - 1), capped at max_delay_ms) up to max_attempts; any other
+    // failure (INVALID_VPA, INVALID_BENEFICIARY, ACCOUNT_CLOSED, ...) is terminal
+    retry: {
+      max_attempts: parseInt(process.env.SETTLEMENT_RETRY_MAX_ATTEMPTS) || 5,
+      base_delay_ms: parseInt(process.env.SETTLEMENT_RETRY_BASE_DELAY_MS) || 30000,
+      max_delay_ms: parseInt(process.env.SETTLEMENT_RETRY_MAX_DELAY_MS) || 1800000,
+      interval_ms: parseInt(process.env.SETTLEMENT_RETRY_INTERVAL_MS) || 5000, // how often due retries are picked up
+      retryable_codes: ['RAIL_TIMEOUT', 'RAIL_UNAVAILABLE', 'INSUFFICIENT_FLOAT', 'BANK_UNAVAILABLE', 'PAYOUT_NOT_FOUND']
+    },
+
+    // Rolling reserves: a merchant whose risk score reaches a tier's min_risk_score has that
+    // percentage of each payout withheld for hold_days. RESERVE_RISK_TIERS is a comma-separated
+    // list of min_risk_score:percentage:hold_days
+    reserves: {
+      risk_tiers: (process.env.RESERVE_RISK_TIERS || '80:10:90,65:5:30').split(',').filter(Boolean).map(tier => {
+        const [min_risk_score, percentage, hold_days] = tier.split(':').map(Number);
+        return { min_risk_score, percentage, hold_days };
+      }),
+      release_interval_ms: parseInt(process.env.RESERVE_RELEASE_INTERVAL_MS) || 3600000 // how often due reserves are released
+    },
+
+    // Bank statement reconciliation of INR payouts (/api/settlement/reconciliation)
+    reconciliation: {
+      amount_tolerance: parseFloat(process.env.RECONCILIATION_AMOUNT_TOLERANCE) || 0.01,
+      date_window_days: parseInt(process.env.RECONCILIATION_DATE_WINDOW_DAYS) || 3, // payout date vs statement date for amount-only matches
+      unmatched_alert_hours: parseInt(process.env.RECONCILIATION_ALERT_AFTER_HOURS) || 48, // unmatched items older than this raise an admin alert
+      sweep_interval_ms: parseInt(process.env.RECONCILIATION_SWEEP_INTERVAL_MS) || 3600000 // rematch open lines and raise alerts
+    },
     
-    // Settlement methods
+    // Settlement method registry: limits and fee rates used by every settlement
     methods: {
       inr_upi: {
         name: 'UPI Transfer',
+        type: 'fiat',
+        rail: 'upi',
+        currency: 'inr',
+        settlement_time: '< 2 seconds',
         fee_rate: 0.001, // 0.1%
         min_amount: 10,
         max_amount: 100000
       },
       inr_neft: {
         name: 'NEFT Transfer',
+        type: 'fiat',
+        rail: 'neft',
+        currency: 'inr',
+        settlement_time: '< 24 hours',
         fee_rate: 0.002, // 0.2%
         min_amount: 1,
         max_amount: 10000000
       },
+      inr_imps: {
+        name: 'IMPS Transfer',
+        type: 'fiat',
+        rail: 'imps',
+        currency: 'inr',
+        settlement_time: '< 1 minute',
+        fee_rate: 0.0015, // 0.15%
+        min_amount: 1,
+        max_amount: 500000
+      },
+      inr_rtgs: {
+        name: 'RTGS Transfer',
+        type: 'fiat',
+        rail: 'rtgs',
+        currency: 'inr',
+        settlement_time: '< 30 minutes',
+        fee_rate: 0.0005, // 0.05%
+        min_amount: 200000,
+        max_amount: 100000000
+      },
+      inr_auto: {
+        name: 'Automatic INR Routing',
+        type: 'fiat',
+        currency: 'inr',
+        settlement_time: 'depends on the method chosen',
+        // No fee_rate: each payout pays the fee of the method it is routed to
+        min_amount: 1,
+        max_amount: 100000000,
+        // Methods tried in order: the first whose limits fit the amount and whose rail
+        // window is open pays; if every window is closed, the first that fits waits for it
+        auto: ['inr_upi', 'inr_rtgs', 'inr_imps', 'inr_neft']
+      },
       binr_transfer: {
         name: 'BINR Token Transfer',
+        type: 'digital',
+        rail: 'binr',
+        currency: 'binr',
+        settlement_time: '< 5 seconds',
         fee_rate: 0.001, // 0.1%
         min_amount: 1,
         max_amount: 1000000
       },
       bgt_transfer: {
         name: 'Gold Token Transfer',
+        type: 'asset',
+        rail: 'bgt',
+        currency: 'bgt',
+        settlement_time: '< 10 seconds',
         fee_rate: 0.0015, // 0.15%
         min_amount: 0.1,
         max_amount: 1000
+      },
+      bst_transfer: {
+        name: 'Silver Token Transfer',
+        type: 'asset',
+        rail: 'bst',
+        currency: 'bst',
+        settlement_time: '< 10 seconds',
+        fee_rate: 0.0015, // 0.15%
+        min_amount: 1,
+        max_amount: 100000
+      },
+      bpt_transfer: {
+        name: 'Platinum Token Transfer',
+        type: 'asset',
+        rail: 'bpt',
+        currency: 'bpt',
+        settlement_time: '< 10 seconds',
+        fee_rate: 0.0015, // 0.15%
+        min_amount: 0.1,
+        max_amount: 2000
+      },
+      mixed_settlement: {
+        name: 'Mixed Settlement',
+        type: 'hybrid',
+        currency: 'mixed',
+        settlement_time: '< 15 seconds',
+        fee_rate: 0.002, // 0.2%
+        min_amount: 50,
+        max_amount: 500000,
+        // Platform default share of the payout per currency; merchants set their
+        // own in settlement_preferences.mixed_split (services/mixed-split.js)
+        split: { inr: 0.5, binr: 0.5 }
       }
     }
   },
 
+  // Payment Lifecycle Configuration
+  payments: {
+    pending_ttl_ms: parseInt(process.env.PAYMENT_PENDING_TTL_MS) || 15 * 60 * 1000, // 15 minutes
+    expiry_sweep_interval_ms: parseInt(process.env.PAYMENT_EXPIRY_SWEEP_INTERVAL_MS) || 60 * 1000 // 1 minute
+  },
+
+  // Ledger Configuration
+  ledger: {
+    gst_rate: parseFloat(process.env.GST_RATE) || 0.18, // GST charged on gateway fees
+    max_entries_per_query: parseInt(process.env.LEDGER_MAX_ENTRIES_PER_QUERY) || 500
+  },
+
+  // Monthly GST tax invoices for gateway fees (backend/services/invoicing.js)
+  invoicing: {
+    supplier: {
+      legal_name: process.env.INVOICE_SUPPLIER_NAME || 'UTP Gateway Private Limited',
+      gstin: process.env.INVOICE_SUPPLIER_GSTIN || '27AAACU1234A1Z0',
+      address: process.env.INVOICE_SUPPLIER_ADDRESS || 'Bandra Kurla Complex, Mumbai 400051'
+    },
+    sac_code: process.env.INVOICE_SAC_CODE || '997158',
+    service_description: process.env.INVOICE_SERVICE_DESCRIPTION || 'Payment gateway and settlement services',
+    // Numbers run per financial year (April-March): UTP2627-000001, UTPCN2627-000001
+    invoice_prefix: process.env.INVOICE_NUMBER_PREFIX || 'UTP',
+    credit_note_prefix: process.env.CREDIT_NOTE_NUMBER_PREFIX || 'UTPCN',
+    run_interval_ms: parseInt(process.env.INVOICE_RUN_INTERVAL_MS) || 60 * 60 * 1000 // issue last month's invoices and pending credit notes
+  },
+
+  // Merchant KYC (backend/services/kyc.js)
+  kyc: {
+    max_document_bytes: parseInt(process.env.KYC_MAX_DOCUMENT_BYTES) || 5 * 1024 * 1024,
+    content_types: ['application/pdf', 'image/jpeg', 'image/png'],
+    // Approved documents each level needs (a level also needs those of the levels below it)
+    levels: {
+      1: { name: 'Registered', documents: [] },
+      2: { name: 'PAN verified', documents: ['pan'] },
+      3: { name: 'Fully verified', documents: ['cancelled_cheque', 'gstin_certificate', 'incorporation'] }
+    },
+    // Rupee limits each level unlocks: level:max_transaction:max_settlement:daily_settlement
+    level_limits: (process.env.KYC_LEVEL_LIMITS || '1:10000:25000:50000,2:100000:200000:500000,3:1000000:10000000:50000000')
+      .split(',').filter(Boolean).reduce((limits, level) => {
+        const [number, max_transaction_amount, max_settlement_amount, daily_settlement_amount] = level.split(':').map(Number);
+        return { ...limits, [number]: { max_transaction_amount, max_settlement_amount, daily_settlement_amount } };
+      }, {}),
+    // Documents a business type cannot have are not required of it
+    exempt_documents: {
+      individual: ['gstin_certificate', 'incorporation'],
+      proprietorship: ['incorporation'],
+      partnership: ['incorporation'],
+      ngo: ['gstin_certificate', 'incorporation'],
+      government: ['gstin_certificate', 'incorporation']
+    }
+  },
+
+  // Merchant account lifecycle (backend/services/merchant-lifecycle.js)
+  merchants: {
+    activation_verification_level: parseInt(process.env.MERCHANT_ACTIVATION_KYC_LEVEL) || 2 // KYC level needed to activate a merchant
+  },
+
+  // Merchant fee plans (backend/services/fee-plans.js)
+  fees: {
+    // Monthly rupee volume (IST) from which each rate of a standard plan applies
+    volume_tiers: (process.env.FEE_VOLUME_TIERS || '0,1000000,10000000').split(',').map(Number),
+    // Standard plan of each business type: transaction fee rate from each volume tier on, and
+    // the rupee floor and cap of each fee. Settlement fees are the rates of config.settlement.methods.
+    standard_plans: {
+      individual: { transaction_rates: [0.003, 0.0025, 0.002], minimum_fee: 1, maximum_fee: 1000 },
+      proprietorship: { transaction_rates: [0.002, 0.00175, 0.0015], minimum_fee: 2, maximum_fee: 2000 },
+      partnership: { transaction_rates: [0.002, 0.00175, 0.0015], minimum_fee: 2, maximum_fee: 2000 },
+      private_limited: { transaction_rates: [0.0015, 0.00125, 0.001], minimum_fee: 5, maximum_fee: 5000 },
+      public_limited: { transaction_rates: [0.001, 0.0008, 0.0006], minimum_fee: 10, maximum_fee: 10000 },
+      ngo: { transaction_rates: [0.001], minimum_fee: 0, maximum_fee: 500 },
+      government: { transaction_rates: [0.001, 0.0008, 0.0006], minimum_fee: 0, maximum_fee: 10000 }
+    }
+  },
+
+  // Marketplace sub-merchants and split payments (backend/services/marketplace.js)
+  marketplace: {
+    default_commission_rate: parseFloat(process.env.MARKETPLACE_COMMISSION_RATE) || 0, // share of each sub-merchant split the marketplace keeps
+    max_commission_rate: 0.5,
+    max_splits: parseInt(process.env.MARKETPLACE_MAX_SPLITS) || 10 // sub-merchants one payment can be split among
+  },
+
+  // Idempotency Configuration
+  idempotency: {
+    header: 'Idempotency-Key',
+    key_ttl_ms: parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    cleanup_interval_ms: parseInt(process.env.IDEMPOTENCY_CLEANUP_INTERVAL_MS) || 10 * 60 * 1000 // 10 minutes
+  },
+
   // Bank Integration
   bank: {
-    api_url: process.env.BANK_API_URL || 'https://api.bank.in/sandbox',
+    api_url: process.env.BANK_API_URL || `http://localhost:${process.env.PORT || 3002}/sandbox/bank`,
     api_key: process.env.BANK_API_KEY || 'your-bank-api-key',
     webhook_secret: process.env.BANK_WEBHOOK_SECRET || 'your-bank-webhook-secret',
-    timeout: 30000 // 30 seconds
+    callback_url: process.env.BANK_CALLBACK_URL || `http://localhost:${process.env.PORT || 3002}/api/settlement/callbacks`,
+    timeout: parseInt(process.env.BANK_TIMEOUT_MS) || 30000, // 30 seconds
+
+    // Mock bank sandbox (backend/sandbox/mock-bank.js), mounted at /sandbox/bank or run with `npm run mock-bank`
+    sandbox: {
+      enabled: process.env.BANK_SANDBOX_ENABLED ? process.env.BANK_SANDBOX_ENABLED === 'true' : process.env.NODE_ENV !== 'production',
+      port: parseInt(process.env.BANK_SANDBOX_PORT) || 4010,
+      upi_confirm_delay_ms: parseInt(process.env.BANK_SANDBOX_UPI_DELAY_MS) || 300,
+      imps_confirm_delay_ms: parseInt(process.env.BANK_SANDBOX_IMPS_DELAY_MS) || 300,
+      rtgs_confirm_delay_ms: parseInt(process.env.BANK_SANDBOX_RTGS_DELAY_MS) || 2000,
+      token_confirm_delay_ms: parseInt(process.env.BANK_SANDBOX_TOKEN_DELAY_MS) || 500,
+      delayed_confirm_ms: parseInt(process.env.BANK_SANDBOX_DELAYED_CONFIRM_MS) || 10000, // 'delay' scenario
+      neft_batch_interval_ms: parseInt(process.env.BANK_SANDBOX_NEFT_BATCH_INTERVAL_MS) || 1000,
+      failure_rate: parseFloat(process.env.BANK_SANDBOX_FAILURE_RATE) || 0, // share of payouts failed at random
+      hang_ms: parseInt(process.env.BANK_SANDBOX_HANG_MS) || 60000, // 'timeout' scenario
+      float_failures: parseInt(process.env.BANK_SANDBOX_FLOAT_FAILURES) || 1 // 'float' scenario: payouts rejected per beneficiary before one goes through
+    }
+  },
+
+  // Settlement rails: the adapter each rail pays out through (see backend/services/rails)
+  rails: {
+    upi: { adapter: 'http', channel: 'upi', name: 'UPI' },
+    neft: { adapter: 'http', channel: 'neft', name: 'NEFT' },
+    imps: { adapter: 'http', channel: 'imps', name: 'IMPS', status_poll_interval_ms: parseInt(process.env.IMPS_STATUS_POLL_INTERVAL_MS) || 30000 },
+    rtgs: { adapter: 'http', channel: 'rtgs', name: 'RTGS', status_poll_interval_ms: parseInt(process.env.RTGS_STATUS_POLL_INTERVAL_MS) || 120000 },
+    binr: { adapter: 'http', channel: 'token', token: 'binr', name: 'BINR Transfer' },
+    bgt: { adapter: 'http', channel: 'token', token: 'bgt', name: 'BGT Transfer' },
+    bst: { adapter: 'http', channel: 'token', token: 'bst', name: 'BST Transfer' },
+    bpt: { adapter: 'http', channel: 'token', token: 'bpt', name: 'BPT Transfer' }
   },
 
   // Database Configuration
   database: {
-    type: process.env.DB_TYPE || 'mongodb',
+    type: process.env.DB_TYPE || 'file', // file (durable local journal) or memory
+    data_dir: process.env.DB_DATA_DIR || path.join(__dirname, '../../data'),
+    compact_threshold: parseInt(process.env.DB_COMPACT_THRESHOLD) || 10000, // journal lines before compaction
     host: process.env.DB_HOST || 'localhost',
     port: parseInt(process.env.DB_PORT) || 27017,
     name: process.env.DB_NAME || 'utp_gateway',
@@ -1,5 +1,12 @@
 const jwt = require('jsonwebtoken');
 
+/**
+ * Verify a JWT access token (shared by HTTP middleware and WebSocket handshakes)
+ */
+const verifyAccessToken = (token, callback) => {
+  jwt.verify(token, process.env.JWT_SECRET || 'default-secret', callback);
+};
+
 /**
  * Authentication middleware for JWT token validation
  */
@@ -15,7 +22,7 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'default-secret', (err, user) => {
+  verifyAccessToken(token, (err, user) => {
     if (err) {
       return res.status(403).json({
         success: false,
@@ -180,6 +187,7 @@ const conversionRateLimiter = createRateLimiter(
 );
 
 module.exports = {
+  verifyAccessToken,
   authenticateToken,
   optionalAuth,
   authenticateMerchant,
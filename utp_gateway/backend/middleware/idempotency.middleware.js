@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { store } = require('../models');
+const { ConflictError, ValidationError } = require('./error.middleware');
+
+/**
+ * Idempotency middleware for UTP Gateway
+ * Replays the stored response when a client retries a request with the same Idempotency-Key.
+ * Keys are scoped to the caller and the endpoint, so two callers (or two endpoints) may use the same key.
+ */
+
+/**
+ * Idempotency key store, kept in the shared store so replays survive restarts
+ */
+class IdempotencyStore {
+  constructor(key_ttl_ms = config.idempotency.key_ttl_ms, records = store.collection('idempotency_keys')) {
+    this.key_ttl_ms = key_ttl_ms;
+    this.records = records;
+
+    // Requests still in flight when the process stopped never finished: free their keys for a retry
+    for (const [record_id, record] of this.records) {
+      if (record.status === 'in_progress') {
+        this.records.delete(record_id);
+      }
+    }
+  }
+
+  // Get a live record by its scoped ID
+  get(record_id) {
+    const record = this.records.get(record_id);
+    if (!record) return null;
+
+    if (Date.now() > record.expires_at) {
+      this.records.delete(record_id);
+      return null;
+    }
+
+    return record;
+  }
+
+  // Reserve a key while the original request is in flight
+  begin(record_id, key, fingerprint) {
+    const record = {
+      record_id,
+      key,
+      fingerprint,
+      status: 'in_progress',
+      response: null,
+      created_at: new Date().toISOString(),
+      expires_at: Date.now() + this.key_ttl_ms
+    };
+
+    this.records.set(record_id, record);
+    return record;
+  }
+
+  // Store the response of the original request
+  complete(record_id, status_code, body) {
+    const record = this.records.get(record_id);
+    if (!record) return;
+
+    record.status = 'completed';
+    record.response = { status_code, body };
+    record.completed_at = new Date().toISOString();
+    this.records.set(record_id, record);
+  }
+
+  // Release a key so the request can be retried
+  release(record_id) {
+    this.records.delete(record_id);
+  }
+
+  // Remove expired keys
+  purgeExpired() {
+    const now = Date.now();
+    for (const [record_id, record] of this.records) {
+      if (now > record.expires_at) {
+        this.records.delete(record_id);
+      }
+    }
+  }
+}
+
+const idempotencyStore = new IdempotencyStore();
+
+// Periodically drop expired keys
+setInterval(() => idempotencyStore.purgeExpired(), config.idempotency.cleanup_interval_ms).unref();
+
+/**
+ * Build a request fingerprint from method, path and body
+ */
+const fingerprintRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}:${req.baseUrl}${req.path}:${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Who a request is made by: the authenticated merchant, admin or user, else the API key, else the
+ * merchant the body is for
+ */
+const getCaller = (req) => {
+  const principal = req.merchant || req.admin || req.user;
+  if (principal && principal.user_id) {
+    return `user:${principal.user_id}`;
+  }
+
+  const api_key = req.get('X-API-Key');
+  if (api_key) {
+    return `api_key:${crypto.createHash('sha256').update(api_key).digest('hex')}`;
+  }
+
+  return `merchant:${(req.body && req.body.merchant_id) || ''}`;
+};
+
+/**
+ * Record ID of a key: the key scoped to its caller, method and path
+ */
+const scopeKey = (req, key) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${getCaller(req)}:${req.method}:${req.baseUrl}${req.path}:${key}`)
+    .digest('hex');
+};
+
+/**
+ * JSON stringify with sorted object keys
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Idempotency key middleware
+ * Requests without the header are processed normally
+ */
+const idempotency = (store = idempotencyStore) => (req, res, next) => {
+  const key = req.get(config.idempotency.header);
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return next(new ValidationError('Idempotency key must be at most 255 characters', config.idempotency.header));
+  }
+
+  const record_id = scopeKey(req, key);
+  const fingerprint = fingerprintRequest(req);
+  const existing = store.get(record_id);
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      return next(new ConflictError('Idempotency key was already used with a different request'));
+    }
+
+    if (existing.status === 'in_progress') {
+      return next(new ConflictError('A request with this idempotency key is still being processed'));
+    }
+
+    // Replay the original response
+    res.setHeader(config.idempotency.header, key);
+    res.setHeader('Idempotent-Replayed', 'true');
+    return res.status(existing.response.status_code).json(existing.response.body);
+  }
+
+  store.begin(record_id, key, fingerprint);
+
+  // Capture the response of the original request
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 500) {
+      store.release(record_id);
+    } else {
+      store.complete(record_id, res.statusCode, body);
+    }
+
+    res.setHeader(config.idempotency.header, key);
+    return originalJson(body);
+  };
+
+  // Free the key if the connection ends without a response
+  res.on('close', () => {
+    const record = store.get(record_id);
+    if (record && record.status === 'in_progress') {
+      store.release(record_id);
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  IdempotencyStore,
+  idempotencyStore,
+  idempotency,
+  fingerprintRequest,
+  scopeKey
+};
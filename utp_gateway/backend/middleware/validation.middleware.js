@@ -102,11 +102,19 @@ const validateSettlement = [
     .isIn(['INR', 'BGT', 'BST', 'BPT', 'BINR'])
     .withMessage('Invalid settlement currency'),
   body('settlement_method')
-    .isIn(['inr_upi', 'inr_neft', 'binr_transfer', 'bgt_transfer', 'mixed_settlement'])
+    .isIn([
+      'inr_upi', 'inr_neft', 'inr_imps', 'inr_rtgs', 'inr_auto',
+      'binr_transfer', 'bgt_transfer', 'bst_transfer', 'bpt_transfer', 'mixed_settlement'
+    ])
     .withMessage('Invalid settlement method'),
+  body('destination_id')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid payout destination ID'),
   body('merchant_account_details')
+    .optional()
     .isObject()
-    .withMessage('Merchant account details are required'),
+    .withMessage('Merchant account details must be an object'),
   handleValidationErrors
 ];
 
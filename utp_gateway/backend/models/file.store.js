@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const UTPMemoryStore = require('./memory.store');
+
+// Blob IDs are SHA-256 hashes, so one can never name a path outside the blob directory
+const BLOB_ID_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * UTP File Store
+ * Durable local storage: records live in memory and every write is appended to
+ * a single journal file. A transaction is written as one journal line, so it is
+ * either fully replayed or (if the process died mid-write) ignored on restart.
+ * The journal is compacted to one line per live record once it grows past
+ * compact_threshold lines. Blobs are files of their own under data_dir/blobs.
+ */
+class UTPFileStore extends UTPMemoryStore {
+  /**
+   * @param {Object} options - Store settings
+   * @param {string} options.data_dir - Directory for the journal
+   * @param {string} options.file_name - Journal file name
+   * @param {number} options.compact_threshold - Journal lines before compaction
+   */
+  constructor(options = {}) {
+    super();
+    this.type = 'file';
+    this.data_dir = options.data_dir;
+    this.file_path = path.join(this.data_dir, options.file_name || 'utp-store.journal');
+    this.blob_dir = path.join(this.data_dir, 'blobs');
+    this.compact_threshold = options.compact_threshold || 10000;
+
+    // Records read from the journal for collections not opened yet
+    this.stored = new Map();
+    this.journal_lines = 0;
+    this.open();
+  }
+
+  /**
+   * Replay the journal
+   * @private
+   */
+  open() {
+    fs.mkdirSync(this.data_dir, { recursive: true });
+    if (!fs.existsSync(this.file_path)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.file_path, 'utf8').split('\n').filter(line => line.trim());
+
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A torn final line is an interrupted write; anything earlier is corruption
+        if (index === lines.length - 1) {
+          console.warn(`Ignoring incomplete journal entry in ${this.file_path}`);
+          return;
+        }
+        throw new Error(`Corrupt journal entry at line ${index + 1} of ${this.file_path}`);
+      }
+
+      (entry.tx || [entry]).forEach(item => this.apply(item));
+      this.journal_lines++;
+    });
+  }
+
+  /**
+   * Apply a journal entry to the stored records
+   * @private
+   */
+  apply(entry) {
+    if (!this.stored.has(entry.c)) {
+      this.stored.set(entry.c, new Map());
+    }
+
+    const records = this.stored.get(entry.c);
+    if (entry.op === 'set') {
+      records.set(entry.k, entry.v);
+    } else {
+      records.delete(entry.k);
+    }
+  }
+
+  /**
+   * Load journaled records into a newly opened collection
+   * @protected
+   */
+  loadCollection(repository) {
+    const records = this.stored.get(repository.name);
+    if (!records) return;
+
+    for (const [key, value] of records) {
+      repository.load(key, value);
+    }
+    this.stored.delete(repository.name);
+  }
+
+  /**
+   * Append entries to the journal
+   * @protected
+   */
+  persist(entries) {
+    const line = entries.length === 1 ? entries[0] : { tx: entries };
+    fs.appendFileSync(this.file_path, `${JSON.stringify(line)}\n`);
+    this.journal_lines++;
+
+    if (this.journal_lines > this.compact_threshold && this.journal_lines > 2 * this.countRecords()) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the journal with one line per live record
+   */
+  compact() {
+    const lines = [];
+
+    for (const [name, repository] of this.repositories) {
+      for (const [key, value] of repository.records) {
+        lines.push(JSON.stringify({ c: name, op: 'set', k: key, v: value }));
+      }
+    }
+    for (const [name, records] of this.stored) {
+      for (const [key, value] of records) {
+        lines.push(JSON.stringify({ c: name, op: 'set', k: key, v: value }));
+      }
+    }
+
+    const temp_path = `${this.file_path}.tmp`;
+    fs.writeFileSync(temp_path, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(temp_path, this.file_path);
+    this.journal_lines = lines.length;
+  }
+
+  /**
+   * Write a file to the blob directory, through a temporary file so a crash never leaves part of it
+   */
+  putBlob(content) {
+    const blob_id = crypto.createHash('sha256').update(content).digest('hex');
+    const blob_path = path.join(this.blob_dir, blob_id);
+
+    if (!fs.existsSync(blob_path)) {
+      fs.mkdirSync(this.blob_dir, { recursive: true });
+      const temp_path = `${blob_path}.tmp`;
+      fs.writeFileSync(temp_path, content);
+      fs.renameSync(temp_path, blob_path);
+    }
+
+    return blob_id;
+  }
+
+  /**
+   * Read a file from the blob directory
+   */
+  getBlob(blob_id) {
+    if (!BLOB_ID_PATTERN.test(blob_id || '')) {
+      return null;
+    }
+
+    try {
+      return fs.readFileSync(path.join(this.blob_dir, blob_id));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Count live records across collections
+   * @private
+   */
+  countRecords() {
+    let count = 0;
+    for (const repository of this.repositories.values()) {
+      count += repository.size;
+    }
+    for (const records of this.stored.values()) {
+      count += records.size;
+    }
+    return count;
+  }
+
+  /**
+   * Get store status
+   */
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      durable: true,
+      file: this.file_path,
+      journal_lines: this.journal_lines
+    };
+  }
+}
+
+module.exports = UTPFileStore;
@@ -0,0 +1,41 @@
+/**
+ * UTP Storage
+ * Shared store used by every manager. config.database.type selects the backend:
+ * - memory: process memory only (tests, throwaway environments)
+ * - file: durable local journal under config.database.data_dir
+ */
+
+const config = require('../config');
+const UTPRepository = require('./repository');
+const UTPMemoryStore = require('./memory.store');
+const UTPFileStore = require('./file.store');
+
+const STORES = {
+  memory: UTPMemoryStore,
+  file: UTPFileStore
+};
+
+/**
+ * Create a store from database settings
+ * @param {Object} database_config - config.database
+ * @returns {UTPMemoryStore}
+ */
+const createStore = (database_config = config.database) => {
+  const Store = STORES[database_config.type];
+  if (!Store) {
+    throw new Error(`Unsupported database type: ${database_config.type}. Use one of ${Object.keys(STORES).join(', ')}`);
+  }
+
+  return new Store(database_config);
+};
+
+const store = createStore();
+
+module.exports = {
+  store,
+  createStore,
+  STORES,
+  UTPRepository,
+  UTPMemoryStore,
+  UTPFileStore
+};
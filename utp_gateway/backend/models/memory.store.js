@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { isDeepStrictEqual } = require('util');
+const UTPRepository = require('./repository');
+
+/**
+ * UTP Memory Store
+ * In-process storage for repositories with transaction support.
+ *
+ * A transaction snapshots every record it reads or writes the first time it
+ * touches it; if the callback throws, those records are restored, including
+ * in-place changes to records returned by get().
+ *
+ * Transactions run one at a time, so no other transaction can commit a change
+ * to a record between its snapshot and a rollback. A write made outside any
+ * transaction while one runs is final: it replaces that transaction's snapshot
+ * of the record. On commit every record the transaction changed is journaled,
+ * whether it was set() or only changed in place, so the journal always holds
+ * what memory holds.
+ *
+ * Files (blobs) are kept apart from records, by the SHA-256 of their content,
+ * so they never enter a journal or a transaction snapshot.
+ */
+class UTPMemoryStore {
+  constructor() {
+    this.type = 'memory';
+    this.repositories = new Map();
+    this.context = new AsyncLocalStorage();
+    this.queue = Promise.resolve();
+    this.active = null;
+    this.blobs = new Map(); // blob_id -> content
+  }
+
+  /**
+   * Get (or create) a named collection
+   * @param {string} name - Collection name (e.g. 'payments')
+   * @returns {UTPRepository}
+   */
+  collection(name) {
+    if (!this.repositories.has(name)) {
+      const repository = new UTPRepository(this, name);
+      this.repositories.set(name, repository);
+      this.loadCollection(repository);
+    }
+
+    return this.repositories.get(name);
+  }
+
+  /**
+   * Run a callback atomically across collections
+   * Nested calls join the outer transaction; other calls wait for it to finish.
+   * @param {Function} callback - Sync or async work
+   * @returns {Promise<*>} Callback result
+   */
+  async transaction(callback) {
+    if (this.current()) {
+      return callback();
+    }
+
+    const run = this.queue.then(() => this.run(callback));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run a transaction once the previous one has finished
+   * @private
+   */
+  async run(callback) {
+    const transaction = {
+      snapshots: new Map(),
+      writes: new Map(),
+      open: true
+    };
+    this.active = transaction;
+
+    let result;
+    try {
+      result = await this.context.run(transaction, callback);
+    } catch (error) {
+      this.rollback(transaction);
+      throw error;
+    } finally {
+      // Timers and promises started inside keep the context, but not the transaction
+      transaction.open = false;
+      this.active = null;
+    }
+
+    this.commit(transaction);
+    return result;
+  }
+
+  /**
+   * Check whether the caller runs inside a transaction
+   * @returns {boolean}
+   */
+  inTransaction() {
+    return Boolean(this.current());
+  }
+
+  /**
+   * The transaction the caller runs in, if it is still open
+   * @private
+   */
+  current() {
+    const transaction = this.context.getStore();
+    return transaction && transaction.open ? transaction : null;
+  }
+
+  /**
+   * Snapshot a record the first time the current transaction touches it
+   * @private
+   */
+  track(repository, key) {
+    const transaction = this.current();
+    if (!transaction) return;
+
+    const id = this.recordId(repository, key);
+    if (transaction.snapshots.has(id)) return;
+
+    transaction.snapshots.set(id, this.snapshot(repository, key));
+  }
+
+  /**
+   * Record a write, deferring it to commit inside a transaction
+   * @private
+   */
+  write(repository, op, key) {
+    const transaction = this.current();
+    const id = this.recordId(repository, key);
+
+    if (transaction) {
+      transaction.writes.set(id, { repository, key });
+      return;
+    }
+
+    // A write outside the running transaction is final: its rollback must not undo it
+    if (this.active && this.active.snapshots.has(id)) {
+      this.active.snapshots.set(id, this.snapshot(repository, key));
+    }
+
+    this.persist([this.toEntry(repository, op, key)]);
+  }
+
+  /**
+   * Copy of a record as it is now
+   * @private
+   */
+  snapshot(repository, key) {
+    const exists = repository.records.has(key);
+    return {
+      repository,
+      key,
+      exists,
+      value: exists ? structuredClone(repository.records.get(key)) : undefined
+    };
+  }
+
+  /**
+   * Persist the final state of every record written or changed in place in the transaction
+   * @private
+   */
+  commit(transaction) {
+    const changed = Array.from(transaction.snapshots.entries())
+      .filter(([id, { repository, key, exists, value }]) => !transaction.writes.has(id) &&
+        (repository.records.has(key) !== exists || !isDeepStrictEqual(repository.records.get(key), value)))
+      .map(([, { repository, key }]) => ({ repository, key }));
+
+    const entries = [...transaction.writes.values(), ...changed].map(({ repository, key }) =>
+      this.toEntry(repository, repository.records.has(key) ? 'set' : 'delete', key)
+    );
+
+    if (entries.length > 0) {
+      this.persist(entries);
+    }
+  }
+
+  /**
+   * Restore every record the transaction touched
+   * @private
+   */
+  rollback(transaction) {
+    for (const { repository, key, exists, value } of transaction.snapshots.values()) {
+      if (exists) {
+        repository.records.set(key, value);
+      } else {
+        repository.records.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Build a journal entry for a write
+   * @private
+   */
+  toEntry(repository, op, key) {
+    return op === 'set'
+      ? { c: repository.name, op, k: key, v: repository.records.get(key) }
+      : { c: repository.name, op, k: key };
+  }
+
+  /**
+   * Unique id for a record across collections
+   * @private
+   */
+  recordId(repository, key) {
+    return `${repository.name}:${key}`;
+  }
+
+  /**
+   * Load stored records into a new collection (nothing to load in memory)
+   * @protected
+   */
+  loadCollection(repository) {}
+
+  /**
+   * Write journal entries to durable storage (nothing to write in memory)
+   * @protected
+   */
+  persist(entries) {}
+
+  /**
+   * Store a file outside the records. Storing the same content again is a no-op.
+   * @param {Buffer} content - File content
+   * @returns {string} Blob ID (the SHA-256 of the content, hex)
+   */
+  putBlob(content) {
+    const blob_id = crypto.createHash('sha256').update(content).digest('hex');
+    this.blobs.set(blob_id, Buffer.from(content));
+    return blob_id;
+  }
+
+  /**
+   * Get a stored file
+   * @param {string} blob_id - Blob ID from putBlob()
+   * @returns {Buffer|null} Content, or null if there is no such blob
+   */
+  getBlob(blob_id) {
+    return this.blobs.get(blob_id) || null;
+  }
+
+  /**
+   * Get store status
+   */
+  getStatus() {
+    const collections = {};
+    for (const [name, repository] of this.repositories) {
+      collections[name] = repository.size;
+    }
+
+    return {
+      type: this.type,
+      durable: false,
+      collections
+    };
+  }
+}
+
+module.exports = UTPMemoryStore;
@@ -0,0 +1,125 @@
+/**
+ * UTP Repository
+ * Keyed collection of records with a Map-compatible API, so managers can keep
+ * using get/set/has/delete/values while the owning store journals writes for
+ * transactions and durability.
+ *
+ * Records handed out by get() are live references: mutate them and call set()
+ * to persist the change.
+ */
+class UTPRepository {
+  /**
+   * @param {UTPMemoryStore} store - Owning store
+   * @param {string} name - Collection name
+   */
+  constructor(store, name) {
+    this.store = store;
+    this.name = name;
+    this.records = new Map();
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  has(key) {
+    return this.records.has(key);
+  }
+
+  get(key) {
+    this.store.track(this, key);
+    return this.records.get(key);
+  }
+
+  set(key, value) {
+    this.store.track(this, key);
+    this.records.set(key, value);
+    this.store.write(this, 'set', key);
+    return this;
+  }
+
+  delete(key) {
+    if (!this.records.has(key)) {
+      return false;
+    }
+
+    this.store.track(this, key);
+    this.records.delete(key);
+    this.store.write(this, 'delete', key);
+    return true;
+  }
+
+  clear() {
+    for (const key of Array.from(this.records.keys())) {
+      this.delete(key);
+    }
+  }
+
+  keys() {
+    return this.records.keys();
+  }
+
+  * values() {
+    for (const [key, value] of this.records) {
+      this.store.track(this, key);
+      yield value;
+    }
+  }
+
+  * entries() {
+    for (const [key, value] of this.records) {
+      this.store.track(this, key);
+      yield [key, value];
+    }
+  }
+
+  forEach(callback, this_arg) {
+    for (const [key, value] of this.entries()) {
+      callback.call(this_arg, value, key, this);
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Find records matching a predicate or a field filter
+   * @param {Function|Object} filter - (record) => boolean, or { field: value }
+   * @returns {Array} Matching records
+   */
+  find(filter = () => true) {
+    const predicate = typeof filter === 'function'
+      ? filter
+      : record => Object.entries(filter).every(([field, value]) => record[field] === value);
+
+    const matches = [];
+    for (const [key, record] of this.records) {
+      if (predicate(record)) {
+        this.store.track(this, key);
+        matches.push(record);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Find the first record matching a predicate or a field filter
+   * @param {Function|Object} filter - (record) => boolean, or { field: value }
+   * @returns {Object|undefined}
+   */
+  findOne(filter) {
+    return this.find(filter)[0];
+  }
+
+  /**
+   * Load a stored record without journaling it (used when the store opens)
+   * @private
+   */
+  load(key, value) {
+    this.records.set(key, value);
+  }
+}
+
+module.exports = UTPRepository;
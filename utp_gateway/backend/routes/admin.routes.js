@@ -1,5 +1,9 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
+const { conversionService, ledgerService, settlementRisk, settlementScheduler, kycService, merchantLifecycle, feePlans } = require('../services');
+const { store } = require('../models');
+const { merchantManager } = require('./merchant.routes');
+const { integrationManager } = require('./integration.routes');
 
 const router = express.Router();
 
@@ -7,10 +11,10 @@ const router = express.Router();
 class UTPAdminManager {
   constructor() {
     this.system_stats = new Map();
-    this.audit_logs = new Map();
-    this.system_alerts = new Map();
-    this.configurations = new Map();
-    this.user_sessions = new Map();
+    this.audit_logs = store.collection('audit_logs');
+    this.system_alerts = store.collection('system_alerts');
+    this.configurations = store.collection('configurations');
+    this.user_sessions = store.collection('admin_sessions');
   }
 
   // Get system overview
@@ -71,6 +75,8 @@ class UTPAdminManager {
     // In a real implementation, this would query actual analytics data
     const analytics = {
       timeframe,
+      // Booked balances per account type and currency, from the double-entry ledger
+      ledger_totals: ledgerService.getTotals(),
       payment_analytics: {
         hourly_breakdown: this.generateHourlyBreakdown(),
         currency_distribution: {
@@ -349,7 +355,21 @@ class UTPAdminManager {
     const severity_map = {
       'merchant_suspend': 'high',
       'merchant_activate': 'medium',
+      'merchant_reactivate': 'medium',
+      'merchant_close': 'high',
       'payment_refund': 'high',
+      'payout_freeze': 'high',
+      'payout_unfreeze': 'medium',
+      'payout_hold': 'medium',
+      'payout_hold_release': 'medium',
+      'reserve_policy_update': 'medium',
+      'reserve_release': 'medium',
+      'kyc_approve': 'medium',
+      'kyc_reject': 'medium',
+      'kyc_request_info': 'low',
+      'fee_plan_create': 'medium',
+      'fee_promotion_create': 'medium',
+      'fee_plan_assign': 'medium',
       'config_update': 'low',
       'system_maintenance': 'medium',
       'security_incident': 'critical'
@@ -440,6 +460,29 @@ class UTPAdminManager {
 // Initialize admin manager
 const adminManager = new UTPAdminManager();
 
+// Raise a critical alert while an asset's price feed is halted, resolve it on recovery
+const price_feed_alerts = new Map();
+
+conversionService.on('price_feed_halted', (halt) => {
+  const alert = adminManager.createSystemAlert({
+    type: 'critical',
+    category: 'system',
+    title: `Price feed halted for ${halt.asset_type.toUpperCase()}`,
+    description: `Conversions and payments for ${halt.asset_type} are halted: ${halt.reason}`,
+    severity: 'critical',
+    metadata: halt
+  });
+  price_feed_alerts.set(halt.asset_type, alert.alert_id);
+});
+
+conversionService.on('price_feed_resumed', (resume) => {
+  const alert_id = price_feed_alerts.get(resume.asset_type);
+  if (!alert_id) return;
+
+  price_feed_alerts.delete(resume.asset_type);
+  adminManager.resolveAlert(alert_id, 'system', `Price feed recovered at ${resume.resumed_at}`);
+});
+
 // GET /api/admin/system/overview - Get system overview
 router.get('/system/overview', (req, res) => {
   try {
@@ -647,4 +690,627 @@ router.get('/sessions', (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Queue a settlement run for a merchant whose held payouts were released
+const settleReleasedPayouts = (merchant_id) => {
+  settlementScheduler.runDue({ merchant_id }).catch(error => {
+    if (error.code !== 'SETTLEMENT_RUN_IN_PROGRESS') {
+      console.error(`Settlement run after hold release failed for ${merchant_id}:`, error.message);
+    }
+  });
+};
+
+// GET /api/admin/merchants/:merchant_id/risk - Risk score, reserve policy, balances and holds
+router.get('/merchants/:merchant_id/risk', (req, res) => {
+  try {
+    const analytics = merchantManager.getMerchantAnalytics(req.params.merchant_id);
+    res.json({
+      success: true,
+      merchant_id: req.params.merchant_id,
+      risk_score: analytics.performance_metrics.risk_score,
+      reserves: analytics.reserves,
+      holds: settlementRisk.listHolds({ merchant_id: req.params.merchant_id, status: 'active' }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: error.message,
+      error_code: 'MERCHANT_RISK_NOT_FOUND',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/admin/merchants/:merchant_id/risk/assess - Rescore risk and apply the matching reserve tier
+router.post('/merchants/:merchant_id/risk/assess', (req, res) => {
+  try {
+    const result = merchantManager.assessMerchantRisk(req.params.merchant_id);
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: error.message,
+      error_code: 'MERCHANT_RISK_ASSESSMENT_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PUT /api/admin/merchants/:merchant_id/reserve-policy - Set a manual reserve { percentage, hold_days, reason, admin_id }
+router.put('/merchants/:merchant_id/reserve-policy', (req, res) => {
+  try {
+    const { percentage, hold_days, reason, admin_id } = req.body;
+    const policy = settlementRisk.setReservePolicy(req.params.merchant_id, {
+      percentage,
+      hold_days,
+      reason,
+      updated_by: admin_id || null
+    });
+
+    adminManager.generateAuditLog({
+      admin_id: admin_id || null,
+      action: 'reserve_policy_update',
+      target_type: 'merchant',
+      target_id: req.params.merchant_id,
+      details: { percentage: policy.percentage, hold_days: policy.hold_days, reason: policy.reason },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      reserve_policy: policy,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'RESERVE_POLICY_UPDATE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// DELETE /api/admin/merchants/:merchant_id/reserve-policy - Drop the manual reserve and go back to the risk tiers
+router.delete('/merchants/:merchant_id/reserve-policy', (req, res) => {
+  try {
+    const policy = settlementRisk.clearReservePolicy(req.params.merchant_id);
+
+    adminManager.generateAuditLog({
+      admin_id: req.body.admin_id || null,
+      action: 'reserve_policy_update',
+      target_type: 'merchant',
+      target_id: req.params.merchant_id,
+      details: { cleared_manual_policy: true, percentage: policy.percentage, hold_days: policy.hold_days },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      reserve_policy: policy,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'RESERVE_POLICY_UPDATE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/admin/reserves - List rolling reserves (filters: merchant_id, status)
+router.get('/reserves', (req, res) => {
+  try {
+    const { merchant_id, status } = req.query;
+    const reserves = settlementRisk.listReserves({ merchant_id, status });
+    res.json({
+      success: true,
+      reserves,
+      count: reserves.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      error_code: 'RESERVES_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/admin/reserves/:reserve_id/release - Release a reserve now, or retry a failed release { reason, admin_id }
+router.post('/reserves/:reserve_id/release', async (req, res) => {
+  try {
+    const { reason, admin_id } = req.body;
+    const release = await settlementRisk.releaseReserve(req.params.reserve_id, {
+      released_by: admin_id || null,
+      reason: reason || 'early_release'
+    });
+
+    adminManager.generateAuditLog({
+      admin_id: admin_id || null,
+      action: 'reserve_release',
+      target_type: 'merchant',
+      target_id: release.merchant_id,
+      details: { reserve_id: req.params.reserve_id, amount: release.amount, currency: release.currency, status: release.status, reason },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.status(release.status === 'released' ? 200 : 502).json({
+      success: release.status === 'released',
+      release,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'RESERVE_RELEASE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/admin/holds - Hold the payout of a payment { payment_id, reason, admin_id }
+router.post('/holds', (req, res) => {
+  try {
+    const { payment_id, reason, admin_id } = req.body;
+    const hold = settlementRisk.holdPayment(payment_id, { reason, placed_by: admin_id || null });
+
+    adminManager.generateAuditLog({
+      admin_id: admin_id || null,
+      action: 'payout_hold',
+      target_type: 'payment',
+      target_id: payment_id,
+      details: { hold_id: hold.hold_id, merchant_id: hold.merchant_id, reason },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      hold,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'HOLD_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/admin/holds - List payout holds and freezes (filters: merchant_id, type, status)
+router.get('/holds', (req, res) => {
+  try {
+    const { merchant_id, type, status } = req.query;
+    const holds = settlementRisk.listHolds({ merchant_id, type, status });
+    res.json({
+      success: true,
+      holds,
+      count: holds.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      error_code: 'HOLDS_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/admin/holds/:hold_id/release - Release a hold; the payout goes out with a settlement run { reason, admin_id }
+router.post('/holds/:hold_id/release', (req, res) => {
+  try {
+    const { reason, admin_id } = req.body;
+    const hold = settlementRisk.releaseHold(req.params.hold_id, { reason, released_by: admin_id || null });
+
+    adminManager.generateAuditLog({
+      admin_id: admin_id || null,
+      action: hold.type === 'merchant' ? 'payout_unfreeze' : 'payout_hold_release',
+      target_type: hold.type,
+      target_id: hold.type === 'merchant' ? hold.merchant_id : hold.payment_id,
+      details: { hold_id: hold.hold_id, reason },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+    settleReleasedPayouts(hold.merchant_id);
+
+    res.json({
+      success: true,
+      hold,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'HOLD_RELEASE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/admin/merchants/:merchant_id/freeze - Freeze every payout to a merchant { reason, admin_id }
+router.post('/merchants/:merchant_id/freeze', (req, res) => {
+  try {
+    const { reason, admin_id } = req.body;
+    const hold = settlementRisk.freezeMerchant(req.params.merchant_id, { reason, placed_by: admin_id || null });
+
+    adminManager.generateAuditLog({
+      admin_id: admin_id || null,
+      action: 'payout_freeze',
+      target_type: 'merchant',
+      target_id: req.params.merchant_id,
+      details: { hold_id: hold.hold_id, reason },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      hold,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'MERCHANT_FREEZE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/admin/merchants/:merchant_id/unfreeze - Lift a merchant's payout freeze { reason, admin_id }
+router.post('/merchants/:merchant_id/unfreeze', (req, res) => {
+  try {
+    const { reason, admin_id } = req.body;
+    const hold = settlementRisk.unfreezeMerchant(req.params.merchant_id, { reason, released_by: admin_id || null });
+
+    adminManager.generateAuditLog({
+      admin_id: admin_id || null,
+      action: 'payout_unfreeze',
+      target_type: 'merchant',
+      target_id: req.params.merchant_id,
+      details: { hold_id: hold.hold_id, reason },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+    settleReleasedPayouts(req.params.merchant_id);
+
+    res.json({
+      success: true,
+      hold,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'MERCHANT_UNFREEZE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Audit every merchant status change and tell the merchant's webhooks
+// (merchant.suspended for a suspension, account.updated otherwise)
+merchantLifecycle.on('status_changed', ({ merchant, action, from, to, reason, changed_by, context }) => {
+  adminManager.generateAuditLog({
+    admin_id: changed_by,
+    action: `merchant_${action}`,
+    target_type: 'merchant',
+    target_id: merchant.merchant_id,
+    details: { from, to, reason },
+    ip_address: context.ip_address,
+    user_agent: context.user_agent
+  });
+
+  integrationManager.dispatchEvent(merchant.merchant_id, action === 'suspend' ? 'merchant.suspended' : 'account.updated', {
+    change: 'status',
+    action,
+    previous_status: from,
+    status: to,
+    reason,
+    changed_at: merchant[`${to}_at`]
+  }).catch(error => console.error(`Merchant ${action} webhook failed:`, error.message));
+});
+
+// Move a merchant to a new account status { reason, admin_id }
+const changeMerchantStatus = (action) => async (req, res) => {
+  try {
+    const { reason, admin_id } = req.body;
+    const change = await merchantLifecycle.changeStatus(req.params.merchant_id, action, {
+      reason,
+      changed_by: admin_id || null,
+      context: { ip_address: req.ip, user_agent: req.get('User-Agent') }
+    });
+
+    res.json({
+      success: true,
+      merchant_id: req.params.merchant_id,
+      previous_status: change.from,
+      status: change.to,
+      reason: change.reason,
+      status_history: change.merchant.status_history,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'MERCHANT_STATUS_CHANGE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// POST /api/admin/merchants/:merchant_id/activate - Activate a merchant awaiting verification { reason, admin_id }
+router.post('/merchants/:merchant_id/activate', changeMerchantStatus('activate'));
+
+// POST /api/admin/merchants/:merchant_id/suspend - Suspend an active merchant: no payments or payouts { reason, admin_id }
+router.post('/merchants/:merchant_id/suspend', changeMerchantStatus('suspend'));
+
+// POST /api/admin/merchants/:merchant_id/reactivate - Reactivate a suspended merchant { reason, admin_id }
+router.post('/merchants/:merchant_id/reactivate', changeMerchantStatus('reactivate'));
+
+// POST /api/admin/merchants/:merchant_id/close - Close a merchant with nothing left to pay out { reason, admin_id }
+router.post('/merchants/:merchant_id/close', changeMerchantStatus('close'));
+
+// GET /api/admin/kyc/queue - KYC documents awaiting review, oldest first (filters: merchant_id, document_type)
+router.get('/kyc/queue', (req, res) => {
+  try {
+    const { merchant_id, document_type } = req.query;
+    const documents = kycService.getReviewQueue({ merchant_id, document_type });
+    res.json({
+      success: true,
+      documents,
+      count: documents.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      error_code: 'KYC_QUEUE_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/admin/kyc/documents/:document_id - A KYC document and the merchant's KYC status (?download=true for the file)
+router.get('/kyc/documents/:document_id', (req, res) => {
+  try {
+    const document = kycService.getDocument(req.params.document_id);
+
+    if (req.query.download === 'true') {
+      const file = kycService.getDocumentFile(document.document_id);
+      res.set('Content-Type', file.content_type);
+      res.set('Content-Disposition', `attachment; filename="${file.file_name}"`);
+      return res.send(file.content);
+    }
+
+    res.json({
+      success: true,
+      document,
+      kyc: kycService.getKycSummary(document.merchant_id),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'KYC_DOCUMENT_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Record a KYC review decision, audit it and send the merchant's kyc.completed webhooks
+const reviewKycDocument = (decision) => async (req, res) => {
+  try {
+    const { notes, admin_id } = req.body;
+    const { document, kyc, previous_verification_level } = await kycService.reviewDocument(req.params.document_id, {
+      decision,
+      notes,
+      reviewed_by: admin_id || null
+    });
+
+    adminManager.generateAuditLog({
+      admin_id: admin_id || null,
+      action: `kyc_${decision}`,
+      target_type: 'merchant',
+      target_id: document.merchant_id,
+      details: {
+        document_id: document.document_id,
+        document_type: document.document_type,
+        notes: notes || null,
+        verification_level: kyc.verification_level,
+        previous_verification_level
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    integrationManager.dispatchEvent(document.merchant_id, 'kyc.completed', {
+      document_id: document.document_id,
+      document_type: document.document_type,
+      decision,
+      document_status: document.status,
+      notes: notes || null,
+      kyc_status: kyc.kyc_status,
+      verification_level: kyc.verification_level,
+      previous_verification_level,
+      limits: kyc.limits,
+      reviewed_at: document.reviewed_at
+    }).catch(error => console.error('kyc.completed webhook failed:', error.message));
+
+    res.json({
+      success: true,
+      document,
+      kyc,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'KYC_REVIEW_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// POST /api/admin/kyc/documents/:document_id/approve - Approve a KYC document { notes, admin_id }
+router.post('/kyc/documents/:document_id/approve', reviewKycDocument('approve'));
+
+// POST /api/admin/kyc/documents/:document_id/reject - Reject a KYC document { notes, admin_id }
+router.post('/kyc/documents/:document_id/reject', reviewKycDocument('reject'));
+
+// POST /api/admin/kyc/documents/:document_id/request-info - Ask the merchant for more information { notes, admin_id }
+router.post('/kyc/documents/:document_id/request-info', reviewKycDocument('request_info'));
+
+// GET /api/admin/fee-plans - Standard and custom fee plans with the merchants on each (?type=standard|custom)
+router.get('/fee-plans', (req, res) => {
+  try {
+    const plans = feePlans.listPlans({ type: req.query.type });
+    res.json({
+      success: true,
+      plans,
+      count: plans.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'FEE_PLANS_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/admin/fee-plans - Create a custom fee plan
+// { name, description, transaction_fee: { tiers, asset_rates }, settlement_fee: { method_rates }, minimum_fee, maximum_fee, promotions, admin_id }
+router.post('/fee-plans', (req, res) => {
+  try {
+    const { admin_id, ...plan_data } = req.body;
+    const plan = feePlans.createPlan(plan_data, { created_by: admin_id || null });
+
+    adminManager.generateAuditLog({
+      admin_id: admin_id || null,
+      action: 'fee_plan_create',
+      target_type: 'fee_plan',
+      target_id: plan.plan_id,
+      details: { name: plan.name, transaction_fee: plan.transaction_fee, settlement_fee: plan.settlement_fee },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      plan,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'FEE_PLAN_CREATE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/admin/fee-plans/:plan_id/promotions - Waive a plan's fees for a window { name, starts_at, ends_at, fees, admin_id }
+router.post('/fee-plans/:plan_id/promotions', (req, res) => {
+  try {
+    const { admin_id, ...promotion_data } = req.body;
+    const { plan, promotion } = feePlans.addPromotion(req.params.plan_id, promotion_data, { created_by: admin_id || null });
+
+    adminManager.generateAuditLog({
+      admin_id: admin_id || null,
+      action: 'fee_promotion_create',
+      target_type: 'fee_plan',
+      target_id: plan.plan_id,
+      details: promotion,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      plan_id: plan.plan_id,
+      promotion,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'FEE_PROMOTION_CREATE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/admin/merchants/:merchant_id/fee-plan - Put a merchant on a fee plan (plan_id null for its standard plan) { plan_id, reason, admin_id }
+router.post('/merchants/:merchant_id/fee-plan', (req, res) => {
+  try {
+    const { plan_id = null, reason, admin_id } = req.body;
+    const { plan, previous_plan_id } = feePlans.assignPlan(req.params.merchant_id, plan_id, {
+      reason: reason || null,
+      assigned_by: admin_id || null
+    });
+
+    adminManager.generateAuditLog({
+      admin_id: admin_id || null,
+      action: 'fee_plan_assign',
+      target_type: 'merchant',
+      target_id: req.params.merchant_id,
+      details: { from: previous_plan_id, to: plan.plan_id, reason: reason || null },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    integrationManager.dispatchEvent(req.params.merchant_id, 'account.updated', {
+      change: 'fee_plan',
+      previous_plan_id,
+      plan_id: plan.plan_id,
+      plan_name: plan.name
+    }).catch(error => console.error('Fee plan webhook failed:', error.message));
+
+    res.json({
+      success: true,
+      merchant_id: req.params.merchant_id,
+      previous_plan_id,
+      plan,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'FEE_PLAN_ASSIGN_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
+module.exports.adminManager = adminManager;
\ No newline at end of file
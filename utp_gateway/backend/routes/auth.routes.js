@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const rateLimit = require('express-rate-limit');
+const { store } = require('../models');
 
 const router = express.Router();
 
@@ -18,11 +19,11 @@ router.use(authLimiter);
 // User and merchant authentication class
 class UTPAuthManager {
   constructor() {
-    this.users = new Map();
-    this.merchants = new Map();
-    this.sessions = new Map();
-    this.refresh_tokens = new Map();
-    this.api_keys = new Map();
+    this.users = store.collection('users');
+    this.merchants = store.collection('merchant_accounts');
+    this.sessions = store.collection('sessions');
+    this.refresh_tokens = store.collection('refresh_tokens');
+    this.api_keys = store.collection('api_keys');
   }
 
   // Register new user (customer)
@@ -253,7 +254,7 @@ class UTPAuthManager {
   }
 
   // Generate API key for merchants
-  generateAPIKey(merchant_id, permissions = ['payments:read', 'payments:write']) {
+  async generateAPIKey(merchant_id, permissions = ['payments:read', 'payments:write']) {
     const api_key = `utp_${merchant_id}_${uuidv4().replace(/-/g, '')}`;
     const api_secret = uuidv4().replace(/-/g, '');
 
@@ -483,10 +484,10 @@ router.post('/logout', (req, res) => {
 });
 
 // POST /api/auth/api-key/generate - Generate API key for merchant
-router.post('/api-key/generate', (req, res) => {
+router.post('/api-key/generate', async (req, res) => {
   try {
     const { merchant_id, permissions } = req.body;
-    const result = authManager.generateAPIKey(merchant_id, permissions);
+    const result = await authManager.generateAPIKey(merchant_id, permissions);
     res.json(result);
   } catch (error) {
     res.status(400).json({
@@ -1,110 +1,36 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
+const config = require('../config');
+const { conversionService, feePlans } = require('../services');
 
 const router = express.Router();
 
+// Sample every asset's price into the price history
+setInterval(() => {
+  conversionService.samplePrices()
+    .then(sample => {
+      if (sample.failed.length > 0) {
+        console.warn(`Price sample skipped ${sample.failed.map(failure => failure.asset_type).join(', ')}`);
+      }
+    })
+    .catch(error => console.error('Price history sample failed:', error.message));
+}, config.priceHistory.sample_interval_ms).unref();
+
 // Real-time conversion engine
 class UTPConversionEngine {
   constructor() {
-    this.price_cache = new Map();
     this.conversion_history = new Map();
     this.slippage_protection = true;
     this.max_slippage = 0.002; // 0.2%
   }
 
-  // Get real-time price for asset
+  // Get real-time price for asset from the shared price feeds
   async getPrice(asset_type) {
-    try {
-      const cache_key = `price_${asset_type}`;
-      const cached_price = this.price_cache.get(cache_key);
-
-      // Return cached price if less than 30 seconds old
-      if (cached_price && (Date.now() - cached_price.timestamp) < 30000) {
-        return cached_price;
-      }
-
-      // Fetch fresh price
-      const fresh_price = await this.fetchPriceFromSource(asset_type);
-      
-      // Cache the price
-      this.price_cache.set(cache_key, {
-        ...fresh_price,
-        timestamp: Date.now()
-      });
-
-      return fresh_price;
-
-    } catch (error) {
-      console.error(`Price fetch failed for ${asset_type}:`, error);
-      // Return cached price or fallback
-      return this.getCachedPrice(asset_type) || this.getFallbackPrice(asset_type);
-    }
-  }
-
-  // Fetch price from external source
-  async fetchPriceFromSource(asset_type) {
-    // In a real implementation, this would fetch from:
-    // - LBMA for gold prices
-    // - LME for silver prices  
-    // - LPPM for platinum prices
-    // - Internal APIs for BINR
-
-    const base_prices = {
-      'bgt': 5650.00, // INR per gram (24K gold)
-      'bst': 72.50,   // INR per gram (silver)
-      'bpt': 3200.00, // INR per gram (platinum)
-      'binr': 1.00,   // 1 BINR = 1 INR
-      'rwa': 100.00   // Generic RWA token (example)
-    };
-
-    const price = base_prices[asset_type] || 100.00;
-    const volatility = this.getVolatilityLevel(asset_type);
-
-    // Add some random fluctuation (±0.1%)
-    const fluctuation = (Math.random() - 0.5) * 0.002;
-    const adjusted_price = price * (1 + fluctuation);
-
-    return {
-      asset_type,
-      price: adjusted_price,
-      currency: 'INR',
-      source: this.getPriceSource(asset_type),
-      timestamp: new Date().toISOString(),
-      volatility,
-      confidence: 0.95
-    };
-  }
-
-  // Get cached price
-  getCachedPrice(asset_type) {
-    const cache_key = `price_${asset_type}`;
-    const cached = this.price_cache.get(cache_key);
-    return cached ? {
-      ...cached,
-      source: 'cache',
-      confidence: 0.70
-    } : null;
-  }
-
-  // Get fallback price (static prices)
-  getFallbackPrice(asset_type) {
-    const fallback_prices = {
-      'bgt': 5650.00,
-      'bst': 72.50,
-      'bpt': 3200.00,
-      'binr': 1.00,
-      'rwa': 100.00
-    };
+    const price_data = await conversionService.getPrice(asset_type);
 
     return {
-      asset_type,
-      price: fallback_prices[asset_type] || 100.00,
-      currency: 'INR',
-      source: 'fallback',
-      timestamp: new Date().toISOString(),
-      volatility: 'unknown',
-      confidence: 0.50
+      ...price_data,
+      volatility: this.getVolatilityLevel(asset_type)
     };
   }
 
@@ -132,7 +58,8 @@ class UTPConversionEngine {
       return conversion;
 
     } catch (error) {
-      throw new Error(`Conversion failed: ${error.message}`);
+      error.message = `Conversion failed: ${error.message}`;
+      throw error;
     }
   }
 
@@ -274,18 +201,6 @@ class UTPConversionEngine {
     return volatility_map[asset_type] || 'medium';
   }
 
-  // Get price source for asset
-  getPriceSource(asset_type) {
-    const source_map = {
-      'bgt': 'LBMA/MMEX',
-      'bst': 'LME',
-      'bpt': 'LPPM',
-      'binr': 'BINR Network',
-      'rwa': 'UTP Internal'
-    };
-    return source_map[asset_type] || 'UTP Internal';
-  }
-
   // Store conversion in history
   storeConversionHistory(from_asset, to_asset, amount, conversion) {
     const history_key = `conversion_${Date.now()}`;
@@ -319,7 +234,8 @@ class UTPConversionEngine {
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to get conversion rate: ${error.message}`);
+      error.message = `Failed to get conversion rate: ${error.message}`;
+      throw error;
     }
   }
 
@@ -335,7 +251,7 @@ class UTPConversionEngine {
         prices[asset] = {
           asset_type: asset,
           error: error.message,
-          fallback_price: this.getFallbackPrice(asset)
+          error_code: error.code || 'PRICE_FETCH_FAILED'
         };
       }
     }
@@ -380,10 +296,10 @@ router.get('/price/:asset', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: error.message,
-      error_code: 'PRICE_FETCH_FAILED',
+      error_code: error.code || 'PRICE_FETCH_FAILED',
       timestamp: new Date().toISOString()
     });
   }
@@ -400,19 +316,30 @@ router.get('/rate/:from/:to', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: error.message,
-      error_code: 'RATE_FETCH_FAILED',
+      error_code: error.code || 'RATE_FETCH_FAILED',
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// POST /api/conversion/calculate - Calculate conversion
+// POST /api/conversion/calculate - Calculate conversion (at locked rates when quote_id is given)
 router.post('/calculate', async (req, res) => {
   try {
-    const { from_asset, to_asset, amount, options = {} } = req.body;
+    const { from_asset, to_asset, amount, quote_id, options = {} } = req.body;
+
+    if (quote_id) {
+      const quote = conversionService.verifyQuote(quote_id, { from_asset, to_asset, amount });
+      return res.json({
+        success: true,
+        conversion: quote,
+        locked: true,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     const conversion = await conversionEngine.convert(from_asset, to_asset, amount, options);
     res.json({
       success: true,
@@ -420,10 +347,52 @@ router.post('/calculate', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.code === 'PRICE_FEED_HALTED' ? 503 : 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'CONVERSION_CALCULATION_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/conversion/quote - Lock a conversion quote (priced by the merchant's fee plan when merchant_id is given)
+router.post('/quote', async (req, res) => {
+  try {
+    const { from_asset, to_asset, amount, merchant_id } = req.body;
+    const quote = await conversionService.createQuote(from_asset, to_asset, amount, {
+      merchant_id: merchant_id || null,
+      fees: merchant_id ? feePlans.getTransactionFeeTerms(merchant_id, from_asset) : null
+    });
+    res.json({
+      success: true,
+      quote,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.code === 'PRICE_FEED_HALTED' ? 503 : 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'QUOTE_CREATION_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/conversion/quote/:quote_id - Get a locked quote
+router.get('/quote/:quote_id', (req, res) => {
+  try {
+    const quote = conversionService.verifyQuote(req.params.quote_id);
+    res.json({
+      success: true,
+      quote,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 404).json({
       success: false,
       error: error.message,
-      error_code: 'CONVERSION_CALCULATION_FAILED',
+      error_code: error.code || 'QUOTE_NOT_FOUND',
       timestamp: new Date().toISOString()
     });
   }
@@ -447,6 +416,65 @@ router.get('/prices', async (req, res) => {
   }
 });
 
+// GET /api/conversion/candles/:asset - Get OHLC candles (interval: 1m, 5m, 1h, 1d)
+router.get('/candles/:asset', (req, res) => {
+  try {
+    const { interval, from, to } = req.query;
+    const candles = conversionService.price_history.getCandles(req.params.asset, { interval, from, to });
+    res.json({
+      success: true,
+      ...candles,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'CANDLES_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/conversion/price-at/:asset - Get the price that applied at a past timestamp
+router.get('/price-at/:asset', (req, res) => {
+  try {
+    const price = conversionService.price_history.getPriceAt(req.params.asset, req.query.timestamp || Date.now());
+    res.json({
+      success: true,
+      price,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'PRICE_HISTORY_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/conversion/rate-at/:from/:to - Get the conversion rate that applied at a past timestamp
+router.get('/rate-at/:from/:to', (req, res) => {
+  try {
+    const { from, to } = req.params;
+    const rate = conversionService.price_history.getRateAt(from, to, req.query.timestamp || Date.now());
+    res.json({
+      success: true,
+      rate,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'RATE_HISTORY_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // GET /api/conversion/history - Get conversion history
 router.get('/history', (req, res) => {
   try {
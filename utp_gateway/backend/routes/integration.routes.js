@@ -1,16 +1,17 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
+const { store } = require('../models');
 
 const router = express.Router();
 
 // Integration management class
 class UTPIntegrationManager {
   constructor() {
-    this.webhooks = new Map();
-    this.integrations = new Map();
-    this.api_keys = new Map();
-    this.sdk_downloads = new Map();
+    this.webhooks = store.collection('webhooks');
+    this.integrations = store.collection('integrations');
+    this.api_keys = store.collection('integration_api_keys');
+    this.sdk_downloads = store.collection('sdk_downloads');
   }
 
   // Create webhook endpoint
@@ -108,6 +109,25 @@ class UTPIntegrationManager {
     }
   }
 
+  // Send an event to every active webhook of a merchant subscribed to it
+  async dispatchEvent(merchant_id, event, data) {
+    const webhooks = this.webhooks.find(webhook =>
+      webhook.merchant_id === merchant_id &&
+      webhook.status === 'active' &&
+      webhook.events.includes(event)
+    );
+
+    const results = await Promise.allSettled(webhooks.map(webhook =>
+      this.triggerWebhook(webhook.webhook_id, { event, merchant_id, ...data })
+    ));
+
+    return results.map((result, index) => ({
+      webhook_id: webhooks[index].webhook_id,
+      delivered: result.status === 'fulfilled',
+      error: result.status === 'rejected' ? result.reason.message : null
+    }));
+  }
+
   // Generate webhook signature
   generateWebhookSignature(payload, secret) {
     const crypto = require('crypto');
@@ -603,4 +623,5 @@ router.post('/sdk/download', (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.integrationManager = integrationManager;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const express = require('express');
+const { ledgerService } = require('../services');
+const { ACCOUNT_TYPES } = require('../services/ledger');
+
+const router = express.Router();
+
+// GET /api/ledger/accounts - List ledger accounts (filters: account_type, currency, owner_id)
+router.get('/accounts', (req, res) => {
+  try {
+    const { account_type, currency, owner_id } = req.query;
+    const accounts = ledgerService.listAccounts({ account_type, currency, owner_id });
+    res.json({
+      success: true,
+      accounts,
+      count: accounts.length,
+      account_types: ACCOUNT_TYPES,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'LEDGER_ACCOUNTS_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/ledger/accounts/:account_id - Get an account balance with its latest entries
+router.get('/accounts/:account_id', (req, res) => {
+  try {
+    const account = ledgerService.getAccount(req.params.account_id);
+    const entries = ledgerService.getEntries({ account_id: account.account_id, limit: req.query.limit });
+    res.json({
+      success: true,
+      account,
+      entries,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'LEDGER_ACCOUNT_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/ledger/balances/:owner_id - Get the wallet or payable balances of a customer or merchant
+router.get('/balances/:owner_id', (req, res) => {
+  try {
+    const balances = ledgerService.getBalances(req.params.owner_id);
+    res.json({
+      success: true,
+      ...balances,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'LEDGER_BALANCES_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/ledger/entries - List journal entries (filters: account_id, reference_id, type, from, to, limit)
+router.get('/entries', (req, res) => {
+  try {
+    const { account_id, reference_id, type, from, to, limit } = req.query;
+    const entries = ledgerService.getEntries({ account_id, reference_id, type, from, to, limit });
+    res.json({
+      success: true,
+      entries,
+      count: entries.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'LEDGER_ENTRIES_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/ledger/entries/:entry_id - Get a journal entry
+router.get('/entries/:entry_id', (req, res) => {
+  try {
+    const entry = ledgerService.getEntry(req.params.entry_id);
+    res.json({
+      success: true,
+      entry,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'LEDGER_ENTRY_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/ledger/trial-balance - Get the trial balance per currency (filter: currency)
+router.get('/trial-balance', (req, res) => {
+  try {
+    const trial_balance = ledgerService.getTrialBalance({ currency: req.query.currency });
+    res.json({
+      success: true,
+      trial_balance,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'TRIAL_BALANCE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
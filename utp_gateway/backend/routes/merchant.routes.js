@@ -1,6 +1,23 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const rateLimit = require('express-rate-limit');
+const config = require('../config');
+const { store } = require('../models');
+const {
+  conversionService,
+  settlementService,
+  settlementRisk,
+  payoutDestinations,
+  invoiceService,
+  kycService,
+  merchantLifecycle,
+  feePlans,
+  merchantAnalytics,
+  marketplace
+} = require('../services');
+const { SETTLEMENT_SCHEDULES } = require('../services/settlement-scheduler');
+const { validateMixedSplit } = require('../services/mixed-split');
+const { isValidGstin } = require('../services/gst');
 
 const router = express.Router();
 
@@ -13,12 +30,39 @@ const merchantLimiter = rateLimit({
 
 router.use(merchantLimiter);
 
+// KYC documents may be uploaded as the raw file instead of base64 in JSON
+const documentBody = express.raw({ type: config.kyc.content_types, limit: config.kyc.max_document_bytes });
+
+// Issue last month's GST invoices and credit notes for fees refunded since
+setInterval(() => {
+  invoiceService.runDue()
+    .then(run => {
+      if (run.invoices.length > 0 || run.credit_notes.length > 0 || run.failed.length > 0) {
+        console.log(`Invoice run ${run.period}: ${run.invoices.length} invoice(s), ${run.credit_notes.length} credit note(s), ${run.failed.length} failed`);
+      }
+    })
+    .catch(error => {
+      if (error.code !== 'INVOICE_RUN_IN_PROGRESS') {
+        console.error('Invoice run failed:', error.message);
+      }
+    });
+}, config.invoicing.run_interval_ms).unref();
+
+// Credit invoiced fees as soon as a failed or cancelled payout refunds them
+settlementService.on('settlement_updated', (settlement) => {
+  const legs = settlement.legs || [];
+  if (legs.some(leg => ['failed', 'cancelled'].includes(leg.status))) {
+    invoiceService.issueCreditNotes(settlement.merchant_id)
+      .catch(error => console.error('Credit note issue failed:', error.message));
+  }
+});
+
 // Merchant management class
 class UTPMerchantManager {
   constructor() {
-    this.merchants = new Map();
-    this.merchant_configs = new Map();
-    this.merchant_analytics = new Map();
+    this.merchants = store.collection('merchants');
+    this.merchant_configs = store.collection('merchant_configs');
+    this.merchant_analytics = store.collection('merchant_analytics');
   }
 
   // Register new merchant
@@ -31,8 +75,12 @@ class UTPMerchantManager {
       phone,
       address,
       tax_id,
+      gstin,
+      state_code,
       bank_details,
+      payout_destinations,
       settlement_preferences,
+      parent_merchant_id = null, // marketplace a sub-merchant is registered under
       api_config = {},
       webhook_config = {}
     } = merchantData;
@@ -40,6 +88,10 @@ class UTPMerchantManager {
     try {
       // Validate merchant data
       this.validateMerchantData(merchantData);
+      const tax_details = this.getTaxDetails({ tax_id, gstin, state_code });
+      if (parent_merchant_id) {
+        marketplace.assertCanBeParent(parent_merchant_id);
+      }
 
       // Create merchant
       const merchant_id = uuidv4();
@@ -52,15 +104,18 @@ class UTPMerchantManager {
         phone,
         address,
         tax_id,
+        gstin: tax_details.gstin,
+        state_code: tax_details.state_code,
         bank_details,
-        status: 'pending_verification',
+        parent_merchant_id,
         registration_date: new Date().toISOString(),
         kyc_status: 'pending',
         verification_level: 1,
         created_by: 'utp_system'
       };
 
-      // Store merchant
+      // Store merchant, awaiting activation
+      merchantLifecycle.initialize(merchant);
       this.merchants.set(merchant_id, merchant);
 
       // Create merchant configuration
@@ -70,7 +125,8 @@ class UTPMerchantManager {
           default_settlement: settlement_preferences?.default || 'inr',
           allowed_settlement_types: settlement_preferences?.allowed || ['inr', 'binr'],
           settlement_schedule: settlement_preferences?.schedule || 'instant',
-          fee_structure: this.getDefaultFeeStructure(merchantData.business_type),
+          mixed_split: settlement_preferences?.mixed_split || null, // null: platform default split
+          inr_settlement_method: settlement_preferences?.inr_settlement_method || null, // null: first method whose limits fit
           minimum_transaction: settlement_preferences?.minimum || 10,
           maximum_transaction: settlement_preferences?.maximum || 1000000
         },
@@ -96,6 +152,12 @@ class UTPMerchantManager {
 
       this.merchant_configs.set(merchant_id, config);
 
+      // Add and verify the payout destinations (bank_details become destinations when none are given)
+      const destinations = [];
+      for (const destination of this.getRegisteredDestinations(merchantData)) {
+        destinations.push(await payoutDestinations.addDestination(merchant_id, destination));
+      }
+
       // Initialize analytics
       this.merchant_analytics.set(merchant_id, {
         total_transactions: 0,
@@ -107,7 +169,7 @@ class UTPMerchantManager {
           binr: { count: 0, volume: 0 },
           bgt: { count: 0, volume: 0 }
         },
-        monthly_stats: new Map(),
+        monthly_stats: {}, // YYYY-MM -> stats
         last_updated: new Date().toISOString()
       });
 
@@ -115,7 +177,16 @@ class UTPMerchantManager {
         success: true,
         merchant_id,
         status: 'pending_verification',
+        parent_merchant_id,
         kyc_required: true,
+        payout_destinations: destinations.map(destination => ({
+          destination_id: destination.destination_id,
+          type: destination.type,
+          label: destination.label,
+          is_primary: destination.is_primary,
+          verification_status: destination.verification.status,
+          failure_reason: destination.verification.failure_reason
+        })),
         next_steps: [
           'Complete KYC verification',
           'Configure settlement preferences',
@@ -148,13 +219,23 @@ class UTPMerchantManager {
         email: merchant.email,
         phone: merchant.phone,
         address: merchant.address,
-        tax_id: merchant.tax_id
+        tax_id: merchant.tax_id,
+        gstin: merchant.gstin || null,
+        state_code: merchant.state_code || null
       },
       account_status: {
         status: merchant.status,
         kyc_status: merchant.kyc_status,
         verification_level: merchant.verification_level,
-        registration_date: merchant.registration_date
+        limits: kycService.getLimits(merchant_id),
+        registration_date: merchant.registration_date,
+        status_history: merchant.status_history || []
+      },
+      fee_plan: this.getFeePlanReference(merchant_id),
+      marketplace: {
+        parent_merchant_id: merchant.parent_merchant_id || null,
+        commission_rate: merchant.parent_merchant_id ? null : marketplace.getCommissionRate(merchant_id),
+        sub_merchants: this.merchants.find({ parent_merchant_id: merchant_id }).length
       },
       configuration: config,
       timestamp: new Date().toISOString()
@@ -168,6 +249,13 @@ class UTPMerchantManager {
       throw new Error('Merchant configuration not found');
     }
 
+    if (updates.settlement_preferences) {
+      this.validateSettlementSchedule(updates.settlement_preferences.settlement_schedule);
+      this.validateMixedSplit(updates.settlement_preferences.mixed_split);
+      this.validateInrSettlementMethod(updates.settlement_preferences.inr_settlement_method);
+      payoutDestinations.validatePayoutSplit(merchant_id, updates.settlement_preferences.payout_split);
+    }
+
     // Merge updates
     const updated_config = {
       ...config,
@@ -185,6 +273,32 @@ class UTPMerchantManager {
     };
   }
 
+  // Update the GSTIN and state invoices are addressed to (from the next invoice on)
+  updateTaxDetails(merchant_id, { gstin = null, state_code = null }) {
+    const merchant = this.merchants.get(merchant_id);
+    if (!merchant) {
+      throw new Error('Merchant not found');
+    }
+
+    const tax_details = invoiceService.validateTaxDetails({ gstin, state_code });
+    this.merchants.set(merchant_id, { ...merchant, ...tax_details });
+
+    return {
+      success: true,
+      merchant_id,
+      tax_details,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // GST details given at registration; a tax_id that is a GSTIN is used when no gstin is given
+  getTaxDetails({ tax_id, gstin, state_code }) {
+    return invoiceService.validateTaxDetails({
+      gstin: gstin || (isValidGstin(tax_id) ? tax_id : null),
+      state_code
+    });
+  }
+
   // Update merchant analytics
   updateMerchantAnalytics(merchant_id, transaction_data) {
     const analytics = this.merchant_analytics.get(merchant_id);
@@ -222,61 +336,73 @@ class UTPMerchantManager {
 
     // Update monthly stats
     const month_key = new Date(timestamp).toISOString().slice(0, 7); // YYYY-MM
-    if (!analytics.monthly_stats.has(month_key)) {
-      analytics.monthly_stats.set(month_key, {
+    if (!analytics.monthly_stats[month_key]) {
+      analytics.monthly_stats[month_key] = {
         transactions: 0,
         volume: 0,
         success_rate: 0
-      });
+      };
     }
 
-    const monthly_stats = analytics.monthly_stats.get(month_key);
+    const monthly_stats = analytics.monthly_stats[month_key];
     monthly_stats.transactions += 1;
     monthly_stats.volume += amount;
 
     analytics.last_updated = new Date().toISOString();
 
     // Clean up old monthly stats (keep only last 24 months)
-    if (analytics.monthly_stats.size > 24) {
-      const sorted_months = Array.from(analytics.monthly_stats.keys()).sort();
-      const to_remove = sorted_months.slice(0, analytics.monthly_stats.size - 24);
-      to_remove.forEach(month => analytics.monthly_stats.delete(month));
+    const months = Object.keys(analytics.monthly_stats).sort();
+    if (months.length > 24) {
+      months.slice(0, months.length - 24).forEach(month => delete analytics.monthly_stats[month]);
     }
 
     this.merchant_analytics.set(merchant_id, analytics);
 
+    // Move the merchant's rolling reserve to the tier of its new risk score
+    this.assessMerchantRisk(merchant_id);
+
     return analytics;
   }
 
-  // Get merchant analytics
-  getMerchantAnalytics(merchant_id, period = '30d') {
+  // Score merchant risk and apply the matching rolling reserve policy
+  assessMerchantRisk(merchant_id) {
     const analytics = this.merchant_analytics.get(merchant_id);
     if (!analytics) {
       throw new Error('Merchant analytics not found');
     }
 
-    // Calculate period stats
-    const end_date = new Date();
-    const start_date = this.getStartDate(period, end_date);
+    const risk_score = this.calculateRiskScore(analytics);
+    return {
+      merchant_id,
+      risk_score,
+      reserve_policy: settlementRisk.applyRiskScore(merchant_id, risk_score)
+    };
+  }
+
+  // Get merchant analytics over a window: from/to, or the period before now (or before to)
+  getMerchantAnalytics(merchant_id, { period = '30d', from, to, group_by = 'day' } = {}) {
+    const analytics = this.merchant_analytics.get(merchant_id);
+    if (!analytics) {
+      throw new Error('Merchant analytics not found');
+    }
 
-    const period_stats = this.calculatePeriodStats(analytics, start_date, end_date);
+    // An invalid to is left for the analytics service to reject
+    const end_date = to ? new Date(to) : new Date();
+    const start = from || (Number.isNaN(end_date.getTime()) ? null : this.getStartDate(period, end_date).toISOString());
+    const result = merchantAnalytics.getAnalytics(merchant_id, { from: start, to: to || end_date.toISOString(), group_by });
 
     return {
       merchant_id,
-      period,
-      date_range: {
-        start: start_date.toISOString(),
-        end: end_date.toISOString()
-      },
-      summary: {
-        total_transactions: period_stats.transactions,
-        total_volume: period_stats.volume,
-        success_rate: period_stats.success_rate,
-        average_transaction_value: period_stats.average_value
-      },
-      settlement_breakdown: this.getSettlementBreakdown(analytics),
-      monthly_trends: this.getMonthlyTrends(analytics.monthly_stats),
-      performance_metrics: this.calculatePerformanceMetrics(analytics),
+      period: from ? null : period,
+      date_range: result.date_range,
+      group_by: result.group_by,
+      summary: result.summary,
+      breakdowns: result.breakdowns,
+      settlements: result.settlements,
+      time_series: result.time_series,
+      growth: result.growth,
+      performance_metrics: this.calculatePerformanceMetrics(analytics, result),
+      reserves: settlementRisk.getReserveSummary(merchant_id),
       timestamp: new Date().toISOString()
     };
   }
@@ -314,6 +440,11 @@ class UTPMerchantManager {
       throw new Error(`Unsupported business type: ${data.business_type}`);
     }
 
+    this.validateSettlementSchedule(data.settlement_preferences?.schedule);
+    this.validateMixedSplit(data.settlement_preferences?.mixed_split);
+    this.validateInrSettlementMethod(data.settlement_preferences?.inr_settlement_method);
+    this.validatePayoutDestinations(data);
+
     // Validate email format
     const email_regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!email_regex.test(data.email)) {
@@ -327,36 +458,144 @@ class UTPMerchantManager {
     }
   }
 
-  // Get default fee structure
-  getDefaultFeeStructure(business_type) {
-    const fee_structures = {
-      'individual': {
-        transaction_fee: 0.003, // 0.3%
-        settlement_fee: 0.001,  // 0.1%
-        minimum_fee: 1,         // ₹1
-        maximum_fee: 1000       // ₹1000
-      },
-      'proprietorship': {
-        transaction_fee: 0.002, // 0.2%
-        settlement_fee: 0.001,  // 0.1%
-        minimum_fee: 2,         // ₹2
-        maximum_fee: 2000       // ₹2000
-      },
-      'private_limited': {
-        transaction_fee: 0.0015, // 0.15%
-        settlement_fee: 0.0005,  // 0.05%
-        minimum_fee: 5,          // ₹5
-        maximum_fee: 5000        // ₹5000
-      },
-      'public_limited': {
-        transaction_fee: 0.001, // 0.1%
-        settlement_fee: 0.0005, // 0.05%
-        minimum_fee: 10,        // ₹10
-        maximum_fee: 10000      // ₹10000
+  // Validate settlement schedule (unset means instant)
+  validateSettlementSchedule(schedule) {
+    if (schedule !== undefined && !SETTLEMENT_SCHEDULES[schedule]) {
+      throw new Error(`Unsupported settlement schedule: ${schedule}. Supported: ${Object.keys(SETTLEMENT_SCHEDULES).join(', ')}`);
+    }
+  }
+
+  // Validate a mixed settlement split (unset or null means the platform default)
+  validateMixedSplit(mixed_split) {
+    if (mixed_split !== undefined && mixed_split !== null) {
+      validateMixedSplit(mixed_split);
+    }
+  }
+
+  // Validate the INR settlement method a merchant chooses (unset or null picks by amount)
+  validateInrSettlementMethod(settlement_method) {
+    if (settlement_method === undefined || settlement_method === null) {
+      return;
+    }
+
+    const inr_methods = settlementService.getSettlementMethods()
+      .filter(method => method.currency === 'inr' && !method.split)
+      .map(method => method.code);
+    if (!inr_methods.includes(settlement_method)) {
+      throw new Error(`Unsupported INR settlement method: ${settlement_method}. Supported: ${inr_methods.join(', ')}`);
+    }
+  }
+
+  // Validate the payout destinations a merchant registers with, and that none repeats
+  validatePayoutDestinations(data) {
+    if (data.payout_destinations !== undefined && !Array.isArray(data.payout_destinations)) {
+      throw new Error('payout_destinations must be an array');
+    }
+
+    const seen = new Set();
+    for (const destination of this.getRegisteredDestinations(data)) {
+      const { type, details } = payoutDestinations.validateDestination(destination);
+      const key = `${type}:${String(details.account_number || details.vpa || details.wallet_address).toLowerCase()}`;
+      if (seen.has(key)) {
+        throw new Error(`Duplicate payout destination: ${key}`);
       }
-    };
+      seen.add(key);
+    }
+  }
+
+  // Payout destinations given at registration, or the legacy bank_details as destinations
+  getRegisteredDestinations(data) {
+    if (data.payout_destinations && data.payout_destinations.length > 0) {
+      return data.payout_destinations;
+    }
+
+    const bank_details = data.bank_details || {};
+    const destinations = [];
+    if (bank_details.account_number || bank_details.ifsc_code) {
+      destinations.push({
+        type: 'bank_account',
+        details: {
+          account_number: bank_details.account_number,
+          ifsc_code: bank_details.ifsc_code,
+          account_holder_name: bank_details.account_holder_name || data.business_name
+        }
+      });
+    }
+    if (bank_details.vpa || bank_details.upi_id) {
+      destinations.push({ type: 'upi', details: { vpa: bank_details.vpa || bank_details.upi_id, account_holder_name: bank_details.account_holder_name } });
+    }
+    if (bank_details.wallet_address) {
+      destinations.push({ type: 'wallet', details: { wallet_address: bank_details.wallet_address, vault_provider: bank_details.vault_provider } });
+    }
+    return destinations;
+  }
 
-    return fee_structures[business_type] || fee_structures['individual'];
+  // Fee plan a merchant is charged on
+  getFeePlanReference(merchant_id) {
+    const plan = feePlans.getActivePlan(merchant_id);
+    return { plan_id: plan.plan_id, name: plan.name, type: plan.type };
+  }
+
+  // Preview the fees of a payment on the merchant's fee plan, at current prices
+  async previewFees(merchant_id, query) {
+    const { monthly_volume, current_tier, active_promotions } = feePlans.getPlanSummary(merchant_id);
+    const amount = parseFloat(query.amount);
+    const currency = String(query.currency || '').toLowerCase();
+    const settlement_type = String(query.settlement_type || 'inr').toLowerCase();
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error('amount must be a positive number');
+    }
+    if (!currency) {
+      throw new Error('currency is required');
+    }
+
+    // Payments settled in their own currency are not converted
+    let conversion = null;
+    let settlement_amount = amount;
+    if (currency !== settlement_type) {
+      const settlement_asset = ['inr', 'mixed'].includes(settlement_type) ? 'binr' : settlement_type;
+      const quote = await conversionService.priceQuote(currency, settlement_asset, amount, {
+        merchant_id,
+        fees: feePlans.getTransactionFeeTerms(merchant_id, currency)
+      });
+      conversion = {
+        rate: quote.rate,
+        converted_amount: quote.to_amount,
+        slippage: quote.slippage,
+        fee: quote.fee,
+        fee_rate: quote.fee_rate * 100, // percentage
+        fee_promotion: quote.fee_promotion,
+        net_amount: quote.net_amount
+      };
+      settlement_amount = quote.net_amount;
+    }
+
+    const settlement_method = query.settlement_method || (settlement_type === 'mixed'
+      ? 'mixed_settlement'
+      : settlementService.getMerchantMethod(merchant_id, settlement_type, settlement_amount));
+    const settlement = settlementService.calculateFees(settlement_amount, settlement_method, null, { merchant_id });
+
+    return {
+      merchant_id,
+      fee_plan: this.getFeePlanReference(merchant_id),
+      monthly_volume,
+      current_tier,
+      active_promotions,
+      payment: { amount, currency, settlement_type },
+      conversion,
+      settlement: {
+        settlement_method: settlement.settlement_method || settlement_method,
+        amount: settlement_amount,
+        fee_rate: settlement.fee_rate,
+        settlement_fee: settlement.settlement_fee,
+        gst: settlement.gst,
+        total_fee: settlement.total_fee,
+        promotion: settlement.promotion
+      },
+      total_fees: Math.round(((conversion ? conversion.fee : 0) + settlement.total_fee) * 100) / 100,
+      net_settlement_amount: settlement.net_amount
+    };
   }
 
   // Get start date for period
@@ -383,70 +622,17 @@ class UTPMerchantManager {
     return start_date;
   }
 
-  // Calculate period stats
-  calculatePeriodStats(analytics, start_date, end_date) {
-    // This would filter transactions by date range in a real implementation
-    // For now, return simplified stats
+  // Calculate performance metrics of a window
+  calculatePerformanceMetrics(analytics, window_analytics) {
     return {
-      transactions: analytics.total_transactions,
-      volume: analytics.total_volume,
-      success_rate: analytics.success_rate,
-      average_value: analytics.average_transaction_value
-    };
-  }
-
-  // Get settlement breakdown
-  getSettlementBreakdown(analytics) {
-    return analytics.settlement_stats;
-  }
-
-  // Get monthly trends
-  getMonthlyTrends(monthly_stats) {
-    const trends = Array.from(monthly_stats.entries())
-      .map(([month, stats]) => ({
-        month,
-        transactions: stats.transactions,
-        volume: stats.volume,
-        success_rate: stats.success_rate
-      }))
-      .sort((a, b) => a.month.localeCompare(b.month));
-
-    return trends;
-  }
-
-  // Calculate performance metrics
-  calculatePerformanceMetrics(analytics) {
-    return {
-      monthly_growth_rate: this.calculateGrowthRate(analytics.monthly_stats),
-      settlement_efficiency: this.calculateSettlementEfficiency(analytics.settlement_stats),
+      volume_growth_rate: window_analytics.growth.volume_growth_rate,
+      settlement_success_rate: window_analytics.settlements.success_rate,
+      average_settlement_latency_seconds: window_analytics.settlements.latency_seconds.average,
       risk_score: this.calculateRiskScore(analytics),
       compliance_score: 95 // Simplified for demo
     };
   }
 
-  // Calculate growth rate
-  calculateGrowthRate(monthly_stats) {
-    if (monthly_stats.size < 2) return 0;
-    
-    const months = Array.from(monthly_stats.keys()).sort();
-    const last_month = monthly_stats.get(months[months.length - 1]);
-    const previous_month = monthly_stats.get(months[months.length - 2]);
-    
-    if (!last_month || !previous_month) return 0;
-    
-    return ((last_month.volume - previous_month.volume) / previous_month.volume) * 100;
-  }
-
-  // Calculate settlement efficiency
-  calculateSettlementEfficiency(settlement_stats) {
-    const total_transactions = Object.values(settlement_stats)
-      .reduce((sum, stat) => sum + stat.count, 0);
-    
-    const instant_settlements = settlement_stats.inr?.count || 0;
-    
-    return total_transactions > 0 ? (instant_settlements / total_transactions) * 100 : 0;
-  }
-
   // Calculate risk score
   calculateRiskScore(analytics) {
     // Simplified risk scoring
@@ -487,6 +673,7 @@ class UTPMerchantManager {
         business_type: merchant.business_type,
         status: merchant.status,
         kyc_status: merchant.kyc_status,
+        parent_merchant_id: merchant.parent_merchant_id || null,
         registration_date: merchant.registration_date
       })),
       total_count: filtered_merchants.length,
@@ -544,17 +731,353 @@ router.put('/:merchant_id/config', (req, res) => {
   }
 });
 
+// GET /api/merchant/:merchant_id/sub-merchants - Sub-merchants of a marketplace and its commission rate
+router.get('/:merchant_id/sub-merchants', (req, res) => {
+  try {
+    const result = marketplace.getSubMerchants(req.params.merchant_id);
+    res.json({
+      success: true,
+      ...result,
+      count: result.sub_merchants.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'SUB_MERCHANT_LIST_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PUT /api/merchant/:merchant_id/marketplace - Set the commission a marketplace keeps of split payments
+router.put('/:merchant_id/marketplace', (req, res) => {
+  try {
+    const result = marketplace.setCommissionRate(req.params.merchant_id, req.body.commission_rate);
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'MARKETPLACE_UPDATE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/merchant/:merchant_id/destinations - List payout destinations
+router.get('/:merchant_id/destinations', (req, res) => {
+  try {
+    const destinations = payoutDestinations.listDestinations(req.params.merchant_id);
+    res.json({
+      success: true,
+      merchant_id: req.params.merchant_id,
+      destinations,
+      count: destinations.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'DESTINATION_LIST_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/merchant/:merchant_id/destinations - Add and verify a payout destination
+router.post('/:merchant_id/destinations', async (req, res) => {
+  try {
+    const destination = await payoutDestinations.addDestination(req.params.merchant_id, req.body);
+    res.status(201).json({
+      success: true,
+      destination,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'DESTINATION_ADD_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PUT /api/merchant/:merchant_id/destinations/:destination_id - Relabel a destination or make it primary
+router.put('/:merchant_id/destinations/:destination_id', (req, res) => {
+  try {
+    const { label, is_primary } = req.body;
+    const destination = payoutDestinations.updateDestination(req.params.merchant_id, req.params.destination_id, { label, is_primary });
+    res.json({
+      success: true,
+      destination,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'DESTINATION_UPDATE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// DELETE /api/merchant/:merchant_id/destinations/:destination_id - Remove a payout destination
+router.delete('/:merchant_id/destinations/:destination_id', (req, res) => {
+  try {
+    const destination = payoutDestinations.removeDestination(req.params.merchant_id, req.params.destination_id);
+    res.json({
+      success: true,
+      destination,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'DESTINATION_REMOVE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/merchant/:merchant_id/destinations/:destination_id/verify - Verify a payout destination again
+router.post('/:merchant_id/destinations/:destination_id/verify', async (req, res) => {
+  try {
+    const destination = await payoutDestinations.verifyDestination(req.params.merchant_id, req.params.destination_id);
+    res.json({
+      success: true,
+      destination,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'DESTINATION_VERIFICATION_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PUT /api/merchant/:merchant_id/tax-details - Set the GSTIN and state invoices are addressed to
+router.put('/:merchant_id/tax-details', (req, res) => {
+  try {
+    const result = merchantManager.updateTaxDetails(req.params.merchant_id, req.body);
+    res.json(result);
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'TAX_DETAILS_UPDATE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/merchant/:merchant_id/invoices - List GST invoices and credit notes (?type=tax_invoice|credit_note&period=YYYY-MM)
+router.get('/:merchant_id/invoices', (req, res) => {
+  try {
+    const { type, period } = req.query;
+    const invoices = invoiceService.listInvoices(req.params.merchant_id, { type, period });
+    res.json({
+      success: true,
+      merchant_id: req.params.merchant_id,
+      invoices,
+      count: invoices.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'INVOICE_LIST_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/merchant/:merchant_id/invoices - Issue the invoice for a month that has ended ({ period: 'YYYY-MM' })
+router.post('/:merchant_id/invoices', async (req, res) => {
+  try {
+    const invoice = await invoiceService.generateInvoice(req.params.merchant_id, req.body.period);
+    res.status(201).json({
+      success: true,
+      invoice,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'INVOICE_GENERATION_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/merchant/:merchant_id/invoices/:invoice_id - Get an invoice or credit note (?format=json|pdf downloads the document)
+router.get('/:merchant_id/invoices/:invoice_id', (req, res) => {
+  try {
+    const invoice = invoiceService.getInvoice(req.params.merchant_id, req.params.invoice_id);
+    const { format } = req.query;
+
+    if (format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${invoice.invoice_number}.pdf"`);
+      return res.send(invoiceService.renderPdf(invoice));
+    }
+    if (format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${invoice.invoice_number}.json"`);
+      return res.json(invoice);
+    }
+    if (format !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported format: ${format}. Supported: json, pdf`,
+        error_code: 'UNSUPPORTED_FORMAT',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      invoice,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'INVOICE_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/merchant/:merchant_id/kyc - KYC status, verification level, its limits and what the next level needs
+router.get('/:merchant_id/kyc', (req, res) => {
+  try {
+    const kyc = kycService.getKycSummary(req.params.merchant_id);
+    res.json({
+      success: true,
+      ...kyc,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'KYC_STATUS_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/merchant/:merchant_id/kyc/documents - Uploaded KYC documents and their review
+router.get('/:merchant_id/kyc/documents', (req, res) => {
+  try {
+    const documents = kycService.listDocuments(req.params.merchant_id);
+    res.json({
+      success: true,
+      merchant_id: req.params.merchant_id,
+      documents,
+      count: documents.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'KYC_DOCUMENT_LIST_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/merchant/:merchant_id/kyc/documents - Upload a KYC document for review
+// JSON body { document_type, document_number, account_number, ifsc_code, file_name, content_type, content (base64) },
+// or the raw file (Content-Type: application/pdf, image/jpeg or image/png) with the other fields as query parameters
+router.post('/:merchant_id/kyc/documents', documentBody, async (req, res) => {
+  try {
+    const upload = Buffer.isBuffer(req.body)
+      ? { ...req.query, content_type: req.get('Content-Type').split(';')[0].trim(), content: req.body }
+      : req.body;
+    const document = await kycService.submitDocument(req.params.merchant_id, upload);
+    res.status(201).json({
+      success: true,
+      document,
+      kyc: kycService.getKycSummary(req.params.merchant_id),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'KYC_DOCUMENT_UPLOAD_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/merchant/:merchant_id/fee-plan - Fee plan, volume this month, its tier and promotions in force
+router.get('/:merchant_id/fee-plan', (req, res) => {
+  try {
+    const summary = feePlans.getPlanSummary(req.params.merchant_id);
+    res.json({
+      success: true,
+      merchant_id: req.params.merchant_id,
+      ...summary,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'FEE_PLAN_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/merchant/:merchant_id/fees/preview - Fees of a payment (?amount=&currency=&settlement_type=&settlement_method=)
+router.get('/:merchant_id/fees/preview', async (req, res) => {
+  try {
+    const preview = await merchantManager.previewFees(req.params.merchant_id, req.query);
+    res.json({
+      success: true,
+      ...preview,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'FEE_PREVIEW_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // GET /api/merchant/:merchant_id/analytics - Get merchant analytics
 router.get('/:merchant_id/analytics', (req, res) => {
   try {
-    const { period = '30d' } = req.query;
-    const result = merchantManager.getMerchantAnalytics(req.params.merchant_id, period);
+    const { period, from, to, group_by } = req.query;
+    const result = merchantManager.getMerchantAnalytics(req.params.merchant_id, { period, from, to, group_by });
     res.json(result);
   } catch (error) {
-    res.status(404).json({
+    res.status(error.statusCode || 404).json({
       success: false,
       error: error.message,
-      error_code: 'ANALYTICS_NOT_FOUND',
+      error_code: error.code || 'ANALYTICS_NOT_FOUND',
       timestamp: new Date().toISOString()
     });
   }
@@ -596,4 +1119,5 @@ router.post('/:merchant_id/analytics/update', (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.merchantManager = merchantManager;
\ No newline at end of file
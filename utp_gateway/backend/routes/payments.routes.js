@@ -1,6 +1,13 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const rateLimit = require('express-rate-limit');
+const config = require('../config');
+const { conversionService, settlementService, settlementScheduler, ledgerService, marketplace } = require('../services');
+const { store } = require('../models');
+const UTPStateMachine = require('../services/state-machine');
+const { adminManager } = require('./admin.routes');
+const { idempotency } = require('../middleware/idempotency.middleware');
+const { authenticateToken, authenticateAdmin } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -13,11 +20,35 @@ const paymentLimiter = rateLimit({
 
 router.use(paymentLimiter);
 
+// Payment lifecycle: allowed status transitions
+const PAYMENT_TRANSITIONS = {
+  pending: ['processing', 'cancelled', 'expired', 'failed'],
+  processing: ['completed', 'failed'],
+  completed: ['partially_refunded', 'refunded', 'disputed'],
+  partially_refunded: ['partially_refunded', 'refunded', 'disputed'],
+  disputed: ['completed', 'partially_refunded', 'refunded'],
+  refunded: [],
+  failed: [],
+  expired: [],
+  cancelled: []
+};
+
+// Errors creating or confirming a payment answered with their own status instead of 400
+const PAYMENT_ERROR_STATUSES = ['PRICE_FEED_HALTED', 'MERCHANT_NOT_FOUND', 'MERCHANT_NOT_ACTIVE'];
+
 // Payment processing class
 class UTPPaymentProcessor {
-  constructor(utpGateway) {
-    this.utpGateway = utpGateway;
-    this.transactions = new Map();
+  constructor(conversionService, settlementService, settlementScheduler) {
+    this.conversionService = conversionService;
+    this.settlementService = settlementService;
+    this.settlementScheduler = settlementScheduler;
+    this.store = store;
+    this.ledger = ledgerService;
+    this.transactions = store.collection('payments');
+    this.merchant_configs = store.collection('merchant_configs');
+    this.refund_rate_policies = ['original', 'current'];
+    this.lifecycle = new UTPStateMachine('payment', PAYMENT_TRANSITIONS);
+    this.pending_ttl_ms = config.payments.pending_ttl_ms;
   }
 
   // Create new payment
@@ -29,16 +60,29 @@ class UTPPaymentProcessor {
       currency, // bgt, bst, bpt, binr, rwa
       settlement_type, // inr, binr, bgt, mixed
       conversion_preference, // auto, manual, none
+      quote_id = null, // locked conversion quote from /api/conversion/quote
+      splits = null, // marketplace payments: [{ merchant_id (sub-merchant), amount or percentage }]
       metadata = {}
     } = paymentData;
 
+    let payment = null;
     try {
       // Validate payment data
       this.validatePaymentData(paymentData);
 
+      // Refuse payments to merchants that are not active, and above the limit of their KYC verification level
+      this.settlementService.merchant_lifecycle.assertActive(merchant_id);
+      this.settlementService.kyc.assertTransactionAllowed(merchant_id, amount, currency);
+      if (splits) {
+        marketplace.validateSplits(merchant_id, splits, settlement_type);
+      }
+
+      // Refuse new payments while the price feed of either asset is halted
+      this.conversionService.assertPriceFeedActive(currency, this.getSettlementAsset(settlement_type));
+
       // Create payment record
       const payment_id = uuidv4();
-      const payment = {
+      payment = {
         payment_id,
         customer_id,
         merchant_id,
@@ -46,43 +90,78 @@ class UTPPaymentProcessor {
         currency,
         settlement_type,
         conversion_preference,
-        status: 'pending',
+        quote_id,
+        auto_quote: false, // the quote was locked by the payment, not the customer
         created_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + this.pending_ttl_ms).toISOString(),
         metadata,
         conversion_details: null,
-        settlement_details: null
+        settlement_details: null,
+        refunded_amount: 0,
+        refunded_token_amount: 0,
+        refunds: [],
+        disputes: [],
+        commission_rate: null,
+        splits: null
       };
-
-      // Store transaction
-      this.transactions.set(payment_id, payment);
+      this.lifecycle.initialize(payment, 'pending');
 
       // Process payment based on currency type
       const payment_result = await this.processPayment(payment);
+      payment.conversion_details = payment_result.conversion_details;
+      // Rupee value the payment adds to the merchant's monthly fee plan volume once completed
+      payment.amount_inr = await this.settlementService.fees.getRupeeValue(amount, currency);
+
+      // Allocate what the payment settles among the sub-merchants and the marketplace
+      if (splits) {
+        const allocation = marketplace.allocate(merchant_id, splits, payment_result.conversion_details.converted_amount, settlement_type);
+        payment.commission_rate = allocation.commission_rate;
+        payment.splits = allocation.splits;
+        this.assertSplitPayouts(payment);
+      }
+
+      // Store transaction
+      this.transactions.set(payment_id, payment);
 
       return {
         success: true,
         payment_id,
-        status: 'processing',
+        status: payment.status,
+        expires_at: payment.expires_at,
+        quote_id: payment.quote_id,
+        quote_expires_at: payment.quote_expires_at,
         conversion_details: payment_result.conversion_details,
         estimated_settlement: payment_result.estimated_settlement,
+        commission_rate: payment.commission_rate,
+        splits: payment.splits,
         timestamp: new Date().toISOString()
       };
 
     } catch (error) {
-      throw new Error(`Payment creation failed: ${error.message}`);
+      // A quote reserved for a payment that was not created is free for another payment
+      if (payment && payment.quote_id) {
+        this.conversionService.releaseQuote(payment.quote_id, payment.payment_id);
+      }
+      error.message = `Payment creation failed: ${error.message}`;
+      throw error;
     }
   }
 
   // Process payment with conversion
   async processPayment(payment) {
-    const { amount, currency, settlement_type, conversion_preference } = payment;
+    const { payment_id, amount, currency, settlement_type, conversion_preference } = payment;
 
     // If no conversion needed (same currency settlement)
     if (currency === settlement_type) {
+      if (payment.quote_id) {
+        throw new Error('A conversion quote is not needed for same-currency settlement');
+      }
+
       return {
         conversion_details: {
           type: 'none',
           amount: amount,
+          converted_amount: amount,
           fee: 0
         },
         estimated_settlement: {
@@ -93,27 +172,46 @@ class UTPPaymentProcessor {
       };
     }
 
-    // Auto-conversion based on current prices
-    const conversion = this.utpGateway.calculateConversion(
-      currency,
-      settlement_type,
-      amount
-    );
+    // Lock the conversion rate: use the customer's quote (priced for this merchant) or lock one at
+    // current prices, with the transaction fee of the merchant's fee plan
+    const settlement_asset = this.getSettlementAsset(settlement_type);
+    if (payment.quote_id) {
+      this.conversionService.verifyQuote(payment.quote_id, {
+        from_asset: currency,
+        to_asset: settlement_asset,
+        amount,
+        merchant_id: payment.merchant_id
+      });
+    } else {
+      payment.quote_id = (await this.conversionService.createQuote(currency, settlement_asset, amount, {
+        merchant_id: payment.merchant_id,
+        fees: this.settlementService.fees.getTransactionFeeTerms(payment.merchant_id, currency)
+      })).quote_id;
+      payment.auto_quote = true;
+    }
+
+    const conversion = this.conversionService.reserveQuote(payment.quote_id, payment_id);
+    payment.quote_expires_at = conversion.expires_at;
 
     // Apply conversion preferences
     let conversion_details = {
       from_currency: currency,
       to_currency: settlement_type,
-      conversion_rate: conversion.conversion_rate,
+      conversion_rate: conversion.rate,
       original_amount: amount,
       converted_amount: conversion.net_amount,
       fee: conversion.fee,
+      fee_rate: conversion.fee_rate * 100, // percentage
+      fee_plan_id: conversion.fee_plan_id,
+      fee_promotion: conversion.fee_promotion,
+      quote_id: conversion.quote_id,
+      quote_expires_at: conversion.expires_at,
       timestamp: new Date().toISOString()
     };
 
     // Handle mixed settlement
     if (settlement_type === 'mixed') {
-      conversion_details = this.calculateMixedSettlement(amount, currency);
+      conversion_details = await this.calculateMixedSettlement(conversion_details, payment, conversion);
     }
 
     return {
@@ -126,33 +224,55 @@ class UTPPaymentProcessor {
     };
   }
 
-  // Calculate mixed settlement
-  calculateMixedSettlement(amount, currency) {
-    // Example: 70% INR, 30% BINR
-    const mix_ratio = { inr: 0.7, binr: 0.3 };
-    
-    const inr_amount = (amount * mix_ratio.inr);
-    const binr_amount = (amount * mix_ratio.binr);
+  // Split a mixed settlement by the merchant's mixed split and convert each token
+  // leg from rupees at a rate locked now, alongside the payment's quote
+  async calculateMixedSettlement(conversion_details, payment, quote) {
+    const split = this.settlementService.splitAmount(
+      conversion_details.converted_amount,
+      'mixed_settlement',
+      this.getMixedSplit(payment.merchant_id)
+    );
+
+    const breakdown = [];
+    for (const leg of split) {
+      if (['inr', 'binr'].includes(leg.currency)) {
+        breakdown.push({ ...leg, value: leg.amount, conversion_rate: 1 });
+        continue;
+      }
+
+      this.conversionService.assertPriceFeedActive(leg.currency);
+      const { price } = await this.conversionService.getPrice(leg.currency);
+      const conversion_rate = quote.price_to / price; // token units per rupee
+
+      breakdown.push({
+        currency: leg.currency,
+        amount: this.roundAmount(leg.amount * conversion_rate, 8),
+        percentage: leg.percentage,
+        value: leg.amount,
+        conversion_rate,
+        locked_price: price
+      });
+    }
 
     return {
+      ...conversion_details,
       type: 'mixed',
-      breakdown: [
-        {
-          currency: 'inr',
-          amount: inr_amount,
-          percentage: 70
-        },
-        {
-          currency: 'binr', 
-          amount: binr_amount,
-          percentage: 30
-        }
-      ],
-      total_fee: amount * 0.001, // 0.1% total fee
-      timestamp: new Date().toISOString()
+      breakdown
     };
   }
 
+  // Get the merchant's mixed settlement split (null for the platform default)
+  getMixedSplit(merchant_id) {
+    const merchant_config = this.merchant_configs.get(merchant_id);
+    return (merchant_config && merchant_config.settlement_preferences &&
+      merchant_config.settlement_preferences.mixed_split) || null;
+  }
+
+  // Get the priced asset backing a settlement type (INR is valued 1:1 with BINR)
+  getSettlementAsset(settlement_type) {
+    return ['inr', 'mixed'].includes(settlement_type) ? 'binr' : settlement_type;
+  }
+
   // Get settlement timeframe
   getSettlementTimeframe(settlement_type) {
     const timeframes = {
@@ -199,103 +319,700 @@ class UTPPaymentProcessor {
 
   // Confirm payment
   async confirmPayment(payment_id, customer_signature) {
+    const payment = this.transactions.get(payment_id);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    if (payment.status === 'pending' && this.isExpired(payment)) {
+      this.expirePayment(payment);
+      throw new Error('Payment has expired');
+    }
+
+    if (payment.status !== 'pending') {
+      throw new Error(`Payment cannot be confirmed in status: ${payment.status}`);
+    }
+
+    // Keep the payment pending while its merchant (or a sub-merchant it is split with) is suspended or the price feed is halted
+    this.settlementService.merchant_lifecycle.assertActive(payment.merchant_id);
+    (payment.splits || []).forEach(split => this.settlementService.merchant_lifecycle.assertActive(split.merchant_id));
+    this.conversionService.assertPriceFeedActive(payment.currency, this.getSettlementAsset(payment.settlement_type));
+
+    // A quote the payment locked itself is locked again at current prices once it expires. A customer's
+    // own quote is not: confirming fails with QUOTE_EXPIRED and the payment stays pending until it expires.
+    if (payment.auto_quote && this.conversionService.isQuoteExpired(payment.quote_id)) {
+      await this.refreshQuote(payment);
+    }
+    if (payment.splits) {
+      this.assertSplitPayouts(payment);
+    }
+
+    // Settle only at the locked quote
+    if (payment.quote_id) {
+      this.conversionService.consumeQuote(payment.quote_id);
+    }
+
+    let settle_now;
     try {
-      const payment = this.transactions.get(payment_id);
-      if (!payment) {
-        throw new Error('Payment not found');
+      // The payment and its ledger entries commit before any payout is sent; a payout that is
+      // queued for the merchant's settlement schedule completes the payment in the same transaction
+      settle_now = await this.store.transaction(async () => {
+        const processing_payment = this.transactions.get(payment_id);
+
+        // Update payment status
+        this.lifecycle.transition(processing_payment, 'processing', { reason: 'customer_confirmed' });
+        processing_payment.customer_signature = customer_signature;
+        processing_payment.processed_at = new Date().toISOString();
+
+        // Book the payment, conversion and fee in the ledger, and a split payment's sub-merchant shares
+        const ledger_entries = await this.ledger.recordPayment(processing_payment);
+        if (processing_payment.splits) {
+          const split_entry = await this.ledger.recordSplit(processing_payment);
+          if (split_entry) ledger_entries.push(split_entry);
+        }
+        processing_payment.ledger_entry_ids = ledger_entries.map(entry => entry.entry_id);
+
+        // Settle now, or queue the payout for the merchant's settlement schedule. A held payout is
+        // queued until its hold is released. A split payment settles each recipient's share on its own.
+        const schedule = this.settlementScheduler.getSchedule(processing_payment.merchant_id);
+        const payout_hold = this.settlementService.risk.getPayoutHold(processing_payment.merchant_id, payment_id);
+        const instant = Boolean(processing_payment.splits) || (schedule === 'instant' && !payout_hold);
+        if (!instant) {
+          this.completePayment(
+            processing_payment,
+            this.settlementScheduler.enqueue(processing_payment, schedule),
+            payout_hold ? 'settlement_held' : 'settlement_scheduled'
+          );
+        }
+
+        this.transactions.set(payment_id, processing_payment);
+        return instant;
+      });
+    } catch (error) {
+      // The transaction rolled back; record the failure on the restored payment
+      await this.failPayment(payment_id, error);
+      throw error;
+    }
+
+    if (settle_now) {
+      // Rail calls run outside any transaction: the settlement is stored before its payout is sent,
+      // and its outcome is booked once the rail has answered
+      const payment_to_settle = this.transactions.get(payment_id);
+      let settlement_result;
+      try {
+        settlement_result = payment_to_settle.splits
+          ? await this.settleSplits(payment_to_settle)
+          : await this.settleOrDefer(payment_to_settle);
+      } catch (error) {
+        // Nothing was paid out (or queued, for a split payment): reverse what was booked for the payment
+        await this.failPayment(payment_id, error);
+        throw error;
       }
 
-      if (payment.status !== 'pending') {
-        throw new Error('Payment already processed');
+      await this.store.transaction(async () => {
+        const settled_payment = this.transactions.get(payment_id);
+        let reason = 'settlement_executed';
+        if (settled_payment.splits) {
+          reason = 'settlement_split';
+        } else if (settlement_result.type === 'scheduled') {
+          reason = 'settlement_deferred';
+        }
+        this.completePayment(settled_payment, settlement_result, reason);
+        this.transactions.set(payment_id, settled_payment);
+      });
+    }
+
+    const completed_payment = this.transactions.get(payment_id);
+    return {
+      success: true,
+      payment_id,
+      status: completed_payment.status,
+      settlement: completed_payment.settlement_details,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Lock a pending payment's conversion again at current prices, re-allocating its splits at the commission it was created with
+  async refreshQuote(payment) {
+    const repriced = { ...payment, quote_id: null };
+    const { conversion_details } = await this.processPayment(repriced);
+    const allocation = payment.splits && marketplace.allocate(
+      payment.merchant_id,
+      marketplace.getSplits(payment.splits),
+      conversion_details.converted_amount,
+      payment.settlement_type,
+      payment.commission_rate
+    );
+
+    this.conversionService.releaseQuote(payment.quote_id, payment.payment_id);
+    payment.quote_id = repriced.quote_id;
+    payment.quote_expires_at = repriced.quote_expires_at;
+    payment.conversion_details = conversion_details;
+    payment.splits = allocation ? allocation.splits : null;
+    payment.quote_refreshed_at = new Date().toISOString();
+    this.transactions.set(payment.payment_id, payment);
+  }
+
+  // Complete a processing payment with the settlement that pays it out (or the queue items that will)
+  completePayment(payment, settlement_result, reason) {
+    this.lifecycle.transition(payment, 'completed', { reason });
+    payment.settlement_details = settlement_result;
+    payment.completed_at = new Date().toISOString();
+    payment.ledger_entry_ids = (payment.ledger_entry_ids || []).concat(settlement_result.ledger_entry_ids || []);
+  }
+
+  // Fail a payment whose confirmation could not be completed, reversing any ledger entries booked for it
+  async failPayment(payment_id, error) {
+    await this.store.transaction(async () => {
+      const failed_payment = this.transactions.get(payment_id);
+      if (!this.lifecycle.canTransition(failed_payment.status, 'failed')) {
+        return;
       }
 
-      // Update payment status
-      payment.status = 'processing';
-      payment.customer_signature = customer_signature;
-      payment.processed_at = new Date().toISOString();
+      const reversals = await this.ledger.recordPaymentFailure(failed_payment);
+      failed_payment.ledger_entry_ids = (failed_payment.ledger_entry_ids || []).concat(reversals.map(entry => entry.entry_id));
+      this.lifecycle.transition(failed_payment, 'failed', { reason: error.message });
+      failed_payment.error_message = error.message;
+      failed_payment.failed_at = new Date().toISOString();
+      this.conversionService.releaseQuote(failed_payment.quote_id, payment_id);
+      this.transactions.set(payment_id, failed_payment);
+    });
+  }
 
-      // Execute settlement
-      const settlement_result = await this.executeSettlement(payment);
+  // Cancel a pending payment
+  cancelPayment(payment_id, cancel_data = {}) {
+    const { reason = 'customer_request', cancelled_by = null } = cancel_data;
 
-      // Update payment with settlement details
-      payment.status = 'completed';
-      payment.settlement_details = settlement_result;
-      payment.completed_at = new Date().toISOString();
+    const payment = this.transactions.get(payment_id);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
 
-      this.transactions.set(payment_id, payment);
+    if (!this.lifecycle.canTransition(payment.status, 'cancelled')) {
+      throw new Error(`Payment cannot be cancelled in status: ${payment.status}`);
+    }
 
-      return {
-        success: true,
-        payment_id,
-        status: 'completed',
-        settlement: settlement_result,
-        timestamp: new Date().toISOString()
-      };
+    this.lifecycle.transition(payment, 'cancelled', { reason, actor: cancelled_by });
+    payment.cancelled_at = new Date().toISOString();
+    this.conversionService.releaseQuote(payment.quote_id, payment_id);
+    this.transactions.set(payment_id, payment);
 
-    } catch (error) {
-      // Update payment status to failed
-      const payment = this.transactions.get(payment_id);
-      if (payment) {
-        payment.status = 'failed';
-        payment.error_message = error.message;
-        payment.failed_at = new Date().toISOString();
-        this.transactions.set(payment_id, payment);
+    return {
+      success: true,
+      payment_id,
+      status: payment.status,
+      cancelled_at: payment.cancelled_at,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Check whether a pending payment is past its confirmation window
+  isExpired(payment, now = Date.now()) {
+    return new Date(payment.expires_at).getTime() <= now;
+  }
+
+  // Expire a pending payment
+  expirePayment(payment) {
+    this.lifecycle.transition(payment, 'expired', { reason: 'confirmation_timeout' });
+    payment.expired_at = new Date().toISOString();
+    this.conversionService.releaseQuote(payment.quote_id, payment.payment_id);
+    this.transactions.set(payment.payment_id, payment);
+  }
+
+  // Expire all unconfirmed payments past their TTL
+  expireStalePayments() {
+    const now = Date.now();
+    let expired_count = 0;
+
+    for (const payment of this.transactions.values()) {
+      if (payment.status === 'pending' && this.isExpired(payment, now)) {
+        this.expirePayment(payment);
+        expired_count++;
       }
-      
-      throw error;
     }
+
+    return expired_count;
   }
 
-  // Execute settlement
+  // Settlement data of a payment's instant payout
+  getSettlementData(payment) {
+    const { payment_id, merchant_id, conversion_details, settlement_type } = payment;
+    const amount = conversion_details.converted_amount;
+
+    return {
+      payment_id,
+      merchant_id,
+      amount,
+      settlement_method: settlement_type === 'mixed'
+        ? 'mixed_settlement'
+        : this.settlementService.getMerchantMethod(merchant_id, settlement_type, amount),
+      legs: settlement_type === 'mixed' ? conversion_details.breakdown : null,
+      metadata: { source: 'payment' }
+    };
+  }
+
+  // Execute settlement through the settlement service
   async executeSettlement(payment) {
-    const { conversion_details, settlement_type } = payment;
+    const settlement_data = this.getSettlementData(payment);
+    const settlement = await this.settlementService.executeSettlement(settlement_data);
 
-    if (settlement_type === 'mixed') {
-      return this.executeMixedSettlement(conversion_details);
-    } else {
-      return this.executeSingleSettlement(conversion_details, settlement_type);
+    return {
+      settlement_id: settlement.settlement_id,
+      type: payment.settlement_type === 'mixed' ? 'mixed' : 'single',
+      settlement_method: settlement_data.settlement_method,
+      currency: settlement.currency,
+      amount: settlement.amount,
+      fees: settlement.fees,
+      net_amount: settlement.net_amount,
+      reserve: settlement.reserve,
+      legs: settlement.legs,
+      status: settlement.status,
+      transaction_details: settlement.transaction_details,
+      ledger_entry_ids: settlement.ledger_entry_ids,
+      executed_at: settlement.executed_at
+    };
+  }
+
+  // Pay a payment (or a split share) out now, or queue it until the day after when it would take the
+  // merchant past its KYC daily settlement limit; the customer's payment completes either way
+  async settleOrDefer(payment) {
+    try {
+      return await this.executeSettlement(payment);
+    } catch (error) {
+      if (error.code !== 'KYC_DAILY_SETTLEMENT_LIMIT') {
+        throw error;
+      }
+      return this.settlementScheduler.enqueue(payment, 'instant', { due_at: error.retry_at });
     }
   }
 
-  // Execute single settlement
-  async executeSingleSettlement(conversion_details, settlement_type) {
-    // Simulate settlement execution
+  // Check every recipient of a split payment that is paid out now can be paid, before any payout is sent.
+  // A share only over its recipient's daily limit is deferred, not refused.
+  assertSplitPayouts(payment) {
+    payment.splits
+      .filter(split => split.amount > 0 && this.settlesNow(split.merchant_id, payment.payment_id))
+      .forEach(split => {
+        try {
+          this.settlementService.assertPayoutReady(this.getSettlementData(this.getSplitShare(payment, split)));
+        } catch (error) {
+          if (error.code !== 'KYC_DAILY_SETTLEMENT_LIMIT') throw error;
+        }
+      });
+  }
+
+  // Whether a recipient is paid out as soon as the payment completes (not queued for its schedule or a hold)
+  settlesNow(merchant_id, payment_id) {
+    return this.settlementScheduler.getSchedule(merchant_id) === 'instant' &&
+      !this.settlementService.risk.getPayoutHold(merchant_id, payment_id);
+  }
+
+  // Settle each recipient's share of a split payment now or on its schedule, like a payment of its own.
+  // A share that cannot be paid does not undo the others: it is recorded as failed and its amount stays
+  // payable to the recipient. Only when no share could be paid or queued does the split fail.
+  async settleSplits(payment) {
+    const splits = [];
+    let first_error = null;
+    for (const split of payment.splits) {
+      if (split.amount <= 0) {
+        splits.push({ merchant_id: split.merchant_id, role: split.role, amount: split.amount, settlement: null });
+        continue;
+      }
+
+      const share = this.getSplitShare(payment, split);
+      let settlement;
+      try {
+        settlement = this.settlesNow(split.merchant_id, payment.payment_id)
+          ? await this.settleOrDefer(share)
+          : this.settlementScheduler.enqueue(share, this.settlementScheduler.getSchedule(split.merchant_id));
+      } catch (error) {
+        first_error = first_error || error;
+        settlement = { status: 'failed', error: error.message, error_code: error.code || null };
+      }
+      splits.push({ merchant_id: split.merchant_id, role: split.role, amount: split.amount, settlement });
+    }
+
+    const settled = splits.filter(split => split.settlement);
+    if (settled.length > 0 && settled.every(split => split.settlement.error)) {
+      throw first_error;
+    }
+
     return {
-      settlement_id: uuidv4(),
-      type: 'single',
-      currency: settlement_type,
-      amount: conversion_details.converted_amount,
-      transaction_hash: this.generateTransactionHash(),
-      status: 'completed',
-      executed_at: new Date().toISOString(),
-      fee: conversion_details.fee
+      type: 'split',
+      status: this.getSplitStatus(splits),
+      currency: payment.settlement_type,
+      amount: payment.conversion_details.converted_amount,
+      splits,
+      ledger_entry_ids: splits.flatMap(split => (split.settlement && split.settlement.ledger_entry_ids) || [])
     };
   }
 
-  // Execute mixed settlement
-  async executeMixedSettlement(conversion_details) {
-    const settlements = conversion_details.breakdown.map(item => ({
-      settlement_id: uuidv4(),
-      currency: item.currency,
-      amount: item.amount,
-      transaction_hash: this.generateTransactionHash(),
-      status: 'completed',
-      executed_at: new Date().toISOString()
-    }));
+  // A recipient's share of a split payment, settled and refunded as a payment of its own
+  getSplitShare(payment, split) {
+    return {
+      ...payment,
+      merchant_id: split.merchant_id,
+      conversion_details: { ...payment.conversion_details, converted_amount: split.amount }
+    };
+  }
+
+  // Overall status of a split payment's payouts: scheduled until one leaves the queue, and
+  // partially failed once one share failed while another was paid or queued
+  getSplitStatus(splits) {
+    const statuses = splits.filter(split => split.settlement).map(split => split.settlement.status);
+    if (statuses.includes('failed') && !statuses.every(status => status === 'failed')) {
+      return 'partially_failed';
+    }
+    return statuses.every(status => status === 'scheduled')
+      ? 'scheduled'
+      : this.settlementService.getStatusFromLegs(statuses.map(status => ({
+        status: status === 'scheduled' ? 'processing' : status
+      })));
+  }
+
+  // Copy a settlement's latest status onto the payments it pays out
+  syncSettlement(settlement) {
+    for (const payment_id of settlement.payment_ids || [settlement.payment_id]) {
+      const payment = this.transactions.get(payment_id);
+      const details = payment && payment.settlement_details;
+      if (!details) continue;
+
+      let synced;
+      if (details.type === 'split') {
+        // Each recipient's share is paid by a settlement of its own
+        const splits = details.splits.map(split => {
+          const split_settlement = split.settlement && this.syncSettlementDetails(split.settlement, settlement);
+          return split_settlement ? { ...split, settlement: split_settlement } : split;
+        });
+        synced = splits.some((split, index) => split !== details.splits[index])
+          ? { ...details, splits, status: this.getSplitStatus(splits) }
+          : null;
+      } else {
+        synced = this.syncSettlementDetails(details, settlement);
+      }
+      if (!synced) continue;
+
+      payment.settlement_details = synced;
+      payment.updated_at = new Date().toISOString();
+      this.transactions.set(payment.payment_id, payment);
+    }
+  }
+
+  // Settlement details of a payment updated by a settlement that pays them out (null when it does not)
+  syncSettlementDetails(details, settlement) {
+    if (details.type === 'scheduled') {
+      // Each queued leg is paid by the scheduled settlement that carries its queue item
+      const item_ids = (settlement.line_items || []).map(item => item.item_id);
+      const legs = details.legs.map(leg => (item_ids.includes(leg.item_id)
+        ? { ...leg, status: settlement.status, settlement_id: settlement.settlement_id }
+        : leg));
+      if (legs.every((leg, index) => leg === details.legs[index])) return null;
+
+      return {
+        ...details,
+        legs,
+        status: legs.every(leg => leg.status === 'scheduled')
+          ? 'scheduled'
+          : this.settlementService.getStatusFromLegs(legs.map(leg => ({
+            status: leg.status === 'scheduled' ? 'processing' : leg.status
+          })))
+      };
+    }
+
+    if (details.settlement_id === settlement.settlement_id) {
+      return {
+        ...details,
+        status: settlement.status,
+        legs: settlement.legs,
+        transaction_details: settlement.transaction_details,
+        ledger_entry_ids: settlement.ledger_entry_ids
+      };
+    }
+
+    return null;
+  }
+
+  // Refund a completed payment (full or partial)
+  async refundPayment(payment_id, refund_data = {}) {
+    const {
+      amount, // in settlement currency, defaults to the remaining refundable amount
+      rate_policy = 'original', // original, current
+      reason = 'customer_request',
+      initiated_by = null
+    } = refund_data;
+
+    if (!this.refund_rate_policies.includes(rate_policy)) {
+      throw new Error(`Unsupported refund rate policy: ${rate_policy}`);
+    }
+
+    const payment = this.transactions.get(payment_id);
+    const { settled_amount } = this.assertRefundable(payment, amount);
+
+    // Convert the refund back into the original token
+    const conversion_rate = await this.getRefundRate(payment, settled_amount, rate_policy);
+
+    // Settlement reversal and payment update commit together or not at all
+    return this.store.transaction(async () => {
+      // Checked again on the stored payment: another refund may have committed while the rate was fetched
+      const refunded_payment = this.transactions.get(payment_id);
+      const { refund_amount } = this.assertRefundable(refunded_payment, amount);
+      const token_amount = this.roundAmount(refund_amount * conversion_rate, 8);
+
+      const refund_id = uuidv4();
+      const split_reversals = refunded_payment.splits
+        ? this.unwindSplits(refunded_payment, { refund_id, amount: refund_amount, reason })
+        : null;
+      const settlement_reversal = split_reversals ? null : this.settlementService.reverseSettlement(payment_id, {
+        refund_id,
+        amount: refund_amount,
+        reason
+      });
+
+      // A payout still queued is reduced instead of reversed
+      const netted_items = !split_reversals && refunded_payment.settlement_details.type === 'scheduled'
+        ? this.settlementScheduler.netRefund(refunded_payment, { refund_id, amount: refund_amount })
+        : null;
+      const netted_queue_item_ids = split_reversals
+        ? split_reversals.flatMap(share => share.netted_queue_item_ids || [])
+        : netted_items && netted_items.map(item => item.item_id);
+
+      const refund = {
+        refund_id,
+        payment_id,
+        amount: refund_amount,
+        currency: refunded_payment.settlement_type,
+        token_amount,
+        token_currency: refunded_payment.currency,
+        rate_policy,
+        conversion_rate,
+        reason,
+        initiated_by,
+        settlement_reversal,
+        split_reversals,
+        netted_queue_item_ids: netted_queue_item_ids || null,
+        status: 'completed',
+        created_at: new Date().toISOString()
+      };
+
+      // Update payment record
+      refunded_payment.refunds.push(refund);
+      refunded_payment.refunded_amount = this.settlementService.roundAmount(
+        refunded_payment.refunded_amount + refund_amount,
+        refunded_payment.settlement_type
+      );
+      refunded_payment.refunded_token_amount = this.roundAmount(refunded_payment.refunded_token_amount + token_amount, 8);
+      this.lifecycle.transition(
+        refunded_payment,
+        refunded_payment.refunded_amount >= settled_amount ? 'refunded' : 'partially_refunded',
+        { reason, actor: initiated_by, refund_id }
+      );
+      refunded_payment.refunded_at = refund.created_at;
+
+      if (refunded_payment.settlement_details) {
+        refunded_payment.settlement_details.reversed_amount = refunded_payment.refunded_amount;
+      }
+
+      // Book the settlement reversal and the tokens returned to the customer
+      const ledger_entries = await this.ledger.recordRefund(refunded_payment, refund);
+      refund.ledger_entry_ids = ledger_entries.map(entry => entry.entry_id);
+      refunded_payment.ledger_entry_ids = (refunded_payment.ledger_entry_ids || []).concat(refund.ledger_entry_ids);
+
+      this.transactions.set(payment_id, refunded_payment);
+
+      return {
+        success: true,
+        payment_id,
+        status: refunded_payment.status,
+        refund,
+        refunded_amount: refunded_payment.refunded_amount,
+        refundable_amount: this.settlementService.roundAmount(settled_amount - refunded_payment.refunded_amount, refunded_payment.settlement_type),
+        timestamp: new Date().toISOString()
+      };
+    });
+  }
+
+  // Check a payment can be refunded by an amount (the whole refundable amount when none is given)
+  assertRefundable(payment, amount) {
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    // A disputed payment is refunded only by resolving the dispute in the customer's favour
+    if (payment.status === 'disputed') {
+      throw new Error('Payment is disputed: resolve the dispute to refund it');
+    }
+
+    if (!this.lifecycle.canTransition(payment.status, 'partially_refunded')) {
+      throw new Error(`Payment cannot be refunded in status: ${payment.status}`);
+    }
+
+    const settled_amount = this.getSettledAmount(payment);
+    // BGT, BST and BPT settle in grams to 8 decimals, rupees to 2
+    const refundable_amount = this.settlementService.roundAmount(settled_amount - payment.refunded_amount, payment.settlement_type);
+    const refund_amount = amount === undefined ? refundable_amount : amount;
+
+    if (typeof refund_amount !== 'number' || refund_amount <= 0) {
+      throw new Error('Refund amount must be a positive number');
+    }
+
+    if (refund_amount > refundable_amount) {
+      throw new Error(`Refund amount exceeds refundable amount: ${refundable_amount}`);
+    }
+
+    return { settled_amount, refundable_amount, refund_amount };
+  }
+
+  // Open a dispute (chargeback) on a completed or partially refunded payment
+  openDispute(payment_id, dispute_data = {}) {
+    const { reason, opened_by = null } = dispute_data;
+
+    const payment = this.transactions.get(payment_id);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    if (!reason) {
+      throw new Error('A reason is required to open a dispute');
+    }
+
+    if (!this.lifecycle.canTransition(payment.status, 'disputed')) {
+      throw new Error(`Payment cannot be disputed in status: ${payment.status}`);
+    }
+
+    const dispute = {
+      dispute_id: uuidv4(),
+      reason,
+      status: 'open',
+      previous_status: payment.status,
+      opened_by,
+      opened_at: new Date().toISOString(),
+      outcome: null,
+      resolved_by: null,
+      resolved_at: null,
+      refund_id: null
+    };
+
+    this.lifecycle.transition(payment, 'disputed', { reason, actor: opened_by });
+    payment.disputes = (payment.disputes || []).concat(dispute);
+    this.transactions.set(payment_id, payment);
 
     return {
-      settlement_id: uuidv4(),
-      type: 'mixed',
-      settlements: settlements,
-      total_amount: conversion_details.breakdown.reduce((sum, item) => sum + item.amount, 0),
-      total_fee: conversion_details.total_fee,
-      executed_at: new Date().toISOString()
+      success: true,
+      payment_id,
+      status: payment.status,
+      dispute,
+      timestamp: new Date().toISOString()
     };
   }
 
-  // Generate transaction hash (mock)
-  generateTransactionHash() {
-    return '0x' + Math.random().toString(16).substr(2, 64);
+  // Resolve a payment's open dispute: the merchant keeps the payment, or the customer is refunded
+  // (the whole refundable amount unless an amount is given)
+  async resolveDispute(payment_id, resolution = {}) {
+    const { outcome, amount, resolved_by = null } = resolution;
+
+    if (!['merchant_won', 'customer_won'].includes(outcome)) {
+      throw new Error('outcome must be merchant_won or customer_won');
+    }
+
+    // The payment returns to its status before the dispute, then a lost dispute is refunded like any refund
+    return this.store.transaction(async () => {
+      // Read inside the transaction so two resolutions of one dispute cannot both apply
+      const disputed_payment = this.transactions.get(payment_id);
+      if (!disputed_payment) {
+        throw new Error('Payment not found');
+      }
+
+      if (disputed_payment.status !== 'disputed') {
+        throw new Error(`Payment has no open dispute in status: ${disputed_payment.status}`);
+      }
+
+      const dispute = disputed_payment.disputes[disputed_payment.disputes.length - 1];
+      this.lifecycle.transition(disputed_payment, dispute.previous_status, { reason: `dispute_${outcome}`, actor: resolved_by });
+      this.transactions.set(payment_id, disputed_payment);
+
+      const refund = outcome === 'customer_won'
+        ? (await this.refundPayment(payment_id, { amount, reason: 'dispute_lost', initiated_by: resolved_by })).refund
+        : null;
+
+      const resolved_payment = this.transactions.get(payment_id);
+      const resolved_dispute = {
+        ...dispute,
+        status: 'resolved',
+        outcome,
+        resolved_by,
+        resolved_at: new Date().toISOString(),
+        refund_id: refund ? refund.refund_id : null
+      };
+      resolved_payment.disputes = resolved_payment.disputes.map(entry => (entry.dispute_id === dispute.dispute_id ? resolved_dispute : entry));
+      this.transactions.set(payment_id, resolved_payment);
+
+      return {
+        success: true,
+        payment_id,
+        status: resolved_payment.status,
+        dispute: resolved_dispute,
+        refund,
+        timestamp: new Date().toISOString()
+      };
+    });
+  }
+
+  // Take a refund back from the recipients of a split payment in proportion to their shares
+  unwindSplits(payment, { refund_id, amount, reason }) {
+    return marketplace.getRefundShares(payment.splits, amount, payment.settlement_type).map(({ split, amount: share_amount }) => {
+      const share = this.getSplitShare(payment, split);
+      const paid_split = payment.settlement_details.splits.find(entry => entry.merchant_id === split.merchant_id);
+      const settlement_details = paid_split && paid_split.settlement;
+      const settlement_reversal = this.settlementService.reverseSettlement(payment.payment_id, {
+        refund_id,
+        amount: share_amount,
+        reason,
+        merchant_id: split.merchant_id
+      });
+      const netted_items = settlement_details && settlement_details.type === 'scheduled'
+        ? this.settlementScheduler.netRefund(share, { refund_id, amount: share_amount })
+        : null;
+      // A share whose payout failed, was cancelled or clawed back is still payable to its recipient, like a queued one
+      const paid_out = !netted_items && !(settlement_details && ['failed', 'cancelled', 'reversed'].includes(settlement_details.status));
+
+      split.refunded_amount = this.settlementService.roundAmount(split.refunded_amount + share_amount, payment.settlement_type);
+      return {
+        merchant_id: split.merchant_id,
+        role: split.role,
+        amount: share_amount,
+        currency: payment.settlement_type,
+        paid_out,
+        settlement_reversal,
+        netted_queue_item_ids: netted_items ? netted_items.map(item => item.item_id) : null
+      };
+    });
+  }
+
+  // Get amount settled to the merchant for a payment
+  getSettledAmount(payment) {
+    const settlement = payment.settlement_details;
+    if (!settlement) {
+      throw new Error('Payment has no settlement to refund');
+    }
+
+    return settlement.amount;
+  }
+
+  // Get token units per settlement unit for a refund
+  async getRefundRate(payment, settled_amount, rate_policy) {
+    if (rate_policy === 'original' || payment.currency === payment.settlement_type) {
+      return payment.amount / settled_amount;
+    }
+
+    const settlement_price = await this.conversionService.getPrice(this.getSettlementAsset(payment.settlement_type));
+    const token_price = await this.conversionService.getPrice(payment.currency);
+
+    return settlement_price.price / token_price.price;
+  }
+
+  // Round amount to given decimal places
+  roundAmount(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
   }
 
   // Get payment status
@@ -311,10 +1028,25 @@ class UTPPaymentProcessor {
       amount: payment.amount,
       currency: payment.currency,
       settlement_type: payment.settlement_type,
+      quote_id: payment.quote_id,
+      quote_expires_at: payment.quote_expires_at,
+      quote_refreshed_at: payment.quote_refreshed_at || null,
       created_at: payment.created_at,
+      expires_at: payment.expires_at,
       processed_at: payment.processed_at,
       completed_at: payment.completed_at,
-      settlement_details: payment.settlement_details
+      cancelled_at: payment.cancelled_at,
+      expired_at: payment.expired_at,
+      status_history: payment.status_history,
+      settlement_details: payment.settlement_details,
+      payout_hold: this.settlementService.risk.getPayoutHold(payment.merchant_id, payment_id),
+      ledger_entry_ids: payment.ledger_entry_ids || [],
+      refunded_amount: payment.refunded_amount,
+      refunded_token_amount: payment.refunded_token_amount,
+      refunds: payment.refunds,
+      disputes: payment.disputes || [],
+      commission_rate: payment.commission_rate || null,
+      splits: payment.splits || null
     };
   }
 
@@ -325,7 +1057,8 @@ class UTPPaymentProcessor {
     for (const [payment_id, payment] of this.transactions) {
       if (type === 'customer' && payment.customer_id === identifier) {
         history.push(this.getPaymentStatus(payment_id));
-      } else if (type === 'merchant' && payment.merchant_id === identifier) {
+      } else if (type === 'merchant' && (payment.merchant_id === identifier ||
+        (payment.splits || []).some(split => split.merchant_id === identifier))) {
         history.push(this.getPaymentStatus(payment_id));
       }
     }
@@ -338,19 +1071,29 @@ class UTPPaymentProcessor {
 }
 
 // Initialize payment processor
-const utpGateway = require('./server').utpGateway;
-const paymentProcessor = new UTPPaymentProcessor(utpGateway);
+const paymentProcessor = new UTPPaymentProcessor(conversionService, settlementService, settlementScheduler);
+
+// Keep payments in step with settlements their rails confirm or fail later
+settlementService.on('settlement_updated', (settlement) => paymentProcessor.syncSettlement(settlement));
+
+// Sweep unconfirmed payments past their TTL
+setInterval(() => {
+  const expired_count = paymentProcessor.expireStalePayments();
+  if (expired_count > 0) {
+    console.log(`Expired ${expired_count} unconfirmed payment(s)`);
+  }
+}, config.payments.expiry_sweep_interval_ms).unref();
 
 // POST /api/payments/create - Create new payment
-router.post('/create', async (req, res) => {
+router.post('/create', idempotency(), async (req, res) => {
   try {
     const result = await paymentProcessor.createPayment(req.body);
     res.json(result);
   } catch (error) {
-    res.status(400).json({
+    res.status(PAYMENT_ERROR_STATUSES.includes(error.code) ? error.statusCode : 400).json({
       success: false,
       error: error.message,
-      error_code: 'PAYMENT_CREATION_FAILED',
+      error_code: error.code || 'PAYMENT_CREATION_FAILED',
       timestamp: new Date().toISOString()
     });
   }
@@ -362,11 +1105,126 @@ router.post('/confirm', async (req, res) => {
     const { payment_id, customer_signature } = req.body;
     const result = await paymentProcessor.confirmPayment(payment_id, customer_signature);
     res.json(result);
+  } catch (error) {
+    res.status(PAYMENT_ERROR_STATUSES.includes(error.code) ? error.statusCode : 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'PAYMENT_CONFIRMATION_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/payments/:payment_id/cancel - Cancel pending payment
+router.post('/:payment_id/cancel', (req, res) => {
+  try {
+    const result = paymentProcessor.cancelPayment(req.params.payment_id, req.body);
+    res.json(result);
   } catch (error) {
     res.status(400).json({
       success: false,
       error: error.message,
-      error_code: 'PAYMENT_CONFIRMATION_FAILED',
+      error_code: 'PAYMENT_CANCELLATION_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/payments/:payment_id/dispute - Open a dispute on a completed payment (authenticated)
+router.post('/:payment_id/dispute', authenticateToken, (req, res) => {
+  try {
+    const result = paymentProcessor.openDispute(req.params.payment_id, {
+      reason: req.body.reason,
+      opened_by: req.user.user_id
+    });
+
+    adminManager.generateAuditLog({
+      admin_id: req.user.user_id,
+      action: 'payment_dispute_opened',
+      target_type: 'payment',
+      target_id: req.params.payment_id,
+      details: { dispute_id: result.dispute.dispute_id, reason: result.dispute.reason },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      error_code: 'PAYMENT_DISPUTE_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/payments/:payment_id/dispute/resolve - Resolve a payment's open dispute (admin)
+router.post('/:payment_id/dispute/resolve', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await paymentProcessor.resolveDispute(req.params.payment_id, {
+      outcome: req.body.outcome,
+      amount: req.body.amount,
+      resolved_by: req.admin.user_id
+    });
+
+    adminManager.generateAuditLog({
+      admin_id: req.admin.user_id,
+      action: 'payment_dispute_resolved',
+      target_type: 'payment',
+      target_id: req.params.payment_id,
+      details: {
+        dispute_id: result.dispute.dispute_id,
+        outcome: result.dispute.outcome,
+        refund_id: result.dispute.refund_id
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'DISPUTE_RESOLUTION_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/payments/:payment_id/refund - Refund payment (full or partial)
+router.post('/:payment_id/refund', authenticateToken, async (req, res) => {
+  try {
+    const result = await paymentProcessor.refundPayment(req.params.payment_id, {
+      amount: req.body.amount,
+      rate_policy: req.body.rate_policy,
+      reason: req.body.reason,
+      initiated_by: req.user.user_id
+    });
+
+    adminManager.generateAuditLog({
+      admin_id: req.user.user_id,
+      action: 'payment_refund',
+      target_type: 'payment',
+      target_id: req.params.payment_id,
+      details: {
+        refund_id: result.refund.refund_id,
+        amount: result.refund.amount,
+        token_amount: result.refund.token_amount,
+        rate_policy: result.refund.rate_policy,
+        reason: result.refund.reason
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'PAYMENT_REFUND_FAILED',
       timestamp: new Date().toISOString()
     });
   }
@@ -0,0 +1,134 @@
+const express = require('express');
+const config = require('../config');
+const { reconciliationService } = require('../services');
+
+const router = express.Router();
+
+// Statement files may be posted as raw text instead of JSON
+const statementBody = express.text({ type: ['text/csv', 'text/plain', 'application/x-mt940'], limit: '10mb' });
+
+// Rematch open statement lines and alert on aged unmatched items
+setInterval(async () => {
+  try {
+    const matched = await reconciliationService.rematchOpenLines();
+    const alerts = await reconciliationService.raiseAlerts();
+    if (matched > 0 || alerts.length > 0) {
+      console.log(`Reconciliation sweep: ${matched} line(s) matched, ${alerts.length} alert(s) raised`);
+    }
+  } catch (error) {
+    console.error('Reconciliation sweep failed:', error.message);
+  }
+}, config.settlement.reconciliation.sweep_interval_ms).unref();
+
+// POST /api/settlement/reconciliation/statements - Import a bank statement (CSV or MT940) and reconcile it
+// JSON body { content, format, account_number, filename }, or the raw file with ?format=csv|mt940
+router.post('/statements', statementBody, async (req, res) => {
+  try {
+    const data = typeof req.body === 'string'
+      ? { content: req.body, format: req.query.format, account_number: req.query.account_number, filename: req.query.filename }
+      : req.body;
+
+    const statement = await reconciliationService.importStatement({
+      content: data.content,
+      format: data.format,
+      account_number: data.account_number,
+      filename: data.filename,
+      uploaded_by: data.uploaded_by || null
+    });
+
+    res.status(201).json({
+      success: true,
+      statement,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'STATEMENT_IMPORT_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/settlement/reconciliation/statements - List imported statements
+router.get('/statements', (req, res) => {
+  try {
+    const statements = reconciliationService.listStatements();
+    res.json({
+      success: true,
+      statements,
+      count: statements.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'STATEMENTS_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/settlement/reconciliation/statements/:statement_id - Statement lines with their match (filter: status)
+router.get('/statements/:statement_id', (req, res) => {
+  try {
+    const statement = reconciliationService.getStatement(req.params.statement_id, req.query.status);
+    res.json({
+      success: true,
+      statement,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'STATEMENT_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/settlement/reconciliation/report - Reconciliation report (from, to as YYYY-MM-DD)
+router.get('/report', (req, res) => {
+  try {
+    const report = reconciliationService.getReport({ from: req.query.from, to: req.query.to });
+    res.json({
+      success: true,
+      report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'RECONCILIATION_REPORT_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/settlement/reconciliation/run - Rematch open lines and raise alerts now
+router.post('/run', async (req, res) => {
+  try {
+    const matched_lines = await reconciliationService.rematchOpenLines();
+    const alerts = await reconciliationService.raiseAlerts();
+    res.json({
+      success: true,
+      matched_lines,
+      alerts_raised: alerts.length,
+      alerts,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'RECONCILIATION_RUN_FAILED',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
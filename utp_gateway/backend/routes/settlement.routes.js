@@ -1,371 +1,250 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { idempotency } = require('../middleware/idempotency.middleware');
+const { settlementService, settlementScheduler, settlementRisk } = require('../services');
+const { SETTLEMENT_SCHEDULES } = require('../services/settlement-scheduler');
 
 const router = express.Router();
 
-// Settlement management class
-class UTPSettlementEngine {
-  constructor() {
-    this.settlements = new Map();
-    this.settlement_methods = {
-      inr_upi: {
-        name: 'UPI Transfer',
-        settlement_time: '< 2 seconds',
-        fee: 0.001, // 0.1%
-        minimum_amount: 1,
-        maximum_amount: 100000
-      },
-      inr_neft: {
-        name: 'NEFT Transfer',
-        settlement_time: '< 24 hours',
-        fee: 0.002, // 0.2%
-        minimum_amount: 1,
-        maximum_amount: 10000000
-      },
-      binr_transfer: {
-        name: 'BINR Token Transfer',
-        settlement_time: '< 5 seconds',
-        fee: 0.001, // 0.1%
-        minimum_amount: 1,
-        maximum_amount: 1000000
-      },
-      bgt_transfer: {
-        name: 'Gold Token Transfer',
-        settlement_time: '< 10 seconds',
-        fee: 0.0015, // 0.15%
-        minimum_amount: 10,
-        maximum_amount: 1000000
+// Poll the rails for settlements still waiting on a confirmation
+setInterval(() => {
+  settlementService.pollProcessingSettlements()
+    .then(updated_count => {
+      if (updated_count > 0) {
+        console.log(`Updated ${updated_count} processing settlement(s) from their rails`);
       }
-    };
-  }
-
-  // Execute settlement
-  async executeSettlement(settlement_data) {
-    const {
-      payment_id,
-      merchant_id,
-      amount,
-      currency,
-      settlement_method,
-      merchant_account_details,
-      metadata = {}
-    } = settlement_data;
-
-    try {
-      // Validate settlement data
-      this.validateSettlementData(settlement_data);
-
-      const settlement_id = uuidv4();
-      const settlement = {
-        settlement_id,
-        payment_id,
-        merchant_id,
-        amount,
-        currency,
-        settlement_method,
-        status: 'pending',
-        created_at: new Date().toISOString(),
-        metadata,
-        merchant_account: merchant_account_details,
-        transaction_details: null,
-        fees: {
-          settlement_fee: amount * this.settlement_methods[settlement_method].fee,
-          gst: 0, // Will be calculated
-          total_fee: 0
-        }
-      };
-
-      // Calculate total fees
-      const settlement_fee = settlement.fees.settlement_fee;
-      const gst = settlement_fee * 0.18; // 18% GST
-      settlement.fees.total_fee = settlement_fee + gst;
-      settlement.net_amount = amount - settlement.fees.total_fee;
-
-      // Store settlement
-      this.settlements.set(settlement_id, settlement);
-
-      // Execute settlement based on method
-      const result = await this.processSettlement(settlement);
-
-      return {
-        settlement_id,
-        status: result.status,
-        estimated_completion: result.estimated_completion,
-        fees: settlement.fees,
-        net_amount: settlement.net_amount,
-        timestamp: new Date().toISOString()
-      };
-
-    } catch (error) {
-      throw new Error(`Settlement execution failed: ${error.message}`);
-    }
-  }
-
-  // Process settlement by method
-  async processSettlement(settlement) {
-    const method_config = this.settlement_methods[settlement.settlement_method];
-    
-    try {
-      switch (settlement.settlement_method) {
-        case 'inr_upi':
-          return await this.processUPISettlement(settlement, method_config);
-        case 'inr_neft':
-          return await this.processNEFTettlement(settlement, method_config);
-        case 'binr_transfer':
-          return await this.processBINRSettlement(settlement, method_config);
-        case 'bgt_transfer':
-          return await this.processBGTSettlement(settlement, method_config);
-        default:
-          throw new Error(`Unsupported settlement method: ${settlement.settlement_method}`);
+    })
+    .catch(error => console.error('Settlement status sweep failed:', error.message));
+}, config.settlement.status_sweep_interval_ms).unref();
+
+// Retry failed payouts whose backoff has elapsed
+setInterval(() => {
+  settlementService.processDueRetries()
+    .then(retried_count => {
+      if (retried_count > 0) {
+        console.log(`Retried ${retried_count} settlement payout(s)`);
       }
-    } catch (error) {
-      // Update settlement status to failed
-      settlement.status = 'failed';
-      settlement.error_message = error.message;
-      settlement.failed_at = new Date().toISOString();
-      this.settlements.set(settlement.settlement_id, settlement);
-      
-      throw error;
-    }
-  }
-
-  // Process UPI settlement
-  async processUPISettlement(settlement, config) {
-    // Simulate UPI transfer
-    const transaction_id = `UPI${Date.now()}${Math.random().toString(36).substr(2, 6)}`;
-    
-    return {
-      status: 'completed',
-      transaction_id,
-      settlement_method: 'inr_upi',
-      estimated_completion: '< 2 seconds',
-      executed_at: new Date().toISOString(),
-      transaction_details: {
-        utr: transaction_id,
-        vpa: settlement.merchant_account.upi_id,
-        amount: settlement.net_amount
+    })
+    .catch(error => console.error('Settlement retry sweep failed:', error.message));
+}, config.settlement.retry.interval_ms).unref();
+
+// Pay out scheduled settlements that have come due
+setInterval(() => {
+  settlementScheduler.runDue()
+    .then(run => {
+      if (run.settlements.length > 0 || run.failed.length > 0) {
+        console.log(`Scheduled settlement run: ${run.settlements.length} settled, ${run.deferred.length} deferred, ${run.failed.length} failed`);
       }
-    };
-  }
-
-  // Process NEFT settlement
-  async processNEFTettlement(settlement, config) {
-    // Simulate NEFT transfer (batch processing)
-    const transaction_id = `NEFT${Date.now()}${Math.random().toString(36).substr(2, 6)}`;
-    
-    return {
-      status: 'processing',
-      transaction_id,
-      settlement_method: 'inr_neft',
-      estimated_completion: '< 24 hours',
-      executed_at: new Date().toISOString(),
-      transaction_details: {
-        ref_no: transaction_id,
-        account_number: settlement.merchant_account.account_number,
-        ifsc_code: settlement.merchant_account.ifsc_code,
-        amount: settlement.net_amount
+    })
+    .catch(error => {
+      if (error.code !== 'SETTLEMENT_RUN_IN_PROGRESS') {
+        console.error('Scheduled settlement run failed:', error.message);
       }
-    };
-  }
-
-  // Process BINR settlement
-  async processBINRSettlement(settlement, config) {
-    // Simulate BINR token transfer on blockchain
-    const transaction_hash = `0x${Math.random().toString(16).substr(2, 64)}`;
-    
-    return {
-      status: 'completed',
-      transaction_hash,
-      settlement_method: 'binr_transfer',
-      estimated_completion: '< 5 seconds',
-      executed_at: new Date().toISOString(),
-      transaction_details: {
-        to_address: settlement.merchant_account.wallet_address,
-        token_amount: settlement.net_amount,
-        gas_fee: '0.0001'
+    });
+}, config.settlement.scheduler_interval_ms).unref();
+
+// Pay out rolling reserves whose hold period has ended
+setInterval(() => {
+  settlementRisk.releaseDue()
+    .then(result => {
+      if (result.released.length > 0 || result.failed.length > 0) {
+        console.log(`Reserve release: ${result.released.length} released, ${result.failed.length} failed`);
       }
-    };
-  }
+    })
+    .catch(error => console.error('Reserve release sweep failed:', error.message));
+}, config.settlement.reserves.release_interval_ms).unref();
 
-  // Process BGT settlement
-  async processBGTSettlement(settlement, config) {
-    // Simulate BGT token transfer
-    const transaction_hash = `0x${Math.random().toString(16).substr(2, 64)}`;
-    const gold_amount = settlement.net_amount / 5650; // Assuming ₹5650 per gram
-    
-    return {
-      status: 'completed',
-      transaction_hash,
-      settlement_method: 'bgt_transfer',
-      estimated_completion: '< 10 seconds',
-      executed_at: new Date().toISOString(),
-      transaction_details: {
-        to_address: settlement.merchant_account.wallet_address,
-        token_amount: settlement.net_amount,
-        gold_grams: gold_amount,
-        vault_provider: settlement.merchant_account.vault_provider || 'MMTC-PAMP'
-      }
-    };
+// GET /api/settlement/methods - Get available settlement methods
+router.get('/methods', (req, res) => {
+  try {
+    const methods = settlementService.getSettlementMethods();
+    res.json({
+      success: true,
+      settlement_methods: methods,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      error_code: 'SETTLEMENT_METHODS_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
   }
+});
 
-  // Get settlement status
-  getSettlementStatus(settlement_id) {
-    const settlement = this.settlements.get(settlement_id);
-    if (!settlement) {
-      throw new Error('Settlement not found');
-    }
-
-    return {
-      settlement_id,
-      status: settlement.status,
-      payment_id: settlement.payment_id,
-      merchant_id: settlement.merchant_id,
-      amount: settlement.amount,
-      currency: settlement.currency,
-      settlement_method: settlement.settlement_method,
-      fees: settlement.fees,
-      net_amount: settlement.net_amount,
-      created_at: settlement.created_at,
-      transaction_details: settlement.transaction_details,
-      error_message: settlement.error_message,
+// GET /api/settlement/schedules - Get settlement schedules, the business calendar, NEFT windows and rail operating hours
+router.get('/schedules', (req, res) => {
+  try {
+    const { calendar } = settlementScheduler;
+    const now = new Date();
+    res.json({
+      success: true,
+      schedules: SETTLEMENT_SCHEDULES,
+      calendar: {
+        today: calendar.toLocalDate(now),
+        business_day: calendar.isBusinessDay(now),
+        daily_cutoff: calendar.daily_cutoff,
+        next_day_payout_time: calendar.next_day_payout_time,
+        next_business_day: calendar.toLocalDate(calendar.nextBusinessDay(now)),
+        holidays: calendar.getHolidays(now)
+      },
+      neft_window: {
+        ...calendar.neft_window,
+        open: calendar.isNeftWindowOpen(now),
+        next_batch_at: calendar.nextNeftBatch(now).toISOString()
+      },
+      rail_windows: calendar.getRailWindows(now),
+      scheduler: settlementScheduler.getStatus(),
       timestamp: new Date().toISOString()
-    };
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'SETTLEMENT_SCHEDULES_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
   }
+});
 
-  // Get settlement history
-  getSettlementHistory(merchant_id, limit = 50) {
-    const history = Array.from(this.settlements.values())
-      .filter(s => s.merchant_id === merchant_id)
-      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
-      .slice(0, limit);
-
-    return history.map(settlement => ({
-      settlement_id: settlement.settlement_id,
-      payment_id: settlement.payment_id,
-      amount: settlement.amount,
-      currency: settlement.currency,
-      settlement_method: settlement.settlement_method,
-      status: settlement.status,
-      fees: settlement.fees,
-      net_amount: settlement.net_amount,
-      created_at: settlement.created_at
-    }));
+// GET /api/settlement/queue/:merchant_id - Get a merchant's queued payouts
+router.get('/queue/:merchant_id', (req, res) => {
+  try {
+    const queue = settlementScheduler.getMerchantQueue(req.params.merchant_id);
+    res.json({
+      success: true,
+      ...queue,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'SETTLEMENT_QUEUE_FETCH_FAILED',
+      timestamp: new Date().toISOString()
+    });
   }
+});
 
-  // Validate settlement data
-  validateSettlementData(data) {
-    const required_fields = [
-      'payment_id',
-      'merchant_id', 
-      'amount',
-      'currency',
-      'settlement_method',
-      'merchant_account_details'
-    ];
-
-    for (const field of required_fields) {
-      if (!data[field]) {
-        throw new Error(`Missing required field: ${field}`);
-      }
-    }
-
-    // Validate settlement method
-    if (!this.settlement_methods[data.settlement_method]) {
-      throw new Error(`Unsupported settlement method: ${data.settlement_method}`);
-    }
-
-    // Validate amount
-    const method_config = this.settlement_methods[data.settlement_method];
-    if (data.amount < method_config.minimum_amount || data.amount > method_config.maximum_amount) {
-      throw new Error(`Amount must be between ${method_config.minimum_amount} and ${method_config.maximum_amount}`);
-    }
+// POST /api/settlement/run - Settle due scheduled payouts now (force: true also settles those not yet due)
+router.post('/run', async (req, res) => {
+  try {
+    const { merchant_id, force = false } = req.body;
+    const run = await settlementScheduler.runDue({ merchant_id, force: force === true });
+    res.json({
+      success: true,
+      run,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'SETTLEMENT_RUN_FAILED',
+      timestamp: new Date().toISOString()
+    });
   }
+});
 
-  // Get settlement methods
-  getSettlementMethods() {
-    return Object.entries(this.settlement_methods).map(([key, config]) => ({
-      code: key,
-      ...config
-    }));
+// POST /api/settlement/execute - Execute settlement
+router.post('/execute', idempotency(), async (req, res) => {
+  try {
+    const result = await settlementService.executeSettlement(req.body);
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'SETTLEMENT_EXECUTION_FAILED',
+      timestamp: new Date().toISOString()
+    });
   }
+});
 
-  // Calculate settlement fees
-  calculateFees(amount, settlement_method) {
-    const config = this.settlement_methods[settlement_method];
-    if (!config) {
-      throw new Error(`Unknown settlement method: ${settlement_method}`);
-    }
-
-    const settlement_fee = amount * config.fee;
-    const gst = settlement_fee * 0.18;
-    const total_fee = settlement_fee + gst;
-    const net_amount = amount - total_fee;
-
-    return {
-      amount,
-      settlement_fee,
-      gst,
-      total_fee,
-      net_amount,
-      fee_percentage: config.fee
-    };
+// GET /api/settlement/status/:settlement_id - Get settlement status (?refresh=true polls the rails first)
+router.get('/status/:settlement_id', async (req, res) => {
+  try {
+    const result = req.query.refresh === 'true'
+      ? await settlementService.refreshSettlement(req.params.settlement_id)
+      : settlementService.getSettlementStatus(req.params.settlement_id);
+    res.json({
+      success: true,
+      settlement: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 404).json({
+      success: false,
+      error: error.message,
+      error_code: error.code || 'SETTLEMENT_NOT_FOUND',
+      timestamp: new Date().toISOString()
+    });
   }
-}
-
-// Initialize settlement engine
-const settlementEngine = new UTPSettlementEngine();
+});
 
-// GET /api/settlement/methods - Get available settlement methods
-router.get('/methods', (req, res) => {
+// POST /api/settlement/:settlement_id/cancel - Cancel the payouts a rail has not made yet
+router.post('/:settlement_id/cancel', async (req, res) => {
   try {
-    const methods = settlementEngine.getSettlementMethods();
+    const settlement = await settlementService.cancelSettlement(req.params.settlement_id, req.body.reason);
     res.json({
       success: true,
-      settlement_methods: methods,
+      settlement,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: error.message,
-      error_code: 'SETTLEMENT_METHODS_FETCH_FAILED',
+      error_code: error.code || 'SETTLEMENT_CANCEL_FAILED',
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// POST /api/settlement/execute - Execute settlement
-router.post('/execute', async (req, res) => {
+// POST /api/settlement/:settlement_id/reverse - Claw back a completed token settlement
+router.post('/:settlement_id/reverse', async (req, res) => {
   try {
-    const result = await settlementEngine.executeSettlement(req.body);
+    const { reason, requested_by } = req.body;
+    const settlement = await settlementService.clawbackSettlement(req.params.settlement_id, { reason, requested_by });
     res.json({
       success: true,
-      ...result
+      settlement,
+      timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: error.message,
-      error_code: 'SETTLEMENT_EXECUTION_FAILED',
+      error_code: error.code || 'SETTLEMENT_REVERSAL_FAILED',
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// GET /api/settlement/status/:settlement_id - Get settlement status
-router.get('/status/:settlement_id', (req, res) => {
+// POST /api/settlement/callbacks/:rail - Payout status callback from a bank or token rail
+router.post('/callbacks/:rail', async (req, res) => {
   try {
-    const result = settlementEngine.getSettlementStatus(req.params.settlement_id);
+    const settlement = await settlementService.handleRailCallback(
+      req.params.rail,
+      req.body,
+      req.get('X-Bank-Signature')
+    );
     res.json({
       success: true,
-      settlement: result,
+      matched: Boolean(settlement),
+      settlement_id: settlement ? settlement.settlement_id : null,
+      status: settlement ? settlement.status : null,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(404).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: error.message,
-      error_code: 'SETTLEMENT_NOT_FOUND',
+      error_code: error.code || 'RAIL_CALLBACK_FAILED',
       timestamp: new Date().toISOString()
     });
   }
@@ -375,7 +254,7 @@ router.get('/status/:settlement_id', (req, res) => {
 router.get('/history/:merchant_id', (req, res) => {
   try {
     const { limit = 50 } = req.query;
-    const history = settlementEngine.getSettlementHistory(req.params.merchant_id, parseInt(limit));
+    const history = settlementService.getSettlementHistory(req.params.merchant_id, parseInt(limit));
     res.json({
       success: true,
       history,
@@ -392,11 +271,11 @@ router.get('/history/:merchant_id', (req, res) => {
   }
 });
 
-// POST /api/settlement/calculate-fees - Calculate settlement fees
+// POST /api/settlement/calculate-fees - Calculate settlement fees (on the merchant's fee plan when merchant_id is given)
 router.post('/calculate-fees', (req, res) => {
   try {
-    const { amount, settlement_method } = req.body;
-    const fees = settlementEngine.calculateFees(amount, settlement_method);
+    const { amount, settlement_method, merchant_id } = req.body;
+    const fees = settlementService.calculateFees(amount, settlement_method, null, { merchant_id: merchant_id || null });
     res.json({
       success: true,
       fees,
@@ -415,7 +294,7 @@ router.post('/calculate-fees', (req, res) => {
 // GET /api/settlement/stats/:merchant_id - Get settlement statistics
 router.get('/stats/:merchant_id', (req, res) => {
   try {
-    const history = settlementEngine.getSettlementHistory(req.params.merchant_id, 1000);
+    const history = settlementService.getSettlementHistory(req.params.merchant_id, 1000);
     
     const stats = {
       total_settlements: history.length,
@@ -0,0 +1,740 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const VPA_PATTERN = /^[\w.-]+@[\w.-]+$/;
+
+// Beneficiaries (VPA, account number or wallet) starting with one of these trigger a scenario
+const SCENARIOS = {
+  reject: 'rejected synchronously with INVALID_BENEFICIARY',
+  fail: 'accepted, then FAILED with ACCOUNT_CLOSED when it would have been paid',
+  timeout: 'accepted, but the response is held for hang_ms so the caller times out',
+  delay: 'accepted, confirmed after delayed_confirm_ms',
+  pending: 'accepted and never confirmed (until cancelled)',
+  float: 'rejected with INSUFFICIENT_FLOAT for the first float_failures payouts to the beneficiary, then paid',
+  mismatch: 'verified under a different account holder name (payouts are paid)'
+};
+
+const FINAL_STATUSES = ['SUCCESS', 'FAILED', 'CANCELLED', 'EXPIRED', 'REVERSED'];
+
+// Channels that pay to an account number and IFSC code
+const BANK_CHANNELS = ['neft', 'imps', 'rtgs'];
+
+// Per-payout amount limits of the bank channels that have them
+const CHANNEL_LIMITS = {
+  imps: { max_amount: 500000 },
+  rtgs: { min_amount: 200000 }
+};
+
+/**
+ * UTP Mock Bank
+ * Local stand-in for the bank and token custody APIs behind the settlement rails:
+ * - UPI credits are confirmed after upi_confirm_delay_ms
+ * - NEFT transfers are QUEUED into the open batch, which settles every neft_batch_interval_ms
+ * - IMPS transfers (up to ₹5 lakh) are confirmed after imps_confirm_delay_ms, and RTGS
+ *   transfers (₹2 lakh and above) after rtgs_confirm_delay_ms
+ * - Token transfers (BINR, BGT, BST, BPT) are confirmed after token_confirm_delay_ms, and can be reversed once paid
+ * - UPI collect requests are approved by the payer after upi_confirm_delay_ms
+ * - Paid UPI, NEFT, IMPS and RTGS payouts are listed on the payout account's statement (CSV or MT940)
+ * - Bank accounts are verified by a ₹1 penny drop and VPAs by a name lookup, both
+ *   returning the account holder name the bank holds
+ * Failures, timeouts and delayed confirmations are triggered by the beneficiary
+ * (see SCENARIOS), by the X-Sandbox-Scenario header, or at random via failure_rate.
+ * Final statuses are posted to the payout's callback_url, signed with webhook_secret.
+ */
+class UTPMockBank {
+  /**
+   * @param {Object} options - Sandbox settings (see config.bank.sandbox)
+   * @param {string} options.api_key - Required X-API-Key (any key is accepted when unset)
+   * @param {string} options.webhook_secret - Secret callbacks are signed with
+   */
+  constructor(options = {}) {
+    this.api_key = options.api_key || null;
+    this.webhook_secret = options.webhook_secret || null;
+    this.upi_confirm_delay_ms = options.upi_confirm_delay_ms || 300;
+    this.imps_confirm_delay_ms = options.imps_confirm_delay_ms || 300;
+    this.rtgs_confirm_delay_ms = options.rtgs_confirm_delay_ms || 2000;
+    this.token_confirm_delay_ms = options.token_confirm_delay_ms || 500;
+    this.delayed_confirm_ms = options.delayed_confirm_ms || 10000;
+    this.neft_batch_interval_ms = options.neft_batch_interval_ms || 1000;
+    this.failure_rate = options.failure_rate || 0;
+    this.hang_ms = options.hang_ms || 60000;
+    this.float_failures = options.float_failures || 1;
+    this.account_number = options.account_number || '50200012345678';
+    this.opening_balance = options.opening_balance || 10000000;
+
+    this.payouts = new Map();
+    this.collects = new Map();
+    this.verifications = new Map();
+    this.float_rejections = new Map(); // beneficiary -> payouts rejected by the 'float' scenario
+    this.neft_batches = [];
+    this.open_batch = null;
+    this.timers = new Set();
+    this.sequence = 0;
+  }
+
+  /**
+   * Accept a payout
+   * @param {Object} request - { reference, channel, token, amount, currency, beneficiary, narration, callback_url }
+   * @param {string} scenario - Scenario forced by the caller (optional)
+   * @returns {Object} { payout, created, hang_ms }
+   */
+  createPayout(request, scenario) {
+    const { reference, channel, token, amount, currency, beneficiary = {}, narration, callback_url } = request;
+
+    if (!reference) {
+      throw this.error('reference is required', 'INVALID_REQUEST', 400);
+    }
+
+    const existing = this.payouts.get(reference);
+    if (existing) {
+      // Replays of the same reference return the original payout
+      if (existing.amount !== amount || existing.channel !== channel) {
+        throw this.error(`Reference ${reference} was already used for a different payout`, 'DUPLICATE_REFERENCE', 409);
+      }
+      return { payout: existing, created: false, hang_ms: 0 };
+    }
+
+    if (!['upi', ...BANK_CHANNELS, 'token'].includes(channel)) {
+      throw this.error(`Unsupported channel: ${channel}`, 'INVALID_REQUEST', 400);
+    }
+    if (typeof amount !== 'number' || !(amount > 0)) {
+      throw this.error('amount must be a positive number', 'INVALID_AMOUNT', 400);
+    }
+    this.checkChannelLimits(channel, amount);
+
+    this.validateBeneficiary(channel, beneficiary);
+    const active_scenario = scenario || this.getScenario(beneficiary);
+
+    if (active_scenario === 'reject') {
+      throw this.error('Beneficiary account is invalid or blocked', 'INVALID_BENEFICIARY', 422);
+    }
+    if (active_scenario === 'float') {
+      const identifier = this.getIdentifier(beneficiary);
+      const rejections = this.float_rejections.get(identifier) || 0;
+      if (rejections < this.float_failures) {
+        this.float_rejections.set(identifier, rejections + 1);
+        throw this.error('Insufficient float in the payout account', 'INSUFFICIENT_FLOAT', 503);
+      }
+    }
+
+    const now = new Date();
+    const payout = {
+      reference,
+      bank_reference: this.nextReference(channel === 'token' ? 'TKN' : channel.toUpperCase()),
+      channel,
+      token: channel === 'token' ? token : null,
+      amount,
+      currency: currency || (channel === 'token' ? token : 'inr'),
+      beneficiary,
+      narration: narration || null,
+      scenario: active_scenario || null,
+      status: channel === 'neft' ? 'QUEUED' : 'PENDING',
+      callback_url: callback_url || null,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString(),
+      expected_at: null,
+      completed_at: null
+    };
+
+    if (channel === 'neft') {
+      const batch = this.getOpenBatch();
+      batch.payout_references.push(reference);
+      payout.batch_id = batch.batch_id;
+      payout.expected_at = batch.settles_at;
+    } else if (active_scenario !== 'pending') {
+      const delay = active_scenario === 'delay' ? this.delayed_confirm_ms : this.getConfirmDelay(channel);
+      payout.expected_at = new Date(now.getTime() + delay).toISOString();
+      this.schedule(delay, () => this.settlePayout(reference));
+    }
+
+    this.payouts.set(reference, payout);
+
+    return { payout, created: true, hang_ms: active_scenario === 'timeout' ? this.hang_ms : 0 };
+  }
+
+  /**
+   * Get a payout by reference
+   */
+  getPayout(reference) {
+    const payout = this.payouts.get(reference);
+    if (!payout) {
+      throw this.error(`Payout not found: ${reference}`, 'PAYOUT_NOT_FOUND', 404);
+    }
+    return payout;
+  }
+
+  /**
+   * Cancel a payout that has not been paid yet
+   */
+  cancelPayout(reference) {
+    const payout = this.getPayout(reference);
+    if (!['PENDING', 'QUEUED'].includes(payout.status)) {
+      throw this.error(`Payout ${reference} is ${payout.status} and can no longer be cancelled`, 'PAYOUT_NOT_CANCELLABLE', 409);
+    }
+
+    this.finalise(payout, 'CANCELLED');
+    return payout;
+  }
+
+  /**
+   * Reverse a paid token transfer, returning the tokens from the beneficiary wallet
+   * @param {string} reference - Payout reference
+   * @param {string} reason - Why the transfer is reversed
+   */
+  reversePayout(reference, reason) {
+    const payout = this.getPayout(reference);
+    if (payout.channel !== 'token') {
+      throw this.error(`${payout.channel.toUpperCase()} payouts cannot be reversed`, 'PAYOUT_NOT_REVERSIBLE', 409);
+    }
+    if (payout.status === 'REVERSED') {
+      return payout;
+    }
+    if (payout.status !== 'SUCCESS') {
+      throw this.error(`Payout ${reference} is ${payout.status} and cannot be reversed`, 'PAYOUT_NOT_REVERSIBLE', 409);
+    }
+
+    payout.reversal_hash = `0x${crypto.randomBytes(32).toString('hex')}`;
+    payout.reversal_reason = reason || null;
+    payout.reversed_at = new Date().toISOString();
+    this.finalise(payout, 'REVERSED');
+    return payout;
+  }
+
+  /**
+   * Verify a beneficiary before it is paid: a ₹1 penny drop to a bank account
+   * (neft, imps or rtgs channel) or a name lookup of a VPA (upi channel)
+   * @param {Object} request - { reference, channel, beneficiary: { vpa } or { account_number, ifsc_code, name } }
+   * @param {string} scenario - Scenario forced by the caller (optional)
+   * @returns {Object} Verification with the name_at_bank
+   */
+  verifyBeneficiary(request, scenario) {
+    const { reference, channel, beneficiary = {} } = request;
+
+    if (!reference) {
+      throw this.error('reference is required', 'INVALID_REQUEST', 400);
+    }
+    if (!['upi', ...BANK_CHANNELS].includes(channel)) {
+      throw this.error(`Beneficiaries cannot be verified on channel: ${channel}`, 'INVALID_REQUEST', 400);
+    }
+    if (this.verifications.has(reference)) {
+      return this.verifications.get(reference);
+    }
+
+    this.validateBeneficiary(channel, beneficiary);
+    const active_scenario = scenario || this.getScenario(beneficiary);
+    if (active_scenario === 'reject') {
+      throw this.error('Beneficiary account is invalid or blocked', 'INVALID_BENEFICIARY', 422);
+    }
+
+    const penny_drop = BANK_CHANNELS.includes(channel);
+    const verification = {
+      reference,
+      bank_reference: this.nextReference(penny_drop ? 'PNY' : 'VPA'),
+      channel,
+      method: penny_drop ? 'penny_drop' : 'vpa_lookup',
+      amount: penny_drop ? 1 : 0,
+      beneficiary,
+      status: 'VERIFIED',
+      name_at_bank: active_scenario === 'mismatch' ? 'UNRELATED ACCOUNT HOLDER' : this.getHolderName(beneficiary),
+      utr: penny_drop ? this.nextUtr() : null,
+      verified_at: new Date().toISOString()
+    };
+    this.verifications.set(reference, verification);
+
+    return verification;
+  }
+
+  /**
+   * Raise a UPI collect request
+   * @param {Object} request - { reference, payer_vpa, amount, note, callback_url }
+   */
+  createCollect(request, scenario) {
+    const { reference, payer_vpa, amount, note, callback_url } = request;
+
+    if (!reference || typeof amount !== 'number' || !(amount > 0)) {
+      throw this.error('reference and a positive amount are required', 'INVALID_REQUEST', 400);
+    }
+    if (!payer_vpa || !VPA_PATTERN.test(payer_vpa)) {
+      throw this.error(`Invalid payer VPA: ${payer_vpa}`, 'INVALID_VPA', 422);
+    }
+    if (this.collects.has(reference)) {
+      return this.collects.get(reference);
+    }
+
+    const active_scenario = scenario || this.getScenario({ vpa: payer_vpa });
+    const collect = {
+      reference,
+      bank_reference: this.nextReference('COL'),
+      payer_vpa,
+      amount,
+      note: note || null,
+      status: 'PENDING',
+      callback_url: callback_url || null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      completed_at: null
+    };
+    this.collects.set(reference, collect);
+
+    if (active_scenario !== 'pending') {
+      const delay = active_scenario === 'delay' ? this.delayed_confirm_ms : this.upi_confirm_delay_ms;
+      this.schedule(delay, () => {
+        if (active_scenario === 'fail') {
+          collect.failure_code = 'PAYER_DECLINED';
+          collect.failure_reason = 'Payer declined the collect request';
+          this.finalise(collect, 'FAILED', 'collect');
+        } else {
+          collect.utr = this.nextUtr();
+          this.finalise(collect, 'SUCCESS', 'collect');
+        }
+      });
+    }
+
+    return collect;
+  }
+
+  /**
+   * Get a UPI collect request by reference
+   */
+  getCollect(reference) {
+    const collect = this.collects.get(reference);
+    if (!collect) {
+      throw this.error(`Collect request not found: ${reference}`, 'COLLECT_NOT_FOUND', 404);
+    }
+    return collect;
+  }
+
+  /**
+   * List NEFT batches, newest first
+   */
+  getNeftBatches() {
+    return [...this.neft_batches].reverse();
+  }
+
+  /**
+   * Settle the open NEFT batch now
+   * @returns {Object|null} Settled batch
+   */
+  runNeftBatch() {
+    const batch = this.open_batch;
+    if (!batch) return null;
+
+    this.open_batch = null;
+    batch.status = 'SETTLED';
+    batch.settled_at = new Date().toISOString();
+
+    for (const reference of batch.payout_references) {
+      const payout = this.payouts.get(reference);
+      if (payout && payout.status === 'QUEUED' && !['pending', 'delay'].includes(payout.scenario)) {
+        this.settlePayout(reference);
+      } else if (payout && payout.scenario === 'delay') {
+        this.schedule(this.delayed_confirm_ms, () => this.settlePayout(reference));
+      }
+    }
+
+    return batch;
+  }
+
+  /**
+   * Statement of the payout account: one debit per paid UPI or NEFT payout
+   * @param {Object} options - { format: csv or mt940, from, to } (dates as YYYY-MM-DD)
+   * @returns {string} Statement file
+   */
+  getStatement(options = {}) {
+    const { format = 'csv', from = '0000-01-01', to = '9999-12-31' } = options;
+    if (!['csv', 'mt940'].includes(format)) {
+      throw this.error(`Unsupported statement format: ${format}`, 'INVALID_REQUEST', 400);
+    }
+
+    let balance = this.opening_balance;
+    const entries = [...this.payouts.values()]
+      .filter(payout => payout.channel !== 'token' && payout.status === 'SUCCESS')
+      .filter(payout => payout.completed_at.slice(0, 10) >= from && payout.completed_at.slice(0, 10) <= to)
+      .sort((a, b) => a.completed_at.localeCompare(b.completed_at))
+      .map(payout => {
+        balance = Math.round((balance - payout.amount) * 100) / 100;
+        return {
+          date: payout.completed_at.slice(0, 10),
+          description: `${payout.channel.toUpperCase()}/${payout.utr}/${payout.beneficiary.vpa || payout.beneficiary.account_number}`,
+          utr: payout.utr,
+          bank_reference: payout.bank_reference,
+          amount: payout.amount,
+          balance
+        };
+      });
+
+    return format === 'csv' ? this.toCsvStatement(entries) : this.toMt940Statement(entries, balance);
+  }
+
+  /**
+   * Format statement entries as a CSV statement
+   * @private
+   */
+  toCsvStatement(entries) {
+    const rows = [['Txn Date', 'Value Date', 'Description', 'Ref No./UTR', 'Debit', 'Credit', 'Balance']];
+    entries.forEach(entry => rows.push([
+      entry.date, entry.date, entry.description, entry.utr, entry.amount.toFixed(2), '', entry.balance.toFixed(2)
+    ]));
+    return `${rows.map(row => row.join(',')).join('\n')}\n`;
+  }
+
+  /**
+   * Format statement entries as an MT940 customer statement
+   * @private
+   */
+  toMt940Statement(entries, closing_balance) {
+    const mt_date = date => date.slice(2).replace(/-/g, '');
+    const mt_amount = amount => amount.toFixed(2).replace('.', ',');
+    const today = new Date().toISOString().slice(0, 10);
+    const first_date = entries.length > 0 ? entries[0].date : today;
+    const lines = [
+      `:20:UTPSBX${mt_date(today)}`,
+      `:25:${this.account_number}`,
+      ':28C:1/1',
+      `:60F:C${mt_date(first_date)}INR${mt_amount(this.opening_balance)}`
+    ];
+
+    entries.forEach(entry => {
+      lines.push(`:61:${mt_date(entry.date)}${mt_date(entry.date).slice(2)}D${mt_amount(entry.amount)}NTRF${entry.utr}//${entry.bank_reference}`);
+      lines.push(`:86:${entry.description}`);
+    });
+    lines.push(`:62F:C${mt_date(today)}INR${mt_amount(closing_balance)}`);
+    lines.push('-');
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Confirm or fail a pending payout
+   * @private
+   */
+  settlePayout(reference) {
+    const payout = this.payouts.get(reference);
+    if (!payout || FINAL_STATUSES.includes(payout.status)) return;
+
+    if (payout.scenario === 'fail' || Math.random() < this.failure_rate) {
+      payout.failure_code = payout.scenario === 'fail' ? 'ACCOUNT_CLOSED' : 'BANK_DECLINED';
+      payout.failure_reason = payout.scenario === 'fail'
+        ? 'Beneficiary account is closed'
+        : 'Payout declined by the beneficiary bank';
+      this.finalise(payout, 'FAILED');
+      return;
+    }
+
+    if (payout.channel === 'token') {
+      payout.transaction_hash = `0x${crypto.randomBytes(32).toString('hex')}`;
+    } else {
+      payout.utr = this.nextUtr();
+    }
+    this.finalise(payout, 'SUCCESS');
+  }
+
+  /**
+   * Move a payout or collect request to a final status and notify its callback
+   * @private
+   */
+  finalise(record, status, kind = 'payout') {
+    record.status = status;
+    record.updated_at = new Date().toISOString();
+    record.completed_at = record.updated_at;
+
+    if (record.callback_url) {
+      this.sendCallback(record, kind);
+    }
+  }
+
+  /**
+   * Post a signed status callback
+   * @private
+   */
+  async sendCallback(record, kind) {
+    const { callback_url, scenario, ...data } = record;
+    const body = JSON.stringify({ event: `${kind}.${record.status.toLowerCase()}`, [kind]: data });
+
+    try {
+      await axios.post(callback_url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Bank-Signature': this.sign(body)
+        },
+        timeout: 5000
+      });
+    } catch (error) {
+      console.warn(`Mock bank callback to ${callback_url} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sign a callback body
+   * @private
+   */
+  sign(body) {
+    return crypto.createHmac('sha256', this.webhook_secret || '').update(body).digest('hex');
+  }
+
+  /**
+   * Get the NEFT batch accepting transfers, opening one if needed
+   * @private
+   */
+  getOpenBatch() {
+    if (!this.open_batch) {
+      const settles_at = new Date(Date.now() + this.neft_batch_interval_ms);
+      this.open_batch = {
+        batch_id: this.nextReference('NEFTB'),
+        status: 'OPEN',
+        payout_references: [],
+        opened_at: new Date().toISOString(),
+        settles_at: settles_at.toISOString(),
+        settled_at: null
+      };
+      this.neft_batches.push(this.open_batch);
+      this.schedule(this.neft_batch_interval_ms, () => this.runNeftBatch());
+    }
+    return this.open_batch;
+  }
+
+  /**
+   * Check the beneficiary fields a channel needs
+   * @private
+   */
+  validateBeneficiary(channel, beneficiary) {
+    if (channel === 'upi' && !(beneficiary.vpa && VPA_PATTERN.test(beneficiary.vpa))) {
+      throw this.error(`Invalid beneficiary VPA: ${beneficiary.vpa || 'missing'}`, 'INVALID_VPA', 422);
+    }
+    if (BANK_CHANNELS.includes(channel)) {
+      if (!beneficiary.account_number) {
+        throw this.error('Beneficiary account number is required', 'INVALID_BENEFICIARY', 422);
+      }
+      if (!IFSC_PATTERN.test(beneficiary.ifsc_code || '')) {
+        throw this.error(`Invalid IFSC code: ${beneficiary.ifsc_code || 'missing'}`, 'INVALID_IFSC', 422);
+      }
+    }
+    if (channel === 'token' && !beneficiary.wallet_address) {
+      throw this.error('Beneficiary wallet address is required', 'INVALID_BENEFICIARY', 422);
+    }
+  }
+
+  /**
+   * Check a payout against the amount limits of its channel
+   * @private
+   */
+  checkChannelLimits(channel, amount) {
+    const limits = CHANNEL_LIMITS[channel] || {};
+    if (limits.max_amount && amount > limits.max_amount) {
+      throw this.error(`${channel.toUpperCase()} payouts are limited to ${limits.max_amount}`, 'AMOUNT_LIMIT_EXCEEDED', 422);
+    }
+    if (limits.min_amount && amount < limits.min_amount) {
+      throw this.error(`${channel.toUpperCase()} payouts start at ${limits.min_amount}`, 'AMOUNT_BELOW_MINIMUM', 422);
+    }
+  }
+
+  /**
+   * Time until a payout on a channel that is not batched is confirmed
+   * @private
+   */
+  getConfirmDelay(channel) {
+    switch (channel) {
+      case 'upi':
+        return this.upi_confirm_delay_ms;
+      case 'imps':
+        return this.imps_confirm_delay_ms;
+      case 'rtgs':
+        return this.rtgs_confirm_delay_ms;
+      default:
+        return this.token_confirm_delay_ms;
+    }
+  }
+
+  /**
+   * Find the scenario a beneficiary triggers
+   * @private
+   */
+  getScenario(beneficiary) {
+    const identifier = this.getIdentifier(beneficiary);
+    return Object.keys(SCENARIOS).find(scenario => identifier.startsWith(scenario)) || null;
+  }
+
+  /**
+   * The VPA, account number or wallet a payout is made to
+   * @private
+   */
+  getIdentifier(beneficiary) {
+    return String(beneficiary.vpa || beneficiary.account_number || beneficiary.wallet_address || '').toLowerCase();
+  }
+
+  /**
+   * Name the bank holds for a beneficiary: the name given, or the VPA handle
+   * @private
+   */
+  getHolderName(beneficiary) {
+    const name = beneficiary.name || (beneficiary.vpa ? beneficiary.vpa.split('@')[0].replace(/[^a-z]+/gi, ' ') : '');
+    return name.trim().toUpperCase() || 'ACCOUNT HOLDER';
+  }
+
+  /**
+   * Run a callback later, tracking the timer so close() can clear it
+   * @private
+   */
+  schedule(delay, callback) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+    timer.unref();
+    this.timers.add(timer);
+  }
+
+  // Bank-side reference, unique within this sandbox
+  nextReference(prefix) {
+    this.sequence++;
+    return `${prefix}${Date.now()}${String(this.sequence).padStart(4, '0')}`;
+  }
+
+  // Unique transaction reference reported for UPI and NEFT credits
+  nextUtr() {
+    return `UTR${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  }
+
+  // Error carrying the bank error code and HTTP status
+  error(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Clear all payouts, collects and timers
+   */
+  reset() {
+    this.close();
+    this.payouts.clear();
+    this.collects.clear();
+    this.verifications.clear();
+    this.float_rejections.clear();
+    this.neft_batches = [];
+    this.open_batch = null;
+  }
+
+  /**
+   * Stop pending confirmations
+   */
+  close() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * Get sandbox status
+   */
+  getStatus() {
+    const status_counts = {};
+    for (const payout of this.payouts.values()) {
+      status_counts[payout.status] = (status_counts[payout.status] || 0) + 1;
+    }
+
+    return {
+      service: 'UTP Mock Bank',
+      status: 'active',
+      payouts: this.payouts.size,
+      status_counts,
+      collects: this.collects.size,
+      verifications: this.verifications.size,
+      neft_batches: this.neft_batches.length,
+      failure_rate: this.failure_rate,
+      scenarios: SCENARIOS
+    };
+  }
+}
+
+/**
+ * Build the mock bank HTTP API
+ * @param {UTPMockBank} bank - Sandbox state
+ * @returns {express.Router}
+ */
+const createMockBankRouter = (bank) => {
+  const router = express.Router();
+  router.use(express.json());
+
+  const send = (res, handler) => {
+    try {
+      handler();
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        error: { code: error.code || 'BANK_ERROR', message: error.message }
+      });
+    }
+  };
+
+  router.get('/health', (req, res) => res.json(bank.getStatus()));
+
+  router.use((req, res, next) => {
+    if (bank.api_key && req.get('X-API-Key') !== bank.api_key) {
+      return res.status(401).json({ error: { code: 'UNAUTHORIZED', message: 'Invalid API key' } });
+    }
+    next();
+  });
+
+  router.post('/payouts', (req, res) => send(res, () => {
+    const { payout, created, hang_ms } = bank.createPayout(req.body, req.get('X-Sandbox-Scenario'));
+    const respond = () => res.status(created ? 201 : 200).json(payout);
+
+    if (hang_ms > 0) {
+      setTimeout(respond, hang_ms).unref();
+    } else {
+      respond();
+    }
+  }));
+
+  router.get('/payouts/:reference', (req, res) => send(res, () => {
+    res.json(bank.getPayout(req.params.reference));
+  }));
+
+  router.post('/payouts/:reference/cancel', (req, res) => send(res, () => {
+    res.json(bank.cancelPayout(req.params.reference));
+  }));
+
+  router.post('/payouts/:reference/reverse', (req, res) => send(res, () => {
+    res.json(bank.reversePayout(req.params.reference, req.body && req.body.reason));
+  }));
+
+  router.post('/beneficiaries/verify', (req, res) => send(res, () => {
+    res.json(bank.verifyBeneficiary(req.body, req.get('X-Sandbox-Scenario')));
+  }));
+
+  router.post('/upi/collect', (req, res) => send(res, () => {
+    res.status(201).json(bank.createCollect(req.body, req.get('X-Sandbox-Scenario')));
+  }));
+
+  router.get('/upi/collect/:reference', (req, res) => send(res, () => {
+    res.json(bank.getCollect(req.params.reference));
+  }));
+
+  router.get('/neft/batches', (req, res) => {
+    res.json({ batches: bank.getNeftBatches() });
+  });
+
+  router.post('/neft/batches/run', (req, res) => {
+    res.json({ batch: bank.runNeftBatch() });
+  });
+
+  router.get('/statements', (req, res) => send(res, () => {
+    const format = req.query.format || 'csv';
+    res.type(format === 'csv' ? 'text/csv' : 'text/plain').send(bank.getStatement({ format, from: req.query.from, to: req.query.to }));
+  }));
+
+  router.post('/sandbox/reset', (req, res) => {
+    bank.reset();
+    res.json(bank.getStatus());
+  });
+
+  return router;
+};
+
+module.exports = {
+  UTPMockBank,
+  createMockBankRouter,
+  SCENARIOS
+};
@@ -7,25 +7,30 @@ const rateLimit = require('express-rate-limit');
 const path = require('path');
 
 // Import routes
-const authRoutes = require('./routes/auth');
-const paymentRoutes = require('./routes/payments');
-const merchantRoutes = require('./routes/merchant');
-const settlementRoutes = require('./routes/settlement');
-const conversionRoutes = require('./routes/conversion');
-const integrationRoutes = require('./routes/integration');
-const adminRoutes = require('./routes/admin');
-
-// Import services
-const UTPConversionService = require('./services/conversion');
-const UTPSettlementService = require('./services/settlement');
+const authRoutes = require('./routes/auth.routes');
+const paymentRoutes = require('./routes/payments.routes');
+const merchantRoutes = require('./routes/merchant.routes');
+const settlementRoutes = require('./routes/settlement.routes');
+const reconciliationRoutes = require('./routes/reconciliation.routes');
+const conversionRoutes = require('./routes/conversion.routes');
+const integrationRoutes = require('./routes/integration.routes');
+const adminRoutes = require('./routes/admin.routes');
+const ledgerRoutes = require('./routes/ledger.routes');
+
+// Import mock bank sandbox
+const { UTPMockBank, createMockBankRouter } = require('./sandbox/mock-bank');
+
+// Import middleware
+const { globalErrorHandler } = require('./middleware/error.middleware');
+
+// Import shared services
+const { conversionService, settlementService, settlementScheduler, settlementRisk, payoutDestinations, reconciliationService, invoiceService, kycService, merchantLifecycle, feePlans, merchantAnalytics, marketplace, priceStream, ledgerService } = require('./services');
+const { store } = require('./models');
+const config = require('./config');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
-// Initialize services
-const conversionService = new UTPConversionService();
-const settlementService = new UTPSettlementService();
-
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -49,7 +54,7 @@ app.use(express.static(path.join(__dirname, '../frontend')));
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
-    status: 'healthy',
+    status: conversionService.halted_assets.size > 0 ? 'degraded' : 'healthy',
     timestamp: new Date().toISOString(),
     service: 'UTP Gateway API',
     version: '1.0.0',
@@ -61,22 +66,50 @@ app.get('/health', (req, res) => {
     ],
     services: {
       conversion: conversionService.getStatus(),
-      settlement: settlementService.getStatus()
+      settlement: settlementService.getStatus(),
+      settlement_scheduler: settlementScheduler.getStatus(),
+      settlement_risk: settlementRisk.getStatus(),
+      payout_destinations: payoutDestinations.getStatus(),
+      reconciliation: reconciliationService.getStatus(),
+      invoicing: invoiceService.getStatus(),
+      kyc: kycService.getStatus(),
+      merchant_lifecycle: merchantLifecycle.getStatus(),
+      fee_plans: feePlans.getStatus(),
+      merchant_analytics: merchantAnalytics.getStatus(),
+      marketplace: marketplace.getStatus(),
+      price_stream: priceStream.getStatus(),
+      ledger: ledgerService.getStatus(),
+      storage: store.getStatus(),
+      ...(mockBank && { bank_sandbox: mockBank.getStatus() })
     }
   });
 });
 
 // UTP System Status
 app.get('/status', (req, res) => {
+  const token_names = {
+    bgt: 'Bharat Gold Token',
+    bst: 'Bharat Silver Token',
+    bpt: 'Bharat Platinum Token',
+    binr: 'BINR Stablecoin',
+    rwa: 'RWA-backed Tokens'
+  };
+  const price_feeds = conversionService.getPriceFeedStatus();
+  const supported_tokens = {};
+
+  for (const [token, name] of Object.entries(token_names)) {
+    const feed = price_feeds[token];
+    supported_tokens[token] = {
+      name,
+      status: feed && feed.status === 'halted' ? 'halted' : 'active',
+      price_feed: feed ? feed.status : 'unavailable',
+      halted_reason: feed ? feed.reason : null
+    };
+  }
+
   res.json({
-    utp_gateway: 'active',
-    supported_tokens: {
-      bgt: { name: 'Bharat Gold Token', status: 'active', price_feed: 'live' },
-      bst: { name: 'Bharat Silver Token', status: 'active', price_feed: 'live' },
-      bpt: { name: 'Bharat Platinum Token', status: 'active', price_feed: 'live' },
-      binr: { name: 'BINR Stablecoin', status: 'active', price_feed: 'fixed' },
-      rwa: { name: 'RWA-backed Tokens', status: 'active', price_feed: 'dynamic' }
-    },
+    utp_gateway: conversionService.halted_assets.size > 0 ? 'degraded' : 'active',
+    supported_tokens,
     settlement_options: {
       inr: { name: 'Indian Rupee', type: 'fiat', status: 'active' },
       binr: { name: 'BINR Tokens', type: 'digital', status: 'active' },
@@ -92,10 +125,20 @@ app.get('/status', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/merchant', merchantRoutes);
+app.use('/api/settlement/reconciliation', reconciliationRoutes);
 app.use('/api/settlement', settlementRoutes);
 app.use('/api/conversion', conversionRoutes);
 app.use('/api/integration', integrationRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/ledger', ledgerRoutes);
+
+// Mock bank sandbox the settlement rails pay out through when BANK_API_URL points here
+const mockBank = config.bank.sandbox.enabled
+  ? new UTPMockBank({ ...config.bank.sandbox, api_key: config.bank.api_key, webhook_secret: config.bank.webhook_secret })
+  : null;
+if (mockBank) {
+  app.use('/sandbox/bank', createMockBankRouter(mockBank));
+}
 
 // Frontend routes
 app.get('/', (req, res) => {
@@ -107,16 +150,7 @@ app.get('/dashboard', (req, res) => {
 });
 
 // Global error handler
-app.use((error, req, res, next) => {
-  console.error('UTP Gateway Error:', error);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error',
-    error_code: 'UTP_500',
-    timestamp: new Date().toISOString(),
-    request_id: req.headers['x-request-id'] || 'unknown'
-  });
-});
+app.use(globalErrorHandler);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -130,7 +164,7 @@ app.use('*', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 🏆 UTP Gateway Server Running
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -139,6 +173,8 @@ app.listen(PORT, () => {
 🔍 Status: http://localhost:${PORT}/status
 🌐 Frontend: http://localhost:${PORT}
 🛡️ Dashboard: http://localhost:${PORT}/dashboard
+📡 Prices: ws://localhost:${PORT}${priceStream.path}
+🏦 Bank: ${config.bank.api_url}${mockBank ? ' (sandbox)' : ''}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 Supported Tokens:
 • BGT (Bharat Gold Token) - ₹${conversionService.getTokenPrice('bgt')}/g
@@ -153,4 +189,7 @@ Supported Tokens:
   `);
 });
 
+// Real-time price streaming
+priceStream.attach(server);
+
 module.exports = app;
\ No newline at end of file
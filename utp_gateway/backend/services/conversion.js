@@ -1,24 +1,40 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { store } = require('../models');
+const { UTPError } = require('../middleware/error.middleware');
+const { createPriceFeed } = require('./price-feeds');
+const UTPPriceHistory = require('./price-history');
+const { boundFee } = require('./fee-plans');
 
 /**
  * UTP Conversion Service
  * Handles real-time price conversion between different asset tokens
  * Supports BGT, BST, BPT, BINR, and RWA tokens
+ *
+ * Events:
+ * - 'price_feed_halted' ({ asset_type, reason, halted_at, sources }) when no fresh source is left for an asset
+ * - 'price_updated' (price) when a fresh price is cached for an asset
+ * - 'price_feed_resumed' ({ asset_type, resumed_at, halted_since }) when a halted asset is priced again
  */
-class UTPConversionService {
+class UTPConversionService extends EventEmitter {
   constructor() {
+    super();
     this.price_cache = new Map();
+    this.pending_fetches = new Map();
+    this.price_history = new UTPPriceHistory();
     this.conversion_history = new Map();
     this.slippage_protection = true;
     this.max_slippage = 0.002; // 0.2%
-    this.price_sources = {
-      'bgt': 'LBMA Gold Fix',
-      'bst': 'LME Silver',
-      'bpt': 'LPPM Platinum',
-      'binr': 'Fixed Rate',
-      'rwa': 'Dynamic Market'
-    };
-    
+    this.fee_rate = 0.0025; // 0.25% UTP Gateway fee
+    this.quotes = store.collection('conversion_quotes');
+    this.payments = store.collection('payments');
+    this.quote_ttl_ms = config.conversion.quote_ttl_ms;
+    this.quote_spread_rate = config.conversion.quote_spread_rate;
+    this.quote_signing_secret = config.conversion.quote_signing_secret;
+
     // Base prices (INR per unit)
     this.base_prices = {
       'bgt': 5650.00, // Gold per gram
@@ -27,6 +43,45 @@ class UTPConversionService {
       'binr': 1.00,   // 1 BINR = 1 INR
       'rwa': 100.00   // Generic RWA token
     };
+
+    // Price feed adapters per asset, chosen through config.priceFeed.feeds
+    this.price_feeds = this.createPriceFeeds(config.priceFeed.feeds);
+    this.aggregation = config.priceFeed.aggregation;
+    this.max_price_age_ms = config.priceFeed.max_age_ms;
+
+    // Assets whose conversions and payments are halted by the staleness circuit breaker
+    this.halted_assets = new Map();
+  }
+
+  /**
+   * Build the configured price feeds for each asset
+   * @private
+   */
+  createPriceFeeds(feeds) {
+    const defaults = {
+      max_age_ms: config.priceFeed.max_age_ms,
+      fx_rates: config.priceFeed.fx_rates
+    };
+    const price_feeds = {};
+
+    for (const [asset_type, feed_configs] of Object.entries(feeds)) {
+      price_feeds[asset_type] = [].concat(feed_configs).map(feed_config => createPriceFeed({
+        base_price: this.base_prices[asset_type],
+        ...feed_config
+      }, defaults));
+    }
+
+    return price_feeds;
+  }
+
+  /**
+   * Replace the price feeds for an asset
+   * @param {string} asset_type - Asset to reconfigure
+   * @param {PriceFeedProvider|Array} price_feeds - Feed adapter or adapters
+   */
+  setPriceFeed(asset_type, price_feeds) {
+    this.price_feeds[asset_type] = [].concat(price_feeds);
+    this.price_cache.delete(`price_${asset_type}`);
   }
 
   /**
@@ -47,20 +102,30 @@ class UTPConversionService {
         };
       }
 
-      // Fetch fresh price
-      const fresh_price = await this.fetchPriceFromSource(asset_type);
-      
-      // Cache the price
-      this.price_cache.set(cache_key, {
-        ...fresh_price,
-        timestamp: Date.now()
-      });
+      // Fetch fresh price, sharing one request between concurrent callers
+      if (!this.pending_fetches.has(asset_type)) {
+        const pending = this.fetchPriceFromSource(asset_type)
+          .then(async fresh_price => {
+            // Cache the price
+            this.price_cache.set(cache_key, {
+              ...fresh_price,
+              timestamp: Date.now()
+            });
+            await this.price_history.record(fresh_price);
+            this.emit('price_updated', fresh_price);
+
+            return fresh_price;
+          })
+          .finally(() => this.pending_fetches.delete(asset_type));
+
+        this.pending_fetches.set(asset_type, pending);
+      }
 
-      return fresh_price;
+      return await this.pending_fetches.get(asset_type);
 
     } catch (error) {
-      console.error(`Price fetch failed for ${asset_type}:`, error);
-      return this.getFallbackPrice(asset_type);
+      console.error(`Price fetch failed for ${asset_type}:`, error.message);
+      throw error;
     }
   }
 
@@ -99,7 +164,7 @@ class UTPConversionService {
       const slippage_amount = converted_amount * slippage;
 
       // Calculate fee (0.25% for UTP Gateway)
-      const fee_rate = 0.0025;
+      const fee_rate = this.fee_rate;
       const fee_amount = (converted_amount - slippage_amount) * fee_rate;
 
       // Final amount after slippage and fees
@@ -125,6 +190,249 @@ class UTPConversionService {
     }
   }
 
+  /**
+   * Lock a conversion quote with frozen prices, spread, fee and slippage
+   * @param {string} from_asset - Source asset
+   * @param {string} to_asset - Target asset
+   * @param {number} amount - Amount of source asset
+   * @param {Object} options - { merchant_id, fees: the merchant's transaction fee terms (services/fee-plans.js) }
+   * @returns {Promise<Object>} Signed quote valid until expires_at
+   */
+  async createQuote(from_asset, to_asset, amount, options = {}) {
+    this.purgeExpiredQuotes();
+
+    const quote = await this.priceQuote(from_asset, to_asset, amount, options);
+    quote.signature = this.signQuote(quote);
+
+    this.quotes.set(quote.quote_id, quote);
+
+    return quote;
+  }
+
+  /**
+   * Price a conversion at current prices without locking it
+   * @param {string} from_asset - Source asset
+   * @param {string} to_asset - Target asset
+   * @param {number} amount - Amount of source asset
+   * @param {Object} options - { merchant_id, fees: the merchant's transaction fee terms (services/fee-plans.js) }
+   * @returns {Promise<Object>} Unsigned quote; the fee is charged at the plan's rate, floor and cap when fees are given,
+   *   otherwise at the gateway fee rate
+   */
+  async priceQuote(from_asset, to_asset, amount, { merchant_id = null, fees = null } = {}) {
+    if (!this.base_prices[from_asset]) {
+      throw new UTPError(`Unsupported source asset: ${from_asset}`, 'QUOTE_INVALID_ASSET', 400);
+    }
+    if (!this.base_prices[to_asset]) {
+      throw new UTPError(`Unsupported target asset: ${to_asset}`, 'QUOTE_INVALID_ASSET', 400);
+    }
+    if (from_asset === to_asset) {
+      throw new UTPError('Source and target assets cannot be the same', 'QUOTE_INVALID_ASSET', 400);
+    }
+    if (typeof amount !== 'number' || amount <= 0) {
+      throw new UTPError('Amount must be a positive number', 'QUOTE_INVALID_AMOUNT', 400);
+    }
+
+    const from_price = await this.getPrice(from_asset);
+    const to_price = await this.getPrice(to_asset);
+    const created_at = Date.now();
+
+    const quote = {
+      quote_id: uuidv4(),
+      merchant_id,
+      from_asset,
+      to_asset,
+      amount,
+      price_from: from_price.price,
+      price_to: to_price.price,
+      spread_rate: this.quote_spread_rate,
+      slippage_rate: this.calculateSlippage(from_asset, to_asset),
+      fee_rate: fees ? fees.rate : this.fee_rate,
+      // The plan's rupee floor and cap, in target asset units
+      minimum_fee: fees ? (fees.minimum_fee || 0) / to_price.price : 0,
+      maximum_fee: fees && fees.maximum_fee !== null ? fees.maximum_fee / to_price.price : null,
+      fee_plan_id: fees ? fees.plan_id : null,
+      fee_promotion: fees && fees.promotion ? fees.promotion.name : null,
+      status: 'open',
+      reserved_by: null,
+      created_at: new Date(created_at).toISOString(),
+      expires_at: new Date(created_at + this.quote_ttl_ms).toISOString()
+    };
+
+    Object.assign(quote, this.calculateQuotedAmounts(quote));
+
+    return quote;
+  }
+
+  /**
+   * Get a quote and check it is intact, unexpired and matches the expected trade
+   * @param {string} quote_id - Quote ID
+   * @param {Object} expected - Optional from_asset, to_asset, amount and merchant_id to match
+   * @returns {Object} Quote
+   */
+  verifyQuote(quote_id, expected = {}) {
+    const quote = this.quotes.get(quote_id);
+    if (!quote) {
+      throw new UTPError('Conversion quote not found', 'QUOTE_NOT_FOUND', 404);
+    }
+
+    if (quote.signature !== this.signQuote(quote)) {
+      throw new UTPError('Conversion quote signature is invalid', 'QUOTE_INVALID_SIGNATURE', 400);
+    }
+
+    if (Date.now() >= new Date(quote.expires_at).getTime()) {
+      throw new UTPError('Conversion quote has expired', 'QUOTE_EXPIRED', 410);
+    }
+
+    for (const field of ['from_asset', 'to_asset', 'amount', 'merchant_id']) {
+      if (expected[field] !== undefined && expected[field] !== quote[field]) {
+        throw new UTPError(`Quote ${field} does not match request`, 'QUOTE_MISMATCH', 400);
+      }
+    }
+
+    return quote;
+  }
+
+  /**
+   * Check whether a quote can no longer be used because it expired (or was purged)
+   * @param {string} quote_id - Quote ID
+   * @returns {boolean} True once the quote has expired
+   */
+  isQuoteExpired(quote_id) {
+    const quote = this.quotes.get(quote_id);
+    return !quote || Date.now() >= new Date(quote.expires_at).getTime();
+  }
+
+  /**
+   * Reserve a quote for a single payment
+   * @param {string} quote_id - Quote ID
+   * @param {string} reference_id - Payment ID holding the quote
+   * @returns {Object} Quote
+   */
+  reserveQuote(quote_id, reference_id) {
+    const quote = this.verifyQuote(quote_id);
+
+    if (quote.reserved_by && quote.reserved_by !== reference_id) {
+      throw new UTPError('Conversion quote is already in use', 'QUOTE_ALREADY_USED', 409);
+    }
+
+    quote.status = 'reserved';
+    quote.reserved_by = reference_id;
+    this.quotes.set(quote_id, quote);
+
+    return quote;
+  }
+
+  /**
+   * Mark a quote as used once the conversion is executed
+   * @param {string} quote_id - Quote ID
+   * @returns {Object} Quote
+   */
+  consumeQuote(quote_id) {
+    const quote = this.verifyQuote(quote_id);
+    this.assertPriceFeedActive(quote.from_asset, quote.to_asset);
+
+    if (quote.status === 'used') {
+      throw new UTPError('Conversion quote is already used', 'QUOTE_ALREADY_USED', 409);
+    }
+
+    quote.status = 'used';
+    quote.used_at = new Date().toISOString();
+    this.quotes.set(quote_id, quote);
+
+    return quote;
+  }
+
+  /**
+   * Release a quote held by a payment that will not be completed (not created, cancelled, expired or failed):
+   * an unused quote is open for another payment until it expires, a used or expired one is dropped
+   * @param {string} quote_id - Quote ID
+   * @param {string} reference_id - Payment ID holding the quote
+   * @returns {boolean} True when the payment held the quote
+   */
+  releaseQuote(quote_id, reference_id) {
+    const quote = quote_id && this.quotes.get(quote_id);
+    if (!quote || quote.reserved_by !== reference_id) {
+      return false;
+    }
+
+    if (quote.status === 'used' || this.isQuoteExpired(quote_id)) {
+      this.quotes.delete(quote_id);
+    } else {
+      quote.status = 'open';
+      quote.reserved_by = null;
+      this.quotes.set(quote_id, quote);
+    }
+    return true;
+  }
+
+  /**
+   * Calculate amounts for a quote from its frozen prices and rates
+   * @private
+   */
+  calculateQuotedAmounts(quote) {
+    const rate = (quote.price_from / quote.price_to) * (1 - quote.spread_rate);
+    const converted_amount = quote.amount * rate;
+    const slippage_amount = converted_amount * quote.slippage_rate;
+    const fee_amount = boundFee((converted_amount - slippage_amount) * quote.fee_rate, {
+      minimum_fee: quote.minimum_fee,
+      maximum_fee: quote.maximum_fee
+    }, converted_amount - slippage_amount);
+    const net_amount = converted_amount - slippage_amount - fee_amount;
+
+    return {
+      rate: Math.round(rate * 100000) / 100000,
+      to_amount: Math.round(converted_amount * 100) / 100,
+      slippage: Math.round(slippage_amount * 100) / 100,
+      fee: Math.round(fee_amount * 100) / 100,
+      net_amount: Math.round(net_amount * 100) / 100
+    };
+  }
+
+  /**
+   * Sign the locked terms of a quote
+   * @private
+   */
+  signQuote(quote) {
+    const payload = [
+      quote.quote_id,
+      quote.merchant_id,
+      quote.from_asset,
+      quote.to_asset,
+      quote.amount,
+      quote.price_from,
+      quote.price_to,
+      quote.spread_rate,
+      quote.slippage_rate,
+      quote.fee_rate,
+      quote.minimum_fee,
+      quote.maximum_fee,
+      quote.net_amount,
+      quote.expires_at
+    ].join('|');
+
+    return crypto
+      .createHmac('sha256', this.quote_signing_secret)
+      .update(payload)
+      .digest('hex');
+  }
+
+  /**
+   * Drop expired quotes that are not held by a pending payment
+   * @private
+   */
+  purgeExpiredQuotes() {
+    const now = Date.now();
+    for (const [quote_id, quote] of this.quotes) {
+      if (now < new Date(quote.expires_at).getTime()) continue;
+
+      // A pending payment still needs its reserved quote: confirming locks a new one or reports QUOTE_EXPIRED
+      const payment = quote.status === 'reserved' && this.payments.get(quote.reserved_by);
+      if (!payment || payment.status !== 'pending') {
+        this.quotes.delete(quote_id);
+      }
+    }
+  }
+
   /**
    * Get multiple token prices at once
    * @param {Array} assets - Array of asset types
@@ -138,7 +446,11 @@ class UTPConversionService {
         try {
           prices[asset] = await this.getPrice(asset);
         } catch (error) {
-          prices[asset] = this.getFallbackPrice(asset);
+          prices[asset] = {
+            asset_type: asset,
+            error: error.message,
+            error_code: error.code || 'PRICE_FETCH_FAILED'
+          };
         }
       })
     );
@@ -146,33 +458,217 @@ class UTPConversionService {
     return prices;
   }
 
+  /**
+   * Fetch a fresh price for every asset with a feed and record it in the price
+   * history, then prune history past its retention. Run every
+   * config.priceHistory.sample_interval_ms so candles have a tick in every interval.
+   * @returns {Promise<Object>} { sampled, failed: [{ asset_type, error }], pruned }
+   */
+  async samplePrices() {
+    const assets = Object.keys(this.price_feeds);
+    assets.forEach(asset_type => this.price_cache.delete(`price_${asset_type}`));
+
+    const prices = await this.getMultiplePrices(assets);
+    const failed = Object.values(prices)
+      .filter(price => price.error)
+      .map(price => ({ asset_type: price.asset_type, error: price.error }));
+
+    return {
+      sampled: assets.length - failed.length,
+      failed,
+      pruned: await this.price_history.prune()
+    };
+  }
+
   /**
    * Fetch price from external source
    * @private
    */
   async fetchPriceFromSource(asset_type) {
-    // In production, this would fetch from real APIs:
-    // - LBMA for gold prices
-    // - LME for silver prices  
-    // - LPPM for platinum prices
-    // - Internal APIs for BINR
+    const price_feeds = this.price_feeds[asset_type];
+    if (!price_feeds || price_feeds.length === 0) {
+      throw new UTPError(`No price feed configured for ${asset_type}`, 'PRICE_FEED_NOT_CONFIGURED', 400);
+    }
+
+    // Query every source; one whose fetch fails still counts with the last price it observed while that is
+    // within max_age_ms, so the asset halts only once a source's prices have really gone stale
+    const results = await Promise.allSettled(price_feeds.map(price_feed => price_feed.getPrice(asset_type)));
+    const last_prices = results.map((result, index) => (
+      result.status === 'rejected' ? price_feeds[index].getLastPrice() : null
+    ));
+    const fresh_quotes = results
+      .map((result, index) => (result.status === 'fulfilled' ? result.value : last_prices[index]))
+      .filter(quote => quote && !quote.freshness.stale);
 
-    const base_price = this.base_prices[asset_type] || 100.00;
-    const volatility = this.getVolatilityLevel(asset_type);
+    if (fresh_quotes.length < this.aggregation.min_sources) {
+      const reason = fresh_quotes.length === 0
+        ? `All ${price_feeds.length} price source(s) failed or are older than ${this.max_price_age_ms}ms`
+        : `Only ${fresh_quotes.length} fresh price source(s), ${this.aggregation.min_sources} required`;
+      this.haltAsset(asset_type, reason);
+      throw new UTPError(`Price feed halted for ${asset_type}: ${reason}`, 'PRICE_FEED_HALTED', 503);
+    }
 
-    // Add realistic market fluctuation (±0.1%)
-    const fluctuation = (Math.random() - 0.5) * 0.002;
-    const adjusted_price = base_price * (1 + fluctuation);
+    const aggregate = this.aggregatePrices(fresh_quotes);
+    this.resumeAsset(asset_type);
 
     return {
       asset_type,
-      price: Math.round(adjusted_price * 100) / 100,
+      price: aggregate.price,
       currency: 'INR',
-      source: this.price_sources[asset_type],
+      unit: fresh_quotes[0].unit,
+      source: aggregate.accepted.map(quote => quote.source).join(', '),
+      aggregation: {
+        method: this.aggregation.method,
+        median: aggregate.median,
+        sources_queried: price_feeds.length,
+        sources_fresh: fresh_quotes.length,
+        sources_from_last_price: last_prices.filter(Boolean).length,
+        sources_used: aggregate.accepted.length,
+        rejected_outliers: aggregate.rejected.map(quote => ({ source: quote.source, price: quote.price }))
+      },
       timestamp: new Date().toISOString(),
-      volatility,
-      confidence: 0.95
+      observed_at: aggregate.accepted
+        .map(quote => quote.observed_at)
+        .sort()[0],
+      volatility: this.getVolatilityLevel(asset_type),
+      confidence: Math.min(...aggregate.accepted.map(quote => quote.confidence))
+    };
+  }
+
+  /**
+   * Aggregate source prices: drop outliers around the median, then take the median or volume-weighted price
+   * @private
+   */
+  aggregatePrices(quotes) {
+    const median = this.calculateMedian(quotes.map(quote => quote.price));
+
+    const accepted = quotes.filter(quote => Math.abs(quote.price - median) / median <= this.aggregation.max_deviation);
+    const rejected = quotes.filter(quote => !accepted.includes(quote));
+
+    let price;
+    if (this.aggregation.method === 'vwap') {
+      const total_volume = accepted.reduce((sum, quote) => sum + quote.volume, 0);
+      price = accepted.reduce((sum, quote) => sum + quote.price * quote.volume, 0) / total_volume;
+    } else {
+      price = this.calculateMedian(accepted.map(quote => quote.price));
+    }
+
+    return {
+      price: Math.round(price * 100) / 100,
+      median,
+      accepted,
+      rejected
+    };
+  }
+
+  /**
+   * Median of a list of numbers
+   * @private
+   */
+  calculateMedian(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+
+    return sorted.length % 2 === 0
+      ? (sorted[middle - 1] + sorted[middle]) / 2
+      : sorted[middle];
+  }
+
+  /**
+   * Trip the circuit breaker for an asset
+   * @private
+   */
+  haltAsset(asset_type, reason) {
+    const existing = this.halted_assets.get(asset_type);
+    if (existing) {
+      existing.reason = reason;
+      existing.last_checked_at = new Date().toISOString();
+      return;
+    }
+
+    const halt = {
+      asset_type,
+      reason,
+      halted_at: new Date().toISOString(),
+      last_checked_at: new Date().toISOString(),
+      sources: this.getSourceStatus(asset_type)
     };
+
+    this.halted_assets.set(asset_type, halt);
+    this.price_cache.delete(`price_${asset_type}`);
+    this.emit('price_feed_halted', halt);
+  }
+
+  /**
+   * Close the circuit breaker once an asset is priced again
+   * @private
+   */
+  resumeAsset(asset_type) {
+    const halt = this.halted_assets.get(asset_type);
+    if (!halt) return;
+
+    this.halted_assets.delete(asset_type);
+    this.emit('price_feed_resumed', {
+      asset_type,
+      halted_since: halt.halted_at,
+      resumed_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Check whether conversions and payments are halted for an asset
+   * @param {string} asset_type - Asset to check
+   * @returns {boolean}
+   */
+  isHalted(asset_type) {
+    return this.halted_assets.has(asset_type);
+  }
+
+  /**
+   * Fail if conversions and payments are halted for any of the assets
+   * @param {...string} asset_types - Assets to check
+   */
+  assertPriceFeedActive(...asset_types) {
+    for (const asset_type of asset_types) {
+      const halt = this.halted_assets.get(asset_type);
+      if (halt) {
+        throw new UTPError(`Price feed halted for ${asset_type}: ${halt.reason}`, 'PRICE_FEED_HALTED', 503);
+      }
+    }
+  }
+
+  /**
+   * Get freshness of each source for an asset
+   * @private
+   */
+  getSourceStatus(asset_type) {
+    return (this.price_feeds[asset_type] || []).map(price_feed => ({
+      source: price_feed.name,
+      provider: price_feed.type,
+      ...price_feed.getFreshness()
+    }));
+  }
+
+  /**
+   * Get the feed state of every asset
+   * @returns {Object} Feed status by asset: live, fixed or halted
+   */
+  getPriceFeedStatus() {
+    const status = {};
+
+    for (const [asset_type, price_feeds] of Object.entries(this.price_feeds)) {
+      const halt = this.halted_assets.get(asset_type);
+      const fixed = price_feeds.every(price_feed => price_feed.type === 'static');
+
+      status[asset_type] = {
+        status: halt ? 'halted' : (fixed ? 'fixed' : 'live'),
+        halted_at: halt ? halt.halted_at : null,
+        reason: halt ? halt.reason : null,
+        sources: this.getSourceStatus(asset_type)
+      };
+    }
+
+    return status;
   }
 
   /**
@@ -207,31 +703,19 @@ class UTPConversionService {
     return volatility_map[asset_type] || 0.002;
   }
 
-  /**
-   * Get fallback price when external source fails
-   * @private
-   */
-  getFallbackPrice(asset_type) {
-    return {
-      asset_type,
-      price: this.base_prices[asset_type] || 100.00,
-      currency: 'INR',
-      source: 'fallback',
-      timestamp: new Date().toISOString(),
-      volatility: this.getVolatilityLevel(asset_type),
-      confidence: 0.60
-    };
-  }
-
   /**
    * Get service status
    */
   getStatus() {
     return {
       service: 'UTP Conversion Service',
-      status: 'active',
+      status: this.halted_assets.size > 0 ? 'degraded' : 'active',
       uptime: '99.99%',
+      halted_assets: Array.from(this.halted_assets.keys()),
       cache_size: this.price_cache.size,
+      active_quotes: this.quotes.size,
+      price_feeds: this.getPriceFeedStatus(),
+      price_history: this.price_history.getStatus(),
       last_updated: new Date().toISOString()
     };
   }
@@ -0,0 +1,590 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { store } = require('../models');
+const { UTPError } = require('../middleware/error.middleware');
+
+const MINUTE_MS = 60 * 1000;
+
+// Fees a plan prices: the transaction (conversion) fee and the settlement fee
+const FEE_TYPES = ['transaction', 'settlement'];
+// Highest rate a plan can charge on any fee
+const MAX_FEE_RATE = 0.05;
+// Assets a transaction fee can be priced for
+const FEE_ASSETS = ['bgt', 'bst', 'bpt', 'binr', 'rwa'];
+// Amounts in these currencies are rupees; metal token amounts are valued at the current price
+const RUPEE_CURRENCIES = ['inr', 'binr', 'mixed'];
+// Payments that count towards a merchant's monthly volume
+const VOLUME_STATUSES = ['completed', 'partially_refunded', 'refunded', 'disputed'];
+
+/**
+ * Keep a fee within a floor and a cap, and never above the amount it is charged on
+ * @param {number} fee - Fee at the plan's rate
+ * @param {Object} bounds - { minimum_fee, maximum_fee (null for no cap) } in the fee's currency
+ * @param {number} amount - Amount the fee is charged on
+ * @returns {number} Bounded fee
+ */
+const boundFee = (fee, { minimum_fee = 0, maximum_fee = null } = {}, amount = Infinity) => {
+  const capped = maximum_fee === null || maximum_fee === undefined ? fee : Math.min(fee, maximum_fee);
+  return Math.min(Math.max(capped, minimum_fee || 0), amount);
+};
+
+/**
+ * UTP Fee Plan Service
+ * The fee plans merchants are charged on.
+ *
+ * Every business type has a standard plan (config.fees.standard_plans); admins
+ * create custom plans for negotiated pricing and assign them to merchants. A
+ * plan prices:
+ * - the transaction fee taken when a payment is converted: a rate per tier of
+ *   the merchant's rupee volume this month (IST), which an asset rate replaces
+ *   for the assets the plan prices on their own
+ * - the settlement fee: the plan's rate for a settlement method, or the
+ *   method's own rate (config.settlement.methods) when the plan has none
+ * - a floor and a cap in rupees on each fee (split between the legs of a
+ *   settlement by their share)
+ * - promotions: windows in which the fees they cover are waived
+ *
+ * Merchant IDs that were never registered have no plan; their fees are the
+ * conversion and settlement method defaults.
+ */
+class UTPFeePlanService {
+  /**
+   * @param {Object} options - Fee settings (defaults to config.fees)
+   * @param {UTPConversionService} options.conversion - Prices for valuing metal token payments and fee bounds
+   * @param {Array} options.volume_tiers - Monthly rupee volume each standard rate applies from
+   * @param {Object} options.standard_plans - Standard plan of each business type
+   */
+  constructor(options = {}) {
+    const settings = { ...config.fees, ...options };
+
+    this.conversion = options.conversion || null;
+    this.volume_tiers = settings.volume_tiers;
+    this.standard_plans = settings.standard_plans;
+    this.offset_ms = (config.settlement.calendar.timezone_offset_minutes || 0) * MINUTE_MS;
+    this.store = store;
+    this.plans = store.collection('fee_plans');
+    this.merchants = store.collection('merchants');
+    this.payments = store.collection('payments');
+
+    this.seedStandardPlans();
+  }
+
+  /**
+   * Store the standard plan of each business type, keeping promotions added to it
+   * @private
+   */
+  seedStandardPlans() {
+    for (const [business_type, standard] of Object.entries(this.standard_plans)) {
+      const plan_id = this.getStandardPlanId(business_type);
+      const existing = this.plans.get(plan_id);
+
+      this.plans.set(plan_id, {
+        plan_id,
+        name: `Standard (${business_type.replace(/_/g, ' ')})`,
+        description: `Standard pricing for ${business_type.replace(/_/g, ' ')} merchants`,
+        type: 'standard',
+        business_type,
+        transaction_fee: {
+          tiers: standard.transaction_rates.map((rate, index) => ({ min_monthly_volume: this.volume_tiers[index], rate })),
+          asset_rates: {}
+        },
+        settlement_fee: { method_rates: {} },
+        minimum_fee: standard.minimum_fee,
+        maximum_fee: standard.maximum_fee,
+        promotions: existing ? existing.promotions : [],
+        created_by: 'utp_system',
+        created_at: existing ? existing.created_at : new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Create a custom plan
+   * @param {Object} plan_data - { name, description, transaction_fee: { tiers, asset_rates }, settlement_fee: { method_rates },
+   *   minimum_fee, maximum_fee, promotions }
+   * @param {Object} options - { created_by }
+   * @returns {Object} Plan
+   * @throws {UTPError} INVALID_FEE_PLAN
+   */
+  createPlan(plan_data, { created_by = null } = {}) {
+    const {
+      name,
+      description = null,
+      transaction_fee = {},
+      settlement_fee = {},
+      minimum_fee = 0,
+      maximum_fee = null,
+      promotions = []
+    } = plan_data || {};
+
+    if (!name || !String(name).trim()) {
+      throw new UTPError('A fee plan needs a name', 'INVALID_FEE_PLAN', 400);
+    }
+
+    const plan = {
+      plan_id: uuidv4(),
+      name: String(name).trim(),
+      description,
+      type: 'custom',
+      business_type: null,
+      transaction_fee: {
+        tiers: this.validateTiers(transaction_fee.tiers),
+        asset_rates: this.validateRates(transaction_fee.asset_rates, FEE_ASSETS, 'asset')
+      },
+      settlement_fee: {
+        method_rates: this.validateRates(settlement_fee.method_rates, this.getPricedMethods(), 'settlement method')
+      },
+      ...this.validateBounds(minimum_fee, maximum_fee),
+      promotions: [],
+      created_by,
+      created_at: new Date().toISOString()
+    };
+    if (!Array.isArray(promotions)) {
+      throw new UTPError('Fee plan promotions must be an array', 'INVALID_FEE_PLAN', 400);
+    }
+    plan.promotions = promotions.map(promotion => this.buildPromotion(promotion, created_by));
+
+    this.plans.set(plan.plan_id, plan);
+    return plan;
+  }
+
+  /**
+   * Add a promotional window to a plan: the fees it covers are waived between starts_at and ends_at
+   * @param {string} plan_id - Plan ID
+   * @param {Object} promotion - { name, starts_at, ends_at, fees (transaction and/or settlement; both when unset) }
+   * @param {Object} options - { created_by }
+   * @returns {Object} { plan, promotion }
+   * @throws {UTPError} FEE_PLAN_NOT_FOUND, INVALID_FEE_PROMOTION
+   */
+  addPromotion(plan_id, promotion, { created_by = null } = {}) {
+    const plan = this.getPlan(plan_id);
+    const built = this.buildPromotion(promotion, created_by);
+
+    plan.promotions.push(built);
+    this.plans.set(plan_id, plan);
+    return { plan, promotion: built };
+  }
+
+  /**
+   * Put a merchant on a plan, or back on the standard plan of its business type
+   * @param {string} merchant_id - Merchant ID
+   * @param {string|null} plan_id - Plan ID (null for the standard plan)
+   * @param {Object} options - { reason, assigned_by }
+   * @returns {Object} { merchant, plan, previous_plan_id }
+   * @throws {UTPError} MERCHANT_NOT_FOUND, FEE_PLAN_NOT_FOUND
+   */
+  assignPlan(merchant_id, plan_id, { reason = null, assigned_by = null } = {}) {
+    const merchant = this.getMerchant(merchant_id);
+    const previous_plan_id = this.getActivePlan(merchant_id).plan_id;
+    const plan = plan_id ? this.getPlan(plan_id) : this.getStandardPlan(merchant.business_type);
+
+    merchant.fee_plan_id = plan_id ? plan.plan_id : null;
+    merchant.fee_plan_history = [
+      ...(merchant.fee_plan_history || []),
+      { from: previous_plan_id, to: plan.plan_id, reason, assigned_by, assigned_at: new Date().toISOString() }
+    ];
+    this.merchants.set(merchant_id, merchant);
+
+    return { merchant, plan, previous_plan_id };
+  }
+
+  /**
+   * Get a plan
+   * @param {string} plan_id - Plan ID
+   * @returns {Object} Plan
+   * @throws {UTPError} FEE_PLAN_NOT_FOUND
+   */
+  getPlan(plan_id) {
+    const plan = this.plans.get(plan_id);
+    if (!plan) {
+      throw new UTPError('Fee plan not found', 'FEE_PLAN_NOT_FOUND', 404);
+    }
+    return plan;
+  }
+
+  /**
+   * List plans, standard plans first, with the merchants on each
+   * @param {Object} filters - { type: standard or custom }
+   * @returns {Array} Plans
+   */
+  listPlans({ type } = {}) {
+    const merchant_counts = new Map();
+    for (const merchant of this.merchants.values()) {
+      const plan_id = this.getActivePlan(merchant.merchant_id).plan_id;
+      merchant_counts.set(plan_id, (merchant_counts.get(plan_id) || 0) + 1);
+    }
+
+    return this.plans.find(plan => !type || plan.type === type)
+      .sort((a, b) => (a.type === b.type ? a.created_at.localeCompare(b.created_at) : a.type === 'standard' ? -1 : 1))
+      .map(plan => ({ ...plan, merchant_count: merchant_counts.get(plan.plan_id) || 0 }));
+  }
+
+  /**
+   * The plan a merchant is charged on: its assigned plan, or the standard plan of its business type
+   * @param {string} merchant_id - Merchant ID
+   * @returns {Object|null} Plan (null for a merchant that was never registered)
+   */
+  getActivePlan(merchant_id) {
+    const merchant = this.merchants.get(merchant_id);
+    if (!merchant) {
+      return null;
+    }
+    return (merchant.fee_plan_id && this.plans.get(merchant.fee_plan_id)) || this.getStandardPlan(merchant.business_type);
+  }
+
+  /**
+   * Terms of the transaction fee on a payment in an asset
+   * @param {string} merchant_id - Merchant ID
+   * @param {string} asset - Payment asset
+   * @param {Date} now - Time of the payment
+   * @returns {Object|null} { plan_id, rate, tier, monthly_volume, minimum_fee, maximum_fee (rupees), promotion } or null without a plan
+   */
+  getTransactionFeeTerms(merchant_id, asset, now = new Date()) {
+    const plan = this.getActivePlan(merchant_id);
+    if (!plan) {
+      return null;
+    }
+
+    const monthly_volume = this.getMonthlyVolume(merchant_id, now);
+    const tier = this.getTier(plan, monthly_volume);
+    const asset_rate = plan.transaction_fee.asset_rates[String(asset).toLowerCase()];
+
+    return this.applyPromotion(plan, 'transaction', now, {
+      plan_id: plan.plan_id,
+      rate: asset_rate !== undefined ? asset_rate : tier.rate,
+      rate_source: asset_rate !== undefined ? 'asset' : 'volume_tier',
+      tier,
+      monthly_volume,
+      minimum_fee: plan.minimum_fee,
+      maximum_fee: plan.maximum_fee
+    });
+  }
+
+  /**
+   * Terms of the settlement fee on a payout through a method
+   * @param {string} merchant_id - Merchant ID
+   * @param {string} settlement_method - Method code (not an auto method)
+   * @param {Date} now - Time of the payout
+   * @returns {Object|null} { plan_id, rate (null for the method's own rate), minimum_fee, maximum_fee (rupees), promotion }
+   *   or null without a plan
+   */
+  getSettlementFeeTerms(merchant_id, settlement_method, now = new Date()) {
+    const plan = this.getActivePlan(merchant_id);
+    if (!plan) {
+      return null;
+    }
+
+    const rate = plan.settlement_fee.method_rates[settlement_method];
+    return this.applyPromotion(plan, 'settlement', now, {
+      plan_id: plan.plan_id,
+      rate: rate !== undefined ? rate : null,
+      minimum_fee: plan.minimum_fee,
+      maximum_fee: plan.maximum_fee
+    });
+  }
+
+  /**
+   * Floor and cap of fee terms in a fee currency, for a share of the amount they apply to
+   * @param {Object} terms - Fee terms (rupee bounds)
+   * @param {string} currency - Currency the fee is charged in
+   * @param {Object} options - { conversion_rate: units of the currency per rupee (current price when unset),
+   *   share: part of the payout the fee is charged on, from 0 to 1 }
+   * @returns {Object} { minimum_fee, maximum_fee }
+   */
+  getFeeBounds(terms, currency, { conversion_rate = null, share = 1 } = {}) {
+    const units_per_rupee = conversion_rate || this.getUnitsPerRupee(currency);
+    return {
+      minimum_fee: (terms.minimum_fee || 0) * share * units_per_rupee,
+      maximum_fee: terms.maximum_fee === null ? null : terms.maximum_fee * share * units_per_rupee
+    };
+  }
+
+  /**
+   * A merchant's plan with its volume this month, volume tier and promotions in force
+   * @param {string} merchant_id - Merchant ID
+   * @param {Date} now - Time to report at
+   * @returns {Object} Plan summary
+   * @throws {UTPError} MERCHANT_NOT_FOUND
+   */
+  getPlanSummary(merchant_id, now = new Date()) {
+    this.getMerchant(merchant_id);
+    const plan = this.getActivePlan(merchant_id);
+    const monthly_volume = this.getMonthlyVolume(merchant_id, now);
+    const tier = this.getTier(plan, monthly_volume);
+    const next_tier = plan.transaction_fee.tiers.find(candidate => candidate.min_monthly_volume > monthly_volume) || null;
+
+    return {
+      plan,
+      period: this.toLocalDate(now).slice(0, 7),
+      monthly_volume,
+      current_tier: tier,
+      next_tier: next_tier && {
+        ...next_tier,
+        volume_needed: Math.round((next_tier.min_monthly_volume - monthly_volume) * 100) / 100
+      },
+      active_promotions: this.getActivePromotions(plan, now)
+    };
+  }
+
+  /**
+   * Rupee value of a merchant's payments completed this month (IST)
+   * @param {string} merchant_id - Merchant ID
+   * @param {Date} now - Time within the month
+   * @returns {number} Volume in rupees
+   */
+  getMonthlyVolume(merchant_id, now = new Date()) {
+    const month_start = this.getMonthStart(now).getTime();
+    const volume = this.payments.find(payment =>
+      payment.merchant_id === merchant_id &&
+      VOLUME_STATUSES.includes(payment.status) &&
+      payment.completed_at &&
+      new Date(payment.completed_at).getTime() >= month_start &&
+      new Date(payment.completed_at).getTime() <= now.getTime()
+    ).reduce((sum, payment) => sum + (payment.amount_inr || 0), 0);
+
+    return Math.round(volume * 100) / 100;
+  }
+
+  /**
+   * Rupee value of a payment amount at the current price
+   * @param {number} amount - Amount
+   * @param {string} currency - Payment currency
+   * @returns {Promise<number>} Rupees
+   */
+  async getRupeeValue(amount, currency) {
+    const asset = String(currency).toLowerCase();
+    if (RUPEE_CURRENCIES.includes(asset)) {
+      return amount;
+    }
+
+    const { price } = await this.conversion.getPrice(asset);
+    return Math.round(amount * price * 100) / 100;
+  }
+
+  /**
+   * Volume tier a monthly volume falls in
+   * @private
+   */
+  getTier(plan, monthly_volume) {
+    return plan.transaction_fee.tiers.filter(tier => tier.min_monthly_volume <= monthly_volume).pop();
+  }
+
+  /**
+   * Waive fee terms when a promotion of the plan covers them now
+   * @private
+   */
+  applyPromotion(plan, fee_type, now, terms) {
+    const promotion = this.getActivePromotions(plan, now).find(candidate => candidate.fees.includes(fee_type));
+    if (!promotion) {
+      return { ...terms, promotion: null };
+    }
+
+    return {
+      ...terms,
+      rate: 0,
+      minimum_fee: 0,
+      promotion: { promotion_id: promotion.promotion_id, name: promotion.name, ends_at: promotion.ends_at }
+    };
+  }
+
+  /**
+   * Promotions of a plan in force at a time
+   * @private
+   */
+  getActivePromotions(plan, now) {
+    const time = now.getTime();
+    return plan.promotions.filter(promotion =>
+      new Date(promotion.starts_at).getTime() <= time && time < new Date(promotion.ends_at).getTime());
+  }
+
+  /**
+   * Validate and build a promotion
+   * @private
+   */
+  buildPromotion(promotion, created_by) {
+    const { name, starts_at, ends_at, fees = FEE_TYPES } = promotion || {};
+    const invalid = message => new UTPError(`Invalid fee promotion: ${message}`, 'INVALID_FEE_PROMOTION', 400);
+
+    if (!name || !String(name).trim()) {
+      throw invalid('a name is required');
+    }
+    const starts = new Date(starts_at);
+    const ends = new Date(ends_at);
+    if (!starts_at || !ends_at || isNaN(starts.getTime()) || isNaN(ends.getTime())) {
+      throw invalid('starts_at and ends_at must be dates');
+    }
+    if (ends <= starts) {
+      throw invalid('ends_at must be after starts_at');
+    }
+    if (!Array.isArray(fees) || fees.length === 0 || fees.some(fee => !FEE_TYPES.includes(fee))) {
+      throw invalid(`fees must list one or more of ${FEE_TYPES.join(', ')}`);
+    }
+
+    return {
+      promotion_id: uuidv4(),
+      name: String(name).trim(),
+      starts_at: starts.toISOString(),
+      ends_at: ends.toISOString(),
+      fees: [...new Set(fees)],
+      created_by,
+      created_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Validate volume tiers: the first starts at 0, each from a higher volume than the one before
+   * @private
+   */
+  validateTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+      throw new UTPError('A fee plan needs transaction_fee.tiers: [{ min_monthly_volume, rate }]', 'INVALID_FEE_PLAN', 400);
+    }
+
+    return tiers.map((tier, index) => {
+      const { min_monthly_volume, rate } = tier || {};
+      if (typeof min_monthly_volume !== 'number' || min_monthly_volume < 0) {
+        throw new UTPError(`Tier ${index + 1} needs a min_monthly_volume of 0 or more`, 'INVALID_FEE_PLAN', 400);
+      }
+      if (index === 0 && min_monthly_volume !== 0) {
+        throw new UTPError('The first tier must start at a min_monthly_volume of 0', 'INVALID_FEE_PLAN', 400);
+      }
+      if (index > 0 && min_monthly_volume <= tiers[index - 1].min_monthly_volume) {
+        throw new UTPError('Tiers must be in order of increasing min_monthly_volume', 'INVALID_FEE_PLAN', 400);
+      }
+      return { min_monthly_volume, rate: this.validateRate(rate, `tier ${index + 1}`) };
+    });
+  }
+
+  /**
+   * Validate a map of rates by asset or settlement method
+   * @private
+   */
+  validateRates(rates = {}, allowed, label) {
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+      throw new UTPError(`${label} rates must be an object of ${label} to rate`, 'INVALID_FEE_PLAN', 400);
+    }
+
+    return Object.fromEntries(Object.entries(rates).map(([key, rate]) => {
+      if (!allowed.includes(key)) {
+        throw new UTPError(`Unsupported ${label} ${key}. Supported: ${allowed.join(', ')}`, 'INVALID_FEE_PLAN', 400);
+      }
+      return [key, this.validateRate(rate, `${label} ${key}`)];
+    }));
+  }
+
+  /**
+   * Validate a fee rate
+   * @private
+   */
+  validateRate(rate, label) {
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0 || rate > MAX_FEE_RATE) {
+      throw new UTPError(`The rate of ${label} must be a number from 0 to ${MAX_FEE_RATE}`, 'INVALID_FEE_PLAN', 400);
+    }
+    return rate;
+  }
+
+  /**
+   * Validate the rupee floor and cap of each fee
+   * @private
+   */
+  validateBounds(minimum_fee, maximum_fee) {
+    if (typeof minimum_fee !== 'number' || minimum_fee < 0) {
+      throw new UTPError('minimum_fee must be a rupee amount of 0 or more', 'INVALID_FEE_PLAN', 400);
+    }
+    if (maximum_fee !== null && (typeof maximum_fee !== 'number' || maximum_fee < minimum_fee)) {
+      throw new UTPError('maximum_fee must be null (no cap) or at least minimum_fee', 'INVALID_FEE_PLAN', 400);
+    }
+    return { minimum_fee, maximum_fee };
+  }
+
+  /**
+   * Settlement methods a plan can price (auto methods charge the rate of the method they route to)
+   * @private
+   */
+  getPricedMethods() {
+    return Object.entries(config.settlement.methods).filter(([, method]) => !method.auto).map(([code]) => code);
+  }
+
+  /**
+   * Units of a currency per rupee at the current price
+   * @private
+   */
+  getUnitsPerRupee(currency) {
+    const asset = String(currency).toLowerCase();
+    if (RUPEE_CURRENCIES.includes(asset)) {
+      return 1;
+    }
+
+    const price = this.conversion && this.conversion.getTokenPrice(asset);
+    if (!price) {
+      throw new UTPError(`No ${asset.toUpperCase()} price to convert fee bounds with`, 'FEE_VALUATION_FAILED', 500);
+    }
+    return 1 / price;
+  }
+
+  /**
+   * Standard plan ID of a business type
+   * @private
+   */
+  getStandardPlanId(business_type) {
+    return `standard_${business_type}`;
+  }
+
+  /**
+   * Standard plan of a business type (individual for a type without one)
+   * @private
+   */
+  getStandardPlan(business_type) {
+    return this.plans.get(this.getStandardPlanId(business_type)) || this.plans.get(this.getStandardPlanId('individual'));
+  }
+
+  /**
+   * Start of the local (IST) month of an instant
+   * @private
+   */
+  getMonthStart(date) {
+    const local = new Date(date.getTime() + this.offset_ms);
+    return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), 1) - this.offset_ms);
+  }
+
+  /**
+   * Local (IST) date of an instant as YYYY-MM-DD
+   * @private
+   */
+  toLocalDate(date) {
+    return new Date(date.getTime() + this.offset_ms).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get a merchant
+   * @private
+   */
+  getMerchant(merchant_id) {
+    const merchant = this.merchants.get(merchant_id);
+    if (!merchant) {
+      throw new UTPError('Merchant not found', 'MERCHANT_NOT_FOUND', 404);
+    }
+    return merchant;
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    const now = new Date();
+    const plans = [...this.plans.values()];
+    return {
+      service: 'UTP Fee Plans',
+      status: 'active',
+      standard_plans: plans.filter(plan => plan.type === 'standard').length,
+      custom_plans: plans.filter(plan => plan.type === 'custom').length,
+      active_promotions: plans.reduce((count, plan) => count + this.getActivePromotions(plan, now).length, 0),
+      volume_tiers: this.volume_tiers
+    };
+  }
+}
+
+module.exports = {
+  UTPFeePlanService,
+  boundFee
+};
@@ -0,0 +1,97 @@
+/**
+ * GST helpers: GSTIN validation and the state codes that decide whether a
+ * supply is intra-state (CGST + SGST) or inter-state (IGST)
+ */
+
+// GST state and union territory codes (the first two digits of a GSTIN)
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+// State code, PAN, entity number, 'Z', check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Check character of the first 14 characters of a GSTIN
+ * @param {string} body - GSTIN without its last character
+ * @returns {string} Check character
+ */
+const getGstinCheckCharacter = (body) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(body[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+/**
+ * Whether a GSTIN is well formed, has a known state code and a valid check character
+ * @param {string} gstin - GSTIN (case-insensitive)
+ * @returns {boolean}
+ */
+const isValidGstin = (gstin) => {
+  const value = String(gstin || '').toUpperCase();
+  return GSTIN_PATTERN.test(value) &&
+    Boolean(GST_STATE_CODES[value.slice(0, 2)]) &&
+    getGstinCheckCharacter(value) === value[14];
+};
+
+/**
+ * State code a GSTIN is registered in
+ * @param {string} gstin - Valid GSTIN
+ * @returns {string} Two-digit state code
+ */
+const getGstinStateCode = (gstin) => String(gstin).slice(0, 2);
+
+/**
+ * Name of a GST state code
+ * @param {string} state_code - Two-digit state code
+ * @returns {string|null}
+ */
+const getStateName = (state_code) => GST_STATE_CODES[state_code] || null;
+
+module.exports = {
+  GST_STATE_CODES,
+  GSTIN_PATTERN,
+  isValidGstin,
+  getGstinStateCode,
+  getStateName
+};
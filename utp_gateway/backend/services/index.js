@@ -0,0 +1,53 @@
+/**
+ * UTP Service Registry
+ * Shared service instances used by the server and the API routes
+ */
+
+const UTPConversionService = require('./conversion');
+const UTPSettlementService = require('./settlement');
+const UTPPriceStream = require('./price-stream');
+const UTPLedger = require('./ledger');
+const { UTPSettlementScheduler } = require('./settlement-scheduler');
+const UTPReconciliationService = require('./reconciliation');
+const UTPInvoiceService = require('./invoicing');
+const UTPKycService = require('./kyc');
+const UTPMerchantLifecycle = require('./merchant-lifecycle');
+const { UTPFeePlanService } = require('./fee-plans');
+const UTPMerchantAnalytics = require('./merchant-analytics');
+const UTPMarketplace = require('./marketplace');
+
+const conversionService = new UTPConversionService();
+const priceStream = new UTPPriceStream(conversionService);
+const ledgerService = new UTPLedger();
+const kycService = new UTPKycService({ conversion: conversionService });
+const merchantLifecycle = new UTPMerchantLifecycle();
+const marketplace = new UTPMarketplace({ merchant_lifecycle: merchantLifecycle });
+const feePlans = new UTPFeePlanService({ conversion: conversionService });
+const settlementService = new UTPSettlementService(ledgerService, {
+  kyc: kycService,
+  merchant_lifecycle: merchantLifecycle,
+  fees: feePlans
+});
+const settlementRisk = settlementService.risk;
+const payoutDestinations = settlementService.destinations;
+const settlementScheduler = new UTPSettlementScheduler(settlementService);
+const reconciliationService = new UTPReconciliationService();
+const invoiceService = new UTPInvoiceService(ledgerService, { conversion: conversionService });
+const merchantAnalytics = new UTPMerchantAnalytics({ conversion: conversionService });
+
+module.exports = {
+  conversionService,
+  settlementService,
+  settlementScheduler,
+  settlementRisk,
+  payoutDestinations,
+  reconciliationService,
+  invoiceService,
+  kycService,
+  merchantLifecycle,
+  feePlans,
+  merchantAnalytics,
+  marketplace,
+  priceStream,
+  ledgerService
+};
@@ -0,0 +1,230 @@
+// A4 portrait in points, and the rows of line items that fit on a page
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FIRST_PAGE_ROWS = 22;
+const PAGE_ROWS = 40;
+const ROW_HEIGHT = 14;
+
+// Line item columns: x of each column's left edge (text) or right edge (amounts)
+const COLUMNS = [
+  { key: 'line_no', title: '#', x: MARGIN },
+  { key: 'description', title: 'Description', x: MARGIN + 18, max_chars: 42 },
+  { key: 'sac_code', title: 'SAC', x: 268 },
+  { key: 'taxable_value', title: 'Taxable', x: 355, align: 'right' },
+  { key: 'cgst', title: 'CGST', x: 405, align: 'right' },
+  { key: 'sgst', title: 'SGST', x: 455, align: 'right' },
+  { key: 'igst', title: 'IGST', x: 505, align: 'right' },
+  { key: 'total', title: 'Total', x: PAGE_WIDTH - MARGIN, align: 'right' }
+];
+
+// Helvetica glyph widths (1/1000 em) for the characters amounts are written with
+const NARROW_GLYPHS = { '.': 278, ',': 278, ' ': 278, '-': 333 };
+
+/**
+ * Render a tax invoice or credit note (services/invoicing.js) as a PDF document.
+ * Uses the standard Helvetica fonts, so text is limited to Latin-1.
+ * @param {Object} invoice - Invoice or credit note
+ * @returns {Buffer} PDF file
+ */
+const renderInvoicePdf = (invoice) => {
+  const pages = paginate(invoice.lines);
+  const streams = pages.map((rows, index) => renderPage(invoice, rows, index, pages.length));
+  return buildDocument(streams);
+};
+
+/**
+ * Split line items into pages
+ * @private
+ */
+const paginate = (lines) => {
+  const pages = [lines.slice(0, FIRST_PAGE_ROWS)];
+  for (let start = FIRST_PAGE_ROWS; start < lines.length; start += PAGE_ROWS) {
+    pages.push(lines.slice(start, start + PAGE_ROWS));
+  }
+  return pages;
+};
+
+/**
+ * Content stream of one page
+ * @private
+ */
+const renderPage = (invoice, rows, page_index, page_count) => {
+  const ops = [];
+  const is_credit_note = invoice.type === 'credit_note';
+  let y = PAGE_HEIGHT - MARGIN - 16;
+
+  ops.push(text(MARGIN, y, is_credit_note ? 'CREDIT NOTE' : 'TAX INVOICE', { bold: true, size: 16 }));
+  ops.push(text(PAGE_WIDTH - MARGIN, y, `Page ${page_index + 1} of ${page_count}`, { size: 8, align: 'right' }));
+  y -= 24;
+
+  if (page_index === 0) {
+    const { supplier, recipient, place_of_supply } = invoice;
+    const left = [
+      [supplier.legal_name, true],
+      [supplier.address],
+      [`GSTIN: ${supplier.gstin}`],
+      [`State: ${supplier.state} (${supplier.state_code})`]
+    ];
+    const right = [
+      [`${is_credit_note ? 'Credit note' : 'Invoice'} no: ${invoice.invoice_number}`, true],
+      [`Date: ${invoice.invoice_date}`],
+      [`Period: ${invoice.period}`],
+      ...(is_credit_note ? [[`Against invoice: ${invoice.original_invoice_number}`]] : []),
+      [`Place of supply: ${place_of_supply.state} (${place_of_supply.state_code})`],
+      ['Reverse charge: No']
+    ];
+    ops.push(...block(MARGIN, y, left), ...block(320, y, right));
+    y -= Math.max(left.length, right.length) * 12 + 14;
+
+    const billed_to = [
+      ['Billed to', true],
+      [recipient.legal_name],
+      [recipient.address],
+      [`GSTIN: ${recipient.gstin || 'Unregistered'}`],
+      [`State: ${recipient.state} (${recipient.state_code})`]
+    ];
+    ops.push(...block(MARGIN, y, billed_to));
+    y -= billed_to.length * 12 + 16;
+  }
+
+  // Line items
+  ops.push(rule(y + 10));
+  COLUMNS.forEach(column => ops.push(text(column.x, y, column.title, { bold: true, size: 8, align: column.align })));
+  ops.push(rule(y - 4));
+  y -= ROW_HEIGHT + 2;
+
+  rows.forEach(row => {
+    COLUMNS.forEach(column => {
+      const value = column.align === 'right' ? formatAmount(row[column.key]) : truncate(row[column.key], column.max_chars);
+      ops.push(text(column.x, y, value, { size: 8, align: column.align }));
+    });
+    y -= ROW_HEIGHT;
+  });
+
+  if (page_index === page_count - 1) {
+    const { totals } = invoice;
+    ops.push(rule(y + 8));
+    y -= 6;
+    const summary = [
+      ['Taxable value', totals.taxable_value],
+      ...(invoice.supply_type === 'intra_state'
+        ? [[`CGST @ ${invoice.gst_rate * 50}%`, totals.cgst], [`SGST @ ${invoice.gst_rate * 50}%`, totals.sgst]]
+        : [[`IGST @ ${invoice.gst_rate * 100}%`, totals.igst]]),
+      [is_credit_note ? 'Total credit (INR)' : 'Total (INR)', totals.total]
+    ];
+    summary.forEach(([label, amount], index) => {
+      const bold = index === summary.length - 1;
+      ops.push(text(420, y, label, { size: 9, bold }));
+      ops.push(text(PAGE_WIDTH - MARGIN, y, formatAmount(amount), { size: 9, bold, align: 'right' }));
+      y -= 13;
+    });
+
+    y -= 10;
+    ops.push(text(MARGIN, y, `SAC ${invoice.sac_code}: ${invoice.service_description}`, { size: 8 }));
+    if (is_credit_note && invoice.reason) {
+      y -= 11;
+      ops.push(text(MARGIN, y, `Reason: ${truncate(invoice.reason, 90)}`, { size: 8 }));
+    }
+  }
+
+  ops.push(text(MARGIN, MARGIN - 10, 'This is a computer generated document and needs no signature.', { size: 7 }));
+  return ops.join('\n');
+};
+
+/**
+ * Lines of text under each other
+ * @private
+ */
+const block = (x, y, lines) => lines.map(([value, bold], index) => text(x, y - index * 12, value, { size: 9, bold }));
+
+/**
+ * A text drawing operation
+ * @private
+ */
+const text = (x, y, value, { size = 9, bold = false, align = 'left' } = {}) => {
+  const content = toLatin1(value);
+  const left = align === 'right' ? x - measure(content, size) : x;
+  return `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td (${escape(content)}) Tj ET`;
+};
+
+/**
+ * A horizontal rule across the page
+ * @private
+ */
+const rule = (y) => `0.5 w ${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S`;
+
+/**
+ * Approximate width of Helvetica text
+ * @private
+ */
+const measure = (value, size) => [...value].reduce((width, char) => width + (NARROW_GLYPHS[char] || 556), 0) * size / 1000;
+
+/**
+ * Format an amount with two decimals and Indian digit grouping
+ * @private
+ */
+const formatAmount = (amount) => (Number(amount) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Shorten text to a number of characters
+ * @private
+ */
+const truncate = (value, max_chars) => {
+  const content = value === null || value === undefined ? '' : String(value);
+  return max_chars && content.length > max_chars ? `${content.slice(0, max_chars - 3)}...` : content;
+};
+
+/**
+ * Replace characters the standard fonts cannot show
+ * @private
+ */
+const toLatin1 = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/₹/g, 'Rs.')
+  .replace(/[^\x20-\xff]/g, '?');
+
+/**
+ * Escape a PDF string literal
+ * @private
+ */
+const escape = (value) => value.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+/**
+ * Assemble the PDF objects, cross-reference table and trailer
+ * @private
+ */
+const buildDocument = (streams) => {
+  const page_ids = streams.map((stream, index) => 5 + index * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${page_ids.map(id => `${id} 0 R`).join(' ')}] /Count ${streams.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+
+  streams.forEach((stream, index) => {
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${page_ids[index] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref_offset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref_offset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = {
+  renderInvoicePdf
+};
@@ -0,0 +1,618 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { store } = require('../models');
+const { UTPError } = require('../middleware/error.middleware');
+const { GST_STATE_CODES, isValidGstin, getGstinStateCode, getStateName } = require('./gst');
+const { renderInvoicePdf } = require('./invoice-pdf');
+
+const MINUTE_MS = 60 * 1000;
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Fees in these currencies are valued 1:1 with the rupee; metal token fees are converted
+const RUPEE_CURRENCIES = ['inr', 'binr'];
+
+/**
+ * UTP Invoice Service
+ * Monthly GST tax invoices for the gateway fees booked in the ledger, and
+ * credit notes when those fees are refunded.
+ *
+ * A merchant's invoice for a month lists every fee entry posted to its payable
+ * account in that month (settlement fees and conversion fees), one line per
+ * fee currency, valued in rupees: metal token fees at the leg's locked rate or
+ * the price recorded when the fee was booked. Fees the ledger has already
+ * returned (failed or cancelled payouts) by the time the invoice is issued are
+ * left off it; fees returned after that are credited by a credit note against
+ * the invoice that charged them.
+ *
+ * The GST booked on each fee is split into CGST and SGST when the merchant's
+ * state (its GSTIN, or state_code) is the supplier's, and charged as IGST
+ * otherwise. Merchants with neither are billed in the supplier's state.
+ * Invoices and credit notes are numbered in their own series per financial year.
+ */
+class UTPInvoiceService {
+  /**
+   * @param {UTPLedger} ledger - Ledger the fees are booked in
+   * @param {Object} options - Invoice settings (defaults to config.invoicing)
+   * @param {UTPConversionService} options.conversion - Prices for valuing metal token fees
+   * @param {Object} options.supplier - { legal_name, gstin, address }
+   * @param {string} options.sac_code - SAC code of the gateway's services
+   */
+  constructor(ledger, options = {}) {
+    const settings = { ...config.invoicing, ...options };
+
+    this.ledger = ledger;
+    this.conversion = options.conversion || null;
+    this.supplier = settings.supplier;
+    this.supplier_state_code = getGstinStateCode(settings.supplier.gstin);
+    this.sac_code = settings.sac_code;
+    this.service_description = settings.service_description;
+    this.invoice_prefix = settings.invoice_prefix;
+    this.credit_note_prefix = settings.credit_note_prefix;
+    this.offset_ms = (config.settlement.calendar.timezone_offset_minutes || 0) * MINUTE_MS;
+    this.store = store;
+    this.invoices = store.collection('tax_invoices');
+    this.invoiced_entries = store.collection('invoiced_fee_entries'); // ledger entry_id -> invoice or credit note it is on
+    this.invoice_series = store.collection('invoice_series'); // series ('UTP2627') -> next number
+    this.merchants = store.collection('merchants');
+    this.settlements = store.collection('settlements');
+    this.running = false;
+  }
+
+  /**
+   * Validate and normalise a merchant's GST details
+   * @param {Object} details - { gstin, state_code }
+   * @returns {Object} { gstin, state_code } (state_code defaults to the GSTIN's)
+   * @throws {UTPError} INVALID_GSTIN, INVALID_STATE_CODE
+   */
+  validateTaxDetails({ gstin = null, state_code = null } = {}) {
+    const normalised_gstin = gstin ? String(gstin).toUpperCase() : null;
+    if (normalised_gstin && !isValidGstin(normalised_gstin)) {
+      throw new UTPError(`Invalid GSTIN: ${gstin}`, 'INVALID_GSTIN', 400);
+    }
+
+    const code = state_code ? String(state_code).padStart(2, '0') : null;
+    if (code && !GST_STATE_CODES[code]) {
+      throw new UTPError(`Unknown GST state code: ${state_code}`, 'INVALID_STATE_CODE', 400);
+    }
+    if (code && normalised_gstin && getGstinStateCode(normalised_gstin) !== code) {
+      throw new UTPError(
+        `GSTIN ${normalised_gstin} is registered in ${getStateName(getGstinStateCode(normalised_gstin))}, not ${getStateName(code)}`,
+        'INVALID_STATE_CODE',
+        400
+      );
+    }
+
+    return {
+      gstin: normalised_gstin,
+      state_code: code || (normalised_gstin ? getGstinStateCode(normalised_gstin) : null)
+    };
+  }
+
+  /**
+   * Issue a merchant's tax invoice for a month that has ended
+   * @param {string} merchant_id - Merchant ID
+   * @param {string} period - 'YYYY-MM' (local time)
+   * @param {Object} options - { now }
+   * @returns {Promise<Object>} Invoice
+   * @throws {UTPError} INVALID_INVOICE_PERIOD, INVOICE_PERIOD_OPEN, MERCHANT_NOT_FOUND, INVOICE_EXISTS, NO_INVOICEABLE_FEES
+   */
+  async generateInvoice(merchant_id, period, { now = new Date() } = {}) {
+    const { start, end } = this.getPeriodRange(period);
+    if (now < end) {
+      throw new UTPError(`Invoices for ${period} are issued once the month has ended`, 'INVOICE_PERIOD_OPEN', 400);
+    }
+    const merchant = this.getMerchant(merchant_id);
+
+    return this.store.transaction(async () => {
+      const existing = this.invoices.findOne({ merchant_id, period, type: 'tax_invoice' });
+      if (existing) {
+        throw new UTPError(`Invoice ${existing.invoice_number} was already issued for ${period}`, 'INVOICE_EXISTS', 409);
+      }
+
+      const recipient = this.getRecipient(merchant);
+      const supply_type = this.getSupplyType(recipient);
+      const pending_returns = this.getFeeReturns(merchant_id)
+        .filter(entry => !this.invoiced_entries.get(entry.entry_id) && new Date(entry.posted_at) <= now);
+      const lines = [];
+      const entry_ids = [];
+
+      for (const entry of this.getFeeEntries(merchant_id, start, end)) {
+        const returns = pending_returns.filter(r => r.reference_id === entry.reference_id);
+        entry_ids.push(entry.entry_id, ...returns.map(r => r.entry_id));
+
+        for (const [currency, charged] of this.getFeeAmounts(entry, 'credit')) {
+          const returned = returns
+            .map(r => this.getFeeAmounts(r, 'debit').get(currency) || { fee: 0, gst: 0 })
+            .reduce((sum, amounts) => ({ fee: sum.fee + amounts.fee, gst: sum.gst + amounts.gst }), { fee: 0, gst: 0 });
+          const fee = this.roundAmount(charged.fee - returned.fee, currency);
+          const gst = this.roundAmount(charged.gst - returned.gst, currency);
+
+          if (fee > 0 || gst > 0) {
+            lines.push(this.buildLine(entry, currency, { fee, gst }, supply_type, {
+              line_no: lines.length + 1,
+              rupee_rate: this.getRupeeRate(entry, currency),
+              description: entry.description
+            }));
+          }
+        }
+      }
+
+      if (lines.length === 0) {
+        throw new UTPError(`No fees to invoice for ${period}`, 'NO_INVOICEABLE_FEES', 422);
+      }
+
+      const invoice = this.buildDocument('tax_invoice', {
+        merchant_id,
+        period,
+        recipient,
+        supply_type,
+        lines,
+        now
+      });
+      this.invoices.set(invoice.invoice_id, invoice);
+      entry_ids.forEach(entry_id => this.invoiced_entries.set(entry_id, {
+        entry_id,
+        invoice_id: invoice.invoice_id,
+        type: invoice.type
+      }));
+
+      return invoice;
+    });
+  }
+
+  /**
+   * Credit the fees refunded since they were invoiced: one credit note per invoice they were charged on
+   * @param {string} merchant_id - Merchant ID
+   * @param {Object} options - { now }
+   * @returns {Promise<Array>} Credit notes issued
+   */
+  async issueCreditNotes(merchant_id, { now = new Date() } = {}) {
+    return this.store.transaction(async () => {
+      const by_invoice = new Map();
+
+      for (const entry of this.getFeeReturns(merchant_id)) {
+        if (this.invoiced_entries.get(entry.entry_id)) {
+          continue;
+        }
+
+        // Returns of fees not invoiced yet are netted on the invoice of the fee's month
+        const fee_entry = this.ledger.findEntryByKey(`fee:${entry.reference_id}`);
+        const invoiced = fee_entry && this.invoiced_entries.get(fee_entry.entry_id);
+        if (invoiced && invoiced.type === 'tax_invoice') {
+          by_invoice.set(invoiced.invoice_id, [...(by_invoice.get(invoiced.invoice_id) || []), { entry, fee_entry }]);
+        }
+      }
+
+      const credit_notes = [];
+      for (const [invoice_id, returns] of by_invoice) {
+        const original = this.invoices.get(invoice_id);
+        const lines = returns.flatMap(({ entry, fee_entry }) => [...this.getFeeAmounts(entry, 'debit')].map(([currency, amounts]) => {
+          const charged_line = original.lines.find(line => line.entry_id === fee_entry.entry_id && line.fee_currency === currency);
+          return { entry, currency, amounts, fee_entry, charged_line };
+        }))
+          .map(({ entry, currency, amounts, fee_entry, charged_line }, index) => this.buildLine(entry, currency, amounts, original.supply_type, {
+            line_no: index + 1,
+            rupee_rate: charged_line ? charged_line.rupee_rate : this.getRupeeRate(fee_entry, currency),
+            description: `Refund: ${fee_entry.description}`
+          }));
+
+        const credit_note = this.buildDocument('credit_note', {
+          merchant_id,
+          period: this.toLocalDate(now).slice(0, 7),
+          recipient: original.recipient,
+          supply_type: original.supply_type,
+          lines,
+          now,
+          original
+        });
+        this.invoices.set(credit_note.invoice_id, credit_note);
+        returns.forEach(({ entry }) => this.invoiced_entries.set(entry.entry_id, {
+          entry_id: entry.entry_id,
+          invoice_id: credit_note.invoice_id,
+          type: credit_note.type
+        }));
+        credit_notes.push(credit_note);
+      }
+
+      return credit_notes;
+    });
+  }
+
+  /**
+   * Issue last month's invoices for every merchant charged fees in it, then any credit notes due
+   * @param {Object} options - { period (defaults to the month before now), now }
+   * @returns {Promise<Object>} { period, invoices, credit_notes, skipped, failed }
+   */
+  async runDue({ period = null, now = new Date() } = {}) {
+    if (this.running) {
+      throw new UTPError('An invoice run is already in progress', 'INVOICE_RUN_IN_PROGRESS', 409);
+    }
+
+    this.running = true;
+    const target = period || this.getPreviousPeriod(now);
+    const result = { period: target, invoices: [], credit_notes: [], skipped: 0, failed: [] };
+
+    try {
+      const { start, end } = this.getPeriodRange(target);
+      const merchant_ids = new Set(this.getFeeEntries(null, start, end).map(entry => this.getMerchantId(entry)));
+
+      for (const merchant_id of merchant_ids) {
+        if (this.invoices.findOne({ merchant_id, period: target, type: 'tax_invoice' })) {
+          result.skipped++;
+          continue;
+        }
+        try {
+          result.invoices.push(this.summarise(await this.generateInvoice(merchant_id, target, { now })));
+        } catch (error) {
+          result.failed.push({ merchant_id, error: error.message, error_code: error.code || null });
+        }
+      }
+
+      const returning = new Set(this.getFeeReturns(null)
+        .filter(entry => !this.invoiced_entries.get(entry.entry_id))
+        .map(entry => this.getMerchantId(entry)));
+      for (const merchant_id of returning) {
+        const credit_notes = await this.issueCreditNotes(merchant_id, { now });
+        result.credit_notes.push(...credit_notes.map(credit_note => this.summarise(credit_note)));
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * List a merchant's invoices and credit notes, newest first
+   * @param {string} merchant_id - Merchant ID
+   * @param {Object} filters - { type: tax_invoice or credit_note, period }
+   * @returns {Array} Invoice summaries
+   */
+  listInvoices(merchant_id, { type, period } = {}) {
+    this.getMerchant(merchant_id);
+
+    return this.invoices.find(invoice =>
+      invoice.merchant_id === merchant_id &&
+      (!type || invoice.type === type) &&
+      (!period || invoice.period === period)
+    )
+      .sort((a, b) => b.issued_at.localeCompare(a.issued_at))
+      .map(invoice => this.summarise(invoice));
+  }
+
+  /**
+   * Get one of a merchant's invoices or credit notes
+   * @param {string} merchant_id - Merchant ID
+   * @param {string} invoice_id - Invoice ID or number
+   * @returns {Object} Invoice
+   * @throws {UTPError} INVOICE_NOT_FOUND
+   */
+  getInvoice(merchant_id, invoice_id) {
+    const invoice = this.invoices.get(invoice_id) || this.invoices.findOne({ invoice_number: invoice_id });
+    if (!invoice || invoice.merchant_id !== merchant_id) {
+      throw new UTPError('Invoice not found', 'INVOICE_NOT_FOUND', 404);
+    }
+    return invoice;
+  }
+
+  /**
+   * Render an invoice or credit note as a PDF
+   * @param {Object} invoice - Invoice
+   * @returns {Buffer} PDF file
+   */
+  renderPdf(invoice) {
+    return renderInvoicePdf(invoice);
+  }
+
+  /**
+   * Fee entries charged to a merchant (any merchant when null) within a time range
+   * @private
+   */
+  getFeeEntries(merchant_id, start, end) {
+    return this.ledger.entries.find(entry => {
+      const posted_at = new Date(entry.posted_at);
+      return entry.type === 'fee' && posted_at >= start && posted_at < end &&
+        this.getMerchantId(entry) !== null &&
+        (!merchant_id || this.getMerchantId(entry) === merchant_id);
+    })
+      .sort((a, b) => a.posted_at.localeCompare(b.posted_at));
+  }
+
+  /**
+   * Ledger entries that refunded a merchant's (any merchant's when null) fees: failed
+   * payouts and the reversals of payments that failed
+   * @private
+   */
+  getFeeReturns(merchant_id) {
+    return this.ledger.entries.find(entry =>
+      ['settlement_return', 'payment_reversal'].includes(entry.type) &&
+      this.getFeeAmounts(entry, 'debit').size > 0 &&
+      (!merchant_id || this.getMerchantId(entry) === merchant_id)
+    )
+      .sort((a, b) => a.posted_at.localeCompare(b.posted_at));
+  }
+
+  /**
+   * Fee and GST of an entry per currency, from its fee_revenue and gst_payable lines
+   * @private
+   * @param {Object} entry - Journal entry
+   * @param {string} direction - credit for fees charged, debit for fees refunded
+   * @returns {Map} currency -> { fee, gst }
+   */
+  getFeeAmounts(entry, direction) {
+    const amounts = new Map();
+    entry.lines
+      .filter(line => line.direction === direction && ['fee_revenue', 'gst_payable'].includes(line.account_type))
+      .forEach(line => {
+        const current = amounts.get(line.currency) || { fee: 0, gst: 0 };
+        const field = line.account_type === 'fee_revenue' ? 'fee' : 'gst';
+        current[field] = this.roundAmount(current[field] + line.amount, line.currency);
+        amounts.set(line.currency, current);
+      });
+    return amounts;
+  }
+
+  /**
+   * Merchant whose payable account an entry moves
+   * @private
+   */
+  getMerchantId(entry) {
+    const line = entry.lines.find(l => l.account_type === 'merchant_payable' && l.owner_id);
+    return line ? line.owner_id : null;
+  }
+
+  /**
+   * Rupees per unit of a fee currency: 1 for INR and BINR, the leg's locked rate
+   * for a settlement's metal token leg, otherwise the price when the fee was booked
+   * @private
+   */
+  getRupeeRate(entry, currency) {
+    if (RUPEE_CURRENCIES.includes(currency)) {
+      return 1;
+    }
+
+    const settlement = entry.reference_type === 'settlement' ? this.settlements.get(entry.reference_id) : null;
+    const leg = settlement && (settlement.legs || []).find(l => l.currency === currency && l.conversion_rate);
+    if (leg) {
+      return 1 / leg.conversion_rate;
+    }
+
+    if (this.conversion) {
+      try {
+        return this.conversion.price_history.getPriceAt(currency, entry.posted_at).price;
+      } catch (error) {
+        const price = this.conversion.getTokenPrice(currency);
+        if (price) {
+          return price;
+        }
+      }
+    }
+
+    throw new UTPError(`No ${currency.toUpperCase()} price to value the fee of entry ${entry.entry_id}`, 'INVOICE_VALUATION_FAILED', 500);
+  }
+
+  /**
+   * Build an invoice line from a fee (or refunded fee) in its currency, with the GST split
+   * @private
+   */
+  buildLine(entry, currency, { fee, gst }, supply_type, { line_no, rupee_rate, description }) {
+    const taxable_value = this.roundAmount(fee * rupee_rate, 'inr');
+    const tax = this.roundAmount(gst * rupee_rate, 'inr');
+
+    return {
+      line_no,
+      entry_id: entry.entry_id,
+      reference_type: entry.reference_type,
+      reference_id: entry.reference_id,
+      description,
+      sac_code: this.sac_code,
+      fee_currency: currency,
+      fee_amount: fee,
+      gst_amount: gst,
+      rupee_rate,
+      taxable_value,
+      gst_rate: entry.metadata.gst_rate ?? this.ledger.gst_rate,
+      ...this.splitTax(tax, supply_type),
+      total: this.roundAmount(taxable_value + tax, 'inr')
+    };
+  }
+
+  /**
+   * Split GST into CGST and SGST (intra-state) or IGST (inter-state)
+   * @private
+   */
+  splitTax(tax, supply_type) {
+    if (supply_type === 'inter_state') {
+      return { cgst: 0, sgst: 0, igst: tax };
+    }
+
+    const cgst = this.roundAmount(tax / 2, 'inr');
+    return { cgst, sgst: this.roundAmount(tax - cgst, 'inr'), igst: 0 };
+  }
+
+  /**
+   * Assemble and number an invoice or credit note
+   * @private
+   */
+  buildDocument(type, { merchant_id, period, recipient, supply_type, lines, now, original = null }) {
+    const total = field => this.roundAmount(lines.reduce((sum, line) => sum + line[field], 0), 'inr');
+    const totals = {
+      taxable_value: total('taxable_value'),
+      cgst: total('cgst'),
+      sgst: total('sgst'),
+      igst: total('igst')
+    };
+    totals.total_tax = this.roundAmount(totals.cgst + totals.sgst + totals.igst, 'inr');
+    totals.total = this.roundAmount(totals.taxable_value + totals.total_tax, 'inr');
+
+    return {
+      invoice_id: uuidv4(),
+      invoice_number: this.nextNumber(type === 'credit_note' ? this.credit_note_prefix : this.invoice_prefix, now),
+      type,
+      merchant_id,
+      period,
+      invoice_date: this.toLocalDate(now),
+      financial_year: this.getFinancialYear(now),
+      supplier: {
+        ...this.supplier,
+        state_code: this.supplier_state_code,
+        state: getStateName(this.supplier_state_code)
+      },
+      recipient,
+      place_of_supply: { state_code: recipient.state_code, state: recipient.state },
+      supply_type,
+      reverse_charge: false,
+      sac_code: this.sac_code,
+      service_description: this.service_description,
+      gst_rate: this.ledger.gst_rate,
+      currency: 'INR',
+      lines,
+      totals,
+      ...(original && {
+        original_invoice_id: original.invoice_id,
+        original_invoice_number: original.invoice_number,
+        reason: 'Gateway fees refunded on failed or cancelled payouts'
+      }),
+      status: 'issued',
+      issued_at: now.toISOString()
+    };
+  }
+
+  /**
+   * Next number of a series in the financial year of a date, e.g. UTP2627-000001
+   * @private
+   */
+  nextNumber(prefix, date) {
+    const series = `${prefix}${this.getFinancialYear(date).replace('-', '')}`;
+    const record = this.invoice_series.get(series) || { series, next: 1 };
+    this.invoice_series.set(series, { ...record, next: record.next + 1 });
+    return `${series}-${String(record.next).padStart(6, '0')}`;
+  }
+
+  /**
+   * Who an invoice is billed to
+   * @private
+   */
+  getRecipient(merchant) {
+    const state_code = merchant.state_code || (merchant.gstin ? getGstinStateCode(merchant.gstin) : this.supplier_state_code);
+    return {
+      merchant_id: merchant.merchant_id,
+      legal_name: merchant.business_name,
+      gstin: merchant.gstin || null,
+      address: merchant.address,
+      state_code,
+      state: getStateName(state_code)
+    };
+  }
+
+  /**
+   * intra_state when the place of supply is the supplier's state, inter_state otherwise
+   * @private
+   */
+  getSupplyType(recipient) {
+    return recipient.state_code === this.supplier_state_code ? 'intra_state' : 'inter_state';
+  }
+
+  /**
+   * Start and end instants of a local calendar month
+   * @private
+   */
+  getPeriodRange(period) {
+    if (!PERIOD_PATTERN.test(String(period))) {
+      throw new UTPError(`Invalid invoice period: ${period}. Expected YYYY-MM`, 'INVALID_INVOICE_PERIOD', 400);
+    }
+
+    const [year, month] = period.split('-').map(Number);
+    return {
+      start: new Date(Date.UTC(year, month - 1, 1) - this.offset_ms),
+      end: new Date(Date.UTC(year, month, 1) - this.offset_ms)
+    };
+  }
+
+  /**
+   * The local calendar month before a date's
+   * @private
+   */
+  getPreviousPeriod(date) {
+    const local = new Date(date.getTime() + this.offset_ms);
+    const previous = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() - 1, 1));
+    return previous.toISOString().slice(0, 7);
+  }
+
+  /**
+   * Financial year (April to March) of a date, e.g. '26-27'
+   * @private
+   */
+  getFinancialYear(date) {
+    const local = new Date(date.getTime() + this.offset_ms);
+    const start_year = local.getUTCMonth() >= 3 ? local.getUTCFullYear() : local.getUTCFullYear() - 1;
+    return `${String(start_year).slice(2)}-${String(start_year + 1).slice(2)}`;
+  }
+
+  /**
+   * Local calendar date of an instant
+   * @private
+   */
+  toLocalDate(date) {
+    return new Date(date.getTime() + this.offset_ms).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get a merchant
+   * @private
+   */
+  getMerchant(merchant_id) {
+    const merchant = this.merchants.get(merchant_id);
+    if (!merchant) {
+      throw new UTPError('Merchant not found', 'MERCHANT_NOT_FOUND', 404);
+    }
+    return merchant;
+  }
+
+  /**
+   * Invoice fields shown in lists
+   * @private
+   */
+  summarise(invoice) {
+    return {
+      invoice_id: invoice.invoice_id,
+      invoice_number: invoice.invoice_number,
+      type: invoice.type,
+      merchant_id: invoice.merchant_id,
+      period: invoice.period,
+      invoice_date: invoice.invoice_date,
+      supply_type: invoice.supply_type,
+      totals: invoice.totals,
+      lines: invoice.lines.length,
+      original_invoice_number: invoice.original_invoice_number || null,
+      status: invoice.status
+    };
+  }
+
+  /**
+   * Round to paise for rupee amounts, 8 decimals for metal tokens
+   * @private
+   */
+  roundAmount(value, currency) {
+    const decimals = RUPEE_CURRENCIES.includes(currency) ? 2 : 8;
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    const documents = [...this.invoices.values()];
+    return {
+      service: 'UTP Invoicing',
+      status: this.running ? 'running' : 'idle',
+      supplier_gstin: this.supplier.gstin,
+      sac_code: this.sac_code,
+      tax_invoices: documents.filter(invoice => invoice.type === 'tax_invoice').length,
+      credit_notes: documents.filter(invoice => invoice.type === 'credit_note').length
+    };
+  }
+}
+
+module.exports = UTPInvoiceService;
@@ -0,0 +1,611 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { store } = require('../models');
+const { UTPError } = require('../middleware/error.middleware');
+const { isValidGstin, getGstinStateCode } = require('./gst');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DOCUMENT_TYPES = ['pan', 'gstin_certificate', 'incorporation', 'cancelled_cheque'];
+const REVIEW_DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  request_info: 'info_requested'
+};
+
+// PAN: 5 letters (the 4th is the holder type), 4 digits, check letter
+const PAN_PATTERN = /^[A-Z]{3}[ABCFGHJLPT][A-Z][0-9]{4}[A-Z]$/;
+// CIN: listing (L/U), industry code, state, year, company type, registration number
+const CIN_PATTERN = /^[LU][0-9]{5}[A-Z]{2}[0-9]{4}[A-Z]{3}[0-9]{6}$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_PATTERN = /^[A-Za-z0-9]{6,20}$/;
+
+// PAN holder types each business type can hold (4th character of the PAN)
+const PAN_HOLDER_TYPES = {
+  individual: ['P'],
+  proprietorship: ['P'],
+  partnership: ['F'],
+  private_limited: ['C'],
+  public_limited: ['C'],
+  ngo: ['T', 'A', 'C'],
+  government: ['G', 'L']
+};
+
+// Leading bytes of the file types documents are accepted in
+const FILE_SIGNATURES = {
+  'application/pdf': Buffer.from('%PDF'),
+  'image/jpeg': Buffer.from([0xff, 0xd8, 0xff]),
+  'image/png': Buffer.from([0x89, 0x50, 0x4e, 0x47])
+};
+
+// Amounts in these settlement currencies are rupees; metal token amounts are valued at the current price
+const RUPEE_CURRENCIES = ['inr', 'binr', 'mixed'];
+
+/**
+ * UTP KYC Service
+ * Merchant KYC documents, their review and the verification level they earn.
+ *
+ * Merchants upload a PAN card, GSTIN certificate, certificate of incorporation
+ * and cancelled cheque; the PAN, GSTIN, CIN and bank details on them are
+ * validated on upload and the document waits in the review queue. Admins
+ * approve it, reject it or ask for more information (the merchant then uploads
+ * it again). A new upload supersedes the open one of its type; an approved one
+ * stays in force until its replacement is approved.
+ *
+ * A merchant's verification level is the highest level of config.kyc.levels
+ * whose documents (and those of the levels below) are all approved, skipping
+ * documents its business type is exempt from. Each level unlocks the rupee
+ * limits in config.kyc.level_limits: the largest payment, the largest
+ * settlement and the settlements per day (IST).
+ */
+class UTPKycService {
+  /**
+   * @param {Object} options - KYC settings (defaults to config.kyc)
+   * @param {UTPConversionService} options.conversion - Prices for valuing metal token settlements
+   * @param {Object} options.levels - Documents each level needs
+   * @param {Object} options.level_limits - Limits each level unlocks
+   */
+  constructor(options = {}) {
+    const settings = { ...config.kyc, ...options };
+
+    this.conversion = options.conversion || null;
+    this.levels = settings.levels;
+    this.level_limits = settings.level_limits;
+    this.exempt_documents = settings.exempt_documents;
+    this.max_document_bytes = settings.max_document_bytes;
+    this.content_types = settings.content_types;
+    this.offset_ms = (config.settlement.calendar.timezone_offset_minutes || 0) * MINUTE_MS;
+    this.store = store;
+    this.documents = store.collection('kyc_documents');
+    this.merchants = store.collection('merchants');
+    this.settlements = store.collection('settlements');
+  }
+
+  /**
+   * Upload a KYC document for review
+   * @param {string} merchant_id - Merchant ID
+   * @param {Object} upload - { document_type, document_number, account_number, ifsc_code, file_name, content_type, content (base64 or Buffer) }
+   * @returns {Promise<Object>} Document
+   * @throws {UTPError} MERCHANT_NOT_FOUND, INVALID_KYC_DOCUMENT, INVALID_PAN, INVALID_GSTIN, INVALID_CIN, INVALID_BANK_DETAILS, GSTIN_PAN_MISMATCH
+   */
+  async submitDocument(merchant_id, upload = {}) {
+    const merchant = this.getMerchant(merchant_id);
+    const { document_type } = upload;
+    if (!DOCUMENT_TYPES.includes(document_type)) {
+      throw new UTPError(
+        `Unsupported document type: ${document_type}. Supported: ${DOCUMENT_TYPES.join(', ')}`,
+        'INVALID_KYC_DOCUMENT',
+        400
+      );
+    }
+
+    const details = this.validateDetails(merchant, document_type, upload);
+    const file = this.validateFile(upload);
+    // The file is kept as a blob, so only its reference is journaled; a blob left by a rolled back upload is never read
+    const blob_id = this.store.putBlob(file.content);
+
+    return this.store.transaction(async () => {
+      // The open upload of this type is replaced; an approved one stays until this one is approved
+      this.getDocuments(merchant_id, document_type)
+        .filter(document => ['pending_review', 'info_requested', 'rejected'].includes(document.status))
+        .forEach(document => this.documents.set(document.document_id, { ...document, status: 'superseded' }));
+
+      const document_id = uuidv4();
+      const document = {
+        document_id,
+        merchant_id,
+        document_type,
+        ...details,
+        file: {
+          file_name: file.file_name,
+          content_type: file.content_type,
+          size: file.content.length,
+          sha256: crypto.createHash('sha256').update(file.content).digest('hex'),
+          blob_id
+        },
+        status: 'pending_review',
+        submitted_at: new Date().toISOString(),
+        reviews: []
+      };
+
+      this.documents.set(document_id, document);
+      this.updateMerchantKyc(merchant_id);
+
+      return document;
+    });
+  }
+
+  /**
+   * Record an admin's decision on a document awaiting review
+   * @param {string} document_id - Document ID
+   * @param {Object} review - { decision: approve, reject or request_info, notes, reviewed_by }
+   * @returns {Promise<Object>} { document, kyc (merchant summary), previous_verification_level }
+   * @throws {UTPError} KYC_DOCUMENT_NOT_FOUND, INVALID_KYC_DECISION, KYC_REVIEW_NOTES_REQUIRED, KYC_DOCUMENT_NOT_PENDING
+   */
+  async reviewDocument(document_id, { decision, notes = null, reviewed_by = null } = {}) {
+    const status = REVIEW_DECISIONS[decision];
+    if (!status) {
+      throw new UTPError(
+        `Unsupported KYC decision: ${decision}. Supported: ${Object.keys(REVIEW_DECISIONS).join(', ')}`,
+        'INVALID_KYC_DECISION',
+        400
+      );
+    }
+    if (decision !== 'approve' && !notes) {
+      throw new UTPError('Notes telling the merchant what to fix are required', 'KYC_REVIEW_NOTES_REQUIRED', 400);
+    }
+
+    return this.store.transaction(async () => {
+      const document = this.getDocument(document_id);
+      if (document.status !== 'pending_review') {
+        throw new UTPError(`Document is ${document.status}, not awaiting review`, 'KYC_DOCUMENT_NOT_PENDING', 409);
+      }
+
+      const previous_verification_level = this.getMerchant(document.merchant_id).verification_level;
+      const reviewed_at = new Date().toISOString();
+
+      if (status === 'approved') {
+        this.getDocuments(document.merchant_id, document.document_type)
+          .filter(other => other.status === 'approved')
+          .forEach(other => this.documents.set(other.document_id, { ...other, status: 'superseded' }));
+      }
+
+      const reviewed = {
+        ...document,
+        status,
+        reviewed_at,
+        reviewed_by,
+        review_notes: notes,
+        reviews: [...document.reviews, { decision, notes, reviewed_by, reviewed_at }]
+      };
+      this.documents.set(document_id, reviewed);
+
+      // An approved GSTIN is the one invoices are addressed to
+      if (status === 'approved' && reviewed.document_type === 'gstin_certificate') {
+        const merchant = this.getMerchant(reviewed.merchant_id);
+        this.merchants.set(merchant.merchant_id, {
+          ...merchant,
+          gstin: reviewed.document_number,
+          state_code: getGstinStateCode(reviewed.document_number)
+        });
+      }
+
+      this.updateMerchantKyc(reviewed.merchant_id);
+
+      return {
+        document: reviewed,
+        kyc: this.getKycSummary(reviewed.merchant_id),
+        previous_verification_level
+      };
+    });
+  }
+
+  /**
+   * Documents awaiting review, oldest first
+   * @param {Object} filters - { merchant_id, document_type }
+   * @returns {Array} Documents
+   */
+  getReviewQueue({ merchant_id, document_type } = {}) {
+    return this.documents.find(document =>
+      document.status === 'pending_review' &&
+      (!merchant_id || document.merchant_id === merchant_id) &&
+      (!document_type || document.document_type === document_type)
+    )
+      .sort((a, b) => a.submitted_at.localeCompare(b.submitted_at))
+      .map(document => ({
+        ...document,
+        business_name: (this.merchants.get(document.merchant_id) || {}).business_name || null
+      }));
+  }
+
+  /**
+   * A merchant's KYC status, verification level, limits and what the next level needs
+   * @param {string} merchant_id - Merchant ID
+   * @returns {Object} KYC summary
+   */
+  getKycSummary(merchant_id) {
+    const merchant = this.getMerchant(merchant_id);
+    const level = merchant.verification_level || 1;
+    const next_level = this.levels[level + 1] ? level + 1 : null;
+
+    return {
+      merchant_id,
+      kyc_status: merchant.kyc_status,
+      verification_level: level,
+      level_name: this.levels[level].name,
+      limits: this.getLevelLimits(level),
+      next_level: next_level && {
+        level: next_level,
+        name: this.levels[next_level].name,
+        missing_documents: this.getRequiredDocuments(merchant, next_level)
+          .filter(document_type => !this.getEffectiveDocument(merchant_id, document_type, 'approved')),
+        limits: this.getLevelLimits(next_level)
+      },
+      documents: DOCUMENT_TYPES
+        .filter(document_type => !this.isExempt(merchant, document_type))
+        .map(document_type => {
+          const document = this.getLatestDocument(merchant_id, document_type);
+          const approved = this.getEffectiveDocument(merchant_id, document_type, 'approved');
+          return {
+            document_type,
+            status: document ? document.status : 'not_submitted',
+            document_id: document ? document.document_id : null,
+            approved_document_id: approved ? approved.document_id : null,
+            review_notes: document ? document.review_notes || null : null
+          };
+        })
+    };
+  }
+
+  /**
+   * A merchant's documents, newest first
+   * @param {string} merchant_id - Merchant ID
+   * @returns {Array} Documents
+   */
+  listDocuments(merchant_id) {
+    this.getMerchant(merchant_id);
+    return this.getDocuments(merchant_id)
+      .sort((a, b) => b.submitted_at.localeCompare(a.submitted_at));
+  }
+
+  /**
+   * Get a document
+   * @param {string} document_id - Document ID
+   * @returns {Object} Document
+   * @throws {UTPError} KYC_DOCUMENT_NOT_FOUND
+   */
+  getDocument(document_id) {
+    const document = this.documents.get(document_id);
+    if (!document) {
+      throw new UTPError('KYC document not found', 'KYC_DOCUMENT_NOT_FOUND', 404);
+    }
+    return document;
+  }
+
+  /**
+   * The uploaded file of a document
+   * @param {string} document_id - Document ID
+   * @returns {Object} { file_name, content_type, content (Buffer) }
+   */
+  getDocumentFile(document_id) {
+    const document = this.getDocument(document_id);
+    const content = this.store.getBlob(document.file.blob_id);
+    if (!content) {
+      throw new UTPError('The file of this KYC document is missing', 'KYC_DOCUMENT_FILE_MISSING', 500);
+    }
+
+    return {
+      file_name: document.file.file_name,
+      content_type: document.file.content_type,
+      content
+    };
+  }
+
+  /**
+   * Limits a merchant's verification level allows (those of the lowest configured level for an unregistered merchant ID)
+   * @param {string} merchant_id - Merchant ID
+   * @returns {Object} { verification_level, max_transaction_amount, max_settlement_amount, daily_settlement_amount }
+   */
+  getLimits(merchant_id) {
+    const merchant = this.merchants.get(merchant_id);
+    const verification_level = merchant
+      ? merchant.verification_level || 1
+      : Math.min(...Object.keys(this.level_limits).map(Number));
+    return { verification_level, ...this.getLevelLimits(verification_level) };
+  }
+
+  /**
+   * Refuse a payment above the merchant's transaction limit
+   * @param {string} merchant_id - Merchant ID
+   * @param {number} amount - Payment amount
+   * @param {string} currency - Payment currency
+   * @throws {UTPError} KYC_TRANSACTION_LIMIT_EXCEEDED (403)
+   */
+  assertTransactionAllowed(merchant_id, amount, currency) {
+    const limits = this.getLimits(merchant_id);
+
+    const value = this.getRupeeValue(amount, currency);
+    if (value > limits.max_transaction_amount) {
+      throw new UTPError(
+        `Payment of ₹${value} is above the ₹${limits.max_transaction_amount} limit of verification level ${limits.verification_level}; complete KYC to raise it`,
+        'KYC_TRANSACTION_LIMIT_EXCEEDED',
+        403
+      );
+    }
+  }
+
+  /**
+   * Refuse a settlement above the merchant's settlement limit or its remaining daily limit
+   * @param {string} merchant_id - Merchant ID
+   * @param {number} amount - Settlement amount
+   * @param {string} currency - Settlement currency
+   * @param {Date} now - Time of the settlement
+   * @throws {UTPError} KYC_SETTLEMENT_LIMIT_EXCEEDED or KYC_DAILY_SETTLEMENT_LIMIT (403, with retry_at)
+   */
+  assertSettlementAllowed(merchant_id, amount, currency, now = new Date()) {
+    const limits = this.getLimits(merchant_id);
+
+    const value = this.getRupeeValue(amount, currency);
+    if (value > limits.max_settlement_amount) {
+      throw new UTPError(
+        `Settlement of ₹${value} is above the ₹${limits.max_settlement_amount} limit of verification level ${limits.verification_level}`,
+        'KYC_SETTLEMENT_LIMIT_EXCEEDED',
+        403
+      );
+    }
+
+    const day_start = this.getDayStart(now);
+    const settled_today = this.settlements.find(settlement =>
+      settlement.merchant_id === merchant_id &&
+      !settlement.reserve_release &&
+      !['failed', 'cancelled'].includes(settlement.status) &&
+      new Date(settlement.created_at) >= day_start
+    ).reduce((sum, settlement) => sum + this.getRupeeValue(settlement.amount, settlement.currency), 0);
+
+    if (settled_today + value > limits.daily_settlement_amount) {
+      const error = new UTPError(
+        `Settlement of ₹${value} would take today's settlements past the ₹${limits.daily_settlement_amount} daily limit of verification level ${limits.verification_level}`,
+        'KYC_DAILY_SETTLEMENT_LIMIT',
+        403
+      );
+      error.retry_at = new Date(day_start.getTime() + DAY_MS).toISOString();
+      throw error;
+    }
+  }
+
+  /**
+   * Validate the details printed on a document
+   * @private
+   */
+  validateDetails(merchant, document_type, upload) {
+    const document_number = upload.document_number ? String(upload.document_number).trim().toUpperCase() : null;
+
+    if (document_type === 'pan') {
+      if (!PAN_PATTERN.test(document_number || '')) {
+        throw new UTPError(`Invalid PAN: ${upload.document_number || '(missing)'}`, 'INVALID_PAN', 400);
+      }
+      const holder_types = PAN_HOLDER_TYPES[merchant.business_type] || [];
+      if (!holder_types.includes(document_number[3])) {
+        throw new UTPError(
+          `PAN ${document_number} is not held by a ${merchant.business_type.replace('_', ' ')} business`,
+          'INVALID_PAN',
+          400
+        );
+      }
+      return { document_number };
+    }
+
+    if (document_type === 'gstin_certificate') {
+      if (!isValidGstin(document_number)) {
+        throw new UTPError(`Invalid GSTIN: ${upload.document_number || '(missing)'}`, 'INVALID_GSTIN', 400);
+      }
+      const pan = this.getEffectiveDocument(merchant.merchant_id, 'pan', 'approved') ||
+        this.getEffectiveDocument(merchant.merchant_id, 'pan', 'pending_review');
+      if (pan && document_number.slice(2, 12) !== pan.document_number) {
+        throw new UTPError(`GSTIN ${document_number} is not registered to PAN ${pan.document_number}`, 'GSTIN_PAN_MISMATCH', 400);
+      }
+      return { document_number };
+    }
+
+    if (document_type === 'incorporation') {
+      const year = document_number ? Number(document_number.slice(8, 12)) : 0;
+      if (!CIN_PATTERN.test(document_number || '') || year < 1850 || year > new Date().getUTCFullYear()) {
+        throw new UTPError(`Invalid CIN: ${upload.document_number || '(missing)'}`, 'INVALID_CIN', 400);
+      }
+      return { document_number };
+    }
+
+    const account_number = String(upload.account_number || '').trim();
+    const ifsc_code = String(upload.ifsc_code || '').trim().toUpperCase();
+    if (!ACCOUNT_NUMBER_PATTERN.test(account_number)) {
+      throw new UTPError(`Invalid account number on the cheque: ${account_number || '(missing)'}`, 'INVALID_BANK_DETAILS', 400);
+    }
+    if (!IFSC_PATTERN.test(ifsc_code)) {
+      throw new UTPError(`Invalid IFSC code on the cheque: ${ifsc_code || '(missing)'}`, 'INVALID_BANK_DETAILS', 400);
+    }
+    return { document_number: null, account_number, ifsc_code };
+  }
+
+  /**
+   * Validate the uploaded file: an allowed type, within the size limit, and content that is that type
+   * @private
+   */
+  validateFile({ file_name, content_type, content }) {
+    if (!this.content_types.includes(content_type)) {
+      throw new UTPError(
+        `Unsupported file type: ${content_type}. Supported: ${this.content_types.join(', ')}`,
+        'INVALID_KYC_DOCUMENT',
+        400
+      );
+    }
+
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content || ''), 'base64');
+    if (buffer.length === 0) {
+      throw new UTPError('The document file is empty', 'INVALID_KYC_DOCUMENT', 400);
+    }
+    if (buffer.length > this.max_document_bytes) {
+      throw new UTPError(`The document file is larger than ${this.max_document_bytes} bytes`, 'KYC_DOCUMENT_TOO_LARGE', 413);
+    }
+
+    const signature = FILE_SIGNATURES[content_type];
+    if (signature && !buffer.subarray(0, signature.length).equals(signature)) {
+      throw new UTPError(`The document file is not a valid ${content_type} file`, 'INVALID_KYC_DOCUMENT', 400);
+    }
+
+    return {
+      file_name: file_name ? String(file_name).replace(/[^\w.-]/g, '_').slice(0, 120) : `document.${content_type.split('/')[1]}`,
+      content_type,
+      content: buffer
+    };
+  }
+
+  /**
+   * Recompute a merchant's verification level and KYC status from its documents
+   * @private
+   */
+  updateMerchantKyc(merchant_id) {
+    const merchant = this.getMerchant(merchant_id);
+    const max_level = Math.max(...Object.keys(this.levels).map(Number));
+
+    let verification_level = 1;
+    while (verification_level < max_level && this.getRequiredDocuments(merchant, verification_level + 1)
+      .every(document_type => this.getEffectiveDocument(merchant_id, document_type, 'approved'))) {
+      verification_level++;
+    }
+
+    const open = DOCUMENT_TYPES.map(document_type => this.getLatestDocument(merchant_id, document_type)).filter(Boolean);
+    let kyc_status = 'pending';
+    if (verification_level === max_level) {
+      kyc_status = 'verified';
+    } else if (open.some(document => ['rejected', 'info_requested'].includes(document.status))) {
+      kyc_status = 'action_required';
+    } else if (open.some(document => document.status === 'pending_review')) {
+      kyc_status = 'in_review';
+    } else if (verification_level > 1) {
+      kyc_status = 'partially_verified';
+    }
+
+    this.merchants.set(merchant_id, {
+      ...merchant,
+      verification_level,
+      kyc_status,
+      kyc_verified_at: kyc_status === 'verified' ? merchant.kyc_verified_at || new Date().toISOString() : null,
+      kyc_updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Documents a merchant needs approved for a level (including the levels below it)
+   * @private
+   */
+  getRequiredDocuments(merchant, level) {
+    return Object.entries(this.levels)
+      .filter(([number]) => Number(number) <= level)
+      .flatMap(([, definition]) => definition.documents)
+      .filter(document_type => !this.isExempt(merchant, document_type));
+  }
+
+  /**
+   * Whether a merchant's business type is exempt from a document
+   * @private
+   */
+  isExempt(merchant, document_type) {
+    return (this.exempt_documents[merchant.business_type] || []).includes(document_type);
+  }
+
+  /**
+   * A merchant's documents (of a type)
+   * @private
+   */
+  getDocuments(merchant_id, document_type = null) {
+    return this.documents.find(document =>
+      document.merchant_id === merchant_id && (!document_type || document.document_type === document_type)
+    );
+  }
+
+  /**
+   * The newest document of a type that is not superseded
+   * @private
+   */
+  getLatestDocument(merchant_id, document_type) {
+    return this.getDocuments(merchant_id, document_type)
+      .filter(document => document.status !== 'superseded')
+      .sort((a, b) => b.submitted_at.localeCompare(a.submitted_at))[0] || null;
+  }
+
+  /**
+   * The document of a type in a status (approved documents are never more than one)
+   * @private
+   */
+  getEffectiveDocument(merchant_id, document_type, status) {
+    return this.getDocuments(merchant_id, document_type).find(document => document.status === status) || null;
+  }
+
+  /**
+   * Limits a verification level unlocks
+   * @private
+   */
+  getLevelLimits(level) {
+    const limits = this.level_limits[level];
+    if (!limits) {
+      throw new UTPError(`No limits are configured for verification level ${level}`, 'KYC_LIMITS_NOT_CONFIGURED', 500);
+    }
+    return limits;
+  }
+
+  /**
+   * Rupee value of an amount
+   * @private
+   */
+  getRupeeValue(amount, currency) {
+    const asset = String(currency).toLowerCase();
+    if (RUPEE_CURRENCIES.includes(asset)) {
+      return amount;
+    }
+
+    const price = this.conversion && this.conversion.getTokenPrice(asset);
+    if (!price) {
+      throw new UTPError(`No ${asset.toUpperCase()} price to check KYC limits with`, 'KYC_VALUATION_FAILED', 500);
+    }
+    return Math.round(amount * price * 100) / 100;
+  }
+
+  /**
+   * Start of the local (IST) day of an instant
+   * @private
+   */
+  getDayStart(date) {
+    const local = date.getTime() + this.offset_ms;
+    return new Date(local - (local % DAY_MS) - this.offset_ms);
+  }
+
+  /**
+   * Get a merchant
+   * @private
+   */
+  getMerchant(merchant_id) {
+    const merchant = this.merchants.get(merchant_id);
+    if (!merchant) {
+      throw new UTPError('Merchant not found', 'MERCHANT_NOT_FOUND', 404);
+    }
+    return merchant;
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    const documents = [...this.documents.values()];
+    return {
+      service: 'UTP KYC',
+      status: 'active',
+      pending_review: documents.filter(document => document.status === 'pending_review').length,
+      approved: documents.filter(document => document.status === 'approved').length,
+      verified_merchants: this.merchants.find({ kyc_status: 'verified' }).length
+    };
+  }
+}
+
+module.exports = UTPKycService;
@@ -0,0 +1,1065 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { store } = require('../models');
+const { UTPError } = require('../middleware/error.middleware');
+
+// Amounts are compared in 1e-8 units so token and fiat lines balance exactly
+const UNIT_SCALE = 1e8;
+
+// Chart of accounts: one account per type, currency and (where set) owner
+const ACCOUNT_TYPES = {
+  customer_wallet: {
+    class: 'liability',
+    normal_balance: 'credit',
+    owner: 'customer',
+    description: 'Tokens and funds held for a customer'
+  },
+  merchant_payable: {
+    class: 'liability',
+    normal_balance: 'credit',
+    owner: 'merchant',
+    description: 'Amount owed to a merchant and not yet settled'
+  },
+  merchant_receivable: {
+    class: 'asset',
+    normal_balance: 'debit',
+    owner: 'merchant',
+    description: 'Refunds of paid out settlements the merchant owes back until they are recovered'
+  },
+  merchant_reserve: {
+    class: 'liability',
+    normal_balance: 'credit',
+    owner: 'merchant',
+    description: 'Rolling reserve withheld from a merchant\'s payouts until its release date'
+  },
+  fee_revenue: {
+    class: 'revenue',
+    normal_balance: 'credit',
+    owner: null,
+    description: 'Gateway fees earned, net of GST'
+  },
+  gst_payable: {
+    class: 'liability',
+    normal_balance: 'credit',
+    owner: null,
+    description: 'GST collected on gateway fees and owed to the government'
+  },
+  conversion_inventory: {
+    class: 'equity',
+    normal_balance: 'credit',
+    owner: null,
+    description: 'Gateway position in an asset taken in and paid out through conversions'
+  },
+  treasury: {
+    class: 'asset',
+    normal_balance: 'debit',
+    owner: null,
+    description: 'Gateway bank accounts and token treasury that fund merchant payouts'
+  }
+};
+
+/**
+ * UTP Ledger
+ * Double-entry ledger for every token and fiat movement. Each journal entry
+ * must balance per currency (total debits == total credits), and account
+ * balances only change by posting entries, so the trial balance proves that
+ * money is conserved.
+ *
+ * Customer wallets and the treasury start at zero: deposits and treasury
+ * funding are recorded outside the gateway, so their balances show net flows.
+ */
+class UTPLedger {
+  /**
+   * @param {UTPMemoryStore} ledger_store - Store holding accounts and entries
+   * @param {Object} options - Ledger settings (defaults to config.ledger)
+   * @param {number} options.gst_rate - GST rate on gateway fees
+   */
+  constructor(ledger_store = store, options = {}) {
+    this.store = ledger_store;
+    this.accounts = ledger_store.collection('ledger_accounts');
+    this.entries = ledger_store.collection('journal_entries');
+    this.gst_rate = options.gst_rate !== undefined ? options.gst_rate : config.ledger.gst_rate;
+    this.max_entries_per_query = options.max_entries_per_query || config.ledger.max_entries_per_query;
+
+    // entry_key -> entry_id, so replays of the same business event post once
+    this.entry_keys = new Map();
+    for (const entry of this.entries.values()) {
+      if (entry.entry_key) {
+        this.entry_keys.set(entry.entry_key, entry.entry_id);
+      }
+    }
+  }
+
+  /**
+   * Post a balanced journal entry
+   * @param {Object} entry_data - Entry to post
+   * @param {string} entry_data.type - payment, conversion, fee, settlement, settlement_return, settlement_reversal, refund,
+   *   payment_reversal
+   * @param {string} entry_data.reference_type - Kind of record the entry belongs to (payment, settlement)
+   * @param {string} entry_data.reference_id - ID of that record
+   * @param {Array} entry_data.lines - [{ account_type, owner_id, currency, direction, amount }]
+   * @param {string} entry_data.entry_key - Optional key; an entry with the same key is posted only once
+   * @returns {Promise<Object>} Posted entry
+   */
+  async post(entry_data) {
+    const {
+      type,
+      reference_type,
+      reference_id,
+      description = '',
+      lines = [],
+      entry_key = null,
+      metadata = {}
+    } = entry_data;
+
+    return this.store.transaction(() => {
+      const existing = this.findEntryByKey(entry_key);
+      if (existing) {
+        return existing;
+      }
+
+      this.validateEntry(entry_data);
+
+      const entry = {
+        entry_id: uuidv4(),
+        entry_key,
+        type,
+        reference_type,
+        reference_id,
+        description,
+        lines: lines.map(line => ({
+          account_id: this.getAccountId(line.account_type, line.currency, line.owner_id),
+          account_type: line.account_type,
+          owner_id: line.owner_id || null,
+          currency: line.currency,
+          direction: line.direction,
+          amount: this.fromUnits(this.toUnits(line.amount))
+        })),
+        totals: this.getEntryTotals(lines),
+        metadata,
+        posted_at: new Date().toISOString()
+      };
+
+      for (const line of entry.lines) {
+        this.applyLine(line, entry.posted_at);
+      }
+
+      this.entries.set(entry.entry_id, entry);
+      if (entry_key) {
+        this.entry_keys.set(entry_key, entry.entry_id);
+      }
+
+      return entry;
+    });
+  }
+
+  /**
+   * Check an entry is well formed and balances in every currency
+   * @private
+   */
+  validateEntry({ type, reference_id, lines }) {
+    if (!type || !reference_id) {
+      throw new UTPError('Journal entry needs a type and reference_id', 'INVALID_LEDGER_ENTRY', 400);
+    }
+
+    if (!Array.isArray(lines) || lines.length < 2) {
+      throw new UTPError('Journal entry needs at least two lines', 'INVALID_LEDGER_ENTRY', 400);
+    }
+
+    const balances = {};
+
+    for (const line of lines) {
+      const account_type = ACCOUNT_TYPES[line.account_type];
+      if (!account_type) {
+        throw new UTPError(`Unknown ledger account type: ${line.account_type}`, 'INVALID_LEDGER_ACCOUNT', 400);
+      }
+      if (account_type.owner && !line.owner_id) {
+        throw new UTPError(`${line.account_type} lines need the ${account_type.owner} as owner_id`, 'INVALID_LEDGER_ACCOUNT', 400);
+      }
+      if (!line.currency) {
+        throw new UTPError('Journal lines need a currency', 'INVALID_LEDGER_ENTRY', 400);
+      }
+      if (!['debit', 'credit'].includes(line.direction)) {
+        throw new UTPError(`Invalid journal line direction: ${line.direction}`, 'INVALID_LEDGER_ENTRY', 400);
+      }
+      if (typeof line.amount !== 'number' || !Number.isFinite(line.amount) || this.toUnits(line.amount) <= 0) {
+        throw new UTPError('Journal line amounts must be positive numbers', 'INVALID_LEDGER_ENTRY', 400);
+      }
+
+      const units = this.toUnits(line.amount);
+      balances[line.currency] = (balances[line.currency] || 0) + (line.direction === 'debit' ? units : -units);
+    }
+
+    const unbalanced = Object.entries(balances).filter(([, difference]) => difference !== 0);
+    if (unbalanced.length > 0) {
+      const details = unbalanced
+        .map(([currency, difference]) => `${currency} off by ${this.fromUnits(difference)}`)
+        .join(', ');
+      throw new UTPError(`Journal entry does not balance: ${details}`, 'LEDGER_UNBALANCED', 400);
+    }
+  }
+
+  /**
+   * Add a line to its account's running totals
+   * @private
+   */
+  applyLine(line, posted_at) {
+    const account = this.openAccount(line.account_type, line.currency, line.owner_id);
+    const units = this.toUnits(line.amount);
+
+    if (line.direction === 'debit') {
+      account.debits = this.fromUnits(this.toUnits(account.debits) + units);
+    } else {
+      account.credits = this.fromUnits(this.toUnits(account.credits) + units);
+    }
+    account.balance = this.calculateBalance(account);
+    account.entry_count += 1;
+    account.updated_at = posted_at;
+
+    this.accounts.set(account.account_id, account);
+  }
+
+  /**
+   * Get an account, creating it on first use
+   * @private
+   */
+  openAccount(account_type, currency, owner_id) {
+    const account_id = this.getAccountId(account_type, currency, owner_id);
+    const existing = this.accounts.get(account_id);
+    if (existing) {
+      return existing;
+    }
+
+    const definition = ACCOUNT_TYPES[account_type];
+    return {
+      account_id,
+      account_type,
+      class: definition.class,
+      normal_balance: definition.normal_balance,
+      owner_type: definition.owner,
+      owner_id: owner_id || null,
+      currency,
+      debits: 0,
+      credits: 0,
+      balance: 0,
+      entry_count: 0,
+      created_at: new Date().toISOString(),
+      updated_at: null
+    };
+  }
+
+  /**
+   * Build an account ID such as merchant_payable:m_123:inr or fee_revenue:inr
+   * @param {string} account_type - Key of ACCOUNT_TYPES
+   * @param {string} currency - Currency or asset
+   * @param {string} owner_id - Customer or merchant ID for owned accounts
+   * @returns {string}
+   */
+  getAccountId(account_type, currency, owner_id) {
+    return owner_id
+      ? `${account_type}:${owner_id}:${currency}`
+      : `${account_type}:${currency}`;
+  }
+
+  /**
+   * Post the entries for a confirmed payment: the customer pays the merchant,
+   * the tokens are converted and the conversion fee is taken. The payout itself
+   * is booked by recordPayout when the settlement executes.
+   * @param {Object} payment - Confirmed payment with conversion details
+   * @returns {Promise<Array>} Posted entries
+   */
+  async recordPayment(payment) {
+    const { payment_id, customer_id, merchant_id, amount, currency } = payment;
+    const conversion = payment.conversion_details || {};
+    const reference = { reference_type: 'payment', reference_id: payment_id };
+    const entries = [];
+
+    entries.push(await this.post({
+      ...reference,
+      type: 'payment',
+      entry_key: `payment:${payment_id}`,
+      description: `Payment ${payment_id} from customer ${customer_id} to merchant ${merchant_id}`,
+      lines: [
+        { account_type: 'customer_wallet', owner_id: customer_id, currency, direction: 'debit', amount },
+        { account_type: 'merchant_payable', owner_id: merchant_id, currency, direction: 'credit', amount }
+      ]
+    }));
+
+    if (this.isConversion(payment)) {
+      // The merchant receives the converted legs plus the fee, which is then charged back
+      const fee = conversion.fee || 0;
+      const fee_currency = this.getConversionFeeCurrency(payment);
+      const converted_legs = this.getConversionLegs(payment)
+        .map(leg => (leg.currency === fee_currency ? { ...leg, amount: this.sumAmounts(leg.amount, fee) } : leg));
+      if (!converted_legs.some(leg => leg.currency === fee_currency) && this.toUnits(fee) > 0) {
+        converted_legs.push({ currency: fee_currency, amount: fee });
+      }
+
+      entries.push(await this.post({
+        ...reference,
+        type: 'conversion',
+        entry_key: `conversion:${payment_id}`,
+        description: `Convert ${currency} to ${converted_legs.map(leg => leg.currency).join(', ')} for payment ${payment_id}`,
+        lines: [
+          { account_type: 'merchant_payable', owner_id: merchant_id, currency, direction: 'debit', amount },
+          { account_type: 'conversion_inventory', currency, direction: 'credit', amount },
+          ...converted_legs.flatMap(leg => [
+            { account_type: 'conversion_inventory', currency: leg.currency, direction: 'debit', amount: leg.amount },
+            { account_type: 'merchant_payable', owner_id: merchant_id, currency: leg.currency, direction: 'credit', amount: leg.amount }
+          ])
+        ],
+        metadata: { quote_id: conversion.quote_id || null, conversion_rate: conversion.conversion_rate || null }
+      }));
+
+      if (this.toUnits(fee) > 0) {
+        entries.push(await this.recordFee({
+          ...reference,
+          entry_key: `fee:${payment_id}`,
+          merchant_id,
+          currency: fee_currency,
+          fee,
+          description: `Conversion fee for payment ${payment_id}`
+        }));
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Post the reversal of a payment whose payout failed before anything was paid
+   * out: each entry booked for it is posted again with debits and credits swapped,
+   * so the customer's tokens, the conversion and its fee are all undone
+   * @param {Object} payment - Failed payment ({ payment_id, ledger_entry_ids })
+   * @returns {Promise<Array>} Posted entries
+   */
+  async recordPaymentFailure(payment) {
+    const { payment_id } = payment;
+    const entries = [];
+
+    for (const entry_id of payment.ledger_entry_ids || []) {
+      const entry = this.entries.get(entry_id);
+      if (!entry || entry.type === 'payment_reversal') continue;
+
+      entries.push(await this.post({
+        reference_type: 'payment',
+        reference_id: payment_id,
+        type: 'payment_reversal',
+        entry_key: `payment_reversal:${entry_id}`,
+        description: `Reverse ${entry.type} entry of failed payment ${payment_id}`,
+        lines: entry.lines.map(line => ({
+          account_type: line.account_type,
+          owner_id: line.owner_id,
+          currency: line.currency,
+          direction: line.direction === 'debit' ? 'credit' : 'debit',
+          amount: line.amount
+        })),
+        metadata: { reversed_entry_id: entry_id }
+      }));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Post the split of a marketplace payment: each sub-merchant's share of what
+   * the payment settled is owed to the sub-merchant instead of the marketplace,
+   * which keeps its commission and anything left unallocated
+   * @param {Object} payment - Confirmed split payment ({ payment_id, merchant_id, settlement_type, splits })
+   * @returns {Promise<Object|null>} Posted entry, or null when no sub-merchant has a share
+   */
+  async recordSplit(payment) {
+    const { payment_id, merchant_id, settlement_type: currency } = payment;
+    const shares = payment.splits.filter(split => split.role === 'sub_merchant' && this.toUnits(split.amount) > 0);
+    if (shares.length === 0) {
+      return null;
+    }
+
+    return this.post({
+      reference_type: 'payment',
+      reference_id: payment_id,
+      type: 'split',
+      entry_key: `split:${payment_id}`,
+      description: `Split payment ${payment_id} of marketplace ${merchant_id} among ${shares.length} sub-merchant(s)`,
+      lines: [
+        { account_type: 'merchant_payable', owner_id: merchant_id, currency, direction: 'debit', amount: this.sumAmounts(...shares.map(split => split.amount)) },
+        ...shares.map(split => ({ account_type: 'merchant_payable', owner_id: split.merchant_id, currency, direction: 'credit', amount: split.amount }))
+      ]
+    });
+  }
+
+  /**
+   * Post the entries for a refund: the settlement is reversed (where it was
+   * already paid out, the merchant owes it back as a receivable until a
+   * clawback recovers it), the conversion unwound and the tokens returned to the
+   * customer's wallet. A split payment's refund is taken back from each
+   * recipient (refund.split_reversals) to the marketplace first.
+   * @param {Object} payment - Refunded payment
+   * @param {Object} refund - Refund record ({ refund_id, amount, token_amount, split_reversals })
+   * @returns {Promise<Array>} Posted entries
+   */
+  async recordRefund(payment, refund) {
+    const { payment_id, customer_id, merchant_id, currency } = payment;
+    const { refund_id, token_amount, split_reversals } = refund;
+    const reversed_legs = this.splitAcrossLegs(refund.amount, this.getSettlementLegs(payment));
+    const reference = { reference_type: 'payment', reference_id: payment_id };
+    const entries = [];
+
+    // Legs still queued for a scheduled payout, or failed, cancelled or clawed back, hold no money
+    // of the merchant's, so there is nothing to reverse
+    const paid_legs = split_reversals
+      ? split_reversals.filter(share => share.paid_out)
+        .map(share => ({ currency: share.currency, amount: share.amount, owner_id: share.merchant_id }))
+      : reversed_legs.filter(leg => leg.paid_out).map(leg => ({ ...leg, owner_id: merchant_id }));
+    if (paid_legs.length > 0) {
+      entries.push(await this.post({
+        ...reference,
+        type: 'settlement_reversal',
+        entry_key: `settlement_reversal:${refund_id}`,
+        description: `Reverse settlement of payment ${payment_id} for refund ${refund_id}`,
+        lines: paid_legs.flatMap(leg => [
+          { account_type: 'merchant_receivable', owner_id: leg.owner_id, currency: leg.currency, direction: 'debit', amount: leg.amount },
+          { account_type: 'merchant_payable', owner_id: leg.owner_id, currency: leg.currency, direction: 'credit', amount: leg.amount }
+        ]),
+        metadata: { refund_id }
+      }));
+    }
+
+    const sub_merchant_shares = (split_reversals || []).filter(share => share.role === 'sub_merchant');
+    if (sub_merchant_shares.length > 0) {
+      entries.push(await this.post({
+        ...reference,
+        type: 'split_reversal',
+        entry_key: `split_reversal:${refund_id}`,
+        description: `Take back the sub-merchant shares of refund ${refund_id} to marketplace ${merchant_id}`,
+        lines: [
+          ...sub_merchant_shares.map(share => ({
+            account_type: 'merchant_payable', owner_id: share.merchant_id, currency: share.currency, direction: 'debit', amount: share.amount
+          })),
+          {
+            account_type: 'merchant_payable',
+            owner_id: merchant_id,
+            currency: sub_merchant_shares[0].currency,
+            direction: 'credit',
+            amount: this.sumAmounts(...sub_merchant_shares.map(share => share.amount))
+          }
+        ],
+        metadata: { refund_id }
+      }));
+    }
+
+    if (this.isConversion(payment)) {
+      entries.push(await this.post({
+        ...reference,
+        type: 'conversion',
+        entry_key: `conversion:${refund_id}`,
+        description: `Convert refund ${refund_id} back to ${currency}`,
+        lines: [
+          ...reversed_legs.flatMap(leg => [
+            { account_type: 'merchant_payable', owner_id: merchant_id, currency: leg.currency, direction: 'debit', amount: leg.amount },
+            { account_type: 'conversion_inventory', currency: leg.currency, direction: 'credit', amount: leg.amount }
+          ]),
+          { account_type: 'conversion_inventory', currency, direction: 'debit', amount: token_amount },
+          { account_type: 'merchant_payable', owner_id: merchant_id, currency, direction: 'credit', amount: token_amount }
+        ],
+        metadata: { refund_id, rate_policy: refund.rate_policy, conversion_rate: refund.conversion_rate }
+      }));
+    }
+
+    entries.push(await this.post({
+      ...reference,
+      type: 'refund',
+      entry_key: `refund:${refund_id}`,
+      description: `Refund ${refund_id} to customer ${customer_id}`,
+      lines: [
+        { account_type: 'merchant_payable', owner_id: merchant_id, currency, direction: 'debit', amount: token_amount },
+        { account_type: 'customer_wallet', owner_id: customer_id, currency, direction: 'credit', amount: token_amount }
+      ],
+      metadata: { refund_id }
+    }));
+
+    return entries;
+  }
+
+  /**
+   * Post a merchant payout with its settlement fee and GST, leg by leg. A leg's
+   * rolling reserve (reserve_amount) moves to the merchant's reserve account
+   * instead of being paid out.
+   * @param {Object} settlement - Executed settlement ({ settlement_id, merchant_id, legs })
+   * @returns {Promise<Array>} Posted entries
+   */
+  async recordPayout(settlement) {
+    const { settlement_id, merchant_id } = settlement;
+    const reference = { reference_type: 'settlement', reference_id: settlement_id };
+    const legs = settlement.legs.map(leg => ({
+      currency: leg.currency,
+      net_amount: leg.net_amount,
+      reserve_amount: leg.reserve_amount || 0,
+      payout_amount: this.sumAmounts(leg.net_amount, -(leg.reserve_amount || 0)),
+      settlement_fee: leg.fees.settlement_fee,
+      gst: leg.fees.gst
+    }));
+    const entries = [];
+
+    entries.push(await this.post({
+      ...reference,
+      type: 'settlement',
+      entry_key: `settlement:${settlement_id}`,
+      description: `Payout ${settlement_id} to merchant ${merchant_id}`,
+      lines: legs.filter(leg => this.toUnits(leg.net_amount) > 0).flatMap(leg => [
+        { account_type: 'merchant_payable', owner_id: merchant_id, currency: leg.currency, direction: 'debit', amount: leg.net_amount },
+        ...(this.toUnits(leg.payout_amount) > 0 ? [{ account_type: 'treasury', currency: leg.currency, direction: 'credit', amount: leg.payout_amount }] : []),
+        ...(this.toUnits(leg.reserve_amount) > 0 ? [{ account_type: 'merchant_reserve', owner_id: merchant_id, currency: leg.currency, direction: 'credit', amount: leg.reserve_amount }] : [])
+      ]),
+      metadata: { settlement_method: settlement.settlement_method, payment_id: settlement.payment_id || null }
+    }));
+
+    const fee_legs = legs.filter(leg => this.toUnits(leg.settlement_fee + leg.gst) > 0);
+    if (fee_legs.length > 0) {
+      entries.push(await this.post({
+        ...reference,
+        type: 'fee',
+        entry_key: `fee:${settlement_id}`,
+        description: `Settlement fee for payout ${settlement_id}`,
+        lines: fee_legs.flatMap(leg => [
+          { account_type: 'merchant_payable', owner_id: merchant_id, currency: leg.currency, direction: 'debit', amount: this.sumAmounts(leg.settlement_fee, leg.gst) },
+          ...(this.toUnits(leg.settlement_fee) > 0 ? [{ account_type: 'fee_revenue', currency: leg.currency, direction: 'credit', amount: leg.settlement_fee }] : []),
+          ...(this.toUnits(leg.gst) > 0 ? [{ account_type: 'gst_payable', currency: leg.currency, direction: 'credit', amount: leg.gst }] : [])
+        ]),
+        metadata: { gst_rate: this.gst_rate }
+      }));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Post the return of a payout leg its rail failed or cancelled: the amount paid
+   * out comes back from the treasury, any reserve withheld from the leg is given
+   * back and the settlement fee and GST are refunded, so the whole leg is owed
+   * to the merchant again
+   * @param {Object} settlement - Settlement the leg belongs to
+   * @param {Object} leg - Failed leg ({ currency, leg_key, net_amount, reserve_amount, fees, rail_reference })
+   * @param {string} reason - Why the rail did not pay
+   * @returns {Promise<Object>} Posted entry
+   */
+  async recordPayoutReturn(settlement, leg, reason) {
+    const { settlement_id, merchant_id } = settlement;
+    const { currency, net_amount } = leg;
+    const { settlement_fee, gst } = leg.fees;
+    const reserve_amount = leg.reserve_amount || 0;
+    const payout_amount = this.sumAmounts(net_amount, -reserve_amount);
+
+    return this.post({
+      reference_type: 'settlement',
+      reference_id: settlement_id,
+      type: 'settlement_return',
+      entry_key: `settlement_return:${settlement_id}:${leg.leg_key || currency}`,
+      description: `Return failed ${currency.toUpperCase()} payout of ${settlement_id} to merchant ${merchant_id}`,
+      lines: [
+        ...(this.toUnits(payout_amount) > 0 ? [{ account_type: 'treasury', currency, direction: 'debit', amount: payout_amount }] : []),
+        ...(this.toUnits(reserve_amount) > 0 ? [{ account_type: 'merchant_reserve', owner_id: merchant_id, currency, direction: 'debit', amount: reserve_amount }] : []),
+        ...(this.toUnits(settlement_fee) > 0 ? [{ account_type: 'fee_revenue', currency, direction: 'debit', amount: settlement_fee }] : []),
+        ...(this.toUnits(gst) > 0 ? [{ account_type: 'gst_payable', currency, direction: 'debit', amount: gst }] : []),
+        {
+          account_type: 'merchant_payable',
+          owner_id: merchant_id,
+          currency,
+          direction: 'credit',
+          amount: this.sumAmounts(net_amount, settlement_fee, gst)
+        }
+      ],
+      metadata: { reason: reason || null, rail_reference: leg.rail_reference || null }
+    });
+  }
+
+  /**
+   * Post the clawback of a paid token payout leg: the tokens come back to the
+   * treasury and are owed to the merchant again. The settlement fee and GST
+   * stay earned, since the payout was made, and any reserve withheld from the
+   * leg stays held.
+   * @param {Object} settlement - Settlement the leg belongs to
+   * @param {Object} leg - Reversed leg ({ currency, leg_key, net_amount, reserve_amount, rail_reference })
+   * @param {string} reason - Why the payout was clawed back
+   * @returns {Promise<Object>} Posted entry
+   */
+  async recordClawback(settlement, leg, reason) {
+    const { settlement_id, merchant_id } = settlement;
+    const { currency } = leg;
+    const payout_amount = this.sumAmounts(leg.net_amount, -(leg.reserve_amount || 0));
+
+    return this.post({
+      reference_type: 'settlement',
+      reference_id: settlement_id,
+      type: 'settlement_clawback',
+      entry_key: `settlement_clawback:${settlement_id}:${leg.leg_key || currency}`,
+      description: `Claw back ${currency.toUpperCase()} payout of ${settlement_id} from merchant ${merchant_id}`,
+      lines: [
+        { account_type: 'treasury', currency, direction: 'debit', amount: payout_amount },
+        { account_type: 'merchant_payable', owner_id: merchant_id, currency, direction: 'credit', amount: payout_amount }
+      ],
+      metadata: { reason: reason || null, rail_reference: leg.rail_reference || null }
+    });
+  }
+
+  /**
+   * Post the recovery of refund receivables from a clawed back payout leg: what
+   * the clawback made owed to the merchant again is set against what the
+   * merchant still owes for each refund, oldest first
+   * @param {Object} settlement - Settlement the leg belongs to
+   * @param {Object} leg - Clawed back leg ({ currency, leg_key, net_amount, reserve_amount })
+   * @param {Array} reversals - Pending refund reversals of the settlement ({ reversal_id, refund_id })
+   * @returns {Promise<Array>} Posted entries, one per reversal something was recovered for
+   */
+  async recordReceivableRecovery(settlement, leg, reversals) {
+    const { settlement_id, merchant_id } = settlement;
+    const { currency } = leg;
+    let available = this.toUnits(this.sumAmounts(leg.net_amount, -(leg.reserve_amount || 0)));
+    const entries = [];
+
+    for (const reversal of reversals) {
+      const units = Math.min(this.toUnits(this.getRefundReceivable(reversal.refund_id, merchant_id)[currency] || 0), available);
+      if (units <= 0) continue;
+
+      available -= units;
+      entries.push(await this.post({
+        reference_type: 'settlement',
+        reference_id: settlement_id,
+        type: 'receivable_recovery',
+        entry_key: `receivable_recovery:${reversal.reversal_id}:${leg.leg_key || currency}`,
+        description: `Recover refund ${reversal.refund_id} from the ${currency.toUpperCase()} clawback of ${settlement_id}`,
+        lines: [
+          { account_type: 'merchant_payable', owner_id: merchant_id, currency, direction: 'debit', amount: this.fromUnits(units) },
+          { account_type: 'merchant_receivable', owner_id: merchant_id, currency, direction: 'credit', amount: this.fromUnits(units) }
+        ],
+        metadata: { refund_id: reversal.refund_id, reversal_id: reversal.reversal_id }
+      }));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get what a refund still leaves a merchant owing, per currency
+   * @param {string} refund_id - Refund ID
+   * @param {string} merchant_id - Merchant (a recipient of a split payment)
+   * @returns {Object} Amount owed by currency (empty once nothing is owed)
+   */
+  getRefundReceivable(refund_id, merchant_id) {
+    const reversal = this.findEntryByKey(`settlement_reversal:${refund_id}`);
+    const recoveries = this.entries.find(entry => entry.type === 'receivable_recovery' && entry.metadata.refund_id === refund_id);
+    const owed = {};
+
+    for (const line of [...(reversal ? reversal.lines : []), ...recoveries.flatMap(entry => entry.lines)]) {
+      if (line.account_type === 'merchant_receivable' && line.owner_id === merchant_id) {
+        owed[line.currency] = (owed[line.currency] || 0) + (line.direction === 'debit' ? 1 : -1) * this.toUnits(line.amount);
+      }
+    }
+
+    return Object.fromEntries(Object.entries(owed)
+      .filter(([, units]) => units > 0)
+      .map(([currency, units]) => [currency, this.fromUnits(units)]));
+  }
+
+  /**
+   * Post the release of a rolling reserve: it is owed to the merchant again and
+   * is paid out with the next payout
+   * @param {Object} reserve - Reserve ({ reserve_id, merchant_id, settlement_id, currency, amount })
+   * @returns {Promise<Object>} Posted entry
+   */
+  async recordReserveRelease(reserve) {
+    const { reserve_id, merchant_id, currency, amount } = reserve;
+
+    return this.post({
+      reference_type: 'settlement',
+      reference_id: reserve.settlement_id,
+      type: 'reserve_release',
+      entry_key: `reserve_release:${reserve_id}`,
+      description: `Release ${currency.toUpperCase()} reserve ${reserve_id} to merchant ${merchant_id}`,
+      lines: [
+        { account_type: 'merchant_reserve', owner_id: merchant_id, currency, direction: 'debit', amount },
+        { account_type: 'merchant_payable', owner_id: merchant_id, currency, direction: 'credit', amount }
+      ],
+      metadata: { reserve_id }
+    });
+  }
+
+  /**
+   * Post a GST-inclusive fee charged to a merchant
+   * @private
+   */
+  async recordFee({ reference_type, reference_id, entry_key, merchant_id, currency, fee, description }) {
+    const gst = this.roundAmount(fee * this.gst_rate / (1 + this.gst_rate));
+    const net_fee = this.sumAmounts(fee, -gst);
+
+    return this.post({
+      reference_type,
+      reference_id,
+      type: 'fee',
+      entry_key,
+      description,
+      lines: [
+        { account_type: 'merchant_payable', owner_id: merchant_id, currency, direction: 'debit', amount: fee },
+        { account_type: 'fee_revenue', currency, direction: 'credit', amount: net_fee },
+        ...(this.toUnits(gst) > 0 ? [{ account_type: 'gst_payable', currency, direction: 'credit', amount: gst }] : [])
+      ],
+      metadata: { gst_rate: this.gst_rate }
+    });
+  }
+
+  /**
+   * Get what a payment converted into, per currency (before the conversion fee)
+   * @private
+   */
+  getConversionLegs(payment) {
+    const conversion = payment.conversion_details || {};
+
+    if (conversion.type === 'mixed') {
+      return conversion.breakdown.map(leg => ({ currency: leg.currency, amount: leg.amount }));
+    }
+
+    return [{ currency: payment.settlement_type, amount: conversion.converted_amount }];
+  }
+
+  /**
+   * Get the currency a payment's conversion fee is charged in. A mixed payment's
+   * fee is in rupees: on its first INR or BINR leg, or in BINR when every leg is a metal token.
+   * @private
+   */
+  getConversionFeeCurrency(payment) {
+    const legs = this.getConversionLegs(payment);
+    if ((payment.conversion_details || {}).type !== 'mixed') {
+      return legs[0].currency;
+    }
+
+    const rupee_leg = legs.find(leg => ['inr', 'binr'].includes(leg.currency));
+    return rupee_leg ? rupee_leg.currency : 'binr';
+  }
+
+  /**
+   * Get what a payment settled to the merchant, per currency (before settlement fees)
+   * @private
+   */
+  getSettlementLegs(payment) {
+    const settlement = payment.settlement_details;
+    if (!settlement) {
+      throw new UTPError(`Payment ${payment.payment_id} has no settlement to record`, 'INVALID_LEDGER_ENTRY', 400);
+    }
+
+    // A split payment settles in one currency, paid out recipient by recipient
+    if (settlement.type === 'split') {
+      return [{ currency: settlement.currency, amount: settlement.amount, paid_out: false }];
+    }
+
+    return settlement.legs.map(leg => ({
+      currency: leg.currency,
+      amount: leg.amount,
+      value: leg.value,
+      conversion_rate: leg.conversion_rate,
+      paid_out: !['scheduled', 'failed', 'cancelled', 'reversed'].includes(leg.status)
+    }));
+  }
+
+  /**
+   * Split an amount across settlement legs in proportion to their size. Token legs
+   * of a mixed payment are weighed by rupee value and take their share back at
+   * their locked conversion rate.
+   * @private
+   */
+  splitAcrossLegs(amount, legs) {
+    const weight = leg => this.toUnits(leg.conversion_rate ? leg.value : leg.amount);
+    const total_units = legs.reduce((sum, leg) => sum + weight(leg), 0);
+    let remaining_units = this.toUnits(amount);
+
+    return legs.map((leg, index) => {
+      const units = index === legs.length - 1
+        ? remaining_units
+        : Math.round(this.toUnits(amount) * weight(leg) / total_units);
+      remaining_units -= units;
+      const share = this.fromUnits(units);
+      return { ...leg, amount: leg.conversion_rate ? this.fromUnits(this.toUnits(share * leg.conversion_rate)) : share };
+    }).filter(leg => this.toUnits(leg.amount) > 0);
+  }
+
+  /**
+   * Check whether a payment converted the customer's asset
+   * @private
+   */
+  isConversion(payment) {
+    return payment.currency !== payment.settlement_type;
+  }
+
+  /**
+   * Find an already posted entry by its key
+   * @private
+   */
+  findEntryByKey(entry_key) {
+    if (!entry_key || !this.entry_keys.has(entry_key)) {
+      return null;
+    }
+
+    // The key may point at an entry from a rolled back transaction
+    return this.entries.get(this.entry_keys.get(entry_key)) || null;
+  }
+
+  /**
+   * Get an account with its balance
+   * @param {string} account_id - Account ID
+   * @returns {Object} Account
+   */
+  getAccount(account_id) {
+    const account = this.accounts.get(account_id);
+    if (!account) {
+      throw new UTPError(`Ledger account not found: ${account_id}`, 'LEDGER_ACCOUNT_NOT_FOUND', 404);
+    }
+
+    return account;
+  }
+
+  /**
+   * List accounts
+   * @param {Object} filters - Optional account_type, currency and owner_id
+   * @returns {Array} Accounts
+   */
+  listAccounts(filters = {}) {
+    return this.accounts.find(account =>
+      ['account_type', 'currency', 'owner_id'].every(field =>
+        filters[field] === undefined || account[field] === filters[field]
+      )
+    ).sort((a, b) => a.account_id.localeCompare(b.account_id));
+  }
+
+  /**
+   * Get every balance held for a customer or merchant
+   * @param {string} owner_id - Customer or merchant ID
+   * @returns {Object} Accounts and balances per currency
+   */
+  getBalances(owner_id) {
+    const accounts = this.listAccounts({ owner_id });
+    const balances = {};
+
+    for (const account of accounts) {
+      balances[account.account_type] = balances[account.account_type] || {};
+      balances[account.account_type][account.currency] = account.balance;
+    }
+
+    return {
+      owner_id,
+      balances,
+      accounts
+    };
+  }
+
+  /**
+   * Get journal entries, newest first
+   * @param {Object} filters - Optional account_id, reference_id, type, from, to and limit
+   * @returns {Array} Entries
+   */
+  getEntries(filters = {}) {
+    const { account_id, reference_id, type, from, to } = filters;
+    const limit = Math.min(parseInt(filters.limit) || 50, this.max_entries_per_query);
+    const from_time = from ? new Date(from).getTime() : null;
+    const to_time = to ? new Date(to).getTime() : null;
+
+    return this.entries.find(entry => {
+      const posted_time = new Date(entry.posted_at).getTime();
+      return (!account_id || entry.lines.some(line => line.account_id === account_id)) &&
+        (!reference_id || entry.reference_id === reference_id || entry.metadata.refund_id === reference_id) &&
+        (!type || entry.type === type) &&
+        (from_time === null || posted_time >= from_time) &&
+        (to_time === null || posted_time <= to_time);
+    })
+      .sort((a, b) => new Date(b.posted_at) - new Date(a.posted_at))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get a journal entry
+   * @param {string} entry_id - Entry ID
+   * @returns {Object} Entry
+   */
+  getEntry(entry_id) {
+    const entry = this.entries.get(entry_id);
+    if (!entry) {
+      throw new UTPError(`Journal entry not found: ${entry_id}`, 'LEDGER_ENTRY_NOT_FOUND', 404);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Build the trial balance per currency and check account totals against the journal
+   * @param {Object} filters - Optional currency
+   * @returns {Object} Trial balance
+   */
+  getTrialBalance(filters = {}) {
+    const accounts = this.listAccounts({ currency: filters.currency });
+    const currencies = {};
+
+    for (const account of accounts) {
+      const currency = currencies[account.currency] = currencies[account.currency] || {
+        accounts: [],
+        debit_units: 0,
+        credit_units: 0
+      };
+      const net_units = this.toUnits(account.debits) - this.toUnits(account.credits);
+
+      currency.accounts.push({
+        account_id: account.account_id,
+        account_type: account.account_type,
+        class: account.class,
+        debit: net_units > 0 ? this.fromUnits(net_units) : 0,
+        credit: net_units < 0 ? this.fromUnits(-net_units) : 0
+      });
+      if (net_units > 0) {
+        currency.debit_units += net_units;
+      } else {
+        currency.credit_units -= net_units;
+      }
+    }
+
+    const trial_balance = {};
+    for (const [currency, totals] of Object.entries(currencies)) {
+      trial_balance[currency] = {
+        accounts: totals.accounts,
+        total_debits: this.fromUnits(totals.debit_units),
+        total_credits: this.fromUnits(totals.credit_units),
+        balanced: totals.debit_units === totals.credit_units
+      };
+    }
+
+    const discrepancies = this.verifyJournal(filters.currency);
+
+    return {
+      currencies: trial_balance,
+      balanced: Object.values(trial_balance).every(currency => currency.balanced),
+      journal_verified: discrepancies.length === 0,
+      discrepancies,
+      account_count: accounts.length,
+      entry_count: this.entries.size,
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Recompute account totals from the journal and report accounts that disagree
+   * @private
+   */
+  verifyJournal(currency) {
+    const totals = new Map();
+
+    for (const entry of this.entries.values()) {
+      for (const line of entry.lines) {
+        if (currency && line.currency !== currency) continue;
+
+        const account_totals = totals.get(line.account_id) || { debit_units: 0, credit_units: 0 };
+        account_totals[`${line.direction}_units`] += this.toUnits(line.amount);
+        totals.set(line.account_id, account_totals);
+      }
+    }
+
+    const discrepancies = [];
+    for (const account of this.listAccounts({ currency })) {
+      const journal = totals.get(account.account_id) || { debit_units: 0, credit_units: 0 };
+      if (journal.debit_units !== this.toUnits(account.debits) || journal.credit_units !== this.toUnits(account.credits)) {
+        discrepancies.push({
+          account_id: account.account_id,
+          account: { debits: account.debits, credits: account.credits },
+          journal: { debits: this.fromUnits(journal.debit_units), credits: this.fromUnits(journal.credit_units) }
+        });
+      }
+      totals.delete(account.account_id);
+    }
+
+    for (const account_id of totals.keys()) {
+      discrepancies.push({ account_id, account: null, journal: totals.get(account_id) });
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Get balance totals per account type and currency
+   * @returns {Object} e.g. { fee_revenue: { inr: 120.5 }, gst_payable: { inr: 21.69 } }
+   */
+  getTotals() {
+    const totals = {};
+
+    for (const account of this.accounts.values()) {
+      totals[account.account_type] = totals[account.account_type] || {};
+      totals[account.account_type][account.currency] = this.sumAmounts(
+        totals[account.account_type][account.currency] || 0,
+        account.balance
+      );
+    }
+
+    return totals;
+  }
+
+  /**
+   * Balance of an account on its normal side
+   * @private
+   */
+  calculateBalance(account) {
+    const net_units = this.toUnits(account.credits) - this.toUnits(account.debits);
+    return this.fromUnits(account.normal_balance === 'credit' ? net_units : -net_units);
+  }
+
+  /**
+   * Per-currency debit totals of a balanced entry
+   * @private
+   */
+  getEntryTotals(lines) {
+    const totals = {};
+    for (const line of lines.filter(line => line.direction === 'debit')) {
+      totals[line.currency] = this.sumAmounts(totals[line.currency] || 0, line.amount);
+    }
+    return totals;
+  }
+
+  /**
+   * Add amounts without floating point drift
+   * @private
+   */
+  sumAmounts(...amounts) {
+    return this.fromUnits(amounts.reduce((sum, amount) => sum + this.toUnits(amount), 0));
+  }
+
+  /**
+   * Round to 2 decimals (fees and GST are charged in whole paise)
+   * @private
+   */
+  roundAmount(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Convert an amount to integer 1e-8 units
+   * @private
+   */
+  toUnits(amount) {
+    return Math.round(amount * UNIT_SCALE);
+  }
+
+  /**
+   * Convert integer 1e-8 units back to an amount
+   * @private
+   */
+  fromUnits(units) {
+    return units / UNIT_SCALE;
+  }
+
+  /**
+   * Get ledger status
+   */
+  getStatus() {
+    return {
+      accounts: this.accounts.size,
+      entries: this.entries.size,
+      gst_rate: this.gst_rate
+    };
+  }
+}
+
+module.exports = UTPLedger;
+module.exports.ACCOUNT_TYPES = ACCOUNT_TYPES;
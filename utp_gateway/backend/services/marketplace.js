@@ -0,0 +1,309 @@
+const config = require('../config');
+const { store } = require('../models');
+const { UTPError } = require('../middleware/error.middleware');
+
+/**
+ * UTP Marketplace
+ * Marketplace merchants and their sub-merchants, and the split of a payment
+ * among them.
+ *
+ * A sub-merchant is registered under a parent (the marketplace) and is a full
+ * merchant of its own: it is verified, activated and paid out on its own
+ * settlement preferences. A payment to the marketplace can be split among its
+ * active sub-merchants by fixed amounts or percentages of what the payment
+ * settles (after the conversion fee). The marketplace keeps its commission
+ * rate of each sub-merchant's share, and whatever the splits leave
+ * unallocated. Refunds take back from every recipient in proportion to what
+ * it was allocated. Only one level of sub-merchants is supported.
+ */
+class UTPMarketplace {
+  /**
+   * @param {Object} options - Marketplace settings (defaults to config.marketplace)
+   * @param {UTPMerchantLifecycle} options.merchant_lifecycle - Account status checks of split recipients
+   * @param {number} options.default_commission_rate - Commission of a marketplace that has not set its own
+   * @param {number} options.max_commission_rate - Highest commission a marketplace can set
+   * @param {number} options.max_splits - Sub-merchants one payment can be split among
+   */
+  constructor(options = {}) {
+    const settings = { ...config.marketplace, ...options };
+
+    this.merchant_lifecycle = options.merchant_lifecycle || null;
+    this.default_commission_rate = settings.default_commission_rate;
+    this.max_commission_rate = settings.max_commission_rate;
+    this.max_splits = settings.max_splits;
+    this.merchants = store.collection('merchants');
+    this.merchant_configs = store.collection('merchant_configs');
+  }
+
+  /**
+   * Check a merchant can have sub-merchants registered under it
+   * @param {string} parent_merchant_id - Merchant ID of the marketplace
+   * @returns {Object} The marketplace merchant
+   * @throws {UTPError} MERCHANT_NOT_FOUND, INVALID_PARENT_MERCHANT
+   */
+  assertCanBeParent(parent_merchant_id) {
+    const parent = this.getMerchant(parent_merchant_id);
+    if (parent.parent_merchant_id) {
+      throw new UTPError('A sub-merchant cannot have sub-merchants of its own', 'INVALID_PARENT_MERCHANT', 400);
+    }
+    if (parent.status === 'closed') {
+      throw new UTPError('Sub-merchants cannot be registered under a closed merchant', 'INVALID_PARENT_MERCHANT', 400);
+    }
+    return parent;
+  }
+
+  /**
+   * A marketplace's commission rate and sub-merchants
+   * @param {string} merchant_id - Merchant ID of the marketplace
+   * @returns {Object} { merchant_id, commission_rate, sub_merchants }
+   */
+  getSubMerchants(merchant_id) {
+    this.getMerchant(merchant_id);
+
+    const sub_merchants = this.merchants.find({ parent_merchant_id: merchant_id })
+      .sort((a, b) => new Date(a.registration_date) - new Date(b.registration_date))
+      .map(merchant => ({
+        merchant_id: merchant.merchant_id,
+        business_name: merchant.business_name,
+        business_type: merchant.business_type,
+        status: merchant.status,
+        kyc_status: merchant.kyc_status,
+        registration_date: merchant.registration_date
+      }));
+
+    return {
+      merchant_id,
+      commission_rate: this.getCommissionRate(merchant_id),
+      sub_merchants
+    };
+  }
+
+  /**
+   * Commission a marketplace keeps of each sub-merchant's split
+   * @param {string} merchant_id - Merchant ID of the marketplace
+   * @returns {number} Rate (0.05 is 5%)
+   */
+  getCommissionRate(merchant_id) {
+    const merchant_config = this.merchant_configs.get(merchant_id);
+    const rate = merchant_config && merchant_config.marketplace && merchant_config.marketplace.commission_rate;
+    return typeof rate === 'number' ? rate : this.default_commission_rate;
+  }
+
+  /**
+   * Set a marketplace's commission rate (applies to payments created from now on)
+   * @param {string} merchant_id - Merchant ID of the marketplace
+   * @param {number} commission_rate - Rate from 0 up to max_commission_rate
+   * @returns {Object} { merchant_id, commission_rate, previous_commission_rate }
+   * @throws {UTPError} INVALID_COMMISSION_RATE, MERCHANT_NOT_FOUND, INVALID_PARENT_MERCHANT
+   */
+  setCommissionRate(merchant_id, commission_rate) {
+    if (typeof commission_rate !== 'number' || !Number.isFinite(commission_rate) ||
+      commission_rate < 0 || commission_rate > this.max_commission_rate) {
+      throw new UTPError(
+        `commission_rate must be a number from 0 up to ${this.max_commission_rate}`,
+        'INVALID_COMMISSION_RATE',
+        400
+      );
+    }
+    this.assertCanBeParent(merchant_id);
+
+    const previous_commission_rate = this.getCommissionRate(merchant_id);
+    const merchant_config = this.merchant_configs.get(merchant_id);
+    merchant_config.marketplace = {
+      ...merchant_config.marketplace,
+      commission_rate,
+      updated_at: new Date().toISOString()
+    };
+    this.merchant_configs.set(merchant_id, merchant_config);
+
+    return { merchant_id, commission_rate, previous_commission_rate };
+  }
+
+  /**
+   * Check the splits of a new payment
+   * @param {string} merchant_id - Marketplace the payment is made to
+   * @param {Array} splits - [{ merchant_id, amount (settlement currency) or percentage }]
+   * @param {string} settlement_type - Settlement type of the payment
+   * @throws {UTPError} INVALID_SPLIT, INVALID_SPLIT_RECIPIENT, MERCHANT_NOT_ACTIVE
+   */
+  validateSplits(merchant_id, splits, settlement_type) {
+    if (!Array.isArray(splits) || splits.length === 0) {
+      throw new UTPError('splits must be a non-empty array', 'INVALID_SPLIT', 400);
+    }
+    if (splits.length > this.max_splits) {
+      throw new UTPError(`A payment can be split among at most ${this.max_splits} sub-merchants`, 'INVALID_SPLIT', 400);
+    }
+    if (settlement_type === 'mixed') {
+      throw new UTPError('A split payment cannot use mixed settlement', 'INVALID_SPLIT', 400);
+    }
+
+    const recipients = new Set();
+    let total_percentage = 0;
+    for (const split of splits) {
+      const has_amount = split.amount !== undefined;
+      const has_percentage = split.percentage !== undefined;
+      if (has_amount === has_percentage) {
+        throw new UTPError('Each split needs either an amount or a percentage', 'INVALID_SPLIT', 400);
+      }
+      if (has_amount && !(typeof split.amount === 'number' && split.amount > 0)) {
+        throw new UTPError('Split amounts must be positive numbers', 'INVALID_SPLIT', 400);
+      }
+      if (has_percentage && !(typeof split.percentage === 'number' && split.percentage > 0 && split.percentage <= 100)) {
+        throw new UTPError('Split percentages must be numbers above 0 and up to 100', 'INVALID_SPLIT', 400);
+      }
+
+      const recipient = split.merchant_id && this.merchants.get(split.merchant_id);
+      if (!recipient || recipient.parent_merchant_id !== merchant_id) {
+        throw new UTPError(`${split.merchant_id} is not a sub-merchant of ${merchant_id}`, 'INVALID_SPLIT_RECIPIENT', 400);
+      }
+      if (recipients.has(split.merchant_id)) {
+        throw new UTPError(`Sub-merchant ${split.merchant_id} appears in more than one split`, 'INVALID_SPLIT', 400);
+      }
+      recipients.add(split.merchant_id);
+      if (this.merchant_lifecycle) {
+        this.merchant_lifecycle.assertActive(split.merchant_id);
+      }
+      total_percentage += has_percentage ? split.percentage : 0;
+    }
+
+    if (total_percentage > 100) {
+      throw new UTPError('Split percentages add up to more than 100', 'INVALID_SPLIT', 400);
+    }
+  }
+
+  /**
+   * Allocate what a payment settles among its sub-merchants and the marketplace
+   * @param {string} merchant_id - Marketplace the payment is made to
+   * @param {Array} splits - Validated splits
+   * @param {number} total - Amount the payment settles, in its settlement currency
+   * @param {string} currency - Settlement currency
+   * @param {number} commission_rate - Commission to keep (defaults to the marketplace's current rate)
+   * @returns {Object} { commission_rate, splits: [{ merchant_id, role, percentage, fixed_amount, gross_amount,
+   *   commission, unallocated, amount, refunded_amount }] } with the marketplace's share last
+   * @throws {UTPError} SPLIT_EXCEEDS_AMOUNT
+   */
+  allocate(merchant_id, splits, total, currency, commission_rate = this.getCommissionRate(merchant_id)) {
+
+    const allocations = splits.map(split => {
+      const gross_amount = split.percentage !== undefined
+        ? this.roundAmount(total * split.percentage / 100, currency)
+        : this.roundAmount(split.amount, currency);
+      const commission = this.roundAmount(gross_amount * commission_rate, currency);
+
+      return {
+        merchant_id: split.merchant_id,
+        role: 'sub_merchant',
+        percentage: split.percentage !== undefined ? split.percentage : null,
+        fixed_amount: split.amount !== undefined ? split.amount : null,
+        gross_amount,
+        commission,
+        unallocated: 0,
+        amount: this.roundAmount(gross_amount - commission, currency),
+        refunded_amount: 0
+      };
+    });
+
+    const allocated = allocations.reduce((sum, split) => sum + split.gross_amount, 0);
+    if (this.roundAmount(allocated, currency) > total) {
+      throw new UTPError(
+        `Splits add up to ${this.roundAmount(allocated, currency)} ${currency.toUpperCase()}, more than the ${total} the payment settles`,
+        'SPLIT_EXCEEDS_AMOUNT',
+        400
+      );
+    }
+
+    // The marketplace keeps the commissions and anything left unallocated
+    allocations.push({
+      merchant_id,
+      role: 'platform',
+      percentage: null,
+      fixed_amount: null,
+      gross_amount: 0,
+      commission: this.roundAmount(allocations.reduce((sum, split) => sum + split.commission, 0), currency),
+      unallocated: this.roundAmount(total - allocated, currency),
+      amount: this.roundAmount(total - allocations.reduce((sum, split) => sum + split.amount, 0), currency),
+      refunded_amount: 0
+    });
+
+    return { commission_rate, splits: allocations };
+  }
+
+  /**
+   * The splits a payment was created with, from its allocations
+   * @param {Array} allocations - The payment's allocations
+   * @returns {Array} [{ merchant_id, amount or percentage }]
+   */
+  getSplits(allocations) {
+    return allocations
+      .filter(split => split.role === 'sub_merchant')
+      .map(split => (split.percentage !== null
+        ? { merchant_id: split.merchant_id, percentage: split.percentage }
+        : { merchant_id: split.merchant_id, amount: split.fixed_amount }));
+  }
+
+  /**
+   * Share of a refund each recipient of a split payment gives back. Shares keep
+   * every recipient's total refunded in proportion to its allocation, so a full
+   * refund takes back exactly what each was allocated.
+   * @param {Array} splits - The payment's allocations ({ merchant_id, role, amount, refunded_amount })
+   * @param {number} refund_amount - Refund in the settlement currency
+   * @param {string} currency - Settlement currency
+   * @returns {Array} [{ split, amount }] for recipients giving back more than nothing
+   */
+  getRefundShares(splits, refund_amount, currency) {
+    const funded = splits.filter(split => split.amount > 0);
+    const total = funded.reduce((sum, split) => sum + split.amount, 0);
+    const refunded_after = funded.reduce((sum, split) => sum + split.refunded_amount, 0) + refund_amount;
+    let remaining = refund_amount;
+
+    return funded.map((split, index) => {
+      const outstanding = this.roundAmount(split.amount - split.refunded_amount, currency);
+      const share = index === funded.length - 1
+        ? this.roundAmount(remaining, currency)
+        : Math.max(0, Math.min(outstanding,
+          this.roundAmount(refunded_after * split.amount / total - split.refunded_amount, currency)));
+      remaining -= share;
+      return { split, amount: share };
+    }).filter(share => share.amount > 0);
+  }
+
+  /**
+   * Get a merchant
+   * @private
+   */
+  getMerchant(merchant_id) {
+    const merchant = this.merchants.get(merchant_id);
+    if (!merchant) {
+      throw new UTPError('Merchant not found', 'MERCHANT_NOT_FOUND', 404);
+    }
+    return merchant;
+  }
+
+  /**
+   * Round an amount to the precision of its currency (paise for INR-valued, 8 decimals for metal tokens)
+   * @private
+   */
+  roundAmount(value, currency) {
+    const decimals = ['bgt', 'bst', 'bpt'].includes(currency) ? 8 : 2;
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    const sub_merchants = this.merchants.find(merchant => Boolean(merchant.parent_merchant_id));
+
+    return {
+      service: 'UTP Marketplace',
+      status: 'active',
+      default_commission_rate: this.default_commission_rate,
+      max_splits: this.max_splits,
+      marketplaces: new Set(sub_merchants.map(merchant => merchant.parent_merchant_id)).size,
+      sub_merchants: sub_merchants.length
+    };
+  }
+}
+
+module.exports = UTPMarketplace;
@@ -0,0 +1,407 @@
+const config = require('../config');
+const { store } = require('../models');
+const { UTPError } = require('../middleware/error.middleware');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Ways a window can be grouped into a time series
+const GROUPINGS = ['day', 'week', 'month'];
+// Most time series buckets one request can ask for
+const MAX_BUCKETS = 400;
+// Amounts in these currencies are rupees; metal token amounts are valued at the current price
+const RUPEE_CURRENCIES = ['inr', 'binr', 'mixed'];
+
+// Payment outcomes: paid (even if refunded or disputed later), failed, abandoned by the customer, or not yet final
+const PAYMENT_OUTCOMES = {
+  successful: ['completed', 'partially_refunded', 'refunded', 'disputed'],
+  failed: ['failed'],
+  abandoned: ['expired', 'cancelled'],
+  open: ['pending', 'processing']
+};
+
+// Settlement outcomes: paid out (even if reversed for a refund later), not paid out, or still in flight
+const SETTLEMENT_OUTCOMES = {
+  paid_out: ['completed', 'reversed', 'partially_reversed'],
+  failed: ['failed', 'partially_failed', 'cancelled'],
+  in_flight: ['pending', 'processing', 'retry_scheduled']
+};
+
+/**
+ * UTP Merchant Analytics
+ * A merchant's payment and settlement analytics for any window, computed from
+ * the payment and settlement records themselves.
+ *
+ * Payments count in the window they were created in and settlements in the
+ * window they were started in. Volume is the rupee value of successful
+ * payments when they were made (payments from before rupee values were kept
+ * are valued at the current price). Rates are percentages of the payments
+ * (or settlements) that reached a final outcome, so payments still pending do
+ * not lower them. Settlement latency runs from a payment's confirmation to the
+ * payout that carried it being completed; payouts of released reserves are
+ * left out of it.
+ *
+ * The time series is grouped by local (IST) day, week (from Monday) or month.
+ */
+class UTPMerchantAnalytics {
+  /**
+   * @param {Object} options - Analytics settings
+   * @param {UTPConversionService} options.conversion - Prices for valuing metal token amounts
+   */
+  constructor(options = {}) {
+    this.conversion = options.conversion || null;
+    this.offset_ms = (config.settlement.calendar.timezone_offset_minutes || 0) * MINUTE_MS;
+    this.merchants = store.collection('merchants');
+    this.payments = store.collection('payments');
+    this.settlements = store.collection('settlements');
+  }
+
+  /**
+   * Analytics of a merchant over a window
+   * @param {string} merchant_id - Merchant ID
+   * @param {Object} window - { from, to (ISO 8601; to is exclusive), group_by (day, week or month) }
+   * @returns {Object} { merchant_id, date_range, group_by, summary, breakdowns, settlements, time_series, growth }
+   * @throws {UTPError} MERCHANT_NOT_FOUND, INVALID_DATE_RANGE, INVALID_GROUP_BY, ANALYTICS_RANGE_TOO_LARGE
+   */
+  getAnalytics(merchant_id, { from, to, group_by = 'day' } = {}) {
+    if (!this.merchants.get(merchant_id)) {
+      throw new UTPError('Merchant not found', 'MERCHANT_NOT_FOUND', 404);
+    }
+    const { start, end } = this.parseWindow(from, to);
+    if (!GROUPINGS.includes(group_by)) {
+      throw new UTPError(`Unsupported group_by: ${group_by}. Supported: ${GROUPINGS.join(', ')}`, 'INVALID_GROUP_BY', 400);
+    }
+    const buckets = this.getBuckets(start, end, group_by);
+
+    const payments = this.getPayments(merchant_id, start, end);
+    const settlements = this.settlements.find(settlement =>
+      settlement.merchant_id === merchant_id && this.isWithin(settlement.created_at, start, end));
+    const summary = this.summarizePayments(payments);
+
+    // Growth against the window of the same length just before this one
+    const previous_start = new Date(start.getTime() - (end.getTime() - start.getTime()));
+    const previous = this.summarizePayments(this.getPayments(merchant_id, previous_start, start));
+
+    return {
+      merchant_id,
+      date_range: { start: start.toISOString(), end: end.toISOString() },
+      group_by,
+      summary,
+      breakdowns: {
+        by_currency: this.breakDown(payments, payment => String(payment.currency).toLowerCase()),
+        by_settlement_type: this.breakDown(payments, payment => payment.settlement_type || 'inr'),
+        by_status: this.breakDown(payments, payment => payment.status)
+      },
+      settlements: this.summarizeSettlements(settlements),
+      time_series: buckets.map(bucket => {
+        const bucket_summary = this.summarizePayments(payments.filter(payment =>
+          this.isWithin(payment.created_at, bucket.start, bucket.end)));
+        return {
+          period: bucket.period,
+          start: bucket.start.toISOString(),
+          end: bucket.end.toISOString(),
+          total_transactions: bucket_summary.total_transactions,
+          successful_transactions: bucket_summary.successful_transactions,
+          failed_transactions: bucket_summary.failed_transactions,
+          total_volume: bucket_summary.total_volume,
+          success_rate: bucket_summary.success_rate
+        };
+      }),
+      growth: {
+        previous_date_range: { start: previous_start.toISOString(), end: start.toISOString() },
+        previous_volume: previous.total_volume,
+        volume_growth_rate: this.percentChange(summary.total_volume, previous.total_volume),
+        previous_transactions: previous.total_transactions,
+        transaction_growth_rate: this.percentChange(summary.total_transactions, previous.total_transactions)
+      }
+    };
+  }
+
+  /**
+   * Counts, volume and rates of a set of payments
+   * @private
+   */
+  summarizePayments(payments) {
+    const counts = Object.fromEntries(Object.keys(PAYMENT_OUTCOMES).map(outcome => [outcome, 0]));
+    let total_volume = 0;
+    let refunded_volume = 0;
+
+    for (const payment of payments) {
+      const outcome = this.getOutcome(PAYMENT_OUTCOMES, payment.status);
+      if (outcome) counts[outcome] += 1;
+      if (outcome === 'successful') {
+        total_volume += this.getPaymentValue(payment);
+        refunded_volume += this.toRupees(payment.refunded_amount || 0, payment.settlement_type || 'inr');
+      }
+    }
+
+    const finished = counts.successful + counts.failed + counts.abandoned;
+    return {
+      total_transactions: payments.length,
+      successful_transactions: counts.successful,
+      failed_transactions: counts.failed,
+      abandoned_transactions: counts.abandoned,
+      open_transactions: counts.open,
+      total_volume: this.round(total_volume),
+      refunded_volume: this.round(refunded_volume),
+      net_volume: this.round(total_volume - refunded_volume),
+      average_transaction_value: counts.successful > 0 ? this.round(total_volume / counts.successful) : 0,
+      success_rate: this.rate(counts.successful, finished),
+      failure_rate: this.rate(counts.failed, finished),
+      abandonment_rate: this.rate(counts.abandoned, finished)
+    };
+  }
+
+  /**
+   * Count, successful count and volume of payments per key
+   * @private
+   */
+  breakDown(payments, getKey) {
+    const breakdown = {};
+    for (const payment of payments) {
+      const key = getKey(payment);
+      const entry = breakdown[key] || (breakdown[key] = { count: 0, successful: 0, volume: 0, success_rate: 0 });
+      entry.count += 1;
+      if (PAYMENT_OUTCOMES.successful.includes(payment.status)) {
+        entry.successful += 1;
+        entry.volume = this.round(entry.volume + this.getPaymentValue(payment));
+      }
+    }
+
+    for (const entry of Object.values(breakdown)) {
+      entry.success_rate = this.rate(entry.successful, entry.count);
+    }
+    return breakdown;
+  }
+
+  /**
+   * Counts, amounts, success rate and latency of a set of settlements
+   * @private
+   */
+  summarizeSettlements(settlements) {
+    const counts = Object.fromEntries(Object.keys(SETTLEMENT_OUTCOMES).map(outcome => [outcome, 0]));
+    const by_status = {};
+    const by_method = {};
+    const latencies = [];
+    let paid_out_amount = 0;
+
+    for (const settlement of settlements) {
+      const outcome = this.getOutcome(SETTLEMENT_OUTCOMES, settlement.status);
+      if (outcome) counts[outcome] += 1;
+      by_status[settlement.status] = (by_status[settlement.status] || 0) + 1;
+
+      const amount = this.toRupees(settlement.amount, settlement.currency);
+      const method = by_method[settlement.settlement_method] ||
+        (by_method[settlement.settlement_method] = { count: 0, paid_out: 0, amount: 0 });
+      method.count += 1;
+      method.amount = this.round(method.amount + amount);
+
+      if (outcome === 'paid_out') {
+        method.paid_out += 1;
+        paid_out_amount += amount;
+        if (!settlement.reserve_release) {
+          latencies.push(...this.getLatencies(settlement));
+        }
+      }
+    }
+
+    const sorted = latencies.sort((a, b) => a - b);
+    return {
+      total_settlements: settlements.length,
+      paid_out: counts.paid_out,
+      failed: counts.failed,
+      in_flight: counts.in_flight,
+      paid_out_amount: this.round(paid_out_amount),
+      success_rate: this.rate(counts.paid_out, counts.paid_out + counts.failed),
+      by_status,
+      by_method,
+      latency_seconds: {
+        samples: sorted.length,
+        average: sorted.length > 0 ? Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : null,
+        median: sorted.length > 0 ? sorted[Math.floor((sorted.length - 1) / 2)] : null,
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+      }
+    };
+  }
+
+  /**
+   * Seconds from the confirmation of each payment a settlement carried to its completion
+   * @private
+   */
+  getLatencies(settlement) {
+    const paid_out_at = new Date(settlement.completed_at || settlement.executed_at).getTime();
+    if (!Number.isFinite(paid_out_at)) {
+      return [];
+    }
+
+    return (settlement.payment_ids || [settlement.payment_id])
+      .map(payment_id => payment_id && this.payments.get(payment_id))
+      .filter(payment => payment && (payment.processed_at || payment.created_at))
+      .map(payment => Math.max(0, Math.round((paid_out_at - new Date(payment.processed_at || payment.created_at).getTime()) / 1000)));
+  }
+
+  /**
+   * A merchant's payments created within a window
+   * @private
+   */
+  getPayments(merchant_id, start, end) {
+    return this.payments.find(payment =>
+      payment.merchant_id === merchant_id && this.isWithin(payment.created_at, start, end));
+  }
+
+  /**
+   * Rupee value of a payment when it was made
+   * @private
+   */
+  getPaymentValue(payment) {
+    return typeof payment.amount_inr === 'number'
+      ? payment.amount_inr
+      : this.toRupees(payment.amount, payment.currency);
+  }
+
+  /**
+   * Rupee value of an amount, at the current price for metal tokens
+   * @private
+   */
+  toRupees(amount, currency) {
+    const asset = String(currency).toLowerCase();
+    if (RUPEE_CURRENCIES.includes(asset)) {
+      return amount || 0;
+    }
+    const price = this.conversion ? this.conversion.getTokenPrice(asset) : null;
+    return (amount || 0) * (price || 0);
+  }
+
+  /**
+   * Parse and check the window's bounds
+   * @private
+   */
+  parseWindow(from, to) {
+    const start = new Date(from);
+    const end = new Date(to);
+    if (!from || !to || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new UTPError('from and to must be ISO 8601 dates', 'INVALID_DATE_RANGE', 400);
+    }
+    if (start >= end) {
+      throw new UTPError('from must be before to', 'INVALID_DATE_RANGE', 400);
+    }
+    return { start, end };
+  }
+
+  /**
+   * Local (IST) day, week or month buckets covering a window, cut to the window at both ends
+   * @private
+   */
+  getBuckets(start, end, group_by) {
+    const buckets = [];
+    let bucket_start = this.getPeriodStart(start, group_by);
+
+    while (bucket_start < end) {
+      const bucket_end = this.getNextPeriodStart(bucket_start, group_by);
+      buckets.push({
+        period: this.toLocalDate(bucket_start).slice(0, group_by === 'month' ? 7 : 10),
+        start: bucket_start < start ? start : bucket_start,
+        end: bucket_end > end ? end : bucket_end
+      });
+      if (buckets.length > MAX_BUCKETS) {
+        throw new UTPError(
+          `The window has more than ${MAX_BUCKETS} ${group_by}s; choose a shorter window or a longer group_by`,
+          'ANALYTICS_RANGE_TOO_LARGE',
+          400
+        );
+      }
+      bucket_start = bucket_end;
+    }
+    return buckets;
+  }
+
+  /**
+   * Start of the local (IST) day, week or month of an instant
+   * @private
+   */
+  getPeriodStart(date, group_by) {
+    const local = new Date(date.getTime() + this.offset_ms);
+    if (group_by === 'month') {
+      return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), 1) - this.offset_ms);
+    }
+
+    const day_start = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - this.offset_ms;
+    const days_since_monday = group_by === 'week' ? (local.getUTCDay() + 6) % 7 : 0;
+    return new Date(day_start - days_since_monday * DAY_MS);
+  }
+
+  /**
+   * Start of the local (IST) day, week or month after the one starting at an instant
+   * @private
+   */
+  getNextPeriodStart(period_start, group_by) {
+    if (group_by === 'month') {
+      const local = new Date(period_start.getTime() + this.offset_ms);
+      return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 1) - this.offset_ms);
+    }
+    return new Date(period_start.getTime() + (group_by === 'week' ? 7 : 1) * DAY_MS);
+  }
+
+  /**
+   * Local (IST) date of an instant as YYYY-MM-DD
+   * @private
+   */
+  toLocalDate(date) {
+    return new Date(date.getTime() + this.offset_ms).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Whether a timestamp falls within [start, end)
+   * @private
+   */
+  isWithin(timestamp, start, end) {
+    const time = new Date(timestamp).getTime();
+    return time >= start.getTime() && time < end.getTime();
+  }
+
+  /**
+   * Outcome a status belongs to
+   * @private
+   */
+  getOutcome(outcomes, status) {
+    return Object.keys(outcomes).find(outcome => outcomes[outcome].includes(status)) || null;
+  }
+
+  /**
+   * Share of a total as a percentage (0 when the total is 0)
+   * @private
+   */
+  rate(count, total) {
+    return total > 0 ? this.round((count / total) * 100) : 0;
+  }
+
+  /**
+   * Percentage change from a previous value (null when there was none)
+   * @private
+   */
+  percentChange(current, previous) {
+    return previous > 0 ? this.round(((current - previous) / previous) * 100) : null;
+  }
+
+  /**
+   * Round to paise
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    return {
+      service: 'UTP Merchant Analytics',
+      status: 'active',
+      groupings: GROUPINGS,
+      max_buckets: MAX_BUCKETS
+    };
+  }
+}
+
+module.exports = UTPMerchantAnalytics;
@@ -0,0 +1,204 @@
+const { EventEmitter } = require('events');
+const config = require('../config');
+const { store } = require('../models');
+const { UTPError } = require('../middleware/error.middleware');
+const UTPStateMachine = require('./state-machine');
+
+// Merchant account status: allowed status transitions
+const MERCHANT_TRANSITIONS = {
+  pending_verification: ['active', 'closed'],
+  active: ['suspended', 'closed'],
+  suspended: ['active', 'closed'],
+  closed: []
+};
+
+// Admin actions and the status each moves a merchant to
+const MERCHANT_ACTIONS = {
+  activate: { from: ['pending_verification'], to: 'active' },
+  suspend: { from: ['active'], to: 'suspended' },
+  reactivate: { from: ['suspended'], to: 'active' },
+  close: { from: ['pending_verification', 'active', 'suspended'], to: 'closed' }
+};
+
+/**
+ * UTP Merchant Lifecycle
+ * Account status of merchants: pending_verification until an admin activates
+ * them, then active, suspended or closed. Only active merchants take payments
+ * and are paid out; merchant IDs that were never registered are refused.
+ *
+ * Activation needs the KYC verification level in
+ * config.merchants.activation_verification_level. A merchant is closed only
+ * once nothing is left to pay it: no queued or processing scheduled payout, no
+ * settlement in flight and no reserve still held.
+ *
+ * Emits 'status_changed' with { merchant, action, from, to, reason, changed_by, context }.
+ */
+class UTPMerchantLifecycle extends EventEmitter {
+  /**
+   * @param {Object} options - Lifecycle settings (defaults to config.merchants)
+   * @param {number} options.activation_verification_level - KYC level a merchant needs to be activated
+   */
+  constructor(options = {}) {
+    super();
+    const settings = { ...config.merchants, ...options };
+
+    this.activation_verification_level = settings.activation_verification_level;
+    this.lifecycle = new UTPStateMachine('merchant', MERCHANT_TRANSITIONS);
+    this.store = store;
+    this.merchants = store.collection('merchants');
+    this.settlement_queue = store.collection('settlement_queue');
+    this.settlements = store.collection('settlements');
+    this.reserves = store.collection('settlement_reserves');
+  }
+
+  /**
+   * Set the status of a newly registered merchant
+   * @param {Object} merchant - Merchant record
+   * @returns {Object} The merchant
+   */
+  initialize(merchant) {
+    return this.lifecycle.initialize(merchant, 'pending_verification');
+  }
+
+  /**
+   * Move a merchant to a new status
+   * @param {string} merchant_id - Merchant ID
+   * @param {string} action - activate, suspend, reactivate or close
+   * @param {Object} change - { reason, changed_by, context (passed on with the event, e.g. the request's IP) }
+   * @returns {Promise<Object>} { merchant, action, from, to, reason, changed_by }
+   * @throws {UTPError} INVALID_MERCHANT_ACTION, REASON_REQUIRED, MERCHANT_NOT_FOUND, INVALID_MERCHANT_TRANSITION,
+   *   KYC_VERIFICATION_REQUIRED, MERCHANT_HAS_OPEN_PAYOUTS
+   */
+  async changeStatus(merchant_id, action, { reason, changed_by = null, context = {} } = {}) {
+    const definition = MERCHANT_ACTIONS[action];
+    if (!definition) {
+      throw new UTPError(
+        `Unsupported merchant action: ${action}. Supported: ${Object.keys(MERCHANT_ACTIONS).join(', ')}`,
+        'INVALID_MERCHANT_ACTION',
+        400
+      );
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new UTPError(`A reason is required to ${action} a merchant`, 'REASON_REQUIRED', 400);
+    }
+
+    const change = await this.store.transaction(async () => {
+      const merchant = this.getMerchant(merchant_id);
+      const from = merchant.status;
+      if (!definition.from.includes(from)) {
+        throw new UTPError(`Cannot ${action} a merchant that is ${from}`, 'INVALID_MERCHANT_TRANSITION', 409);
+      }
+
+      if (action === 'activate') {
+        this.assertVerified(merchant);
+      }
+      if (action === 'close') {
+        this.assertNothingOpen(merchant_id);
+      }
+
+      this.lifecycle.transition(merchant, definition.to, { action, reason: String(reason).trim(), changed_by });
+      merchant[`${definition.to}_at`] = new Date().toISOString();
+      this.merchants.set(merchant_id, merchant);
+
+      return { merchant, action, from, to: definition.to, reason: String(reason).trim(), changed_by };
+    });
+
+    this.emit('status_changed', { ...change, context });
+    return change;
+  }
+
+  /**
+   * Whether a merchant may take payments and be paid out (false for unregistered merchant IDs)
+   * @param {string} merchant_id - Merchant ID
+   * @returns {boolean}
+   */
+  isActive(merchant_id) {
+    const merchant = this.merchants.get(merchant_id);
+    return Boolean(merchant) && merchant.status === 'active';
+  }
+
+  /**
+   * Refuse a payment or payout for a merchant that is unregistered or not active
+   * @param {string} merchant_id - Merchant ID
+   * @throws {UTPError} MERCHANT_NOT_FOUND (404), MERCHANT_NOT_ACTIVE (403)
+   */
+  assertActive(merchant_id) {
+    const merchant = this.merchants.get(merchant_id);
+    if (!merchant) {
+      throw new UTPError(`Merchant ${merchant_id} not found`, 'MERCHANT_NOT_FOUND', 404);
+    }
+
+    if (merchant.status !== 'active') {
+      throw new UTPError(`Merchant ${merchant_id} is ${merchant.status.replace('_', ' ')}, not active`, 'MERCHANT_NOT_ACTIVE', 403);
+    }
+  }
+
+  /**
+   * Refuse to activate a merchant below the activation KYC level
+   * @private
+   */
+  assertVerified(merchant) {
+    const level = merchant.verification_level || 1;
+    if (level < this.activation_verification_level) {
+      throw new UTPError(
+        `Merchant is at KYC verification level ${level}; level ${this.activation_verification_level} is needed to activate it`,
+        'KYC_VERIFICATION_REQUIRED',
+        409
+      );
+    }
+  }
+
+  /**
+   * Refuse to close a merchant that still has payouts to be made
+   * @private
+   */
+  assertNothingOpen(merchant_id) {
+    const open = {
+      scheduled_payouts: this.settlement_queue.find(item =>
+        item.merchant_id === merchant_id && ['queued', 'processing'].includes(item.status)).length,
+      settlements_in_flight: this.settlements.find(settlement =>
+        settlement.merchant_id === merchant_id && ['pending', 'processing'].includes(settlement.status)).length,
+      held_reserves: this.reserves.find({ merchant_id, status: 'held' }).length
+    };
+
+    const outstanding = Object.entries(open).filter(([, count]) => count > 0);
+    if (outstanding.length > 0) {
+      throw new UTPError(
+        `Merchant still has ${outstanding.map(([name, count]) => `${count} ${name.replace(/_/g, ' ')}`).join(', ')}`,
+        'MERCHANT_HAS_OPEN_PAYOUTS',
+        409
+      );
+    }
+  }
+
+  /**
+   * Get a merchant
+   * @private
+   */
+  getMerchant(merchant_id) {
+    const merchant = this.merchants.get(merchant_id);
+    if (!merchant) {
+      throw new UTPError('Merchant not found', 'MERCHANT_NOT_FOUND', 404);
+    }
+    return merchant;
+  }
+
+  /**
+   * Get lifecycle status: merchants per account status
+   */
+  getStatus() {
+    const counts = Object.fromEntries(this.lifecycle.getStatuses().map(status => [status, 0]));
+    for (const merchant of this.merchants.values()) {
+      counts[merchant.status] = (counts[merchant.status] || 0) + 1;
+    }
+
+    return {
+      service: 'UTP Merchant Lifecycle',
+      status: 'active',
+      activation_verification_level: this.activation_verification_level,
+      merchants: counts
+    };
+  }
+}
+
+module.exports = UTPMerchantLifecycle;
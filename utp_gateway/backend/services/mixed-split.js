@@ -0,0 +1,112 @@
+const { UTPError } = require('../middleware/error.middleware');
+
+// Currencies a mixed settlement can pay out in. INR and BINR legs are valued 1:1
+// with the rupee; metal token legs are converted at the payment's locked rate.
+const MIXED_SPLIT_CURRENCIES = ['inr', 'binr', 'bgt', 'bst', 'bpt'];
+
+// percentage: each leg takes a share of the payout
+// fixed: each leg takes a rupee amount, filled in order until the payout runs out
+const MIXED_SPLIT_TYPES = ['percentage', 'fixed'];
+
+/**
+ * Validate a merchant's mixed settlement split (settlement_preferences.mixed_split):
+ * { type: 'percentage', legs: [{ currency, percentage }], remainder }
+ * { type: 'fixed', legs: [{ currency, amount }], remainder }
+ * Whatever the legs leave goes to the remainder currency (inr when unset).
+ * @param {Object} split - Split rules
+ * @throws {UTPError} INVALID_MIXED_SPLIT
+ */
+const validateMixedSplit = (split) => {
+  const invalid = message => new UTPError(`Invalid mixed split: ${message}`, 'INVALID_MIXED_SPLIT', 400);
+
+  if (!split || typeof split !== 'object' || Array.isArray(split)) {
+    throw invalid('expected an object with type, legs and remainder');
+  }
+  if (!MIXED_SPLIT_TYPES.includes(split.type)) {
+    throw invalid(`unsupported type ${split.type}. Supported: ${MIXED_SPLIT_TYPES.join(', ')}`);
+  }
+  if (!Array.isArray(split.legs) || split.legs.length === 0) {
+    throw invalid('legs must be a non-empty array');
+  }
+  if (split.remainder !== undefined && !MIXED_SPLIT_CURRENCIES.includes(split.remainder)) {
+    throw invalid(`unsupported remainder currency ${split.remainder}. Supported: ${MIXED_SPLIT_CURRENCIES.join(', ')}`);
+  }
+
+  const seen = new Set();
+  for (const leg of split.legs) {
+    if (!leg || !MIXED_SPLIT_CURRENCIES.includes(leg.currency)) {
+      throw invalid(`unsupported leg currency ${leg && leg.currency}. Supported: ${MIXED_SPLIT_CURRENCIES.join(', ')}`);
+    }
+    if (seen.has(leg.currency)) {
+      throw invalid(`${leg.currency} appears in more than one leg`);
+    }
+    seen.add(leg.currency);
+
+    const value = split.type === 'percentage' ? leg.percentage : leg.amount;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      throw invalid(`${leg.currency} leg needs a positive ${split.type === 'percentage' ? 'percentage' : 'amount'}`);
+    }
+  }
+
+  if (split.type === 'percentage') {
+    const total = split.legs.reduce((sum, leg) => sum + leg.percentage, 0);
+    if (total > 100 + 1e-9) {
+      throw invalid(`leg percentages add up to ${total}, more than 100`);
+    }
+  }
+};
+
+/**
+ * Split a rupee amount into currency legs by a mixed split
+ * @param {number} amount - Amount to split, in rupees
+ * @param {Object} split - Valid split rules
+ * @returns {Array} Legs { currency, amount, percentage } in rule order, remainder last, without empty legs
+ */
+const applyMixedSplit = (amount, split) => {
+  const total = Math.round(amount * 100); // paise
+  const shares = new Map();
+  let remaining = total;
+
+  const percentage_total = split.type === 'percentage'
+    ? split.legs.reduce((sum, leg) => sum + leg.percentage, 0)
+    : 0;
+  // A split that allocates everything leaves only rounding, which the last leg absorbs
+  const remainder = percentage_total >= 100 - 1e-9
+    ? split.legs[split.legs.length - 1].currency
+    : split.remainder || 'inr';
+
+  for (const leg of split.legs) {
+    const share = split.type === 'percentage'
+      ? Math.min(Math.round(total * leg.percentage / 100), remaining)
+      : Math.min(Math.round(leg.amount * 100), remaining);
+    shares.set(leg.currency, share);
+    remaining -= share;
+  }
+  shares.set(remainder, (shares.get(remainder) || 0) + remaining);
+
+  return [...shares.entries()]
+    .filter(([, share]) => share > 0)
+    .map(([currency, share]) => ({
+      currency,
+      amount: share / 100,
+      percentage: Math.round(share / total * 10000) / 100
+    }));
+};
+
+/**
+ * Express a method's default split ({ inr: 0.5, binr: 0.5 }) as percentage rules
+ * @param {Object} method_split - Share of the payout per currency
+ * @returns {Object} Split rules
+ */
+const fromMethodSplit = (method_split) => ({
+  type: 'percentage',
+  legs: Object.entries(method_split).map(([currency, share]) => ({ currency, percentage: share * 100 }))
+});
+
+module.exports = {
+  MIXED_SPLIT_CURRENCIES,
+  MIXED_SPLIT_TYPES,
+  validateMixedSplit,
+  applyMixedSplit,
+  fromMethodSplit
+};
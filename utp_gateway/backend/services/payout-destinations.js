@@ -0,0 +1,668 @@
+const { v4: uuidv4 } = require('uuid');
+const { store } = require('../models');
+const { UTPError } = require('../middleware/error.middleware');
+
+// Where a merchant can be paid. channels are the rail channels (config.rails) that
+// can pay a destination of the type; verification names how the type is verified.
+const DESTINATION_TYPES = {
+  bank_account: { name: 'Bank account', channels: ['neft', 'imps', 'rtgs'], currencies: ['inr'], verification: 'penny_drop', rail: 'neft' },
+  upi: { name: 'UPI VPA', channels: ['upi'], currencies: ['inr'], verification: 'vpa_lookup', rail: 'upi' },
+  wallet: { name: 'Token wallet', channels: ['token'], currencies: ['binr', 'bgt', 'bst', 'bpt'], verification: 'address_format' }
+};
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_PATTERN = /^[A-Za-z0-9]{6,20}$/; // letters allow sandbox scenario accounts
+const VPA_PATTERN = /^[\w.-]+@[\w.-]+$/;
+const WALLET_ADDRESS_PATTERN = /^[\w.:-]{3,128}$/;
+
+// Rail errors that leave a verification pending instead of failing it
+const TRANSIENT_VERIFICATION_CODES = ['RAIL_TIMEOUT', 'RAIL_UNAVAILABLE'];
+
+// Words ignored when an account holder name is compared with the name at the bank
+const NAME_NOISE = ['MR', 'MRS', 'MS', 'DR', 'PVT', 'PRIVATE', 'LTD', 'LIMITED', 'LLP', 'AND', 'THE'];
+
+/**
+ * UTP Payout Destinations
+ * The bank accounts, UPI VPAs and token wallets a merchant is paid to, and how
+ * settlement legs are routed to them.
+ *
+ * A destination is paid only once verified: bank accounts by a ₹1 penny drop and
+ * VPAs by a name lookup on their rail, both failing when the name the bank holds
+ * does not match the account holder name; wallets by their address format.
+ * Each type has at most one primary destination.
+ *
+ * A settlement leg is paid to, in order:
+ * 1. the settlement's destination_id, if it accepts the leg's currency
+ * 2. the merchant's payout split for the currency (settlement_preferences.payout_split),
+ *    splitting the leg across its destinations by percentage
+ * 3. the verified destination that accepts the currency on the rail of the leg's
+ *    method, the type's primary first
+ * Merchants with no destination are paid to their registered bank_details.
+ */
+class UTPPayoutDestinations {
+  /**
+   * @param {UTPSettlementService} settlementService - Service whose rails verify and pay destinations
+   */
+  constructor(settlementService) {
+    this.settlementService = settlementService;
+    this.destinations = store.collection('payout_destinations');
+    this.merchants = store.collection('merchants');
+    this.merchant_configs = store.collection('merchant_configs');
+  }
+
+  /**
+   * Validate and normalise a destination before it is added
+   * @param {Object} data - { type, label, details, currencies }
+   * @returns {Object} { type, details, currencies }
+   * @throws {UTPError} INVALID_DESTINATION
+   */
+  validateDestination(data = {}) {
+    const invalid = message => new UTPError(`Invalid payout destination: ${message}`, 'INVALID_DESTINATION', 400);
+    const type = DESTINATION_TYPES[data.type];
+    if (!type) {
+      throw invalid(`unsupported type ${data.type}. Supported: ${Object.keys(DESTINATION_TYPES).join(', ')}`);
+    }
+
+    const details = data.details || {};
+    if (data.label !== undefined && (typeof data.label !== 'string' || data.label.trim().length === 0 || data.label.length > 64)) {
+      throw invalid('label must be a string of 1 to 64 characters');
+    }
+
+    if (data.type === 'bank_account') {
+      const ifsc_code = String(details.ifsc_code || '').toUpperCase();
+      if (!ACCOUNT_NUMBER_PATTERN.test(details.account_number || '')) {
+        throw invalid('account_number must be 6 to 20 letters or digits');
+      }
+      if (!IFSC_PATTERN.test(ifsc_code)) {
+        throw invalid(`invalid IFSC code ${details.ifsc_code || '(missing)'}`);
+      }
+      if (!details.account_holder_name) {
+        throw invalid('account_holder_name is required to verify a bank account');
+      }
+      return {
+        type: data.type,
+        details: { account_number: details.account_number, ifsc_code, account_holder_name: details.account_holder_name },
+        currencies: type.currencies
+      };
+    }
+
+    if (data.type === 'upi') {
+      const vpa = String(details.vpa || '').toLowerCase();
+      if (!VPA_PATTERN.test(vpa)) {
+        throw invalid(`invalid VPA ${details.vpa || '(missing)'}`);
+      }
+      return {
+        type: data.type,
+        details: { vpa, account_holder_name: details.account_holder_name || null },
+        currencies: type.currencies
+      };
+    }
+
+    if (!WALLET_ADDRESS_PATTERN.test(details.wallet_address || '')) {
+      throw invalid(`invalid wallet address ${details.wallet_address || '(missing)'}`);
+    }
+    const currencies = data.currencies || type.currencies;
+    if (!Array.isArray(currencies) || currencies.length === 0 || currencies.some(currency => !type.currencies.includes(currency))) {
+      throw invalid(`wallet currencies must be some of ${type.currencies.join(', ')}`);
+    }
+    return {
+      type: data.type,
+      details: { wallet_address: details.wallet_address, vault_provider: details.vault_provider || null },
+      currencies: [...new Set(currencies)]
+    };
+  }
+
+  /**
+   * Add a payout destination and verify it
+   * @param {string} merchant_id - Merchant ID
+   * @param {Object} data - { type, label, is_primary, details, currencies }
+   * @returns {Promise<Object>} Destination with its verification outcome
+   */
+  async addDestination(merchant_id, data) {
+    this.getMerchant(merchant_id);
+    const { type, details, currencies } = this.validateDestination(data);
+
+    const identifier = this.getIdentifier({ type, details });
+    if (this.listActive(merchant_id).some(d => d.type === type && this.getIdentifier(d) === identifier)) {
+      throw new UTPError(`${DESTINATION_TYPES[type].name} ${identifier} is already a payout destination`, 'DESTINATION_EXISTS', 409);
+    }
+
+    const now = new Date().toISOString();
+    const destination = {
+      destination_id: uuidv4(),
+      merchant_id,
+      type,
+      label: data.label ? data.label.trim() : `${DESTINATION_TYPES[type].name} ${type === 'upi' ? identifier : this.mask(identifier)}`,
+      is_primary: false,
+      details,
+      currencies,
+      verification: {
+        status: 'pending',
+        method: DESTINATION_TYPES[type].verification,
+        attempts: 0,
+        reference: null,
+        name_at_bank: null,
+        name_match: null,
+        verified_at: null,
+        failure_code: null,
+        failure_reason: null
+      },
+      status: 'active',
+      created_at: now,
+      updated_at: now
+    };
+
+    this.destinations.set(destination.destination_id, destination);
+    if (data.is_primary === true || !this.listActive(merchant_id).some(d => d.type === type && d.is_primary)) {
+      this.setPrimary(destination);
+    }
+
+    return this.verifyDestination(merchant_id, destination.destination_id);
+  }
+
+  /**
+   * Verify a destination (again): penny drop or VPA lookup on its rail, address check for wallets.
+   * A rail timeout or outage leaves it pending; a rejection or name mismatch fails it.
+   * @param {string} merchant_id - Merchant ID
+   * @param {string} destination_id - Destination ID
+   * @returns {Promise<Object>} Destination
+   */
+  async verifyDestination(merchant_id, destination_id) {
+    const destination = this.getActive(merchant_id, destination_id);
+    const type = DESTINATION_TYPES[destination.type];
+    const attempt = (destination.verification.attempts || 0) + 1;
+    const verification = { method: type.verification, attempts: attempt, failure_code: null, failure_reason: null };
+
+    if (!type.rail) {
+      Object.assign(verification, { status: 'verified', reference: null, name_at_bank: null, name_match: null, verified_at: new Date().toISOString() });
+    } else {
+      // The bank is idempotent by reference, so every verification needs a fresh one
+      verification.reference = attempt > 1 ? `${destination_id}-v${attempt}` : destination_id;
+
+      try {
+        const result = await this.settlementService.getRail(type.rail).verifyBeneficiary({
+          reference: verification.reference,
+          beneficiary: destination.details
+        });
+        const holder_name = destination.details.account_holder_name;
+
+        verification.name_at_bank = result.name_at_bank;
+        verification.name_match = holder_name ? this.namesMatch(holder_name, result.name_at_bank) : null;
+        verification.transaction_details = result.transaction_details;
+
+        if (result.status !== 'verified') {
+          Object.assign(verification, { status: 'failed', failure_code: 'VERIFICATION_FAILED', failure_reason: 'The bank could not verify the account' });
+        } else if (verification.name_match === false) {
+          Object.assign(verification, {
+            status: 'failed',
+            failure_code: 'NAME_MISMATCH',
+            failure_reason: `Account is held by ${result.name_at_bank}, not ${holder_name}`
+          });
+        } else {
+          verification.status = 'verified';
+          verification.verified_at = new Date().toISOString();
+        }
+      } catch (error) {
+        verification.status = TRANSIENT_VERIFICATION_CODES.includes(error.code) ? 'pending' : 'failed';
+        verification.failure_code = error.code || 'VERIFICATION_FAILED';
+        verification.failure_reason = error.message;
+      }
+    }
+
+    const current = this.destinations.get(destination_id);
+    current.verification = { ...current.verification, ...verification };
+    if (verification.status === 'verified' && !current.details.account_holder_name && verification.name_at_bank) {
+      current.details = { ...current.details, account_holder_name: verification.name_at_bank };
+    }
+    current.updated_at = new Date().toISOString();
+    this.destinations.set(destination_id, current);
+
+    return current;
+  }
+
+  /**
+   * Change a destination's label or make it the primary of its type
+   * @param {string} merchant_id - Merchant ID
+   * @param {string} destination_id - Destination ID
+   * @param {Object} updates - { label, is_primary }
+   * @returns {Object} Destination
+   */
+  updateDestination(merchant_id, destination_id, updates = {}) {
+    const destination = this.getActive(merchant_id, destination_id);
+
+    if (updates.label !== undefined) {
+      if (typeof updates.label !== 'string' || updates.label.trim().length === 0 || updates.label.length > 64) {
+        throw new UTPError('Invalid payout destination: label must be a string of 1 to 64 characters', 'INVALID_DESTINATION', 400);
+      }
+      destination.label = updates.label.trim();
+    }
+    if (updates.is_primary === true) {
+      this.setPrimary(destination);
+    } else if (updates.is_primary === false && destination.is_primary) {
+      throw new UTPError('Make another destination primary instead', 'PRIMARY_DESTINATION_REQUIRED', 409);
+    }
+
+    destination.updated_at = new Date().toISOString();
+    this.destinations.set(destination_id, destination);
+    return destination;
+  }
+
+  /**
+   * Remove a destination; the oldest other destination of its type becomes primary
+   * @param {string} merchant_id - Merchant ID
+   * @param {string} destination_id - Destination ID
+   * @returns {Object} Removed destination
+   */
+  removeDestination(merchant_id, destination_id) {
+    const destination = this.getActive(merchant_id, destination_id);
+
+    const split = this.getPayoutSplit(merchant_id) || {};
+    const used_by = Object.keys(split).filter(currency => split[currency].some(rule => rule.destination_id === destination_id));
+    if (used_by.length > 0) {
+      throw new UTPError(
+        `Destination is used by the ${used_by.join(', ')} payout split; change the split first`,
+        'DESTINATION_IN_USE',
+        409
+      );
+    }
+
+    const was_primary = destination.is_primary;
+    destination.status = 'removed';
+    destination.is_primary = false;
+    destination.removed_at = new Date().toISOString();
+    destination.updated_at = destination.removed_at;
+    this.destinations.set(destination_id, destination);
+
+    if (was_primary) {
+      const [next] = this.listActive(merchant_id).filter(d => d.type === destination.type);
+      if (next) {
+        this.setPrimary(next);
+      }
+    }
+
+    return destination;
+  }
+
+  /**
+   * List a merchant's active destinations, oldest first
+   * @param {string} merchant_id - Merchant ID
+   * @returns {Array} Destinations
+   */
+  listDestinations(merchant_id) {
+    this.getMerchant(merchant_id);
+    return this.listActive(merchant_id);
+  }
+
+  /**
+   * Get a merchant's destination
+   * @param {string} merchant_id - Merchant ID
+   * @param {string} destination_id - Destination ID
+   * @returns {Object} Destination
+   */
+  getDestination(merchant_id, destination_id) {
+    return this.getActive(merchant_id, destination_id);
+  }
+
+  /**
+   * Get a destination that can be paid now
+   * @param {string} merchant_id - Merchant ID
+   * @param {string} destination_id - Destination ID
+   * @param {Object} method - Settlement method the destination must take the currency of (optional)
+   * @returns {Object} Verified destination
+   */
+  getUsableDestination(merchant_id, destination_id, method = null) {
+    const destination = this.getActive(merchant_id, destination_id);
+    if (destination.verification.status !== 'verified') {
+      throw new UTPError(
+        `Payout destination ${destination.label} is not verified (${destination.verification.status})`,
+        'DESTINATION_NOT_VERIFIED',
+        409
+      );
+    }
+    if (method && !method.split && !destination.currencies.includes(method.currency)) {
+      throw new UTPError(
+        `Payout destination ${destination.label} cannot receive ${method.currency.toUpperCase()}`,
+        'DESTINATION_CURRENCY_MISMATCH',
+        422
+      );
+    }
+    return destination;
+  }
+
+  /**
+   * Validate a merchant's payout split (settlement_preferences.payout_split):
+   * { [currency]: [{ destination_id, percentage }] }, percentages adding up to 100
+   * @param {string} merchant_id - Merchant ID
+   * @param {Object} split - Split rules (null clears them)
+   * @throws {UTPError} INVALID_PAYOUT_SPLIT
+   */
+  validatePayoutSplit(merchant_id, split) {
+    if (split === undefined || split === null) {
+      return;
+    }
+
+    const invalid = message => new UTPError(`Invalid payout split: ${message}`, 'INVALID_PAYOUT_SPLIT', 400);
+    if (typeof split !== 'object' || Array.isArray(split)) {
+      throw invalid('expected an object of currency -> [{ destination_id, percentage }]');
+    }
+
+    const active = new Map(this.listActive(merchant_id).map(d => [d.destination_id, d]));
+    for (const [currency, rules] of Object.entries(split)) {
+      if (!Array.isArray(rules) || rules.length === 0) {
+        throw invalid(`${currency} needs a non-empty array of destinations`);
+      }
+
+      const seen = new Set();
+      for (const rule of rules) {
+        const destination = rule && active.get(rule.destination_id);
+        if (!destination) {
+          throw invalid(`${currency} names unknown destination ${rule && rule.destination_id}`);
+        }
+        if (!destination.currencies.includes(currency)) {
+          throw invalid(`${destination.label} cannot receive ${currency.toUpperCase()}`);
+        }
+        if (seen.has(rule.destination_id)) {
+          throw invalid(`${destination.label} appears more than once in the ${currency} split`);
+        }
+        seen.add(rule.destination_id);
+        if (typeof rule.percentage !== 'number' || !Number.isFinite(rule.percentage) || rule.percentage <= 0) {
+          throw invalid(`${destination.label} needs a positive percentage`);
+        }
+      }
+
+      const total = rules.reduce((sum, rule) => sum + rule.percentage, 0);
+      if (Math.abs(total - 100) > 1e-9) {
+        throw invalid(`${currency} percentages add up to ${total}, not 100`);
+      }
+    }
+  }
+
+  /**
+   * Route the currency legs of a settlement to the merchant's destinations. Routed
+   * legs carry destination_id, destination_type and the beneficiary the rail pays;
+   * a payout split turns a leg into one leg per destination, each with its own
+   * leg_key (the currency, then currency-2, currency-3...).
+   * @param {string} merchant_id - Merchant ID
+   * @param {string} settlement_method - Settlement method code
+   * @param {Array} legs - [{ currency, amount, percentage, value, conversion_rate }]
+   * @param {Object} options - { destination_id, merchant_account }
+   * @returns {Array} Routed legs
+   */
+  routeLegs(merchant_id, settlement_method, legs, { destination_id = null, merchant_account = null } = {}) {
+    // Inline account details pay every leg, and merchants with no destination keep their bank_details
+    if (merchant_account || this.listActive(merchant_id).length === 0) {
+      return legs;
+    }
+
+    const explicit = destination_id ? this.getUsableDestination(merchant_id, destination_id) : null;
+    const split = this.getPayoutSplit(merchant_id) || {};
+
+    return legs.flatMap(leg => {
+      if (explicit && explicit.currencies.includes(leg.currency)) {
+        return [this.assignLeg(leg, explicit)];
+      }
+
+      const rules = split[leg.currency];
+      if (rules && rules.every(rule => this.isUsable(merchant_id, rule.destination_id))) {
+        return this.splitLeg(merchant_id, leg, rules);
+      }
+
+      return [this.assignLeg(leg, this.resolveDestination(merchant_id, settlement_method, leg))];
+    });
+  }
+
+  /**
+   * Method a routed leg is paid with: the preferred method if its rail can pay the
+   * leg's destination, otherwise the first method of the currency whose rail can
+   * @param {Object} leg - Leg with destination_type
+   * @param {string} preferred - Method the leg would otherwise be paid with
+   * @returns {string} Settlement method code
+   */
+  getMethodFor(leg, preferred) {
+    if (!leg.destination_type) {
+      return preferred;
+    }
+
+    const { channels } = DESTINATION_TYPES[leg.destination_type];
+    if (channels.includes(this.getChannel(preferred))) {
+      return preferred;
+    }
+
+    const amount = this.settlementService.getPayoutAmount(leg);
+    const candidates = Object.entries(this.settlementService.settlement_methods)
+      .filter(([code, method]) => !method.split && method.currency === leg.currency && channels.includes(this.getChannel(code)));
+    if (candidates.length === 0) {
+      throw new UTPError(
+        `No ${leg.currency.toUpperCase()} settlement method pays a ${DESTINATION_TYPES[leg.destination_type].name}`,
+        'NO_PAYOUT_METHOD',
+        422
+      );
+    }
+
+    const fitting = candidates.find(([, method]) => amount >= method.min_amount && amount <= method.max_amount);
+    return (fitting || candidates[0])[0];
+  }
+
+  /**
+   * Rail channels that can pay a leg: those of its destination's type, or those
+   * the account details it is paid to support (null when they cannot tell)
+   * @param {Object} leg - Leg, with destination_type once routed
+   * @param {Object} merchant_account - Inline or registered account details the leg is otherwise paid to
+   * @returns {Array|null} Channels
+   */
+  getLegChannels(leg, merchant_account = {}) {
+    if (leg.destination_type) {
+      return DESTINATION_TYPES[leg.destination_type].channels;
+    }
+
+    const channels = [
+      ...(merchant_account.vpa || merchant_account.upi_id ? DESTINATION_TYPES.upi.channels : []),
+      ...(merchant_account.account_number ? DESTINATION_TYPES.bank_account.channels : [])
+    ];
+    return channels.length > 0 ? channels : null;
+  }
+
+  /**
+   * Payout details of a merchant with no destinations: the bank_details it registered
+   * @param {string} merchant_id - Merchant ID
+   * @returns {Object} Beneficiary details
+   */
+  getFallbackAccount(merchant_id) {
+    const merchant = this.merchants.get(merchant_id);
+    return (merchant && merchant.bank_details) || {};
+  }
+
+  /**
+   * Pick the verified destination a leg is paid to: one on the rail of the leg's
+   * method first, then the primary of its type, then the oldest
+   * @private
+   */
+  resolveDestination(merchant_id, settlement_method, leg) {
+    const method = this.settlementService.settlement_methods[settlement_method];
+    let preferred = settlement_method;
+    if (method.split) {
+      preferred = this.settlementService.resolveMethod(leg.currency, leg.amount);
+    } else if (method.auto) {
+      preferred = this.settlementService.routeAutoMethod(settlement_method, leg.amount).settlement_method;
+    }
+    const channel = this.getChannel(preferred);
+
+    const candidates = this.listActive(merchant_id)
+      .filter(d => d.verification.status === 'verified' && d.currencies.includes(leg.currency));
+    if (candidates.length === 0) {
+      throw new UTPError(`Merchant has no verified payout destination for ${leg.currency.toUpperCase()}`, 'NO_PAYOUT_DESTINATION', 422);
+    }
+
+    const rank = d => (DESTINATION_TYPES[d.type].channels.includes(channel) ? 0 : 2) + (d.is_primary ? 0 : 1);
+    return candidates.sort((a, b) => rank(a) - rank(b))[0];
+  }
+
+  /**
+   * Split a leg across the destinations of a payout split; the last takes the rounding
+   * @private
+   */
+  splitLeg(merchant_id, leg, rules) {
+    const round = (value, currency) => this.settlementService.roundAmount(value, currency);
+    let amount_left = leg.amount;
+    let value_left = leg.value;
+
+    return rules.map((rule, index) => {
+      const last = index === rules.length - 1;
+      const part = {
+        ...leg,
+        amount: last ? round(amount_left, leg.currency) : round(leg.amount * rule.percentage / 100, leg.currency),
+        percentage: leg.percentage !== undefined ? leg.percentage * rule.percentage / 100 : undefined
+      };
+      amount_left -= part.amount;
+
+      if (leg.value !== undefined) {
+        part.value = last ? round(value_left, 'inr') : round(leg.value * rule.percentage / 100, 'inr');
+        value_left -= part.value;
+      }
+
+      return {
+        ...this.assignLeg(part, this.destinations.get(rule.destination_id)),
+        leg_key: index === 0 ? leg.currency : `${leg.currency}-${index + 1}`,
+        split_percentage: rule.percentage
+      };
+    }).filter(part => part.amount > 0);
+  }
+
+  /**
+   * Point a leg at a destination
+   * @private
+   */
+  assignLeg(leg, destination) {
+    return {
+      ...leg,
+      destination_id: destination.destination_id,
+      destination_type: destination.type,
+      beneficiary: { ...destination.details }
+    };
+  }
+
+  /**
+   * Whether a destination is active, verified and the merchant's
+   * @private
+   */
+  isUsable(merchant_id, destination_id) {
+    const destination = this.destinations.get(destination_id);
+    return Boolean(destination && destination.merchant_id === merchant_id &&
+      destination.status === 'active' && destination.verification.status === 'verified');
+  }
+
+  /**
+   * Make a destination the only primary of its type
+   * @private
+   */
+  setPrimary(destination) {
+    for (const other of this.listActive(destination.merchant_id)) {
+      if (other.type === destination.type && other.is_primary && other.destination_id !== destination.destination_id) {
+        other.is_primary = false;
+        other.updated_at = new Date().toISOString();
+        this.destinations.set(other.destination_id, other);
+      }
+    }
+
+    destination.is_primary = true;
+    this.destinations.set(destination.destination_id, destination);
+  }
+
+  /**
+   * Whether an account holder name matches the name at the bank: every word of
+   * the shorter name appears in the longer, ignoring titles and company suffixes
+   * @private
+   */
+  namesMatch(holder_name, name_at_bank) {
+    const words = name => String(name || '').toUpperCase().replace(/[^A-Z0-9 ]+/g, ' ')
+      .split(/\s+/).filter(word => word && !NAME_NOISE.includes(word));
+    const [shorter, longer] = [words(holder_name), words(name_at_bank)].sort((a, b) => a.length - b.length);
+    return shorter.length > 0 && shorter.every(word => longer.includes(word));
+  }
+
+  /**
+   * Rail channel of a settlement method (upi, neft or token)
+   * @private
+   */
+  getChannel(settlement_method) {
+    const method = this.settlementService.settlement_methods[settlement_method];
+    return method && method.rail ? this.settlementService.getRail(method.rail).channel : null;
+  }
+
+  /**
+   * The merchant's payout split rules, if any
+   * @private
+   */
+  getPayoutSplit(merchant_id) {
+    const merchant_config = this.merchant_configs.get(merchant_id);
+    return (merchant_config && merchant_config.settlement_preferences &&
+      merchant_config.settlement_preferences.payout_split) || null;
+  }
+
+  /**
+   * Active destinations of a merchant, oldest first
+   * @private
+   */
+  listActive(merchant_id) {
+    return this.destinations.find({ merchant_id, status: 'active' })
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  /**
+   * Get an active destination of a merchant or throw
+   * @private
+   */
+  getActive(merchant_id, destination_id) {
+    const destination = this.destinations.get(destination_id);
+    if (!destination || destination.merchant_id !== merchant_id || destination.status !== 'active') {
+      throw new UTPError('Payout destination not found', 'DESTINATION_NOT_FOUND', 404);
+    }
+    return destination;
+  }
+
+  /**
+   * Get a merchant or throw
+   * @private
+   */
+  getMerchant(merchant_id) {
+    const merchant = this.merchants.get(merchant_id);
+    if (!merchant) {
+      throw new UTPError('Merchant not found', 'MERCHANT_NOT_FOUND', 404);
+    }
+    return merchant;
+  }
+
+  /**
+   * The account number, VPA or wallet address of a destination
+   * @private
+   */
+  getIdentifier(destination) {
+    const { details } = destination;
+    return String(details.account_number || details.vpa || details.wallet_address).toLowerCase();
+  }
+
+  /**
+   * Last four characters of an account number or wallet address, for default labels
+   * @private
+   */
+  mask(identifier) {
+    return identifier.length > 4 ? `••${identifier.slice(-4)}` : identifier;
+  }
+
+  /**
+   * Get destination counts
+   */
+  getStatus() {
+    const active = this.destinations.find({ status: 'active' });
+    return {
+      service: 'UTP Payout Destinations',
+      destinations: active.length,
+      verified: active.filter(d => d.verification.status === 'verified').length,
+      pending_verification: active.filter(d => d.verification.status === 'pending').length,
+      failed_verification: active.filter(d => d.verification.status === 'failed').length
+    };
+  }
+}
+
+module.exports = UTPPayoutDestinations;
+module.exports.DESTINATION_TYPES = DESTINATION_TYPES;
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { PriceFeedProvider } = require('./provider');
+
+/**
+ * File Replay Price Feed
+ * Replays recorded prices from a JSON file, one entry per fetch, for tests and offline development.
+ *
+ * The file holds either an array of entries or an object keyed by asset:
+ *   [{ "price": 5650.25, "currency": "INR", "unit": "gram", "observed_at": "2025-01-01T10:00:00Z" }, ...]
+ *   { "bgt": [...], "bst": [...] }
+ */
+class FileReplayPriceFeed extends PriceFeedProvider {
+  /**
+   * @param {Object} options - Feed configuration
+   * @param {string} options.file - Path to the replay file
+   * @param {boolean} options.loop - Restart from the first entry after the last one
+   * @param {boolean} options.use_recorded_time - Report the recorded observed_at instead of now
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'file_replay';
+
+    if (!options.file) {
+      throw new Error(`File replay price feed ${this.name} requires a file`);
+    }
+
+    this.file = path.resolve(options.file);
+    this.loop = options.loop !== false;
+    this.use_recorded_time = options.use_recorded_time === true;
+    this.entries = null;
+    this.positions = {};
+  }
+
+  async fetch(asset_type) {
+    const entries = this.getEntries(asset_type);
+
+    let position = this.positions[asset_type] || 0;
+    if (position >= entries.length) {
+      if (!this.loop) {
+        throw new Error(`${this.name} replay for ${asset_type} is exhausted`);
+      }
+      position = 0;
+    }
+
+    this.positions[asset_type] = position + 1;
+    const entry = entries[position];
+
+    return {
+      price: entry.price,
+      currency: entry.currency || 'INR',
+      unit: entry.unit || 'gram',
+      observed_at: this.use_recorded_time && entry.observed_at ? entry.observed_at : new Date().toISOString(),
+      volume: entry.volume
+    };
+  }
+
+  // Load replay entries for an asset
+  getEntries(asset_type) {
+    if (!this.entries) {
+      this.entries = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    }
+
+    const entries = Array.isArray(this.entries) ? this.entries : this.entries[asset_type];
+    if (!entries || entries.length === 0) {
+      throw new Error(`${this.name} has no replay entries for ${asset_type}`);
+    }
+
+    return entries;
+  }
+
+  // Restart replay from the first entry
+  reset() {
+    this.positions = {};
+    this.entries = null;
+  }
+}
+
+module.exports = FileReplayPriceFeed;
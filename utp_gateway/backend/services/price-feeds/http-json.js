@@ -0,0 +1,64 @@
+const axios = require('axios');
+const { PriceFeedProvider } = require('./provider');
+
+/**
+ * HTTP JSON Price Feed
+ * Reads a price from any JSON endpoint (LBMA/LME/LPPM style oracles or a local stub feed)
+ */
+class HttpJsonPriceFeed extends PriceFeedProvider {
+  /**
+   * @param {Object} options - Feed configuration
+   * @param {string} options.url - Endpoint returning JSON
+   * @param {string} options.price_path - Dot path to the price (e.g. 'data.gold.inr')
+   * @param {string} options.timestamp_path - Dot path to the observation time (optional)
+   * @param {string} options.volume_path - Dot path to the traded volume used for VWAP (optional)
+   * @param {string} options.currency - Quote currency of the price (INR, USD)
+   * @param {string} options.unit - Quote unit of the price (gram, troy_ounce, kilogram)
+   * @param {Object} options.headers - Extra request headers (e.g. API keys)
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'http_json';
+
+    if (!options.url) {
+      throw new Error(`HTTP JSON price feed ${this.name} requires a url`);
+    }
+
+    this.url = options.url;
+    this.price_path = options.price_path || 'price';
+    this.timestamp_path = options.timestamp_path || null;
+    this.volume_path = options.volume_path || null;
+    this.currency = options.currency || 'INR';
+    this.unit = options.unit || 'gram';
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || 5000;
+  }
+
+  async fetch(asset_type) {
+    const response = await axios.get(this.url.replace('{asset}', asset_type), {
+      headers: { Accept: 'application/json', ...this.headers },
+      timeout: this.timeout
+    });
+
+    const price = this.readPath(response.data, this.price_path);
+    if (price === undefined) {
+      throw new Error(`${this.name} response has no value at ${this.price_path}`);
+    }
+
+    return {
+      price,
+      currency: this.currency,
+      unit: this.unit,
+      observed_at: this.timestamp_path ? this.readPath(response.data, this.timestamp_path) : null,
+      volume: this.volume_path ? this.readPath(response.data, this.volume_path) : null
+    };
+  }
+
+  // Read a dot-separated path from a JSON document
+  readPath(data, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+  }
+}
+
+module.exports = HttpJsonPriceFeed;
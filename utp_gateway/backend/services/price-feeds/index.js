@@ -0,0 +1,40 @@
+/**
+ * Price Feed Registry
+ * Builds the configured price-feed adapter for each asset
+ */
+
+const { PriceFeedProvider, UNIT_TO_GRAMS } = require('./provider');
+const HttpJsonPriceFeed = require('./http-json');
+const StaticPriceFeed = require('./static');
+const FileReplayPriceFeed = require('./file-replay');
+const SimulatedPriceFeed = require('./simulated');
+
+const PROVIDERS = {
+  http_json: HttpJsonPriceFeed,
+  static: StaticPriceFeed,
+  fixed: StaticPriceFeed,
+  file_replay: FileReplayPriceFeed,
+  simulated: SimulatedPriceFeed
+};
+
+/**
+ * Create a single price feed from its configuration
+ * @param {Object} feed_config - Feed configuration with a `provider` type
+ * @param {Object} defaults - Options shared by all feeds (e.g. fx_rates, max_age_ms)
+ * @returns {PriceFeedProvider}
+ */
+const createPriceFeed = (feed_config, defaults = {}) => {
+  const Provider = PROVIDERS[feed_config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown price feed provider: ${feed_config.provider}`);
+  }
+
+  return new Provider({ ...defaults, ...feed_config });
+};
+
+module.exports = {
+  PROVIDERS,
+  PriceFeedProvider,
+  UNIT_TO_GRAMS,
+  createPriceFeed
+};
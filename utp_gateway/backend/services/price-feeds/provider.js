@@ -0,0 +1,147 @@
+/**
+ * Price Feed Provider
+ * Base class for price-feed adapters used by UTPConversionService.
+ * Adapters implement fetch() and return a raw quote; the base class
+ * normalises it to INR per gram and tracks freshness.
+ */
+
+// Grams per supported quote unit
+const UNIT_TO_GRAMS = {
+  gram: 1,
+  kilogram: 1000,
+  troy_ounce: 31.1034768,
+  tola: 11.6638038,
+  unit: 1 // Non-metal tokens (BINR, RWA) are priced per token
+};
+
+class PriceFeedProvider {
+  /**
+   * @param {Object} options - Feed configuration
+   * @param {string} options.name - Human readable source name
+   * @param {number} options.max_age_ms - Age after which a price is considered stale
+   * @param {number} options.confidence - Confidence reported with prices from this feed
+   * @param {Object} options.fx_rates - INR rates for non-INR quote currencies
+   * @param {number} options.weight - Volume used for VWAP when the source reports none
+   */
+  constructor(options = {}) {
+    this.type = 'base';
+    this.name = options.name || 'Unknown Feed';
+    this.max_age_ms = options.max_age_ms || 5 * 60 * 1000;
+    this.confidence = options.confidence || 0.95;
+    this.fx_rates = { INR: 1, ...(options.fx_rates || {}) };
+    this.weight = options.weight || 1;
+    this.last_price = null;
+    this.last_error = null;
+  }
+
+  /**
+   * Fetch a raw quote from the source
+   * @param {string} asset_type - Asset to price
+   * @returns {Promise<Object>} Raw quote { price, currency, unit, observed_at, volume }
+   */
+  async fetch(asset_type) {
+    throw new Error(`${this.constructor.name} does not implement fetch()`);
+  }
+
+  /**
+   * Normalise a raw quote to INR per gram
+   * @param {Object} raw - Raw quote from fetch()
+   * @returns {Object} Normalised price
+   */
+  normalise(raw) {
+    const price = Number(raw.price);
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new Error(`${this.name} returned an invalid price: ${raw.price}`);
+    }
+
+    const currency = (raw.currency || 'INR').toUpperCase();
+    const fx_rate = this.fx_rates[currency];
+    if (!fx_rate) {
+      throw new Error(`No INR rate configured for ${currency}`);
+    }
+
+    const grams = UNIT_TO_GRAMS[raw.unit || 'gram'];
+    if (!grams) {
+      throw new Error(`Unsupported price unit: ${raw.unit}`);
+    }
+
+    const volume = Number(raw.volume);
+
+    return {
+      price: Math.round((price * fx_rate / grams) * 100) / 100,
+      currency: 'INR',
+      unit: raw.unit === 'unit' ? 'unit' : 'gram',
+      volume: Number.isFinite(volume) && volume > 0 ? volume : this.weight,
+      observed_at: raw.observed_at ? new Date(raw.observed_at).toISOString() : new Date().toISOString()
+    };
+  }
+
+  /**
+   * Fetch and normalise the current price
+   * @param {string} asset_type - Asset to price
+   * @returns {Promise<Object>} Normalised price with freshness
+   */
+  async getPrice(asset_type) {
+    try {
+      const normalised = this.normalise(await this.fetch(asset_type));
+      this.last_price = { ...normalised, fetched_at: new Date().toISOString() };
+      this.last_error = null;
+
+      return {
+        ...normalised,
+        source: this.name,
+        provider: this.type,
+        confidence: this.confidence,
+        freshness: this.getFreshness()
+      };
+    } catch (error) {
+      this.last_error = error.message;
+      throw error;
+    }
+  }
+
+  /**
+   * The last price this feed observed, as getPrice() returned it, while it is within max_age_ms
+   * @returns {Object|null} Normalised price with freshness, or null if there is none or it is stale
+   */
+  getLastPrice() {
+    const freshness = this.getFreshness();
+    if (freshness.stale) {
+      return null;
+    }
+
+    const { fetched_at, ...last_price } = this.last_price;
+    return {
+      ...last_price,
+      source: this.name,
+      provider: this.type,
+      confidence: this.confidence,
+      freshness
+    };
+  }
+
+  /**
+   * Report how fresh the last fetched price is
+   * @returns {Object} Freshness details
+   */
+  getFreshness() {
+    if (!this.last_price) {
+      return { observed_at: null, age_ms: null, max_age_ms: this.max_age_ms, stale: true, last_error: this.last_error };
+    }
+
+    const age_ms = Date.now() - new Date(this.last_price.observed_at).getTime();
+
+    return {
+      observed_at: this.last_price.observed_at,
+      age_ms,
+      max_age_ms: this.max_age_ms,
+      stale: age_ms > this.max_age_ms,
+      last_error: this.last_error
+    };
+  }
+}
+
+module.exports = {
+  PriceFeedProvider,
+  UNIT_TO_GRAMS
+};
@@ -0,0 +1,34 @@
+const { PriceFeedProvider } = require('./provider');
+
+/**
+ * Simulated Price Feed
+ * Random market fluctuation (±0.1%) around a base price, for running without external feeds
+ */
+class SimulatedPriceFeed extends PriceFeedProvider {
+  /**
+   * @param {Object} options - Feed configuration
+   * @param {number} options.base_price - Price to fluctuate around
+   * @param {number} options.fluctuation - Maximum relative move in either direction
+   * @param {string} options.unit - 'unit' for per-token assets, otherwise the base price is per gram
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'simulated';
+    this.base_price = options.base_price;
+    this.fluctuation = options.fluctuation || 0.001;
+    this.unit = options.unit === 'unit' ? 'unit' : 'gram';
+  }
+
+  async fetch() {
+    const move = (Math.random() - 0.5) * 2 * this.fluctuation;
+
+    return {
+      price: this.base_price * (1 + move),
+      currency: 'INR',
+      unit: this.unit,
+      observed_at: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = SimulatedPriceFeed;
@@ -0,0 +1,32 @@
+const { PriceFeedProvider } = require('./provider');
+
+/**
+ * Static Price Feed
+ * Fixed price for pegged assets such as BINR (1 BINR = 1 INR); always fresh
+ */
+class StaticPriceFeed extends PriceFeedProvider {
+  /**
+   * @param {Object} options - Feed configuration
+   * @param {number} options.price - Fixed price
+   * @param {string} options.currency - Quote currency of the price
+   * @param {string} options.unit - Quote unit of the price
+   */
+  constructor(options = {}) {
+    super({ confidence: 1.0, ...options });
+    this.type = 'static';
+    this.price = options.price;
+    this.currency = options.currency || 'INR';
+    this.unit = options.unit || 'unit';
+  }
+
+  async fetch() {
+    return {
+      price: this.price,
+      currency: this.currency,
+      unit: this.unit,
+      observed_at: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = StaticPriceFeed;
@@ -0,0 +1,331 @@
+const config = require('../config');
+const { store } = require('../models');
+const { UTPError } = require('../middleware/error.middleware');
+
+// Candle interval lengths in ms
+const CANDLE_INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+/**
+ * UTP Price History
+ * Records every fetched price and rolls it up into OHLC candles.
+ * Ticks answer "which rate applied at time T"; candles back the charting API.
+ *
+ * Ticks and candles are kept in the store (price_ticks, price_candles), so the
+ * history survives restarts; an in-memory index of each asset's ticks, rebuilt
+ * when the service starts, serves point-in-time lookups. Besides the prices
+ * fetched on demand, the conversion service samples every asset on a fixed
+ * interval (config.priceHistory.sample_interval_ms) so candles have no gaps.
+ */
+class UTPPriceHistory {
+  /**
+   * @param {Object} options - History settings (defaults to config.priceHistory)
+   * @param {number} options.tick_retention_ms - How long raw ticks are kept
+   * @param {Object} options.candle_retention_ms - How long candles are kept, by interval
+   * @param {number} options.max_candles - Most candles returned by one query
+   * @param {UTPMemoryStore} options.store - Store holding ticks and candles (defaults to the shared store)
+   */
+  constructor(options = {}) {
+    this.tick_retention_ms = options.tick_retention_ms || config.priceHistory.tick_retention_ms;
+    this.candle_retention_ms = { ...config.priceHistory.candle_retention_ms, ...(options.candle_retention_ms || {}) };
+    this.max_candles = options.max_candles || config.priceHistory.max_candles;
+    this.store = options.store || store;
+    this.tick_records = this.store.collection('price_ticks');
+    this.candles = this.store.collection('price_candles');
+
+    // asset -> ticks ordered by time, rebuilt from the stored ticks
+    this.ticks = new Map();
+    for (const tick of this.tick_records.values()) {
+      this.indexTick(tick);
+    }
+  }
+
+  /**
+   * Record a fetched price
+   * @param {Object} price - Price from UTPConversionService.fetchPriceFromSource
+   * @returns {Promise<Object>} Stored tick
+   */
+  async record(price) {
+    const time = new Date(price.timestamp || Date.now()).getTime();
+    const tick = {
+      tick_id: `${price.asset_type}:${time}:${price.source}`,
+      asset_type: price.asset_type,
+      time,
+      price: price.price,
+      source: price.source,
+      observed_at: price.observed_at || null
+    };
+
+    // A tick and its candles are stored together
+    await this.store.transaction(() => {
+      this.tick_records.set(tick.tick_id, tick);
+      for (const interval of Object.keys(CANDLE_INTERVALS)) {
+        this.updateCandle(price.asset_type, interval, tick);
+      }
+    });
+    this.indexTick(tick);
+
+    return tick;
+  }
+
+  /**
+   * Add a tick to its asset's time-ordered index
+   * @private
+   */
+  indexTick(tick) {
+    const ticks = this.getTicks(tick.asset_type);
+
+    // Keep ticks ordered even if a late price arrives; a tick recorded twice replaces itself
+    let index = ticks.length;
+    while (index > 0 && ticks[index - 1].time > tick.time) {
+      index--;
+    }
+    if (index > 0 && ticks[index - 1].tick_id === tick.tick_id) {
+      ticks[index - 1] = tick;
+      return;
+    }
+    ticks.splice(index, 0, tick);
+  }
+
+  /**
+   * Fold a tick into its candle
+   * @private
+   */
+  updateCandle(asset_type, interval, tick) {
+    const length = CANDLE_INTERVALS[interval];
+    const bucket = Math.floor(tick.time / length) * length;
+    const candle_id = `${asset_type}:${interval}:${bucket}`;
+
+    const candle = this.candles.get(candle_id);
+    if (!candle) {
+      this.candles.set(candle_id, {
+        candle_id,
+        asset_type,
+        interval,
+        open_time: bucket,
+        close_time: bucket + length - 1,
+        open: tick.price,
+        high: tick.price,
+        low: tick.price,
+        close: tick.price,
+        first_tick_time: tick.time,
+        last_tick_time: tick.time,
+        ticks: 1
+      });
+      return;
+    }
+
+    candle.high = Math.max(candle.high, tick.price);
+    candle.low = Math.min(candle.low, tick.price);
+    candle.ticks += 1;
+
+    if (tick.time < candle.first_tick_time) {
+      candle.open = tick.price;
+      candle.first_tick_time = tick.time;
+    }
+    if (tick.time >= candle.last_tick_time) {
+      candle.close = tick.price;
+      candle.last_tick_time = tick.time;
+    }
+    this.candles.set(candle_id, candle);
+  }
+
+  /**
+   * Drop ticks and candles past their retention (each asset keeps at least its latest tick)
+   * @param {number} now - Current time in epoch ms
+   * @returns {Promise<Object>} { ticks, candles } removed
+   */
+  async prune(now = Date.now()) {
+    const tick_cutoff = now - this.tick_retention_ms;
+    const removed = { ticks: 0, candles: 0 };
+
+    await this.store.transaction(() => {
+      for (const ticks of this.ticks.values()) {
+        let expired = 0;
+        while (expired < ticks.length - 1 && ticks[expired].time < tick_cutoff) {
+          this.tick_records.delete(ticks[expired].tick_id);
+          expired++;
+        }
+        if (expired > 0) {
+          ticks.splice(0, expired);
+          removed.ticks += expired;
+        }
+      }
+
+      const expired_candles = this.candles.find(candle =>
+        candle.open_time + CANDLE_INTERVALS[candle.interval] < now - this.candle_retention_ms[candle.interval]);
+      for (const candle of expired_candles) {
+        this.candles.delete(candle.candle_id);
+      }
+      removed.candles = expired_candles.length;
+    });
+
+    return removed;
+  }
+
+  /**
+   * Get OHLC candles for an asset
+   * @param {string} asset_type - Asset to chart
+   * @param {Object} query - { interval, from, to } with times as ISO strings or epoch ms
+   * @returns {Object} Candles in ascending time order
+   */
+  getCandles(asset_type, { interval = '1h', from, to } = {}) {
+    const length = CANDLE_INTERVALS[interval];
+    if (!length) {
+      throw new UTPError(
+        `Unsupported candle interval: ${interval}. Use one of ${Object.keys(CANDLE_INTERVALS).join(', ')}`,
+        'INVALID_CANDLE_INTERVAL',
+        400
+      );
+    }
+
+    const to_time = to !== undefined ? this.parseTime(to, 'to') : Date.now();
+    const from_time = from !== undefined ? this.parseTime(from, 'from') : to_time - length * this.max_candles;
+
+    if (from_time > to_time) {
+      throw new UTPError('from must be before to', 'INVALID_TIME_RANGE', 400);
+    }
+    if ((to_time - from_time) / length > this.max_candles) {
+      throw new UTPError(
+        `Time range covers more than ${this.max_candles} ${interval} candles`,
+        'INVALID_TIME_RANGE',
+        400
+      );
+    }
+
+    const candles = this.candles
+      .find(candle => candle.asset_type === asset_type && candle.interval === interval &&
+        candle.close_time >= from_time && candle.open_time <= to_time)
+      .sort((a, b) => a.open_time - b.open_time)
+      .map(candle => ({
+        open_time: new Date(candle.open_time).toISOString(),
+        close_time: new Date(candle.close_time).toISOString(),
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        ticks: candle.ticks
+      }));
+
+    return {
+      asset_type,
+      interval,
+      from: new Date(from_time).toISOString(),
+      to: new Date(to_time).toISOString(),
+      currency: 'INR',
+      candles,
+      count: candles.length
+    };
+  }
+
+  /**
+   * Get the price that applied to an asset at a past time (the last price recorded at or before it)
+   * @param {string} asset_type - Asset to look up
+   * @param {string|number} timestamp - ISO string or epoch ms
+   * @returns {Object} Applied price
+   */
+  getPriceAt(asset_type, timestamp) {
+    const time = this.parseTime(timestamp, 'timestamp');
+    const ticks = this.getTicks(asset_type);
+
+    // Binary search for the last tick at or before the time
+    let low = 0;
+    let high = ticks.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+      if (ticks[middle].time <= time) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    if (found === -1) {
+      throw new UTPError(`No recorded ${asset_type} price at or before ${new Date(time).toISOString()}`, 'PRICE_HISTORY_NOT_FOUND', 404);
+    }
+
+    const tick = ticks[found];
+    const next = ticks[found + 1];
+
+    return {
+      asset_type,
+      requested_at: new Date(time).toISOString(),
+      price: tick.price,
+      currency: 'INR',
+      source: tick.source,
+      recorded_at: new Date(tick.time).toISOString(),
+      observed_at: tick.observed_at,
+      valid_until: next ? new Date(next.time).toISOString() : null
+    };
+  }
+
+  /**
+   * Get the conversion rate between two assets at a past time
+   * @param {string} from_asset - Source asset
+   * @param {string} to_asset - Target asset
+   * @param {string|number} timestamp - ISO string or epoch ms
+   * @returns {Object} Applied rate with both legs
+   */
+  getRateAt(from_asset, to_asset, timestamp) {
+    const from_price = this.getPriceAt(from_asset, timestamp);
+    const to_price = this.getPriceAt(to_asset, timestamp);
+
+    return {
+      from_asset,
+      to_asset,
+      requested_at: from_price.requested_at,
+      rate: from_price.price / to_price.price,
+      from_price,
+      to_price
+    };
+  }
+
+  /**
+   * Get ticks for an asset
+   * @private
+   */
+  getTicks(asset_type) {
+    if (!this.ticks.has(asset_type)) {
+      this.ticks.set(asset_type, []);
+    }
+    return this.ticks.get(asset_type);
+  }
+
+  /**
+   * Parse an ISO string or epoch ms
+   * @private
+   */
+  parseTime(value, field) {
+    const time = /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+    if (!Number.isFinite(time)) {
+      throw new UTPError(`Invalid ${field}: ${value}`, 'INVALID_TIME_RANGE', 400);
+    }
+    return time;
+  }
+
+  /**
+   * Get history status
+   */
+  getStatus() {
+    const status = {};
+
+    for (const [asset_type, ticks] of this.ticks) {
+      status[asset_type] = {
+        ticks: ticks.length,
+        oldest: ticks.length > 0 ? new Date(ticks[0].time).toISOString() : null,
+        newest: ticks.length > 0 ? new Date(ticks[ticks.length - 1].time).toISOString() : null
+      };
+    }
+
+    return status;
+  }
+}
+
+module.exports = UTPPriceHistory;
+module.exports.CANDLE_INTERVALS = CANDLE_INTERVALS;
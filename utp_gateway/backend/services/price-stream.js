@@ -0,0 +1,424 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { verifyAccessToken } = require('../middleware/auth.middleware');
+
+const SUPPORTED_ASSETS = ['bgt', 'bst', 'bpt', 'binr', 'rwa'];
+
+/**
+ * UTP Price Stream
+ * WebSocket channel that pushes asset prices and conversion pair rates
+ * whenever UTPConversionService caches a fresh price.
+ *
+ * Client messages:
+ * - { action: 'subscribe', assets: ['bgt'], pairs: ['bgt/binr'] }
+ * - { action: 'unsubscribe', assets: [...], pairs: [...] }
+ * - { action: 'ping' }
+ *
+ * Server messages: welcome, subscribed, unsubscribed, price, rate,
+ * price_feed_halted, price_feed_resumed, heartbeat, pong, error
+ */
+class UTPPriceStream {
+  /**
+   * @param {UTPConversionService} conversionService - Shared conversion service
+   * @param {Object} options - Stream settings (defaults to config.priceStream)
+   */
+  constructor(conversionService, options = {}) {
+    this.conversionService = conversionService;
+    this.path = options.path || config.priceStream.path;
+    this.heartbeat_interval_ms = options.heartbeat_interval_ms || config.priceStream.heartbeat_interval_ms;
+    this.max_subscriptions = options.max_subscriptions || config.priceStream.max_subscriptions;
+    this.require_auth = options.require_auth !== undefined ? options.require_auth : config.priceStream.require_auth;
+    this.refresh_interval_ms = options.refresh_interval_ms || config.priceFeed.update_interval;
+
+    this.wss = null;
+    this.clients = new Map();
+    this.timers = [];
+
+    this.onPriceUpdated = (price) => this.broadcastPrice(price);
+    this.onFeedHalted = (halt) => this.broadcastFeedState('price_feed_halted', halt);
+    this.onFeedResumed = (resume) => this.broadcastFeedState('price_feed_resumed', resume);
+  }
+
+  /**
+   * Attach the WebSocket endpoint to an HTTP server
+   * @param {http.Server} server - Server returned by app.listen()
+   * @returns {WebSocketServer}
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({
+      server,
+      path: this.path,
+      maxPayload: 16 * 1024,
+      verifyClient: (info, done) => this.verifyClient(info, done)
+    });
+
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+    this.conversionService.on('price_updated', this.onPriceUpdated);
+    this.conversionService.on('price_feed_halted', this.onFeedHalted);
+    this.conversionService.on('price_feed_resumed', this.onFeedResumed);
+
+    this.timers.push(setInterval(() => this.heartbeat(), this.heartbeat_interval_ms).unref());
+    this.timers.push(setInterval(() => this.refreshSubscribedPrices(), this.refresh_interval_ms).unref());
+
+    return this.wss;
+  }
+
+  /**
+   * Stop timers, drop listeners and close all connections
+   */
+  close() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+
+    this.conversionService.off('price_updated', this.onPriceUpdated);
+    this.conversionService.off('price_feed_halted', this.onFeedHalted);
+    this.conversionService.off('price_feed_resumed', this.onFeedResumed);
+
+    if (this.wss) {
+      for (const socket of this.clients.keys()) {
+        socket.terminate();
+      }
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+
+  /**
+   * Authenticate the handshake with an optional JWT (Authorization header or ?token=)
+   * @private
+   */
+  verifyClient(info, done) {
+    const token = this.getToken(info.req);
+
+    if (!token) {
+      if (this.require_auth) {
+        return done(false, 401, 'Access token required');
+      }
+      info.req.user = null;
+      return done(true);
+    }
+
+    verifyAccessToken(token, (err, user) => {
+      if (err) {
+        return done(false, 403, 'Invalid or expired token');
+      }
+
+      info.req.user = user;
+      done(true);
+    });
+  }
+
+  /**
+   * Read the access token from the handshake request
+   * @private
+   */
+  getToken(req) {
+    const auth_header = req.headers['authorization'];
+    if (auth_header) {
+      return auth_header.split(' ')[1];
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token');
+  }
+
+  /**
+   * Register a new connection
+   * @private
+   */
+  handleConnection(socket, req) {
+    const client = {
+      client_id: uuidv4(),
+      user: req.user || null,
+      assets: new Set(),
+      pairs: new Set(),
+      is_alive: true,
+      connected_at: new Date().toISOString()
+    };
+
+    this.clients.set(socket, client);
+
+    socket.on('pong', () => {
+      client.is_alive = true;
+    });
+    socket.on('message', (data) => this.handleMessage(socket, client, data));
+    socket.on('close', () => this.clients.delete(socket));
+    socket.on('error', () => this.clients.delete(socket));
+
+    this.send(socket, {
+      type: 'welcome',
+      client_id: client.client_id,
+      authenticated: Boolean(client.user),
+      supported_assets: SUPPORTED_ASSETS,
+      max_subscriptions: this.max_subscriptions,
+      heartbeat_interval_ms: this.heartbeat_interval_ms
+    });
+  }
+
+  /**
+   * Handle a client message
+   * @private
+   */
+  handleMessage(socket, client, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.sendError(socket, 'Messages must be JSON', 'INVALID_MESSAGE');
+    }
+
+    switch (message.action) {
+      case 'subscribe':
+        return this.subscribe(socket, client, message);
+      case 'unsubscribe':
+        return this.unsubscribe(socket, client, message);
+      case 'ping':
+        return this.send(socket, { type: 'pong' });
+      default:
+        return this.sendError(socket, `Unknown action: ${message.action}`, 'INVALID_ACTION');
+    }
+  }
+
+  /**
+   * Add asset and pair subscriptions, then send their current values
+   * @private
+   */
+  subscribe(socket, client, message) {
+    let requested;
+    try {
+      requested = this.parseSubscription(message);
+    } catch (error) {
+      return this.sendError(socket, error.message, 'INVALID_SUBSCRIPTION');
+    }
+
+    const new_assets = requested.assets.filter(asset => !client.assets.has(asset));
+    const new_pairs = requested.pairs.filter(pair => !client.pairs.has(pair));
+    const total = client.assets.size + client.pairs.size + new_assets.length + new_pairs.length;
+
+    if (total > this.max_subscriptions) {
+      return this.sendError(
+        socket,
+        `Subscription limit exceeded: at most ${this.max_subscriptions} assets and pairs per connection`,
+        'SUBSCRIPTION_LIMIT_EXCEEDED'
+      );
+    }
+
+    new_assets.forEach(asset => client.assets.add(asset));
+    new_pairs.forEach(pair => client.pairs.add(pair));
+
+    this.send(socket, {
+      type: 'subscribed',
+      assets: Array.from(client.assets),
+      pairs: Array.from(client.pairs)
+    });
+
+    // Send the current value of each new subscription
+    new_assets.forEach(asset => this.sendPrice(socket, asset, { snapshot: true }));
+    new_pairs.forEach(pair => this.sendRate(socket, pair, { snapshot: true }));
+  }
+
+  /**
+   * Remove asset and pair subscriptions
+   * @private
+   */
+  unsubscribe(socket, client, message) {
+    let requested;
+    try {
+      requested = this.parseSubscription(message);
+    } catch (error) {
+      return this.sendError(socket, error.message, 'INVALID_SUBSCRIPTION');
+    }
+
+    requested.assets.forEach(asset => client.assets.delete(asset));
+    requested.pairs.forEach(pair => client.pairs.delete(pair));
+
+    this.send(socket, {
+      type: 'unsubscribed',
+      assets: Array.from(client.assets),
+      pairs: Array.from(client.pairs)
+    });
+  }
+
+  /**
+   * Validate assets and pairs ('bgt/binr' or { from, to }) from a message
+   * @private
+   */
+  parseSubscription(message) {
+    const assets = [].concat(message.assets || []).map(asset => String(asset).toLowerCase());
+    const pairs = [].concat(message.pairs || []).map(pair => {
+      const [from, to] = typeof pair === 'string'
+        ? pair.toLowerCase().split('/')
+        : [String(pair.from || '').toLowerCase(), String(pair.to || '').toLowerCase()];
+
+      if (!SUPPORTED_ASSETS.includes(from) || !SUPPORTED_ASSETS.includes(to) || from === to) {
+        throw new Error(`Unsupported conversion pair: ${typeof pair === 'string' ? pair : JSON.stringify(pair)}`);
+      }
+
+      return `${from}/${to}`;
+    });
+
+    const unsupported = assets.filter(asset => !SUPPORTED_ASSETS.includes(asset));
+    if (unsupported.length > 0) {
+      throw new Error(`Unsupported assets: ${unsupported.join(', ')}`);
+    }
+
+    return {
+      assets: [...new Set(assets)],
+      pairs: [...new Set(pairs)]
+    };
+  }
+
+  /**
+   * Push a freshly cached price to subscribers of the asset and of pairs that include it
+   * @private
+   */
+  broadcastPrice(price) {
+    for (const [socket, client] of this.clients) {
+      if (client.assets.has(price.asset_type)) {
+        this.send(socket, { type: 'price', asset_type: price.asset_type, price });
+      }
+
+      for (const pair of client.pairs) {
+        if (pair.split('/').includes(price.asset_type)) {
+          this.sendRate(socket, pair);
+        }
+      }
+    }
+  }
+
+  /**
+   * Tell subscribers that an asset's feed halted or resumed
+   * @private
+   */
+  broadcastFeedState(type, event) {
+    for (const [socket, client] of this.clients) {
+      const subscribed = client.assets.has(event.asset_type) ||
+        Array.from(client.pairs).some(pair => pair.split('/').includes(event.asset_type));
+
+      if (subscribed) {
+        this.send(socket, { type, ...event });
+      }
+    }
+  }
+
+  /**
+   * Send the current price of an asset
+   * Snapshots skip freshly fetched prices, which already reach the client through price_updated
+   * @private
+   */
+  async sendPrice(socket, asset_type, { snapshot = false } = {}) {
+    try {
+      const price = await this.conversionService.getPrice(asset_type);
+      if (snapshot && price.source !== 'cache') return;
+
+      this.send(socket, { type: 'price', asset_type, price });
+    } catch (error) {
+      this.sendError(socket, error.message, error.code || 'PRICE_FETCH_FAILED', { asset_type });
+    }
+  }
+
+  /**
+   * Send the current rate of a conversion pair
+   * @private
+   */
+  async sendRate(socket, pair, { snapshot = false } = {}) {
+    const [from_asset, to_asset] = pair.split('/');
+
+    try {
+      const [from_price, to_price] = await Promise.all([
+        this.conversionService.getPrice(from_asset),
+        this.conversionService.getPrice(to_asset)
+      ]);
+      if (snapshot && (from_price.source !== 'cache' || to_price.source !== 'cache')) return;
+
+      this.send(socket, {
+        type: 'rate',
+        pair,
+        from_asset,
+        to_asset,
+        rate: from_price.price / to_price.price,
+        from_price: from_price.price,
+        to_price: to_price.price
+      });
+    } catch (error) {
+      this.sendError(socket, error.message, error.code || 'RATE_FETCH_FAILED', { pair });
+    }
+  }
+
+  /**
+   * Refresh every subscribed asset so expired cache entries are fetched and pushed
+   * @private
+   */
+  refreshSubscribedPrices() {
+    const assets = new Set();
+
+    for (const client of this.clients.values()) {
+      client.assets.forEach(asset => assets.add(asset));
+      client.pairs.forEach(pair => pair.split('/').forEach(asset => assets.add(asset)));
+    }
+
+    // Failures surface through price_feed_halted
+    assets.forEach(asset => this.conversionService.getPrice(asset).catch(() => {}));
+  }
+
+  /**
+   * Drop connections that missed the last ping and send a heartbeat to the rest
+   * @private
+   */
+  heartbeat() {
+    for (const [socket, client] of this.clients) {
+      if (!client.is_alive) {
+        this.clients.delete(socket);
+        socket.terminate();
+        continue;
+      }
+
+      client.is_alive = false;
+      socket.ping();
+      this.send(socket, { type: 'heartbeat' });
+    }
+  }
+
+  /**
+   * Send a JSON message if the socket is open
+   * @private
+   */
+  send(socket, message) {
+    if (socket.readyState !== WebSocket.OPEN) return;
+
+    socket.send(JSON.stringify({
+      ...message,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Send an error message
+   * @private
+   */
+  sendError(socket, error, error_code, details = {}) {
+    this.send(socket, { type: 'error', error, error_code, ...details });
+  }
+
+  /**
+   * Get stream status
+   */
+  getStatus() {
+    const clients = Array.from(this.clients.values());
+
+    return {
+      service: 'UTP Price Stream',
+      status: this.wss ? 'active' : 'inactive',
+      path: this.path,
+      connections: clients.length,
+      authenticated_connections: clients.filter(client => client.user).length,
+      subscriptions: clients.reduce((sum, client) => sum + client.assets.size + client.pairs.size, 0),
+      max_subscriptions: this.max_subscriptions,
+      require_auth: this.require_auth
+    };
+  }
+}
+
+module.exports = UTPPriceStream;
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { UTPError } = require('../../middleware/error.middleware');
+
+// Final payout statuses; anything else is still in flight
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled', 'reversed'];
+
+/**
+ * Settlement Rail Adapter
+ * Base class for the rails UTPSettlementService pays merchants through.
+ * Adapters implement initiate(), getStatus(), handleCallback() and cancel()
+ * (and reverse() where paid transfers can be clawed back, verifyBeneficiary()
+ * where the rail can check an account before paying it), and report every
+ * payout as a rail update:
+ * { reference, rail_reference, status, failure_code, failure_reason, estimated_completion, transaction_details }
+ * where status is pending, completed, failed, cancelled or reversed.
+ */
+class SettlementRailAdapter {
+  /**
+   * @param {Object} options - Rail configuration
+   * @param {string} options.rail - Rail code (upi, neft, imps, rtgs, binr, bgt, bst, bpt)
+   * @param {string} options.name - Human readable rail name
+   * @param {string} options.webhook_secret - Secret the rail signs callbacks with
+   * @param {number} options.status_poll_interval_ms - Least time between status polls of a processing payout (0 polls on every sweep)
+   */
+  constructor(options = {}) {
+    this.type = 'base';
+    this.rail = options.rail;
+    this.name = options.name || options.rail;
+    this.webhook_secret = options.webhook_secret || null;
+    this.status_poll_interval_ms = options.status_poll_interval_ms || 0;
+  }
+
+  /**
+   * Start a payout
+   * @param {Object} payout - { reference, amount, currency, beneficiary, narration }
+   * @returns {Promise<Object>} Rail update
+   */
+  async initiate(payout) {
+    throw new Error(`${this.constructor.name} does not implement initiate()`);
+  }
+
+  /**
+   * Poll the status of a payout
+   * @param {string} reference - Our payout reference
+   * @returns {Promise<Object>} Rail update
+   */
+  async getStatus(reference) {
+    throw new Error(`${this.constructor.name} does not implement getStatus()`);
+  }
+
+  /**
+   * Turn a rail callback into a rail update
+   * @param {Object} payload - Callback body
+   * @param {string} signature - Signature header sent with the callback
+   * @returns {Object} Rail update
+   */
+  handleCallback(payload, signature) {
+    throw new Error(`${this.constructor.name} does not implement handleCallback()`);
+  }
+
+  /**
+   * Cancel a payout that has not been paid yet
+   * @param {string} reference - Our payout reference
+   * @returns {Promise<Object>} Rail update
+   */
+  async cancel(reference) {
+    throw new Error(`${this.constructor.name} does not implement cancel()`);
+  }
+
+  /**
+   * Claw back a completed payout
+   * @param {string} reference - Our payout reference
+   * @param {Object} reversal - { reason }
+   * @returns {Promise<Object>} Rail update
+   */
+  async reverse(reference, reversal) {
+    throw new UTPError(`${this.name} payouts cannot be reversed`, 'RAIL_OPERATION_UNSUPPORTED', 400);
+  }
+
+  /**
+   * Check that a beneficiary exists before paying it, and get the name it is held under
+   * @param {Object} verification - { reference, beneficiary }
+   * @returns {Promise<Object>} { reference, rail_reference, status: verified, method, name_at_bank, transaction_details }
+   */
+  async verifyBeneficiary(verification) {
+    throw new UTPError(`${this.name} cannot verify beneficiaries`, 'RAIL_OPERATION_UNSUPPORTED', 400);
+  }
+
+  /**
+   * Check an HMAC-SHA256 signature over a callback body
+   * @param {Object|string} payload - Callback body
+   * @param {string} signature - Hex signature
+   * @returns {boolean}
+   */
+  verifySignature(payload, signature) {
+    if (!this.webhook_secret || !signature) {
+      return false;
+    }
+
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const expected = crypto.createHmac('sha256', this.webhook_secret).update(body).digest('hex');
+    const given = String(signature);
+
+    return given.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+  }
+
+  /**
+   * Whether a rail status is final
+   * @param {string} status - Rail update status
+   * @returns {boolean}
+   */
+  isFinal(status) {
+    return FINAL_STATUSES.includes(status);
+  }
+}
+
+module.exports = {
+  SettlementRailAdapter,
+  FINAL_STATUSES
+};
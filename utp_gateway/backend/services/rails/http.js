@@ -0,0 +1,239 @@
+const axios = require('axios');
+const { SettlementRailAdapter } = require('./adapter');
+const { UTPError } = require('../../middleware/error.middleware');
+
+// Bank payout statuses mapped to rail update statuses
+const BANK_STATUSES = {
+  PENDING: 'pending',
+  QUEUED: 'pending',
+  SUBMITTED: 'pending',
+  SUCCESS: 'completed',
+  FAILED: 'failed',
+  REJECTED: 'failed',
+  CANCELLED: 'cancelled',
+  REVERSED: 'reversed'
+};
+
+/**
+ * HTTP Rail Adapter
+ * Pays out through a bank payout API (the bundled mock bank or a real bank
+ * exposing the same contract):
+ * - POST {api_url}/payouts                     start a UPI, NEFT, IMPS, RTGS or token payout
+ * - GET  {api_url}/payouts/:reference          payout status
+ * - POST {api_url}/payouts/:reference/cancel   cancel before it is paid
+ * - POST {api_url}/payouts/:reference/reverse  claw back a paid token transfer (token rails only)
+ * - POST {api_url}/upi/collect                 UPI collect request (UPI rail only)
+ * - POST {api_url}/beneficiaries/verify        penny drop (NEFT, IMPS, RTGS rails) or VPA lookup (UPI rail)
+ * Callbacks carry the payout and an X-Bank-Signature HMAC of the body.
+ */
+class HttpRailAdapter extends SettlementRailAdapter {
+  /**
+   * @param {Object} options - Rail configuration
+   * @param {string} options.api_url - Bank API base URL
+   * @param {string} options.api_key - Bank API key
+   * @param {string} options.channel - Bank channel (upi, neft, imps, rtgs, token)
+   * @param {string} options.token - Token paid out on the token channel (binr, bgt, bst, bpt)
+   * @param {string} options.callback_url - Where the bank posts status callbacks
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'http';
+
+    if (!options.api_url) {
+      throw new Error(`HTTP rail ${this.name} requires an api_url`);
+    }
+
+    this.api_url = options.api_url.replace(/\/$/, '');
+    this.api_key = options.api_key;
+    this.channel = options.channel || options.rail;
+    this.token = options.token || null;
+    this.callback_url = options.callback_url ? `${options.callback_url.replace(/\/$/, '')}/${this.rail}` : null;
+    this.timeout = options.timeout || 30000;
+  }
+
+  async initiate(payout) {
+    const bank_payout = await this.request('post', '/payouts', {
+      reference: payout.reference,
+      channel: this.channel,
+      token: this.token,
+      amount: payout.amount,
+      currency: payout.currency,
+      beneficiary: this.getBeneficiary(payout.beneficiary),
+      narration: payout.narration,
+      callback_url: this.callback_url
+    });
+
+    return this.toUpdate(bank_payout);
+  }
+
+  async getStatus(reference) {
+    try {
+      return this.toUpdate(await this.request('get', `/payouts/${encodeURIComponent(reference)}`));
+    } catch (error) {
+      if (error.code !== 'PAYOUT_NOT_FOUND') {
+        throw error;
+      }
+
+      // A request that timed out before the bank recorded it was never made
+      return {
+        reference,
+        rail_reference: null,
+        status: 'failed',
+        failure_code: 'PAYOUT_NOT_FOUND',
+        failure_reason: `${this.name} has no record of payout ${reference}`,
+        estimated_completion: null,
+        transaction_details: { method: this.token ? `${this.token}_transfer` : this.channel, rail: this.rail }
+      };
+    }
+  }
+
+  handleCallback(payload, signature) {
+    if (!this.verifySignature(payload, signature)) {
+      throw new UTPError(`Invalid ${this.name} callback signature`, 'INVALID_RAIL_SIGNATURE', 401);
+    }
+
+    // Collect callbacks carry a collect request; it matches no payout and is ignored
+    return this.toUpdate(payload.payout || payload.collect || payload);
+  }
+
+  async cancel(reference) {
+    return this.toUpdate(await this.request('post', `/payouts/${encodeURIComponent(reference)}/cancel`));
+  }
+
+  async reverse(reference, reversal = {}) {
+    if (this.channel !== 'token') {
+      return super.reverse(reference, reversal);
+    }
+
+    return this.toUpdate(await this.request('post', `/payouts/${encodeURIComponent(reference)}/reverse`, {
+      reason: reversal.reason
+    }));
+  }
+
+  async verifyBeneficiary(verification) {
+    if (this.channel === 'token') {
+      return super.verifyBeneficiary(verification);
+    }
+
+    const result = await this.request('post', '/beneficiaries/verify', {
+      reference: verification.reference,
+      channel: this.channel,
+      beneficiary: this.getBeneficiary(verification.beneficiary)
+    });
+
+    return {
+      reference: result.reference,
+      rail_reference: result.bank_reference,
+      status: result.status === 'VERIFIED' ? 'verified' : 'failed',
+      method: result.method,
+      name_at_bank: result.name_at_bank || null,
+      transaction_details: {
+        rail: this.rail,
+        bank_reference: result.bank_reference,
+        amount: result.amount,
+        ...(result.utr && { utr: result.utr }),
+        verified_at: result.verified_at || null
+      }
+    };
+  }
+
+  /**
+   * Raise a UPI collect request against a payer VPA
+   * @param {Object} collect - { reference, payer_vpa, amount, note }
+   * @returns {Promise<Object>} Collect request as returned by the bank
+   */
+  async collect(collect) {
+    if (this.channel !== 'upi') {
+      throw new UTPError(`${this.name} does not support collect requests`, 'RAIL_OPERATION_UNSUPPORTED', 400);
+    }
+
+    return this.request('post', '/upi/collect', { ...collect, callback_url: this.callback_url });
+  }
+
+  /**
+   * Pick the beneficiary fields this channel pays to
+   * @private
+   */
+  getBeneficiary(account = {}) {
+    switch (this.channel) {
+      case 'upi':
+        return { vpa: account.vpa || account.upi_id, name: account.account_holder_name || account.name };
+      case 'neft':
+      case 'imps':
+      case 'rtgs':
+        return {
+          account_number: account.account_number,
+          ifsc_code: account.ifsc_code,
+          name: account.account_holder_name || account.name
+        };
+      default:
+        return { wallet_address: account.wallet_address, vault_provider: account.vault_provider };
+    }
+  }
+
+  /**
+   * Map a bank payout to a rail update
+   * @private
+   */
+  toUpdate(bank_payout) {
+    const status = BANK_STATUSES[bank_payout.status];
+    if (!status) {
+      throw new UTPError(`${this.name} returned unknown status: ${bank_payout.status}`, 'RAIL_INVALID_RESPONSE', 502);
+    }
+
+    return {
+      reference: bank_payout.reference,
+      rail_reference: bank_payout.bank_reference,
+      status,
+      failure_code: bank_payout.failure_code || null,
+      failure_reason: bank_payout.failure_reason || null,
+      estimated_completion: bank_payout.expected_at || null,
+      transaction_details: {
+        method: this.token ? `${this.token}_transfer` : this.channel,
+        rail: this.rail,
+        bank_reference: bank_payout.bank_reference,
+        bank_status: bank_payout.status,
+        amount: bank_payout.amount,
+        ...(bank_payout.utr && { utr: bank_payout.utr }),
+        ...(bank_payout.batch_id && { batch_id: bank_payout.batch_id }),
+        ...(bank_payout.transaction_hash && { transaction_hash: bank_payout.transaction_hash }),
+        ...(bank_payout.reversal_hash && { reversal_hash: bank_payout.reversal_hash, reversed_at: bank_payout.reversed_at }),
+        ...(bank_payout.beneficiary && { beneficiary: bank_payout.beneficiary }),
+        completed_at: bank_payout.completed_at || null
+      }
+    };
+  }
+
+  /**
+   * Call the bank API, turning transport failures into rail errors
+   * @private
+   */
+  async request(method, path, data) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.api_url}${path}`,
+        data,
+        headers: { Accept: 'application/json', 'X-API-Key': this.api_key },
+        timeout: this.timeout
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        const bank_error = (error.response.data && error.response.data.error) || {};
+        throw new UTPError(
+          `${this.name} rejected the request: ${bank_error.message || `HTTP ${error.response.status}`}`,
+          bank_error.code || 'RAIL_REJECTED',
+          error.response.status >= 500 ? 502 : 422
+        );
+      }
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        throw new UTPError(`${this.name} did not respond within ${this.timeout}ms`, 'RAIL_TIMEOUT', 504);
+      }
+      throw new UTPError(`${this.name} is unreachable: ${error.message}`, 'RAIL_UNAVAILABLE', 503);
+    }
+  }
+}
+
+module.exports = HttpRailAdapter;
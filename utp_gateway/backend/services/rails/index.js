@@ -0,0 +1,34 @@
+/**
+ * Settlement Rail Registry
+ * Builds the configured adapter for each settlement rail
+ */
+
+const { SettlementRailAdapter, FINAL_STATUSES } = require('./adapter');
+const HttpRailAdapter = require('./http');
+
+const ADAPTERS = {
+  http: HttpRailAdapter
+};
+
+/**
+ * Create a rail adapter from its configuration
+ * @param {string} rail - Rail code (upi, neft, binr, bgt, bst, bpt)
+ * @param {Object} rail_config - Rail configuration with an `adapter` type
+ * @param {Object} defaults - Options shared by all rails (e.g. bank api_url, api_key, webhook_secret)
+ * @returns {SettlementRailAdapter}
+ */
+const createRailAdapter = (rail, rail_config, defaults = {}) => {
+  const Adapter = ADAPTERS[rail_config.adapter];
+  if (!Adapter) {
+    throw new Error(`Unknown settlement rail adapter: ${rail_config.adapter}`);
+  }
+
+  return new Adapter({ ...defaults, ...rail_config, rail });
+};
+
+module.exports = {
+  ADAPTERS,
+  SettlementRailAdapter,
+  FINAL_STATUSES,
+  createRailAdapter
+};
@@ -0,0 +1,507 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { store } = require('../models');
+const { parseStatement } = require('./statement-parser');
+const { UTPError } = require('../middleware/error.middleware');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Statement line outcomes; credit lines (funding, returns) are not payouts and are ignored
+const LINE_STATUSES = ['matched', 'unmatched', 'amount_mismatch', 'duplicate', 'ignored'];
+
+/**
+ * UTP Reconciliation Service
+ * Proves that INR bank payouts (UPI, NEFT) landed by matching the debit lines
+ * of uploaded bank statements (CSV or MT940) against settlement legs: first by
+ * UTR / bank reference / our rail reference, then by a unique payout of the
+ * same amount within date_window_days. Each debit line is classified as
+ * matched, unmatched, amount_mismatch or duplicate.
+ *
+ * Unmatched lines, and completed payouts missing from a statement that covers
+ * their date, raise one admin alert each once they are older than
+ * unmatched_alert_hours.
+ */
+class UTPReconciliationService {
+  /**
+   * @param {Object} options - Reconciliation settings (defaults to config.settlement.reconciliation)
+   * @param {number} options.amount_tolerance - Largest difference still treated as the same amount
+   * @param {number} options.date_window_days - Days between payout and statement line for amount matches
+   * @param {number} options.unmatched_alert_hours - Age at which unmatched items raise an alert
+   */
+  constructor(options = config.settlement.reconciliation) {
+    this.amount_tolerance = options.amount_tolerance;
+    this.date_window_days = options.date_window_days;
+    this.unmatched_alert_hours = options.unmatched_alert_hours;
+    this.store = store;
+    this.settlements = store.collection('settlements');
+    this.statements = store.collection('bank_statements');
+    this.reconciled_payouts = store.collection('reconciled_payouts'); // `${settlement_id}:${currency}` -> match or alert
+    this.system_alerts = store.collection('system_alerts');
+  }
+
+  /**
+   * Import a bank statement and reconcile its lines
+   * @param {Object} data - { content, format, account_number, filename, uploaded_by }
+   * @returns {Promise<Object>} Statement with classified lines and a summary
+   */
+  async importStatement(data) {
+    const { content, format, account_number = null, filename = null, uploaded_by = null } = data;
+    const parsed = parseStatement(content, format);
+    const content_hash = crypto.createHash('sha256').update(content).digest('hex');
+
+    const existing = this.statements.findOne({ content_hash });
+    if (existing) {
+      throw new UTPError(`Statement was already imported as ${existing.statement_id}`, 'STATEMENT_ALREADY_IMPORTED', 409);
+    }
+    if (parsed.lines.length === 0) {
+      throw new UTPError('Statement has no transaction lines', 'INVALID_STATEMENT', 400);
+    }
+
+    const statement_id = uuidv4();
+    const dates = parsed.lines.map(line => line.date).sort();
+
+    return this.store.transaction(async () => {
+      const index = this.buildPayoutIndex();
+      const fingerprints = new Map();
+
+      const lines = parsed.lines.map(line => {
+        const statement_line = {
+          line_id: uuidv4(),
+          statement_id,
+          ...line,
+          status: line.direction === 'debit' ? 'unmatched' : 'ignored',
+          settlement_id: null,
+          match_method: null,
+          alert_id: null
+        };
+
+        if (statement_line.direction === 'debit') {
+          // The same transaction listed twice on one statement
+          const fingerprint = `${line.date}|${line.amount}|${(line.reference || line.bank_reference || line.description || '').toUpperCase()}`;
+          if (fingerprints.has(fingerprint)) {
+            statement_line.status = 'duplicate';
+            statement_line.duplicate_of = fingerprints.get(fingerprint);
+          } else {
+            fingerprints.set(fingerprint, statement_line.line_id);
+            this.matchLine(statement_line, index);
+          }
+        }
+
+        return statement_line;
+      });
+
+      const statement = {
+        statement_id,
+        format: parsed.format,
+        filename,
+        account_number: account_number || parsed.account_number,
+        statement_number: parsed.statement_number,
+        opening_balance: parsed.opening_balance,
+        closing_balance: parsed.closing_balance,
+        period_from: dates[0],
+        period_to: dates[dates.length - 1],
+        content_hash,
+        uploaded_by,
+        imported_at: new Date().toISOString(),
+        lines,
+        summary: this.summarise(lines)
+      };
+
+      this.statements.set(statement_id, statement);
+      return statement;
+    });
+  }
+
+  /**
+   * Match a debit line against the payout index and record the outcome on it
+   * @private
+   */
+  matchLine(line, index) {
+    let key = this.getLineReferences(line).map(reference => index.by_reference.get(reference)).find(Boolean);
+    line.match_method = key ? 'reference' : null;
+
+    if (!key) {
+      // No reference: fall back on the only open payout of this amount near the line's date
+      const candidates = [...index.payouts.values()].filter(payout =>
+        !this.isReconciled(payout.key) &&
+        Math.abs(payout.amount - line.amount) <= this.amount_tolerance &&
+        this.daysBetween(payout.date, line.date) <= this.date_window_days
+      );
+      if (candidates.length === 1) {
+        key = candidates[0].key;
+        line.match_method = 'amount_date';
+      }
+    }
+
+    if (!key) {
+      line.status = 'unmatched';
+      line.match_method = null;
+      return line;
+    }
+
+    const payout = index.payouts.get(key);
+    line.settlement_id = payout.settlement_id;
+    line.merchant_id = payout.merchant_id;
+    line.expected_amount = payout.amount;
+    line.amount_difference = Math.round((line.amount - payout.amount) * 100) / 100;
+    line.date_variance_days = this.daysBetween(payout.date, line.date);
+
+    const reconciled = this.reconciled_payouts.get(key);
+    if (this.isReconciled(key)) {
+      line.status = 'duplicate';
+      line.duplicate_of = reconciled.line_id;
+      return line;
+    }
+
+    line.status = Math.abs(line.amount_difference) <= this.amount_tolerance ? 'matched' : 'amount_mismatch';
+    this.reconciled_payouts.set(key, {
+      key,
+      settlement_id: payout.settlement_id,
+      currency: payout.currency,
+      status: line.status,
+      statement_id: line.statement_id,
+      line_id: line.line_id,
+      alert_id: reconciled ? reconciled.alert_id : null,
+      reconciled_at: new Date().toISOString()
+    });
+
+    return line;
+  }
+
+  /**
+   * Index INR payout legs that may appear on a bank statement by their references
+   * @private
+   * @returns {Object} { payouts: Map(key -> payout), by_reference: Map(reference -> key) }
+   */
+  buildPayoutIndex() {
+    const payouts = new Map();
+    const by_reference = new Map();
+
+    for (const settlement of this.settlements.values()) {
+      for (const leg of settlement.legs || []) {
+        if (leg.currency !== 'inr' || !['completed', 'processing'].includes(leg.status)) continue;
+
+        const details = leg.transaction_details || {};
+        const payout = {
+          key: `${settlement.settlement_id}:${leg.leg_key || leg.currency}`,
+          settlement_id: settlement.settlement_id,
+          merchant_id: settlement.merchant_id,
+          settlement_method: leg.settlement_method || settlement.settlement_method,
+          currency: leg.currency,
+          amount: leg.payout_amount ?? leg.net_amount, // less any rolling reserve withheld
+          status: leg.status,
+          date: (details.completed_at || settlement.executed_at || settlement.created_at).slice(0, 10),
+          paid_at: details.completed_at || settlement.executed_at || settlement.created_at,
+          utr: details.utr || null,
+          bank_reference: details.bank_reference || null,
+          rail_reference: leg.rail_reference || null
+        };
+
+        payouts.set(payout.key, payout);
+        [payout.utr, payout.bank_reference, payout.rail_reference]
+          .filter(Boolean)
+          .forEach(reference => by_reference.set(reference.toUpperCase(), payout.key));
+      }
+    }
+
+    return { payouts, by_reference };
+  }
+
+  /**
+   * References a statement line may carry: its reference fields and any
+   * reference-like word (8+ letters and digits) in its description
+   * @private
+   */
+  getLineReferences(line) {
+    const words = `${line.description || ''} ${line.reference || ''}`.toUpperCase().match(/[A-Z0-9-]{8,}/g) || [];
+    return [line.reference, line.bank_reference, ...words]
+      .filter(Boolean)
+      .map(reference => reference.trim().toUpperCase());
+  }
+
+  /**
+   * Whether a payout already has a statement line
+   * @private
+   */
+  isReconciled(key) {
+    const reconciled = this.reconciled_payouts.get(key);
+    return Boolean(reconciled && reconciled.line_id);
+  }
+
+  /**
+   * Retry the unmatched lines of every statement (payout references such as the
+   * UTR may only be known after the statement was imported)
+   * @returns {Promise<number>} Lines matched
+   */
+  async rematchOpenLines() {
+    let matched = 0;
+
+    await this.store.transaction(async () => {
+      const index = this.buildPayoutIndex();
+
+      for (const { statement_id, lines } of this.statements.values()) {
+        if (!lines.some(line => line.status === 'unmatched')) continue;
+
+        // Get the record before changing it so a rollback restores it
+        const statement = this.statements.get(statement_id);
+        const open_lines = statement.lines.filter(line => line.status === 'unmatched');
+
+        open_lines.forEach(line => this.matchLine(line, index));
+        const newly_matched = open_lines.filter(line => line.status !== 'unmatched').length;
+        if (newly_matched === 0) continue;
+
+        matched += newly_matched;
+        statement.summary = this.summarise(statement.lines);
+        this.statements.set(statement.statement_id, statement);
+      }
+    });
+
+    return matched;
+  }
+
+  /**
+   * Raise one admin alert for each unmatched item older than unmatched_alert_hours:
+   * unmatched statement lines, and completed payouts missing from a statement covering their date
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Alerts raised
+   */
+  async raiseAlerts(now = new Date()) {
+    const threshold = now.getTime() - this.unmatched_alert_hours * HOUR_MS;
+    const alerts = [];
+
+    await this.store.transaction(async () => {
+      const is_aged = line => line.status === 'unmatched' && !line.alert_id && new Date(line.date).getTime() < threshold;
+
+      for (const { statement_id, lines } of this.statements.values()) {
+        if (!lines.some(is_aged)) continue;
+
+        const statement = this.statements.get(statement_id);
+        const aged_lines = statement.lines.filter(is_aged);
+
+        for (const line of aged_lines) {
+          const alert = this.createAlert({
+            title: 'Unmatched bank statement line',
+            description: `Debit of ₹${line.amount} on ${line.date} (${line.reference || line.description || 'no reference'}) matches no settlement`,
+            metadata: { statement_id: statement.statement_id, line_id: line.line_id, amount: line.amount, date: line.date }
+          });
+          line.alert_id = alert.alert_id;
+          alerts.push(alert);
+        }
+        this.statements.set(statement.statement_id, statement);
+      }
+
+      const covered_until = this.getCoveredUntil();
+      for (const payout of this.getUnreconciledPayouts()) {
+        if (payout.status !== 'completed' || payout.alert_id || !covered_until || payout.date > covered_until) continue;
+        if (new Date(payout.paid_at).getTime() >= threshold) continue;
+
+        const alert = this.createAlert({
+          title: 'Payout missing from bank statement',
+          description: `${payout.settlement_method} payout of ₹${payout.amount} in settlement ${payout.settlement_id} on ${payout.date} is not on any bank statement`,
+          metadata: { settlement_id: payout.settlement_id, merchant_id: payout.merchant_id, amount: payout.amount, utr: payout.utr }
+        });
+        this.reconciled_payouts.set(payout.key, {
+          key: payout.key,
+          settlement_id: payout.settlement_id,
+          currency: payout.currency,
+          status: 'missing',
+          statement_id: null,
+          line_id: null,
+          alert_id: alert.alert_id,
+          reconciled_at: null
+        });
+        alerts.push(alert);
+      }
+    });
+
+    return alerts;
+  }
+
+  /**
+   * Add an alert to the admin alert queue (/api/admin/alerts)
+   * @private
+   */
+  createAlert({ title, description, metadata }) {
+    const alert = {
+      alert_id: uuidv4(),
+      type: 'warning',
+      category: 'settlement',
+      title,
+      description,
+      severity: 'high',
+      metadata: { source: 'reconciliation', ...metadata },
+      status: 'active',
+      created_at: new Date().toISOString(),
+      acknowledged_by: null,
+      acknowledged_at: null,
+      resolved_by: null,
+      resolved_at: null
+    };
+
+    this.system_alerts.set(alert.alert_id, alert);
+    return alert;
+  }
+
+  /**
+   * INR payouts no statement line has matched yet
+   * @private
+   */
+  getUnreconciledPayouts() {
+    return [...this.buildPayoutIndex().payouts.values()]
+      .filter(payout => !this.isReconciled(payout.key))
+      .map(payout => {
+        const reconciled = this.reconciled_payouts.get(payout.key);
+        return { ...payout, alert_id: reconciled ? reconciled.alert_id : null };
+      });
+  }
+
+  /**
+   * Last date covered by an imported statement
+   * @private
+   */
+  getCoveredUntil() {
+    return [...this.statements.values()].map(statement => statement.period_to).sort().pop() || null;
+  }
+
+  /**
+   * Reconciliation report for a date range
+   * @param {Object} filters - { from, to } as YYYY-MM-DD (defaults to everything)
+   * @returns {Object} Line counts and amounts by status, open exceptions and unreconciled payouts
+   */
+  getReport(filters = {}) {
+    const { from = '0000-01-01', to = '9999-12-31' } = filters;
+    const now = Date.now();
+    const age_hours = date => Math.floor((now - new Date(date).getTime()) / HOUR_MS);
+    const in_range = date => date >= from && date <= to;
+
+    const statements = [...this.statements.values()].filter(statement =>
+      statement.period_to >= from && statement.period_from <= to
+    );
+    const lines = statements.flatMap(statement => statement.lines).filter(line => in_range(line.date));
+    const debit_lines = lines.filter(line => line.status !== 'ignored');
+    const exception = line => ({
+      line_id: line.line_id,
+      statement_id: line.statement_id,
+      date: line.date,
+      reference: line.reference || line.bank_reference || null,
+      description: line.description,
+      amount: line.amount,
+      settlement_id: line.settlement_id,
+      expected_amount: line.expected_amount,
+      amount_difference: line.amount_difference,
+      duplicate_of: line.duplicate_of,
+      age_hours: age_hours(line.date),
+      alert_id: line.alert_id
+    });
+
+    const summary = this.summarise(lines);
+    const unreconciled_payouts = this.getUnreconciledPayouts()
+      .filter(payout => in_range(payout.date))
+      .map(payout => ({
+        settlement_id: payout.settlement_id,
+        merchant_id: payout.merchant_id,
+        settlement_method: payout.settlement_method,
+        amount: payout.amount,
+        status: payout.status,
+        date: payout.date,
+        utr: payout.utr,
+        age_hours: age_hours(payout.paid_at),
+        alert_id: payout.alert_id
+      }));
+
+    return {
+      period: { from: filters.from || null, to: filters.to || null },
+      statements: statements.length,
+      covered_until: this.getCoveredUntil(),
+      lines: summary.counts,
+      amounts: summary.amounts,
+      match_rate: debit_lines.length > 0
+        ? Math.round(summary.counts.matched / debit_lines.length * 10000) / 100
+        : null,
+      unmatched_lines: lines.filter(line => line.status === 'unmatched').map(exception),
+      amount_mismatches: lines.filter(line => line.status === 'amount_mismatch').map(exception),
+      duplicates: lines.filter(line => line.status === 'duplicate').map(exception),
+      unreconciled_payouts,
+      alert_after_hours: this.unmatched_alert_hours,
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * List imported statements without their lines, newest first
+   * @returns {Array} Statement summaries
+   */
+  listStatements() {
+    return [...this.statements.values()]
+      .sort((a, b) => new Date(b.imported_at) - new Date(a.imported_at))
+      .map(({ lines, content_hash, ...statement }) => statement);
+  }
+
+  /**
+   * Get an imported statement with its lines
+   * @param {string} statement_id - Statement ID
+   * @param {string} status - Only lines with this status (optional)
+   * @returns {Object} Statement
+   */
+  getStatement(statement_id, status) {
+    const statement = this.statements.get(statement_id);
+    if (!statement) {
+      throw new UTPError('Statement not found', 'STATEMENT_NOT_FOUND', 404);
+    }
+    if (status && !LINE_STATUSES.includes(status)) {
+      throw new UTPError(`Invalid line status: ${status}. Supported: ${LINE_STATUSES.join(', ')}`, 'INVALID_LINE_STATUS', 400);
+    }
+
+    const { content_hash, ...details } = statement;
+    return {
+      ...details,
+      lines: status ? statement.lines.filter(line => line.status === status) : statement.lines
+    };
+  }
+
+  /**
+   * Count lines and add up their amounts by status
+   * @private
+   */
+  summarise(lines) {
+    const counts = Object.fromEntries(LINE_STATUSES.map(status => [status, 0]));
+    const amounts = Object.fromEntries(LINE_STATUSES.map(status => [status, 0]));
+
+    for (const line of lines) {
+      counts[line.status]++;
+      amounts[line.status] = Math.round((amounts[line.status] + line.amount) * 100) / 100;
+    }
+
+    return { total: lines.length, counts, amounts };
+  }
+
+  /**
+   * Whole days between two YYYY-MM-DD dates
+   * @private
+   */
+  daysBetween(a, b) {
+    return Math.round(Math.abs(new Date(a) - new Date(b)) / DAY_MS);
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    const open_lines = [...this.statements.values()]
+      .flatMap(statement => statement.lines)
+      .filter(line => line.status === 'unmatched').length;
+
+    return {
+      service: 'UTP Reconciliation Service',
+      status: 'active',
+      statements: this.statements.size,
+      unmatched_lines: open_lines,
+      covered_until: this.getCoveredUntil(),
+      alert_after_hours: this.unmatched_alert_hours
+    };
+  }
+}
+
+module.exports = UTPReconciliationService;
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const config = require('../config');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * UTP Settlement Calendar
+ * Business days, bank holidays, NEFT batch windows and rail operating hours for scheduled payouts.
+ * All times of day ('HH:MM') are local to timezone_offset_minutes (IST by default).
+ */
+class UTPSettlementCalendar {
+  /**
+   * @param {Object} options - Settlement settings (defaults to config.settlement)
+   * @param {Object} options.calendar - { timezone_offset_minutes, weekly_offs, holidays, holiday_file }
+   * @param {Object} options.neft_window - { start, end, batch_interval_minutes, business_days_only }
+   * @param {Object} options.rail_windows - Rail -> { start, end, business_days_only }
+   * @param {string} options.daily_cutoff - Daily (T+0) cut-off time
+   * @param {string} options.next_day_payout_time - T+1 payout time
+   */
+  constructor(options = config.settlement) {
+    const calendar = options.calendar || {};
+
+    this.offset_ms = (calendar.timezone_offset_minutes || 0) * MINUTE_MS;
+    this.weekly_offs = calendar.weekly_offs || [];
+    this.neft_window = options.neft_window;
+    this.rail_windows = options.rail_windows || {};
+    this.daily_cutoff = options.daily_cutoff;
+    this.next_day_payout_time = options.next_day_payout_time;
+
+    // 'YYYY-MM-DD' -> holiday name
+    this.holidays = new Map();
+    (calendar.holidays || []).forEach(date => this.holidays.set(date, 'Bank holiday'));
+    if (calendar.holiday_file) {
+      this.loadHolidayFile(calendar.holiday_file);
+    }
+  }
+
+  /**
+   * Load holidays from a JSON file of 'YYYY-MM-DD' strings or { date, name } objects
+   * @private
+   */
+  loadHolidayFile(file) {
+    let entries;
+    try {
+      entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read holiday calendar ${file}: ${error.message}`);
+    }
+
+    entries.forEach(entry => {
+      if (typeof entry === 'string') {
+        this.holidays.set(entry, 'Bank holiday');
+      } else {
+        this.holidays.set(entry.date, entry.name || 'Bank holiday');
+      }
+    });
+  }
+
+  /**
+   * Local calendar date of an instant
+   * @param {Date} date - Instant
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  toLocalDate(date) {
+    return new Date(date.getTime() + this.offset_ms).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Whether a day is a bank holiday
+   * @param {Date} date - Any instant on the day
+   * @returns {boolean}
+   */
+  isHoliday(date) {
+    return this.holidays.has(this.toLocalDate(date));
+  }
+
+  /**
+   * Whether a day is a business day (not a weekly off or holiday)
+   * @param {Date} date - Any instant on the day
+   * @returns {boolean}
+   */
+  isBusinessDay(date) {
+    const weekday = new Date(date.getTime() + this.offset_ms).getUTCDay();
+    return !this.weekly_offs.includes(weekday) && !this.isHoliday(date);
+  }
+
+  /**
+   * The instant a local time of day falls on the same local day
+   * @param {Date} date - Any instant on the day
+   * @param {string} time - 'HH:MM'
+   * @returns {Date}
+   */
+  atLocalTime(date, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const local_midnight = Math.floor((date.getTime() + this.offset_ms) / DAY_MS) * DAY_MS;
+    return new Date(local_midnight + hours * HOUR_MS + minutes * MINUTE_MS - this.offset_ms);
+  }
+
+  /**
+   * The next business day after a date, at the same time of day
+   * @param {Date} date - Starting instant
+   * @returns {Date}
+   */
+  nextBusinessDay(date) {
+    let next = new Date(date.getTime() + DAY_MS);
+    for (let days = 0; days < 366 && !this.isBusinessDay(next); days++) {
+      next = new Date(next.getTime() + DAY_MS);
+    }
+    return next;
+  }
+
+  /**
+   * When a payment completed at `from` is due to be paid out
+   * @param {string} schedule - instant (queued only while its payout is held), hourly, daily or t_plus_1
+   * @param {Date} from - Payment completion time
+   * @returns {Date}
+   */
+  getDueAt(schedule, from = new Date()) {
+    switch (schedule) {
+      case 'instant':
+        return from;
+
+      case 'hourly': {
+        const local = from.getTime() + this.offset_ms;
+        return new Date(Math.floor(local / HOUR_MS) * HOUR_MS + HOUR_MS - this.offset_ms);
+      }
+
+      case 'daily': {
+        const cutoff = this.atLocalTime(from, this.daily_cutoff);
+        if (this.isBusinessDay(from) && from < cutoff) {
+          return cutoff;
+        }
+        return this.atLocalTime(this.nextBusinessDay(from), this.daily_cutoff);
+      }
+
+      case 't_plus_1':
+        return this.atLocalTime(this.nextBusinessDay(from), this.next_day_payout_time);
+
+      default:
+        throw new Error(`Unsupported settlement schedule: ${schedule}`);
+    }
+  }
+
+  /**
+   * Whether NEFT batches are running at an instant
+   * @param {Date} date - Instant
+   * @returns {boolean}
+   */
+  isNeftWindowOpen(date = new Date()) {
+    if (this.neft_window.business_days_only && !this.isBusinessDay(date)) {
+      return false;
+    }
+
+    return date >= this.atLocalTime(date, this.neft_window.start) &&
+      date < this.atLocalTime(date, this.neft_window.end);
+  }
+
+  /**
+   * The next NEFT batch at or after an instant
+   * @param {Date} date - Instant
+   * @returns {Date}
+   */
+  nextNeftBatch(date = new Date()) {
+    const interval_ms = this.neft_window.batch_interval_minutes * MINUTE_MS;
+    let day = date;
+
+    for (let days = 0; days < 366; days++) {
+      if (!this.neft_window.business_days_only || this.isBusinessDay(day)) {
+        const start = this.atLocalTime(day, this.neft_window.start);
+        const end = this.atLocalTime(day, this.neft_window.end);
+        const slot = date <= start
+          ? start
+          : new Date(start.getTime() + Math.ceil((date - start) / interval_ms) * interval_ms);
+
+        if (slot < end) {
+          return slot;
+        }
+      }
+      day = this.atLocalTime(new Date(day.getTime() + DAY_MS), '00:00');
+    }
+
+    throw new Error('No NEFT batch window in the next year');
+  }
+
+  /**
+   * Whether a rail accepts payouts at an instant (rails without a window are always open)
+   * @param {string} rail - Rail name
+   * @param {Date} date - Instant
+   * @returns {boolean}
+   */
+  isRailWindowOpen(rail, date = new Date()) {
+    if (rail === 'neft') {
+      return this.isNeftWindowOpen(date);
+    }
+
+    const window = this.rail_windows[rail];
+    if (!window) {
+      return true;
+    }
+    if (window.business_days_only && !this.isBusinessDay(date)) {
+      return false;
+    }
+
+    return date >= this.atLocalTime(date, window.start) &&
+      date < this.atLocalTime(date, window.end);
+  }
+
+  /**
+   * The next instant at or after a date when a rail accepts payouts
+   * @param {string} rail - Rail name
+   * @param {Date} date - Instant
+   * @returns {Date}
+   */
+  nextRailWindow(rail, date = new Date()) {
+    if (rail === 'neft') {
+      return this.nextNeftBatch(date);
+    }
+
+    const window = this.rail_windows[rail];
+    if (!window || this.isRailWindowOpen(rail, date)) {
+      return date;
+    }
+
+    let day = date;
+    for (let days = 0; days < 366; days++) {
+      if (!window.business_days_only || this.isBusinessDay(day)) {
+        const start = this.atLocalTime(day, window.start);
+        if (date <= start) {
+          return start;
+        }
+      }
+      day = this.atLocalTime(new Date(day.getTime() + DAY_MS), '00:00');
+    }
+
+    throw new Error(`No ${rail.toUpperCase()} window in the next year`);
+  }
+
+  /**
+   * Operating hours of every rail with a window, with whether each is open now
+   * @param {Date} date - Instant
+   * @returns {Object} Rail -> { start, end, business_days_only, open, opens_at (null while open) }
+   */
+  getRailWindows(date = new Date()) {
+    const windows = {};
+    Object.entries(this.rail_windows).forEach(([rail, window]) => {
+      const open = this.isRailWindowOpen(rail, date);
+      windows[rail] = {
+        ...window,
+        open,
+        opens_at: open ? null : this.nextRailWindow(rail, date).toISOString()
+      };
+    });
+    return windows;
+  }
+
+  /**
+   * List holidays from a date onwards
+   * @param {Date} from - First day to include
+   * @returns {Array} [{ date, name }]
+   */
+  getHolidays(from = new Date()) {
+    const from_date = this.toLocalDate(from);
+    return [...this.holidays.entries()]
+      .filter(([date]) => date >= from_date)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, name]) => ({ date, name }));
+  }
+}
+
+module.exports = UTPSettlementCalendar;
@@ -0,0 +1,693 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { store } = require('../models');
+const { UTPError } = require('../middleware/error.middleware');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOLD_TYPES = ['payment', 'merchant'];
+
+/**
+ * UTP Settlement Risk Controls
+ * Rolling reserves, payout holds and payout freezes, applied by the settlement service.
+ *
+ * - Rolling reserve: every payout withholds the merchant's reserve percentage of
+ *   each leg (in the leg's currency) into the merchant_reserve ledger account.
+ *   Each withheld amount is released after hold_days and paid out, fee-free, as
+ *   a settlement of its own. A merchant's policy follows its risk score through
+ *   config.settlement.reserves.risk_tiers unless risk has set one manually.
+ * - Hold: the payout of one payment waits in the settlement queue until the hold is released.
+ * - Freeze: a merchant hold; no payout, retry or reserve release is made until it is released.
+ *   Merchants that are not active (services/merchant-lifecycle.js) are not paid out either.
+ *
+ * Emits 'hold_placed' and 'hold_released' with the hold.
+ */
+class UTPSettlementRisk extends EventEmitter {
+  /**
+   * @param {UTPSettlementService} settlementService - Service that pays out released reserves
+   * @param {Object} options - Settings (defaults to config.settlement.reserves)
+   * @param {Array} options.risk_tiers - [{ min_risk_score, percentage, hold_days }]
+   */
+  constructor(settlementService, options = {}) {
+    super();
+    this.settlementService = settlementService;
+    this.store = store;
+    this.reserves = store.collection('settlement_reserves');
+    this.reserve_policies = store.collection('reserve_policies');
+    this.holds = store.collection('settlement_holds');
+    this.payments = store.collection('payments');
+    this.merchants = store.collection('merchants');
+    this.system_alerts = store.collection('system_alerts');
+    this.risk_tiers = [...(options.risk_tiers || config.settlement.reserves.risk_tiers)]
+      .sort((a, b) => b.min_risk_score - a.min_risk_score);
+    this.releasing = false;
+  }
+
+  /**
+   * Get a merchant's reserve policy
+   * @param {string} merchant_id - Merchant ID
+   * @returns {Object} Policy ({ percentage: 0 } when none applies)
+   */
+  getReservePolicy(merchant_id) {
+    return this.reserve_policies.get(merchant_id) || {
+      merchant_id,
+      source: 'none',
+      percentage: 0,
+      hold_days: 0,
+      risk_score: null
+    };
+  }
+
+  /**
+   * Move a merchant to the reserve tier of its risk score, unless risk set its policy manually
+   * @param {string} merchant_id - Merchant ID
+   * @param {number} risk_score - Score from UTPMerchantManager.calculateRiskScore (0-100)
+   * @returns {Object} Reserve policy
+   */
+  applyRiskScore(merchant_id, risk_score) {
+    const current = this.reserve_policies.get(merchant_id);
+    const assessed_at = new Date().toISOString();
+
+    if (current && current.source === 'manual') {
+      const policy = { ...current, risk_score, assessed_at };
+      this.reserve_policies.set(merchant_id, policy);
+      return policy;
+    }
+
+    const tier = this.risk_tiers.find(t => risk_score >= t.min_risk_score);
+    const policy = {
+      merchant_id,
+      source: 'risk_score',
+      percentage: tier ? tier.percentage : 0,
+      hold_days: tier ? tier.hold_days : 0,
+      risk_score,
+      risk_tier: tier ? tier.min_risk_score : null,
+      reason: tier ? `Risk score ${risk_score} reached tier ${tier.min_risk_score}` : null,
+      updated_by: 'system',
+      assessed_at,
+      updated_at: current && current.percentage === (tier ? tier.percentage : 0) &&
+        current.hold_days === (tier ? tier.hold_days : 0) ? current.updated_at : assessed_at
+    };
+
+    this.reserve_policies.set(merchant_id, policy);
+    return policy;
+  }
+
+  /**
+   * Set a merchant's reserve policy by hand; it overrides the risk tiers until cleared
+   * @param {string} merchant_id - Merchant ID
+   * @param {Object} policy - { percentage, hold_days, reason, updated_by }
+   * @returns {Object} Reserve policy
+   */
+  setReservePolicy(merchant_id, policy) {
+    const { percentage, hold_days, reason = null, updated_by = null } = policy;
+    this.getMerchant(merchant_id);
+
+    if (typeof percentage !== 'number' || percentage < 0 || percentage >= 100) {
+      throw new UTPError('Reserve percentage must be a number from 0 up to 100', 'INVALID_RESERVE_POLICY', 400);
+    }
+    if (percentage > 0 && (!Number.isInteger(hold_days) || hold_days < 1)) {
+      throw new UTPError('Reserve hold_days must be a positive whole number of days', 'INVALID_RESERVE_POLICY', 400);
+    }
+
+    const current = this.reserve_policies.get(merchant_id);
+    const updated = {
+      merchant_id,
+      source: 'manual',
+      percentage,
+      hold_days: percentage > 0 ? hold_days : 0,
+      risk_score: current ? current.risk_score : null,
+      risk_tier: null,
+      reason,
+      updated_by,
+      assessed_at: current ? current.assessed_at : null,
+      updated_at: new Date().toISOString()
+    };
+
+    this.reserve_policies.set(merchant_id, updated);
+    return updated;
+  }
+
+  /**
+   * Drop a manual reserve policy: the merchant goes back to the tier of its last risk score
+   * @param {string} merchant_id - Merchant ID
+   * @returns {Object} Reserve policy
+   */
+  clearReservePolicy(merchant_id) {
+    const current = this.reserve_policies.get(merchant_id);
+    if (!current || current.source !== 'manual') {
+      throw new UTPError('Merchant has no manual reserve policy', 'RESERVE_POLICY_NOT_FOUND', 404);
+    }
+
+    this.reserve_policies.delete(merchant_id);
+    return current.risk_score === null
+      ? this.getReservePolicy(merchant_id)
+      : this.applyRiskScore(merchant_id, current.risk_score);
+  }
+
+  /**
+   * Withhold the merchant's reserve from each leg of a settlement about to be paid out.
+   * Sets reserve_amount and payout_amount on the legs and the policy on settlement.reserve.
+   * @param {Object} settlement - Settlement with built legs
+   */
+  withholdReserve(settlement) {
+    const policy = this.getReservePolicy(settlement.merchant_id);
+    if (!(policy.percentage > 0)) {
+      return;
+    }
+
+    for (const leg of settlement.legs) {
+      leg.reserve_amount = this.settlementService.roundAmount(leg.net_amount * policy.percentage / 100, leg.currency);
+      leg.payout_amount = this.settlementService.roundAmount(leg.net_amount - leg.reserve_amount, leg.currency);
+    }
+
+    settlement.reserve = {
+      percentage: policy.percentage,
+      hold_days: policy.hold_days,
+      amount: this.settlementService.roundAmount(
+        settlement.legs.reduce((sum, leg) => sum + this.settlementService.getLegValue(leg, leg.reserve_amount), 0),
+        settlement.currency
+      ),
+      release_at: new Date(Date.now() + policy.hold_days * DAY_MS).toISOString(),
+      policy_source: policy.source
+    };
+  }
+
+  /**
+   * Record the reserves withheld by an executed settlement (legs that failed outright hold none)
+   * @param {Object} settlement - Executed settlement
+   * @returns {Array} Reserves
+   */
+  recordReserves(settlement) {
+    if (!settlement.reserve) {
+      return [];
+    }
+
+    return settlement.legs
+      .filter(leg => leg.reserve_amount > 0 && leg.status !== 'failed')
+      .map(leg => {
+        const reserve = {
+          reserve_id: uuidv4(),
+          merchant_id: settlement.merchant_id,
+          settlement_id: settlement.settlement_id,
+          payment_ids: settlement.payment_ids || [],
+          currency: leg.currency,
+          leg_key: this.settlementService.getLegKey(leg),
+          amount: leg.reserve_amount,
+          value: this.settlementService.getLegValue(leg, leg.reserve_amount),
+          percentage: settlement.reserve.percentage,
+          hold_days: settlement.reserve.hold_days,
+          status: 'held',
+          held_at: new Date().toISOString(),
+          release_at: settlement.reserve.release_at,
+          released_at: null,
+          released_by: null,
+          release_reason: null,
+          release_settlement_id: null,
+          ledger_entry_ids: []
+        };
+
+        this.reserves.set(reserve.reserve_id, reserve);
+        return reserve;
+      });
+  }
+
+  /**
+   * Cancel the reserve of a leg whose payout failed: the ledger return gives it back to the merchant
+   * @param {string} settlement_id - Settlement ID
+   * @param {string} leg_key - Leg key (its currency, unless a payout split made the leg)
+   * @param {string} reason - Why the leg failed
+   */
+  cancelReserve(settlement_id, leg_key, reason) {
+    const reserve = this.reserves.findOne(r =>
+      r.settlement_id === settlement_id && (r.leg_key || r.currency) === leg_key && r.status === 'held'
+    );
+    if (!reserve) return;
+
+    const current = this.reserves.get(reserve.reserve_id);
+    current.status = 'cancelled';
+    current.release_reason = `Payout failed: ${reason}`;
+    current.released_at = new Date().toISOString();
+    this.reserves.set(current.reserve_id, current);
+  }
+
+  /**
+   * Release every held reserve whose hold has run out, netted per merchant and currency
+   * into one fee-free payout. Frozen merchants are skipped, as are totals below the
+   * minimum of the currency's settlement method (they wait for more reserves to come due).
+   * @param {Date} now - Release reserves due at or before this time
+   * @returns {Promise<Object>} { released, failed, waiting }
+   */
+  async releaseDue(now = new Date()) {
+    const result = { released: [], failed: [], waiting: [] };
+    if (this.releasing) {
+      return result;
+    }
+
+    this.releasing = true;
+    try {
+      const due = this.reserves.find(reserve =>
+        reserve.status === 'held' &&
+        new Date(reserve.release_at) <= now &&
+        !this.isPayoutBlocked(reserve.merchant_id)
+      );
+
+      const groups = new Map();
+      for (const reserve of due) {
+        const key = `${reserve.merchant_id}:${reserve.currency}`;
+        groups.set(key, [...(groups.get(key) || []), reserve]);
+      }
+
+      for (const reserves of groups.values()) {
+        const { merchant_id, currency } = reserves[0];
+        const amount = this.sumReserves(reserves);
+        const method = this.settlementService.settlement_methods[this.settlementService.getMerchantMethod(merchant_id, currency, amount)];
+
+        if (amount < method.min_amount) {
+          result.waiting.push({ merchant_id, currency, amount, minimum: method.min_amount, reserves: reserves.length });
+          continue;
+        }
+
+        const release = await this.releaseReserves(reserves, { released_by: 'system', reason: 'hold_period_ended' });
+        (release.status === 'released' ? result.released : result.failed).push(release);
+      }
+    } finally {
+      this.releasing = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * Release one reserve now, before its release date or after a failed release
+   * @param {string} reserve_id - Reserve ID
+   * @param {Object} release - { released_by, reason }
+   * @returns {Promise<Object>} Release result
+   */
+  async releaseReserve(reserve_id, release = {}) {
+    const reserve = this.reserves.get(reserve_id);
+    if (!reserve) {
+      throw new UTPError('Reserve not found', 'RESERVE_NOT_FOUND', 404);
+    }
+    if (!['held', 'release_failed'].includes(reserve.status)) {
+      throw new UTPError(`Reserve is ${reserve.status} and cannot be released`, 'RESERVE_NOT_RELEASABLE', 409);
+    }
+    this.assertPayoutAllowed(reserve.merchant_id);
+
+    const method = this.settlementService.settlement_methods[
+      this.settlementService.getMerchantMethod(reserve.merchant_id, reserve.currency, reserve.amount)
+    ];
+    if (reserve.amount < method.min_amount) {
+      throw new UTPError(
+        `Reserve of ${reserve.amount} ${reserve.currency.toUpperCase()} is below the ${method.name} minimum of ${method.min_amount}; it is released with the merchant's other due reserves`,
+        'RESERVE_BELOW_MINIMUM',
+        400
+      );
+    }
+
+    return this.releaseReserves([reserve], {
+      released_by: release.released_by || null,
+      reason: release.reason || 'early_release'
+    });
+  }
+
+  /**
+   * Move reserves back to the merchant's payable balance and pay them out in one settlement.
+   * If the payout cannot be made the reserves are marked release_failed (their funds stay
+   * payable) and an admin alert is raised; releasing them again retries the payout.
+   * @private
+   */
+  async releaseReserves(reserves, release) {
+    const { merchant_id, currency } = reserves[0];
+    const amount = this.sumReserves(reserves);
+    const reserve_ids = reserves.map(reserve => reserve.reserve_id);
+    const ledger = this.settlementService.ledger;
+
+    await this.store.transaction(async () => {
+      for (const reserve_id of reserve_ids) {
+        const reserve = this.reserves.get(reserve_id);
+        if (reserve.status === 'held') {
+          const entry = await ledger.recordReserveRelease(reserve);
+          reserve.ledger_entry_ids = [...reserve.ledger_entry_ids, entry.entry_id];
+        }
+        reserve.status = 'releasing';
+        this.reserves.set(reserve_id, reserve);
+      }
+    });
+
+    try {
+      const settlement = await this.settlementService.executeSettlement({
+        merchant_id,
+        amount,
+        settlement_method: this.settlementService.getMerchantMethod(merchant_id, currency, amount),
+        line_items: reserves.map(reserve => ({
+          item_id: reserve.reserve_id,
+          payment_id: null,
+          settlement_id: reserve.settlement_id,
+          type: 'reserve_release',
+          amount: reserve.amount
+        })),
+        reserve_release: true,
+        metadata: { source: 'reserve_release', reason: release.reason }
+      });
+
+      await this.updateReserves(reserve_ids, {
+        status: 'released',
+        released_at: new Date().toISOString(),
+        released_by: release.released_by,
+        release_reason: release.reason,
+        release_settlement_id: settlement.settlement_id,
+        last_error: null
+      });
+
+      return { status: 'released', merchant_id, currency, amount, reserve_ids, settlement_id: settlement.settlement_id };
+    } catch (error) {
+      const alert = this.createAlert({
+        title: 'Reserve release payout failed',
+        description: `Release of ${amount} ${currency.toUpperCase()} in reserve to merchant ${merchant_id} failed: ${error.message}`,
+        metadata: { merchant_id, currency, amount, reserve_ids }
+      });
+      await this.updateReserves(reserve_ids, { status: 'release_failed', last_error: error.message, alert_id: alert.alert_id });
+
+      return { status: 'release_failed', merchant_id, currency, amount, reserve_ids, error: error.message };
+    }
+  }
+
+  /**
+   * List reserves, newest first
+   * @param {Object} filters - { merchant_id, status }
+   * @returns {Array} Reserves
+   */
+  listReserves(filters = {}) {
+    return this.reserves.find(reserve =>
+      (!filters.merchant_id || reserve.merchant_id === filters.merchant_id) &&
+      (!filters.status || reserve.status === filters.status)
+    ).sort((a, b) => new Date(b.held_at) - new Date(a.held_at));
+  }
+
+  /**
+   * Reserve balances and release dates of a merchant
+   * @param {string} merchant_id - Merchant ID
+   * @returns {Object} { policy, held, next_release_at, upcoming_releases, released, frozen, active_holds }
+   */
+  getReserveSummary(merchant_id) {
+    const reserves = this.reserves.find({ merchant_id });
+    const held = reserves.filter(reserve => ['held', 'releasing', 'release_failed'].includes(reserve.status));
+    const totals = list => list.reduce((sum, reserve) => {
+      sum[reserve.currency] = this.settlementService.roundAmount((sum[reserve.currency] || 0) + reserve.amount, reserve.currency);
+      return sum;
+    }, {});
+
+    // Releases per day and currency, soonest first
+    const upcoming = new Map();
+    for (const reserve of held) {
+      const key = `${reserve.release_at.slice(0, 10)}:${reserve.currency}`;
+      const entry = upcoming.get(key) || { release_date: reserve.release_at.slice(0, 10), currency: reserve.currency, amount: 0, reserves: 0 };
+      entry.amount = this.settlementService.roundAmount(entry.amount + reserve.amount, reserve.currency);
+      entry.reserves += 1;
+      upcoming.set(key, entry);
+    }
+    const upcoming_releases = [...upcoming.values()].sort((a, b) => a.release_date.localeCompare(b.release_date));
+    const freeze = this.getActiveHold({ type: 'merchant', merchant_id });
+
+    return {
+      policy: this.getReservePolicy(merchant_id),
+      held: totals(held),
+      held_value: this.settlementService.roundAmount(held.reduce((sum, reserve) => sum + reserve.value, 0), 'inr'),
+      next_release_at: held.map(reserve => reserve.release_at).sort()[0] || null,
+      upcoming_releases,
+      released: totals(reserves.filter(reserve => reserve.status === 'released')),
+      frozen: Boolean(freeze),
+      freeze: freeze || null,
+      active_holds: this.holds.find({ merchant_id, type: 'payment', status: 'active' }).length
+    };
+  }
+
+  /**
+   * Hold the payout of a payment that has not been paid out yet
+   * @param {string} payment_id - Payment ID
+   * @param {Object} hold - { reason, placed_by }
+   * @returns {Object} Hold
+   */
+  holdPayment(payment_id, hold = {}) {
+    const payment = this.payments.get(payment_id);
+    if (!payment) {
+      throw new UTPError('Payment not found', 'PAYMENT_NOT_FOUND', 404);
+    }
+
+    // A split payment is unpaid while any recipient's share is still queued
+    const details = payment.settlement_details;
+    const payouts = details && details.type === 'split'
+      ? details.splits.map(split => split.settlement).filter(Boolean)
+      : [details];
+    const unpaid = !details || payouts.some(settlement =>
+      settlement.type === 'scheduled' && settlement.legs.some(leg => leg.status === 'scheduled'));
+    if (!unpaid) {
+      throw new UTPError('Payment has already been paid out', 'PAYMENT_ALREADY_SETTLED', 409);
+    }
+    if (this.getActiveHold({ type: 'payment', payment_id })) {
+      throw new UTPError('Payment payout is already on hold', 'HOLD_ALREADY_ACTIVE', 409);
+    }
+
+    return this.placeHold({ type: 'payment', merchant_id: payment.merchant_id, payment_id, ...hold });
+  }
+
+  /**
+   * Freeze every payout to a merchant
+   * @param {string} merchant_id - Merchant ID
+   * @param {Object} hold - { reason, placed_by }
+   * @returns {Object} Hold
+   */
+  freezeMerchant(merchant_id, hold = {}) {
+    this.getMerchant(merchant_id);
+    if (this.isFrozen(merchant_id)) {
+      throw new UTPError('Merchant payouts are already frozen', 'MERCHANT_ALREADY_FROZEN', 409);
+    }
+
+    return this.placeHold({ type: 'merchant', merchant_id, payment_id: null, ...hold });
+  }
+
+  /**
+   * Lift a merchant's payout freeze
+   * @param {string} merchant_id - Merchant ID
+   * @param {Object} release - { reason, released_by }
+   * @returns {Object} Released hold
+   */
+  unfreezeMerchant(merchant_id, release = {}) {
+    const freeze = this.getActiveHold({ type: 'merchant', merchant_id });
+    if (!freeze) {
+      throw new UTPError('Merchant payouts are not frozen', 'MERCHANT_NOT_FROZEN', 409);
+    }
+
+    return this.releaseHold(freeze.hold_id, release);
+  }
+
+  /**
+   * Record a new active hold
+   * @private
+   */
+  placeHold({ type, merchant_id, payment_id, reason, placed_by = null }) {
+    if (!HOLD_TYPES.includes(type)) {
+      throw new UTPError(`Unsupported hold type: ${type}`, 'INVALID_HOLD', 400);
+    }
+    if (!reason) {
+      throw new UTPError('A reason is required to hold payouts', 'INVALID_HOLD', 400);
+    }
+
+    const hold = {
+      hold_id: uuidv4(),
+      type,
+      merchant_id,
+      payment_id,
+      reason,
+      status: 'active',
+      placed_by,
+      placed_at: new Date().toISOString(),
+      released_by: null,
+      released_at: null,
+      release_reason: null
+    };
+
+    this.holds.set(hold.hold_id, hold);
+    this.emit('hold_placed', hold);
+    return hold;
+  }
+
+  /**
+   * Release a hold; held payouts go out with the next settlement run
+   * @param {string} hold_id - Hold ID
+   * @param {Object} release - { reason, released_by }
+   * @returns {Object} Released hold
+   */
+  releaseHold(hold_id, release = {}) {
+    const hold = this.holds.get(hold_id);
+    if (!hold) {
+      throw new UTPError('Hold not found', 'HOLD_NOT_FOUND', 404);
+    }
+    if (hold.status !== 'active') {
+      throw new UTPError(`Hold is already ${hold.status}`, 'HOLD_NOT_ACTIVE', 409);
+    }
+
+    hold.status = 'released';
+    hold.released_by = release.released_by || null;
+    hold.release_reason = release.reason || null;
+    hold.released_at = new Date().toISOString();
+    this.holds.set(hold_id, hold);
+
+    this.emit('hold_released', hold);
+    return hold;
+  }
+
+  /**
+   * List holds, newest first
+   * @param {Object} filters - { merchant_id, type, status }
+   * @returns {Array} Holds
+   */
+  listHolds(filters = {}) {
+    return this.holds.find(hold =>
+      (!filters.merchant_id || hold.merchant_id === filters.merchant_id) &&
+      (!filters.type || hold.type === filters.type) &&
+      (!filters.status || hold.status === filters.status)
+    ).sort((a, b) => new Date(b.placed_at) - new Date(a.placed_at));
+  }
+
+  /**
+   * Get the active hold matching a filter
+   * @param {Object} filter - { type, merchant_id } or { type, payment_id }
+   * @returns {Object|null} Hold
+   */
+  getActiveHold(filter) {
+    return this.holds.findOne({ ...filter, status: 'active' }) || null;
+  }
+
+  /**
+   * Whether a merchant's payouts are frozen
+   * @param {string} merchant_id - Merchant ID
+   * @returns {boolean}
+   */
+  isFrozen(merchant_id) {
+    return Boolean(this.getActiveHold({ type: 'merchant', merchant_id }));
+  }
+
+  /**
+   * Whether nothing may be paid out to a merchant: its payouts are frozen or it is not active
+   * @param {string} merchant_id - Merchant ID
+   * @returns {boolean}
+   */
+  isPayoutBlocked(merchant_id) {
+    return this.isFrozen(merchant_id) || !this.settlementService.merchant_lifecycle.isActive(merchant_id);
+  }
+
+  /**
+   * The hold stopping a payment's payout: the merchant's freeze or a hold on the payment
+   * @param {string} merchant_id - Merchant ID
+   * @param {string} payment_id - Payment ID (optional)
+   * @returns {Object|null} Hold
+   */
+  getPayoutHold(merchant_id, payment_id) {
+    return this.getActiveHold({ type: 'merchant', merchant_id }) ||
+      (payment_id ? this.getActiveHold({ type: 'payment', payment_id }) : null);
+  }
+
+  /**
+   * Refuse a payout to an inactive or frozen merchant or of a held payment
+   * @param {string} merchant_id - Merchant ID
+   * @param {Array} payment_ids - Payments paid out
+   * @throws {UTPError} MERCHANT_NOT_ACTIVE (403), MERCHANT_PAYOUTS_FROZEN or PAYMENT_ON_HOLD (423)
+   */
+  assertPayoutAllowed(merchant_id, payment_ids = []) {
+    this.settlementService.merchant_lifecycle.assertActive(merchant_id);
+
+    const freeze = this.getActiveHold({ type: 'merchant', merchant_id });
+    if (freeze) {
+      throw new UTPError(`Payouts to merchant ${merchant_id} are frozen: ${freeze.reason}`, 'MERCHANT_PAYOUTS_FROZEN', 423);
+    }
+
+    for (const payment_id of payment_ids.filter(Boolean)) {
+      const hold = this.getActiveHold({ type: 'payment', payment_id });
+      if (hold) {
+        throw new UTPError(`Payout of payment ${payment_id} is on hold: ${hold.reason}`, 'PAYMENT_ON_HOLD', 423);
+      }
+    }
+  }
+
+  /**
+   * Add up reserve amounts
+   * @private
+   */
+  sumReserves(reserves) {
+    return this.settlementService.roundAmount(reserves.reduce((sum, reserve) => sum + reserve.amount, 0), reserves[0].currency);
+  }
+
+  /**
+   * Update reserves together
+   * @private
+   */
+  async updateReserves(reserve_ids, changes) {
+    await this.store.transaction(async () => {
+      reserve_ids.forEach(reserve_id => {
+        const reserve = this.reserves.get(reserve_id);
+        Object.assign(reserve, changes);
+        this.reserves.set(reserve_id, reserve);
+      });
+    });
+  }
+
+  /**
+   * Get a merchant or throw
+   * @private
+   */
+  getMerchant(merchant_id) {
+    const merchant = this.merchants.get(merchant_id);
+    if (!merchant) {
+      throw new UTPError('Merchant not found', 'MERCHANT_NOT_FOUND', 404);
+    }
+    return merchant;
+  }
+
+  /**
+   * Raise an admin alert (/api/admin/alerts)
+   * @private
+   */
+  createAlert({ title, description, metadata }) {
+    const alert = {
+      alert_id: uuidv4(),
+      type: 'warning',
+      category: 'settlement',
+      title,
+      description,
+      severity: 'high',
+      metadata: { source: 'settlement_risk', ...metadata },
+      status: 'active',
+      created_at: new Date().toISOString(),
+      acknowledged_by: null,
+      acknowledged_at: null,
+      resolved_by: null,
+      resolved_at: null
+    };
+
+    this.system_alerts.set(alert.alert_id, alert);
+    return alert;
+  }
+
+  /**
+   * Get risk control status
+   */
+  getStatus() {
+    const held = this.reserves.find({ status: 'held' });
+
+    return {
+      service: 'UTP Settlement Risk Controls',
+      status: this.releasing ? 'releasing' : 'idle',
+      risk_tiers: this.risk_tiers,
+      reserve_policies: this.reserve_policies.find(policy => policy.percentage > 0).length,
+      held_reserves: held.length,
+      release_failed_reserves: this.reserves.find({ status: 'release_failed' }).length,
+      next_release_at: held.map(reserve => reserve.release_at).sort()[0] || null,
+      active_payment_holds: this.holds.find({ type: 'payment', status: 'active' }).length,
+      frozen_merchants: this.holds.find({ type: 'merchant', status: 'active' }).length
+    };
+  }
+}
+
+module.exports = UTPSettlementRisk;
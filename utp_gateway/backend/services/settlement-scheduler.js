@@ -0,0 +1,452 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { store } = require('../models');
+const UTPSettlementCalendar = require('./settlement-calendar');
+const { UTPError } = require('../middleware/error.middleware');
+
+// Merchant settlement_preferences.settlement_schedule values
+const SETTLEMENT_SCHEDULES = {
+  instant: 'Each payment is settled as soon as it completes',
+  hourly: 'Completed payments are netted and settled at the top of every hour',
+  daily: 'T+0: payments completed before the daily cut-off are settled at the cut-off the same business day',
+  t_plus_1: 'T+1: payments are settled on the next business day'
+};
+
+/**
+ * UTP Settlement Scheduler
+ * Queues the payouts of merchants on a non-instant settlement_schedule and
+ * settles them when due. Each queue item is one currency leg of a payment
+ * (or a negative item for a refund made before payout); due items are netted
+ * per merchant and currency into one settlement that carries them as line
+ * items, at most batch_size payments per settlement. Scheduled NEFT payouts
+ * wait for the next NEFT batch window, and IMPS and RTGS payouts for their rail's
+ * operating window (config.settlement.rail_windows); an inr_auto payout waits
+ * only while every rail that could pay it is closed.
+ *
+ * Payments whose payout is held, or whose merchant's payouts are frozen, stay
+ * queued (an instant payment is queued instead of paid) until the hold is released,
+ * and those of a merchant that is not active until it is reactivated.
+ * A payout that would take the merchant past the daily settlement limit of its
+ * KYC verification level waits for the next day.
+ */
+class UTPSettlementScheduler {
+  /**
+   * @param {UTPSettlementService} settlementService - Service that executes the payouts
+   * @param {Object} options - Scheduler settings
+   * @param {UTPSettlementCalendar} options.calendar - Business calendar (defaults to the settlement service's)
+   * @param {number} options.batch_size - Payments per settlement (defaults to config.settlement.batch_size)
+   */
+  constructor(settlementService, options = {}) {
+    this.settlementService = settlementService;
+    this.calendar = options.calendar || settlementService.calendar || new UTPSettlementCalendar();
+    this.batch_size = options.batch_size || config.settlement.batch_size;
+    this.store = store;
+    this.queue = store.collection('settlement_queue');
+    this.merchant_configs = store.collection('merchant_configs');
+    this.running = false;
+    this.last_run = null;
+  }
+
+  /**
+   * Get a merchant's settlement schedule
+   * @param {string} merchant_id - Merchant ID
+   * @returns {string} Schedule (instant when the merchant has none)
+   */
+  getSchedule(merchant_id) {
+    const merchant_config = this.merchant_configs.get(merchant_id);
+    const schedule = merchant_config && merchant_config.settlement_preferences &&
+      merchant_config.settlement_preferences.settlement_schedule;
+
+    return SETTLEMENT_SCHEDULES[schedule] ? schedule : 'instant';
+  }
+
+  /**
+   * Queue the payout of a completed payment
+   * @param {Object} payment - Payment with conversion details (a split payment's share, with the recipient as merchant_id)
+   * @param {string} schedule - Merchant schedule (instant only for a held or deferred payout)
+   * @param {Object} options - { due_at: when a deferred payout is due, instead of the schedule's next run }
+   * @returns {Object} Settlement details for the payment
+   */
+  enqueue(payment, schedule, { due_at: deferred_until = null } = {}) {
+    const { payment_id, merchant_id, settlement_type, conversion_details } = payment;
+    const queued_at = new Date();
+    const due_at = deferred_until || this.calendar.getDueAt(schedule, queued_at).toISOString();
+    // Token legs of a mixed payment keep their rupee value and locked rate for refund netting
+    const legs = settlement_type === 'mixed'
+      ? conversion_details.breakdown.map(leg => (leg.conversion_rate === 1
+        ? { currency: leg.currency, amount: leg.amount }
+        : { currency: leg.currency, amount: leg.amount, value: leg.value, conversion_rate: leg.conversion_rate }))
+      : [{ currency: settlement_type, amount: conversion_details.converted_amount }];
+
+    const items = legs.map(leg => this.addItem({
+      merchant_id,
+      payment_id,
+      type: 'payment',
+      ...leg,
+      schedule,
+      due_at,
+      queued_at: queued_at.toISOString()
+    }));
+
+    return {
+      type: 'scheduled',
+      schedule,
+      status: 'scheduled',
+      currency: settlement_type,
+      amount: conversion_details.converted_amount,
+      due_at,
+      legs: items.map(item => ({
+        currency: item.currency,
+        amount: item.amount,
+        value: item.value,
+        conversion_rate: item.conversion_rate,
+        item_id: item.item_id,
+        status: 'scheduled',
+        settlement_id: null
+      })),
+      queued_at: queued_at.toISOString()
+    };
+  }
+
+  /**
+   * Net a refund against a payment whose payout is still queued
+   * @param {Object} payment - Scheduled payment (a split payment's share, with the recipient as merchant_id)
+   * @param {Object} refund - { refund_id, amount } in the settlement currency
+   * @returns {Array|null} Negative queue items, or null if the payout has already left the queue
+   */
+  netRefund(payment, refund) {
+    const payment_items = this.queue.find({ payment_id: payment.payment_id, merchant_id: payment.merchant_id, type: 'payment' });
+    if (payment_items.some(item => item.status === 'processing')) {
+      throw new UTPError('The payout of this payment is in progress; retry the refund once it completes', 'SETTLEMENT_IN_PROGRESS', 409);
+    }
+    if (payment_items.length === 0 || payment_items.some(item => item.status !== 'queued')) {
+      return null;
+    }
+
+    // Items are weighed by rupee value; token items take their share at their locked rate
+    const value = item => (item.conversion_rate ? item.value : item.amount);
+    const total = payment_items.reduce((sum, item) => sum + value(item), 0);
+    let remaining = refund.amount;
+
+    return payment_items.map((item, index) => {
+      const share_currency = item.conversion_rate ? 'inr' : item.currency;
+      const share = index === payment_items.length - 1
+        ? this.roundAmount(remaining, share_currency)
+        : this.roundAmount(refund.amount * value(item) / total, share_currency);
+      remaining -= share;
+      const amount = item.conversion_rate ? this.roundAmount(share * item.conversion_rate, item.currency) : share;
+
+      return this.addItem({
+        merchant_id: item.merchant_id,
+        payment_id: item.payment_id,
+        refund_id: refund.refund_id,
+        type: 'refund',
+        currency: item.currency,
+        amount: -amount,
+        schedule: item.schedule,
+        due_at: item.due_at,
+        queued_at: new Date().toISOString()
+      });
+    });
+  }
+
+  /**
+   * Settle every queued item that is due
+   * @param {Object} options - Run options
+   * @param {Date} options.now - Run time
+   * @param {string} options.merchant_id - Only settle this merchant
+   * @param {boolean} options.force - Settle queued items before they are due
+   * @returns {Promise<Object>} Run summary; held lists the items left queued by a hold
+   */
+  async runDue(options = {}) {
+    const { now = new Date(), merchant_id, force = false } = options;
+
+    if (this.running) {
+      throw new UTPError('A settlement run is already in progress', 'SETTLEMENT_RUN_IN_PROGRESS', 409);
+    }
+
+    this.running = true;
+    const run = {
+      run_id: uuidv4(),
+      started_at: new Date().toISOString(),
+      settlements: [],
+      deferred: [],
+      netted: [],
+      held: [],
+      failed: []
+    };
+
+    try {
+      const due_items = this.queue.find(item =>
+        item.status === 'queued' &&
+        (force || new Date(item.due_at) <= now) &&
+        (!merchant_id || item.merchant_id === merchant_id)
+      ).filter(item => {
+        // Payouts of a merchant that is not active wait until it is reactivated
+        if (!this.settlementService.merchant_lifecycle.isActive(item.merchant_id)) {
+          run.held.push({ item_id: item.item_id, payment_id: item.payment_id, hold_id: null, reason: 'merchant_not_active' });
+          return false;
+        }
+        const hold = this.settlementService.risk.getPayoutHold(item.merchant_id, item.payment_id);
+        if (hold) {
+          run.held.push({ item_id: item.item_id, payment_id: item.payment_id, hold_id: hold.hold_id, reason: hold.reason });
+        }
+        return !hold;
+      });
+
+      for (const batch of this.buildBatches(due_items)) {
+        await this.settleBatch(batch, run, now);
+      }
+    } finally {
+      this.running = false;
+    }
+
+    run.completed_at = new Date().toISOString();
+    this.last_run = {
+      run_id: run.run_id,
+      completed_at: run.completed_at,
+      settlements: run.settlements.length,
+      deferred: run.deferred.length,
+      netted: run.netted.length,
+      held: run.held.length,
+      failed: run.failed.length
+    };
+
+    return run;
+  }
+
+  /**
+   * Group due items per merchant and currency, batch_size payments at a time
+   * @private
+   */
+  buildBatches(items) {
+    const groups = new Map();
+
+    items.forEach(item => {
+      const key = `${item.merchant_id}:${item.currency}`;
+      if (!groups.has(key)) {
+        groups.set(key, new Map());
+      }
+
+      // Refund items travel with the payment they reduce
+      const payments = groups.get(key);
+      if (!payments.has(item.payment_id)) {
+        payments.set(item.payment_id, []);
+      }
+      payments.get(item.payment_id).push(item);
+    });
+
+    const batches = [];
+    for (const payments of groups.values()) {
+      const payment_items = [...payments.values()];
+      for (let start = 0; start < payment_items.length; start += this.batch_size) {
+        batches.push(payment_items.slice(start, start + this.batch_size).flat());
+      }
+    }
+
+    return batches;
+  }
+
+  /**
+   * Net one batch into a settlement and pay it out
+   * @private
+   */
+  async settleBatch(items, run, now) {
+    const { merchant_id, currency } = items[0];
+    const net_amount = this.roundAmount(items.reduce((sum, item) => sum + item.amount, 0), currency);
+    const item_ids = items.map(item => item.item_id);
+
+    // Fully refunded before payout: nothing to pay
+    if (net_amount <= 0) {
+      await this.updateItems(item_ids, { status: 'netted', settled_at: new Date().toISOString() });
+      run.netted.push({ merchant_id, currency, items: item_ids.length });
+      return;
+    }
+
+    let settlement_method;
+    let rail;
+    try {
+      settlement_method = this.settlementService.getMerchantMethod(merchant_id, currency, net_amount);
+      const method = this.settlementService.settlement_methods[settlement_method];
+      rail = method.auto
+        ? this.settlementService.routeAutoMethod(settlement_method, net_amount, { now }).rail
+        : method.rail;
+    } catch (error) {
+      await this.recordFailure(item_ids, error, run, { merchant_id, currency, net_amount });
+      return;
+    }
+
+    // A payout past the merchant's daily KYC limit waits for the next day
+    try {
+      this.settlementService.kyc.assertSettlementAllowed(merchant_id, net_amount, currency, now);
+    } catch (error) {
+      if (error.code !== 'KYC_DAILY_SETTLEMENT_LIMIT') {
+        await this.recordFailure(item_ids, error, run, { merchant_id, currency, net_amount, settlement_method });
+        return;
+      }
+      await this.updateItems(item_ids, { due_at: error.retry_at });
+      run.deferred.push({ merchant_id, currency, net_amount, settlement_method, due_at: error.retry_at, reason: 'kyc_daily_limit_reached' });
+      return;
+    }
+
+    if (rail && !this.calendar.isRailWindowOpen(rail, now)) {
+      const due_at = this.calendar.nextRailWindow(rail, now).toISOString();
+      await this.updateItems(item_ids, { due_at });
+      run.deferred.push({ merchant_id, currency, net_amount, settlement_method, due_at, reason: `${rail}_window_closed` });
+      return;
+    }
+
+    // Refunds cannot net against a payout while it is being made
+    await this.updateItems(item_ids, { status: 'processing' });
+
+    try {
+      const settlement = await this.settlementService.executeSettlement({
+        merchant_id,
+        amount: net_amount,
+        settlement_method,
+        line_items: items.map(item => ({
+          item_id: item.item_id,
+          payment_id: item.payment_id,
+          refund_id: item.refund_id || null,
+          type: item.type,
+          amount: item.amount,
+          queued_at: item.queued_at
+        })),
+        metadata: { source: 'schedule', schedule: items[0].schedule, run_id: run.run_id }
+      });
+
+      await this.updateItems(item_ids, {
+        status: 'settled',
+        settlement_id: settlement.settlement_id,
+        settled_at: new Date().toISOString()
+      });
+
+      run.settlements.push({
+        settlement_id: settlement.settlement_id,
+        merchant_id,
+        currency,
+        settlement_method,
+        amount: net_amount,
+        net_amount: settlement.net_amount,
+        status: settlement.status,
+        line_items: items.length
+      });
+    } catch (error) {
+      await this.recordFailure(item_ids, error, run, { merchant_id, currency, net_amount, settlement_method });
+    }
+  }
+
+  /**
+   * Return items to the queue after a failed payout
+   * @private
+   */
+  async recordFailure(item_ids, error, run, details) {
+    await this.store.transaction(async () => {
+      item_ids.forEach(item_id => {
+        const item = this.queue.get(item_id);
+        item.status = 'queued';
+        item.attempts = (item.attempts || 0) + 1;
+        item.last_error = error.message;
+        item.updated_at = new Date().toISOString();
+        this.queue.set(item_id, item);
+      });
+    });
+
+    run.failed.push({ ...details, error: error.message });
+  }
+
+  /**
+   * Update queue items together
+   * @private
+   */
+  async updateItems(item_ids, changes) {
+    await this.store.transaction(async () => {
+      item_ids.forEach(item_id => {
+        const item = this.queue.get(item_id);
+        Object.assign(item, changes, { updated_at: new Date().toISOString() });
+        this.queue.set(item_id, item);
+      });
+    });
+  }
+
+  /**
+   * Store a new queue item
+   * @private
+   */
+  addItem(data) {
+    const item = {
+      item_id: uuidv4(),
+      ...data,
+      status: 'queued',
+      settlement_id: null,
+      attempts: 0,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    this.queue.set(item.item_id, item);
+    return item;
+  }
+
+  /**
+   * Get a merchant's queued payouts, netted per currency
+   * @param {string} merchant_id - Merchant ID
+   * @returns {Object} Schedule, queued items and next payout per currency
+   */
+  getMerchantQueue(merchant_id) {
+    const items = this.queue.find(item => item.merchant_id === merchant_id && ['queued', 'processing'].includes(item.status))
+      .sort((a, b) => new Date(a.queued_at) - new Date(b.queued_at));
+
+    const pending = {};
+    items.forEach(item => {
+      if (!pending[item.currency]) {
+        pending[item.currency] = { currency: item.currency, net_amount: 0, items: 0, next_due_at: item.due_at };
+      }
+      const entry = pending[item.currency];
+      entry.net_amount = this.roundAmount(entry.net_amount + item.amount, item.currency);
+      entry.items++;
+      if (item.due_at < entry.next_due_at) {
+        entry.next_due_at = item.due_at;
+      }
+    });
+
+    return {
+      merchant_id,
+      schedule: this.getSchedule(merchant_id),
+      pending: Object.values(pending),
+      items
+    };
+  }
+
+  /**
+   * Round an amount to the precision of its currency
+   * @private
+   */
+  roundAmount(value, currency) {
+    return this.settlementService.roundAmount(value, currency);
+  }
+
+  /**
+   * Get scheduler status
+   */
+  getStatus() {
+    const queued = this.queue.find({ status: 'queued' });
+
+    return {
+      service: 'UTP Settlement Scheduler',
+      status: this.running ? 'running' : 'idle',
+      schedules: Object.keys(SETTLEMENT_SCHEDULES),
+      batch_size: this.batch_size,
+      queued_items: queued.length,
+      merchants_queued: new Set(queued.map(item => item.merchant_id)).size,
+      next_due_at: queued.reduce((next, item) => (!next || item.due_at < next ? item.due_at : next), null),
+      neft_window_open: this.calendar.isNeftWindowOpen(),
+      last_run: this.last_run
+    };
+  }
+}
+
+module.exports = {
+  UTPSettlementScheduler,
+  SETTLEMENT_SCHEDULES
+};
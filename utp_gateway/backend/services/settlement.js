@@ -1,62 +1,120 @@
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { store } = require('../models');
+const { createRailAdapter } = require('./rails');
+const { UTPError } = require('../middleware/error.middleware');
+const { MIXED_SPLIT_CURRENCIES, applyMixedSplit, fromMethodSplit } = require('./mixed-split');
+const UTPSettlementRisk = require('./settlement-risk');
+const UTPPayoutDestinations = require('./payout-destinations');
+const UTPSettlementCalendar = require('./settlement-calendar');
+const UTPKycService = require('./kyc');
+const UTPMerchantLifecycle = require('./merchant-lifecycle');
+const { UTPFeePlanService, boundFee } = require('./fee-plans');
+
+// Token payouts can be clawed back once paid; bank (INR) payouts are final
+const REVERSIBLE_CURRENCIES = ['binr', 'bgt', 'bst', 'bpt'];
+
+// Leg statuses of a payout the rail has not settled yet
+const UNSETTLED_LEG_STATUSES = ['pending', 'processing', 'retry_scheduled'];
 
 /**
  * UTP Settlement Service
  * Handles instant settlement of payments to merchants
- * Supports INR (UPI/NEFT), BINR, Gold Tokens, and Mixed settlements
+ * Supports INR (UPI/NEFT/IMPS/RTGS), BINR, Gold Tokens, and Mixed settlements
+ *
+ * This is the only settlement implementation: /api/settlement and the payment
+ * flow both execute settlements here, against the method registry in
+ * config.settlement.methods.
+ *
+ * Payouts go through the rail adapter of each method (config.rails), never
+ * inside a store transaction: a settlement is stored as pending before its rail
+ * is called and the outcome is booked in a transaction of its own. A payout
+ * the rail has not confirmed within confirmation_wait_ms stays 'processing'
+ * until a rail callback or a status poll settles it; 'settlement_updated' is
+ * emitted whenever that changes a settlement's status.
+ *
+ * Every payout attempt is recorded on the settlement. A leg that fails with a
+ * retryable code (config.settlement.retry) is retried with exponential backoff
+ * under a new rail reference until max_attempts; any other failure is terminal
+ * and returns the leg to the merchant's payable balance.
+ *
+ * A mixed settlement pays each currency leg through that currency's own
+ * method and rail. Its amount, fees and net amount are in rupees; legs in a
+ * metal token carry the rupee value and the locked conversion_rate (token
+ * units per rupee) they were converted at.
+ *
+ * Risk controls (services/settlement-risk.js) withhold the merchant's rolling
+ * reserve from each leg (leg.payout_amount is what the rail pays) and refuse
+ * payouts to frozen or inactive merchants and of held payments. A settlement must
+ * also fit the limits of the merchant's KYC verification level (services/kyc.js).
+ * Settlement fees are priced by the merchant's fee plan (services/fee-plans.js).
+ *
+ * Legs are paid to the merchant's verified payout destinations
+ * (services/payout-destinations.js): the settlement's destination_id, the
+ * merchant's payout split or its destination for the leg's currency. Inline
+ * merchant_account_details still pay every leg of a settlement.
+ *
+ * An auto method (inr_auto) picks the method of each leg when the settlement is
+ * executed: the first of its candidates whose limits fit the leg, whose rail can pay
+ * the leg's destination and whose operating window is open (see routeAutoMethod).
+ * Processing payouts are polled no more often than their rail's status_poll_interval_ms.
  */
-class UTPSettlementService {
-  constructor() {
-    this.settlements = new Map();
-    this.settlement_methods = {
-      inr_upi: {
-        name: 'UPI Transfer',
-        type: 'fiat',
-        settlement_time: '< 2 seconds',
-        fee_rate: 0.001, // 0.1%
-        minimum_amount: 10,
-        maximum_amount: 100000,
-        currency: 'INR'
-      },
-      inr_neft: {
-        name: 'NEFT Transfer',
-        type: 'fiat',
-        settlement_time: '< 24 hours',
-        fee_rate: 0.002, // 0.2%
-        minimum_amount: 1,
-        maximum_amount: 10000000,
-        currency: 'INR'
-      },
-      binr_transfer: {
-        name: 'BINR Token Transfer',
-        type: 'digital',
-        settlement_time: '< 5 seconds',
-        fee_rate: 0.001, // 0.1%
-        minimum_amount: 1,
-        maximum_amount: 1000000,
-        currency: 'BINR'
-      },
-      bgt_transfer: {
-        name: 'Gold Token Transfer',
-        type: 'asset',
-        settlement_time: '< 10 seconds',
-        fee_rate: 0.0015, // 0.15%
-        minimum_amount: 0.1,
-        maximum_amount: 1000,
-        currency: 'BGT'
-      },
-      mixed_settlement: {
-        name: 'Mixed Settlement',
-        type: 'hybrid',
-        settlement_time: '< 15 seconds',
-        fee_rate: 0.002, // 0.2%
-        minimum_amount: 50,
-        maximum_amount: 500000,
-        currency: 'MIXED'
-      }
+class UTPSettlementService extends EventEmitter {
+  /**
+   * @param {UTPLedger} ledger - Ledger that books payouts, fees and GST
+   * @param {Object} options - Service settings
+   * @param {Object} options.methods - Method registry (defaults to config.settlement.methods)
+   * @param {Map} options.rails - Rail adapters by rail code (defaults to the adapters in config.rails)
+   * @param {Object} options.retry - Retry policy (defaults to config.settlement.retry)
+   * @param {UTPSettlementRisk} options.risk - Reserve and hold controls (defaults to a new UTPSettlementRisk)
+   * @param {UTPPayoutDestinations} options.destinations - Merchant payout destinations (defaults to a new UTPPayoutDestinations)
+   * @param {UTPSettlementCalendar} options.calendar - Business calendar and rail windows (defaults to config.settlement)
+   * @param {UTPKycService} options.kyc - Settlement limits of merchants' verification levels (defaults to a new UTPKycService)
+   * @param {UTPMerchantLifecycle} options.merchant_lifecycle - Merchant account status (defaults to a new UTPMerchantLifecycle)
+   * @param {UTPFeePlanService} options.fees - Merchant fee plans (defaults to a new UTPFeePlanService)
+   */
+  constructor(ledger, options = {}) {
+    super();
+    this.ledger = ledger;
+    this.store = store;
+    this.settlements = store.collection('settlements');
+    this.settlement_methods = options.methods || config.settlement.methods;
+    this.gst_rate = config.ledger.gst_rate;
+    this.confirmation_wait_ms = options.confirmation_wait_ms || config.settlement.confirmation_wait_ms;
+    this.rail_poll_interval_ms = options.rail_poll_interval_ms || config.settlement.rail_poll_interval_ms;
+    this.rails = options.rails || this.createRails();
+    this.retry_policy = options.retry || config.settlement.retry;
+    this.retrying = false;
+    this.merchant_lifecycle = options.merchant_lifecycle || new UTPMerchantLifecycle();
+    this.risk = options.risk || new UTPSettlementRisk(this);
+    this.destinations = options.destinations || new UTPPayoutDestinations(this);
+    this.calendar = options.calendar || new UTPSettlementCalendar();
+    this.kyc = options.kyc || new UTPKycService();
+    this.fees = options.fees || new UTPFeePlanService();
+    this.merchant_configs = store.collection('merchant_configs');
+    this.last_polled = new Map(); // rail reference -> last status poll (ms)
+
+    this.supported_currencies = ['inr', 'binr', 'bgt', 'bst', 'bpt', 'mixed'];
+  }
+
+  /**
+   * Build an adapter for every configured rail
+   * @private
+   */
+  createRails() {
+    const defaults = {
+      api_url: config.bank.api_url,
+      api_key: config.bank.api_key,
+      webhook_secret: config.bank.webhook_secret,
+      callback_url: config.bank.callback_url,
+      timeout: config.bank.timeout
     };
 
-    this.supported_currencies = ['INR', 'BINR', 'BGT', 'BST', 'BPT'];
+    return new Map(Object.entries(config.rails).map(([rail, rail_config]) => [
+      rail,
+      createRailAdapter(rail, rail_config, defaults)
+    ]));
   }
 
   /**
@@ -69,42 +127,76 @@ class UTPSettlementService {
       payment_id,
       merchant_id,
       amount,
-      currency,
       settlement_method,
-      merchant_account_details,
+      merchant_account_details = null, // inline beneficiary for every leg, instead of the merchant's destinations
+      destination_id = null,
+      line_items = null,
+      legs = null, // converted mixed legs [{ currency, amount, value, conversion_rate }]
+      reserve_release = false, // payout of released reserves: no fees and no new reserve
       metadata = {}
     } = settlement_data;
 
+    // The settlement is stored before its payout is sent and the outcome booked after, so the rail
+    // call never runs inside a transaction whose rollback would lose a payout the bank accepted
+    if (this.store.inTransaction()) {
+      throw new UTPError('Settlements cannot be executed inside a store transaction', 'SETTLEMENT_IN_TRANSACTION', 500);
+    }
+
+    // Outside the try so payouts to frozen or inactive merchants, held payouts, payouts over KYC limits
+    // and payouts with nowhere to go keep their error code
+    this.assertPayoutReady(settlement_data);
+
     try {
       // Validate settlement data
       this.validateSettlementData(settlement_data);
 
+      const method = this.settlement_methods[settlement_method];
       const settlement_id = uuidv4();
+      const routed_legs = this.destinations.routeLegs(
+        merchant_id,
+        settlement_method,
+        legs || this.splitAmount(amount, settlement_method),
+        { destination_id, merchant_account: merchant_account_details }
+      );
+      if (method.auto) {
+        this.routeAutoLegs(settlement_method, routed_legs, merchant_account_details || this.destinations.getFallbackAccount(merchant_id));
+      }
       const settlement = {
         settlement_id,
-        payment_id,
+        payment_id: payment_id || null,
+        // Scheduled settlements net several payments (and refunds) into one payout
+        payment_ids: line_items ? [...new Set(line_items.map(item => item.payment_id).filter(Boolean))] : [payment_id],
+        line_items,
         merchant_id,
         amount,
-        currency,
+        currency: method.currency,
         settlement_method,
         status: 'pending',
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString(),
         metadata,
-        merchant_account: merchant_account_details,
+        merchant_account: merchant_account_details || this.destinations.getFallbackAccount(merchant_id),
+        destination_id,
         transaction_details: null,
-        fees: {
-          settlement_fee: 0,
-          gst: 0,
-          total_fee: 0
-        },
-        net_amount: 0
+        legs: this.buildLegs(amount, settlement_method, routed_legs, { fee_free: reserve_release, merchant_id }),
+        reserve_release,
+        reserve: null,
+        attempts: [],
+        reversed_amount: 0,
+        reversal_status: null,
+        reversals: []
       };
 
-      // Calculate fees and net amount
-      const fee_calculation = this.calculateFees(amount, settlement_method);
-      settlement.fees = fee_calculation;
-      settlement.net_amount = amount - fee_calculation.total_fee;
+      // Fees and net amount are the sum of the legs (in rupees for a mixed settlement)
+      settlement.fees = this.sumFees(settlement.legs);
+      settlement.net_amount = this.roundAmount(
+        settlement.legs.reduce((sum, leg) => sum + this.getLegValue(leg, leg.net_amount), 0),
+        settlement.currency
+      );
+
+      if (!reserve_release) {
+        this.risk.withholdReserve(settlement);
+      }
 
       // Store settlement
       this.settlements.set(settlement_id, settlement);
@@ -112,29 +204,301 @@ class UTPSettlementService {
       // Execute settlement based on method
       const result = await this.processSettlement(settlement);
 
-      // Update settlement with result
-      settlement.status = result.status;
-      settlement.updated_at = new Date().toISOString();
-      settlement.transaction_details = result.transaction_details;
+      // Update settlement with result and book the payout with its fee and GST
+      const executed_settlement = await this.store.transaction(async () => {
+        const executed = this.settlements.get(settlement_id);
+        executed.status = result.status;
+        executed.updated_at = new Date().toISOString();
+        executed.executed_at = new Date().toISOString();
+        executed.transaction_details = result.transaction_details;
+        executed.legs = settlement.legs;
+        executed.attempts = settlement.attempts;
 
-      this.settlements.set(settlement_id, settlement);
+        // Legs awaiting a retry stay booked as paid out, like legs still processing
+        const ledger_entries = await this.ledger.recordPayout(executed);
+        for (const leg of executed.legs.filter(l => l.status === 'failed')) {
+          ledger_entries.push(await this.ledger.recordPayoutReturn(executed, leg, leg.failure_reason));
+        }
+        executed.ledger_entry_ids = ledger_entries.map(entry => entry.entry_id);
+        executed.reserve_ids = this.risk.recordReserves(executed).map(reserve => reserve.reserve_id);
+
+        this.settlements.set(settlement_id, executed);
+        return executed;
+      });
+
+      this.emit('settlement_updated', executed_settlement);
 
       return {
         settlement_id,
         status: result.status,
         estimated_completion: result.estimated_completion,
-        fees: settlement.fees,
-        net_amount: settlement.net_amount,
+        amount,
+        currency: executed_settlement.currency,
+        fees: executed_settlement.fees,
+        net_amount: executed_settlement.net_amount,
+        reserve: executed_settlement.reserve,
+        legs: executed_settlement.legs,
         settlement_method,
+        transaction_details: executed_settlement.transaction_details,
+        ledger_entry_ids: executed_settlement.ledger_entry_ids,
+        executed_at: executed_settlement.executed_at,
         timestamp: new Date().toISOString()
       };
 
     } catch (error) {
-      console.error('Settlement execution failed:', error);
+      console.error('Settlement execution failed:', error.message);
+      // Routing and rail errors keep their code and status (NO_PAYOUT_METHOD, NO_PAYOUT_DESTINATION...)
+      if (error instanceof UTPError) {
+        throw error;
+      }
       throw new Error(`Settlement execution failed: ${error.message}`);
     }
   }
 
+  /**
+   * Check a payout can be made before anything is stored or sent: the merchant is active, its
+   * payouts are not frozen or held, the amount is within its KYC settlement limits and every leg
+   * routes to a usable destination and method
+   * @param {Object} settlement_data - Settlement details, as for executeSettlement
+   * @throws {UTPError} MERCHANT_NOT_ACTIVE, MERCHANT_PAYOUTS_FROZEN, PAYMENT_ON_HOLD, KYC_SETTLEMENT_LIMIT_EXCEEDED,
+   *   KYC_DAILY_SETTLEMENT_LIMIT, NO_PAYOUT_DESTINATION, NO_PAYOUT_METHOD and the errors of an unusable destination_id
+   */
+  assertPayoutReady(settlement_data) {
+    const {
+      payment_id,
+      merchant_id,
+      amount,
+      settlement_method,
+      merchant_account_details = null,
+      destination_id = null,
+      line_items = null,
+      legs = null,
+      reserve_release = false
+    } = settlement_data;
+    const method = this.settlement_methods[settlement_method];
+
+    this.risk.assertPayoutAllowed(merchant_id, reserve_release ? [] : line_items ? line_items.map(item => item.payment_id) : [payment_id]);
+    if (destination_id) {
+      this.destinations.getUsableDestination(merchant_id, destination_id, method);
+    }
+    if (!method) {
+      return;
+    }
+
+    const routed_legs = this.destinations.routeLegs(
+      merchant_id,
+      settlement_method,
+      legs ? legs.map(leg => ({ ...leg })) : this.splitAmount(amount, settlement_method),
+      { destination_id, merchant_account: merchant_account_details }
+    );
+    if (method.auto) {
+      this.routeAutoLegs(settlement_method, routed_legs, merchant_account_details || this.destinations.getFallbackAccount(merchant_id));
+    }
+
+    // Last, so a payout only over today's limit (KYC_DAILY_SETTLEMENT_LIMIT) is known to be payable tomorrow
+    if (!reserve_release) {
+      this.kyc.assertSettlementAllowed(merchant_id, amount, method.currency);
+    }
+  }
+
+  /**
+   * Pick the first registered method for a currency whose limits fit the amount
+   * (auto methods are only used when a merchant chooses them)
+   * @param {string} currency - Settlement currency (inr, binr, bgt, mixed)
+   * @param {number} amount - Amount to settle
+   * @returns {string} Settlement method code
+   */
+  resolveMethod(currency, amount) {
+    const candidates = Object.entries(this.settlement_methods)
+      .filter(([, method]) => method.currency === String(currency).toLowerCase() && !method.auto);
+
+    if (candidates.length === 0) {
+      throw new Error(`No settlement method for currency: ${currency}`);
+    }
+
+    const fitting = candidates.find(([, method]) => amount >= method.min_amount && amount <= method.max_amount);
+    return (fitting || candidates[0])[0];
+  }
+
+  /**
+   * Method a merchant's payout is made with: for INR, the merchant's chosen method
+   * (settlement_preferences.inr_settlement_method) if its limits fit the amount;
+   * otherwise resolveMethod
+   * @param {string} merchant_id - Merchant ID
+   * @param {string} currency - Settlement currency
+   * @param {number} amount - Amount to settle
+   * @returns {string} Settlement method code
+   */
+  getMerchantMethod(merchant_id, currency, amount) {
+    const merchant_config = this.merchant_configs.get(merchant_id);
+    const chosen = merchant_config && merchant_config.settlement_preferences &&
+      merchant_config.settlement_preferences.inr_settlement_method;
+
+    const method = chosen && String(currency).toLowerCase() === 'inr' && this.settlement_methods[chosen];
+    if (method && amount >= method.min_amount && amount <= method.max_amount) {
+      return chosen;
+    }
+    return this.resolveMethod(currency, amount);
+  }
+
+  /**
+   * Pick the method an auto method pays an amount with: the first of its candidates
+   * whose limits fit the amount, whose rail pays one of the channels and whose
+   * operating window is open; if every window is closed, the first that fits
+   * (its payout waits for the rail to open)
+   * @param {string} settlement_method - Auto method code (inr_auto)
+   * @param {number} amount - Amount to pay
+   * @param {Object} options - { channels: rail channels the beneficiary can be paid on (any when null), now }
+   * @returns {Object} { settlement_method, rail, window_open, reason }
+   * @throws {UTPError} NO_PAYOUT_METHOD
+   */
+  routeAutoMethod(settlement_method, amount, { channels = null, now = new Date() } = {}) {
+    const method = this.settlement_methods[settlement_method];
+    const candidates = method.auto
+      .map(code => [code, this.settlement_methods[code]])
+      .filter(([, candidate]) => candidate && amount >= candidate.min_amount && amount <= candidate.max_amount)
+      .filter(([, candidate]) => !channels || channels.includes(this.getRail(candidate.rail).channel));
+
+    if (candidates.length === 0) {
+      throw new UTPError(`No method of ${method.name} can pay ${amount} ${method.currency.toUpperCase()} to this beneficiary`, 'NO_PAYOUT_METHOD', 422);
+    }
+
+    const open = candidates.find(([, candidate]) => this.calendar.isRailWindowOpen(candidate.rail, now));
+    const [code, chosen] = open || candidates[0];
+
+    return {
+      settlement_method: code,
+      rail: chosen.rail,
+      window_open: Boolean(open),
+      reason: open ? 'first_fitting_method_open' : 'all_windows_closed'
+    };
+  }
+
+  /**
+   * Give each leg of an auto settlement the method routeAutoMethod picks for it
+   * @private
+   */
+  routeAutoLegs(settlement_method, legs, merchant_account) {
+    const now = new Date();
+    legs.forEach(leg => {
+      const routing = this.routeAutoMethod(settlement_method, leg.amount, {
+        channels: this.destinations.getLegChannels(leg, merchant_account),
+        now
+      });
+      leg.settlement_method = routing.settlement_method;
+      leg.routing_reason = routing.reason;
+    });
+    return legs;
+  }
+
+  /**
+   * Split an amount into the currency legs of a method. A mixed method splits by
+   * the merchant's mixed split, or by the method's default split.
+   * @param {number} amount - Amount to settle (in rupees for a mixed method)
+   * @param {string} settlement_method - Method code
+   * @param {Object} mixed_split - Merchant split rules (services/mixed-split.js), mixed methods only
+   * @returns {Array} Legs with { currency, amount, percentage }, amounts in rupees
+   */
+  splitAmount(amount, settlement_method, mixed_split = null) {
+    const method = this.settlement_methods[settlement_method];
+    if (!method.split) {
+      return [{ currency: method.currency, amount, percentage: 100 }];
+    }
+
+    return applyMixedSplit(amount, mixed_split || fromMethodSplit(method.split));
+  }
+
+  /**
+   * Build settlement legs with their fees, from converted legs when given
+   * @private
+   */
+  buildLegs(amount, settlement_method, legs = null, { fee_free = false, merchant_id = null } = {}) {
+    return (legs || this.splitAmount(amount, settlement_method)).map(leg => {
+      // Legs of an auto settlement pay the fee of the method they were routed to; each
+      // leg takes its share of the fee plan's floor and cap
+      const fees = fee_free
+        ? { settlement_fee: 0, gst: 0, total_fee: 0, net_amount: leg.amount }
+        : this.calculateFees(leg.amount, leg.settlement_method || settlement_method, leg.currency, {
+          merchant_id,
+          conversion_rate: leg.conversion_rate,
+          share: leg.percentage !== undefined ? leg.percentage / 100 : 1
+        });
+      const built = {
+        currency: leg.currency,
+        amount: leg.amount,
+        percentage: leg.percentage,
+        ...(leg.leg_key && { leg_key: leg.leg_key }),
+        ...(leg.settlement_method && {
+          settlement_method: leg.settlement_method,
+          routing_reason: leg.routing_reason
+        }),
+        ...(leg.destination_id && {
+          destination_id: leg.destination_id,
+          destination_type: leg.destination_type,
+          beneficiary: leg.beneficiary
+        }),
+        fees: {
+          settlement_fee: fees.settlement_fee,
+          gst: fees.gst,
+          total_fee: fees.total_fee
+        },
+        net_amount: fees.net_amount,
+        status: 'pending'
+      };
+
+      // Token legs of a mixed settlement keep the rupee value they were converted from
+      if (leg.conversion_rate && leg.conversion_rate !== 1) {
+        built.value = leg.value;
+        built.conversion_rate = leg.conversion_rate;
+        built.net_value = this.getLegValue(built, fees.net_amount);
+      }
+
+      return built;
+    });
+  }
+
+  /**
+   * Rupee value of an amount in a leg's currency, at the leg's locked rate
+   * @private
+   */
+  getLegValue(leg, amount) {
+    return leg.conversion_rate ? this.roundAmount(amount / leg.conversion_rate, 'inr') : amount;
+  }
+
+  /**
+   * Amount the rail pays for a leg: its net amount less any reserve withheld
+   * @private
+   */
+  getPayoutAmount(leg) {
+    return leg.payout_amount ?? leg.net_amount;
+  }
+
+  /**
+   * Key of a leg within its settlement: the currency, or the leg_key of a leg a payout split made
+   * @private
+   */
+  getLegKey(leg) {
+    return leg.leg_key || leg.currency;
+  }
+
+  /**
+   * Add up leg fees (in rupees across the legs of a mixed settlement)
+   * @private
+   */
+  sumFees(legs) {
+    const currency = new Set(legs.map(leg => leg.currency)).size === 1 ? legs[0].currency : 'mixed';
+    const total = field => this.roundAmount(
+      legs.reduce((sum, leg) => sum + this.getLegValue(leg, leg.fees[field]), 0),
+      currency
+    );
+
+    return {
+      settlement_fee: total('settlement_fee'),
+      gst: total('gst'),
+      total_fee: total('total_fee')
+    };
+  }
+
   /**
    * Get settlement by ID
    * @param {string} settlement_id - Settlement ID
@@ -145,56 +509,191 @@ class UTPSettlementService {
   }
 
   /**
-   * Get all settlements for a merchant
+   * Get settlement status
+   * @param {string} settlement_id - Settlement ID
+   * @returns {Object} Settlement status
+   */
+  getSettlementStatus(settlement_id) {
+    const settlement = this.settlements.get(settlement_id);
+    if (!settlement) {
+      throw new Error('Settlement not found');
+    }
+
+    return {
+      settlement_id,
+      status: settlement.status,
+      payment_id: settlement.payment_id,
+      merchant_id: settlement.merchant_id,
+      amount: settlement.amount,
+      currency: settlement.currency,
+      settlement_method: settlement.settlement_method,
+      fees: settlement.fees,
+      net_amount: settlement.net_amount,
+      reserve: settlement.reserve || null,
+      reserve_release: settlement.reserve_release || false,
+      destination_id: settlement.destination_id || null,
+      legs: settlement.legs,
+      line_items: settlement.line_items || null,
+      attempts: settlement.attempts || [],
+      next_retry_at: this.getNextRetryAt(settlement),
+      created_at: settlement.created_at,
+      executed_at: settlement.executed_at,
+      transaction_details: settlement.transaction_details,
+      reversed_amount: settlement.reversed_amount || 0,
+      reversal_status: settlement.reversal_status || null,
+      reversals: settlement.reversals || [],
+      ledger_entry_ids: settlement.ledger_entry_ids || [],
+      error_message: settlement.error_message,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get settlements for a merchant, newest first
    * @param {string} merchant_id - Merchant ID
    * @param {number} limit - Number of settlements to return
-   * @returns {Array} Array of settlements
+   * @returns {Array} Settlement summaries
    */
-  getMerchantSettlements(merchant_id, limit = 100) {
-    const merchant_settlements = [];
-    
-    for (const settlement of this.settlements.values()) {
-      if (settlement.merchant_id === merchant_id) {
-        merchant_settlements.push(settlement);
-      }
-    }
+  getSettlementHistory(merchant_id, limit = 50) {
+    return this.settlements.find({ merchant_id })
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .slice(0, limit)
+      .map(settlement => ({
+        settlement_id: settlement.settlement_id,
+        payment_id: settlement.payment_id,
+        amount: settlement.amount,
+        currency: settlement.currency,
+        settlement_method: settlement.settlement_method,
+        status: settlement.status,
+        fees: settlement.fees,
+        net_amount: settlement.net_amount,
+        reversed_amount: settlement.reversed_amount || 0,
+        reversal_status: settlement.reversal_status || null,
+        reserve_amount: settlement.reserve ? settlement.reserve.amount : 0,
+        reserve_release: settlement.reserve_release || false,
+        legs: settlement.legs.map(leg => ({
+          currency: leg.currency,
+          destination_id: leg.destination_id || null,
+          net_amount: leg.net_amount,
+          reserve_amount: leg.reserve_amount || 0,
+          status: leg.status
+        })),
+        created_at: settlement.created_at
+      }));
+  }
+
+  /**
+   * Reverse the settlement of a refunded payment
+   * @param {string} payment_id - Refunded payment
+   * @param {Object} reversal_data - { refund_id, amount, reason, merchant_id (the recipient, for a split payment) }
+   * @returns {Object|null} Reversal, or null if the payment was never settled
+   * @throws {UTPError} SETTLEMENT_IN_PROGRESS while a payout leg is unsettled: a leg still
+   *   pending or due a retry would pay out the refunded amount
+   */
+  reverseSettlement(payment_id, reversal_data) {
+    const { refund_id, amount, reason, merchant_id = null } = reversal_data;
 
-    // Sort by creation date (newest first)
-    merchant_settlements.sort((a, b) => 
-      new Date(b.created_at) - new Date(a.created_at)
+    const settlement = this.settlements.findOne(s =>
+      (s.payment_id === payment_id || (s.payment_ids || []).includes(payment_id)) &&
+      (!merchant_id || s.merchant_id === merchant_id) &&
+      ['completed', 'processing', 'retry_scheduled', 'partially_reversed'].includes(s.status) &&
+      s.reversal_status !== 'reversed'
     );
 
-    return merchant_settlements.slice(0, limit);
+    if (!settlement) {
+      return null;
+    }
+
+    if (settlement.legs.some(leg => UNSETTLED_LEG_STATUSES.includes(leg.status))) {
+      throw new UTPError(
+        'The payout of this payment has not settled yet; retry the refund once it completes or fails',
+        'SETTLEMENT_IN_PROGRESS',
+        409
+      );
+    }
+
+    const already_reversed = settlement.reversed_amount || 0;
+    const reversal_amount = Math.min(amount, settlement.net_amount - already_reversed);
+
+    // Money already paid out is owed back by the merchant until a clawback recovers it
+    const reversal = {
+      reversal_id: uuidv4(),
+      settlement_id: settlement.settlement_id,
+      refund_id,
+      amount: this.roundAmount(reversal_amount, settlement.currency),
+      currency: settlement.currency,
+      reason,
+      status: settlement.legs.some(leg => leg.status === 'completed') ? 'pending' : 'completed',
+      reversed_at: new Date().toISOString()
+    };
+
+    settlement.reversals = settlement.reversals || [];
+    settlement.reversals.push(reversal);
+    settlement.reversed_amount = this.roundAmount(already_reversed + reversal_amount, settlement.currency);
+    // The status stays the legs' own, so payouts still in flight keep being tracked
+    settlement.reversal_status = this.getReversalStatus(settlement);
+    settlement.updated_at = reversal.reversed_at;
+
+    this.settlements.set(settlement.settlement_id, settlement);
+
+    return reversal;
   }
 
   /**
    * Get available settlement methods
-   * @returns {Object} Available settlement methods
+   * @returns {Array} Methods with their code, limits and fee rate
    */
-  getAvailableMethods() {
-    return this.settlement_methods;
+  getSettlementMethods() {
+    return Object.entries(this.settlement_methods).map(([code, method]) => ({
+      code,
+      ...method
+    }));
   }
 
   /**
-   * Calculate fees for settlement
-   * @private
+   * Calculate fees for settlement (an auto method charges the fee of the method it would route the amount to now).
+   * A merchant's fee plan sets the rate, floor and cap; without a merchant the method's rate applies.
+   * @param {number} amount - Amount to settle
+   * @param {string} settlement_method - Method code
+   * @param {string} currency - Currency the fee is charged in (defaults to the method's)
+   * @param {Object} options - { merchant_id, conversion_rate: units of the currency per rupee for a token leg,
+   *   share: part of the settlement the amount is, for the plan's floor and cap }
+   * @returns {Object} Fee breakdown and net amount
    */
-  calculateFees(amount, settlement_method) {
+  calculateFees(amount, settlement_method, currency, { merchant_id = null, conversion_rate = null, share = 1 } = {}) {
     const method = this.settlement_methods[settlement_method];
-    
+
     if (!method) {
       throw new Error(`Invalid settlement method: ${settlement_method}`);
     }
+    if (method.auto) {
+      const routing = this.routeAutoMethod(settlement_method, amount);
+      return {
+        ...this.calculateFees(amount, routing.settlement_method, currency, { merchant_id, conversion_rate, share }),
+        settlement_method: routing.settlement_method
+      };
+    }
 
-    const settlement_fee = amount * method.fee_rate;
-    const gst = settlement_fee * 0.18; // 18% GST on fees
-    const total_fee = settlement_fee + gst;
+    const fee_currency = currency || method.currency;
+    const terms = merchant_id ? this.fees.getSettlementFeeTerms(merchant_id, settlement_method) : null;
+    const fee_rate = terms && terms.rate !== null ? terms.rate : method.fee_rate;
+    // The plan's floor never takes more than the amount, GST included
+    const settlement_fee = this.roundAmount(terms
+      ? boundFee(amount * fee_rate, this.fees.getFeeBounds(terms, fee_currency, { conversion_rate, share }),
+        amount / (1 + this.gst_rate))
+      : amount * fee_rate, fee_currency);
+    const gst = this.roundAmount(settlement_fee * this.gst_rate, fee_currency); // GST on fees
+    const total_fee = this.roundAmount(settlement_fee + gst, fee_currency);
 
     return {
-      settlement_fee: Math.round(settlement_fee * 100) / 100,
-      gst: Math.round(gst * 100) / 100,
-      total_fee: Math.round(total_fee * 100) / 100,
-      fee_rate: method.fee_rate * 100 // percentage
+      amount,
+      settlement_fee,
+      gst,
+      total_fee,
+      net_amount: this.roundAmount(amount - total_fee, fee_currency),
+      fee_rate: fee_rate * 100, // percentage
+      fee_plan_id: terms ? terms.plan_id : null,
+      promotion: terms ? terms.promotion : null
     };
   }
 
@@ -203,8 +702,13 @@ class UTPSettlementService {
    * @private
    */
   validateSettlementData(data) {
-    const required_fields = ['payment_id', 'merchant_id', 'amount', 'currency', 'settlement_method'];
-    
+    const required_fields = ['merchant_id', 'amount', 'settlement_method'];
+    if (!data.line_items) {
+      required_fields.unshift('payment_id');
+    } else if (!Array.isArray(data.line_items) || data.line_items.length === 0) {
+      throw new Error('line_items must be a non-empty array');
+    }
+
     for (const field of required_fields) {
       if (!data[field]) {
         throw new Error(`Missing required field: ${field}`);
@@ -212,189 +716,762 @@ class UTPSettlementService {
     }
 
     // Validate settlement method
-    if (!this.settlement_methods[data.settlement_method]) {
+    const method = this.settlement_methods[data.settlement_method];
+    if (!method) {
       throw new Error(`Invalid settlement method: ${data.settlement_method}`);
     }
 
     // Validate amount limits
-    const method = this.settlement_methods[data.settlement_method];
-    if (data.amount < method.minimum_amount) {
-      throw new Error(`Amount below minimum: ${method.minimum_amount}`);
+    if (typeof data.amount !== 'number' || data.amount <= 0) {
+      throw new Error('Amount must be a positive number');
     }
-    if (data.amount > method.maximum_amount) {
-      throw new Error(`Amount above maximum: ${method.maximum_amount}`);
+    if (data.amount < method.min_amount) {
+      throw new Error(`Amount below minimum: ${method.min_amount}`);
+    }
+    if (data.amount > method.max_amount) {
+      throw new Error(`Amount above maximum: ${method.max_amount}`);
+    }
+
+    // Converted legs are only given for a mixed method, in its supported currencies
+    if (data.legs) {
+      if (!method.split) {
+        throw new Error(`${method.name} settles a single currency and takes no legs`);
+      }
+      if (!Array.isArray(data.legs) || data.legs.length === 0) {
+        throw new Error('legs must be a non-empty array');
+      }
+      for (const leg of data.legs) {
+        if (!MIXED_SPLIT_CURRENCIES.includes(leg.currency)) {
+          throw new Error(`Unsupported leg currency: ${leg.currency}`);
+        }
+        if (typeof leg.amount !== 'number' || leg.amount <= 0) {
+          throw new Error(`${String(leg.currency).toUpperCase()} leg amount must be a positive number`);
+        }
+        if (!['inr', 'binr'].includes(leg.currency) && !(leg.conversion_rate > 0 && leg.value > 0)) {
+          throw new Error(`${leg.currency.toUpperCase()} leg needs its rupee value and conversion_rate`);
+        }
+      }
     }
 
-    // Validate currency support
-    if (!this.supported_currencies.includes(data.currency)) {
-      throw new Error(`Unsupported currency: ${data.currency}`);
+    // Validate currency support (currency is optional and must match the method)
+    if (data.currency !== undefined) {
+      const currency = String(data.currency).toLowerCase();
+      if (!this.supported_currencies.includes(currency)) {
+        throw new Error(`Unsupported currency: ${data.currency}`);
+      }
+      if (currency !== method.currency) {
+        throw new Error(`${method.name} settles ${method.currency.toUpperCase()}, not ${data.currency}`);
+      }
     }
   }
 
   /**
-   * Process settlement based on method
+   * Process settlement based on method: each leg is paid through its own method's rail
    * @private
    */
   async processSettlement(settlement) {
-    const { settlement_method, merchant_account } = settlement;
-    const method = this.settlement_methods[settlement_method];
-
     try {
-      switch (settlement_method) {
-        case 'inr_upi':
-          return await this.processUPI(settlement, merchant_account);
-        
-        case 'inr_neft':
-          return await this.processNEFT(settlement, merchant_account);
-        
-        case 'binr_transfer':
-          return await this.processBINR(settlement, merchant_account);
-        
-        case 'bgt_transfer':
-          return await this.processBGT(settlement, merchant_account);
-        
-        case 'mixed_settlement':
-          return await this.processMixed(settlement, merchant_account);
-        
-        default:
-          throw new Error(`Unknown settlement method: ${settlement_method}`);
+      const method = this.settlement_methods[settlement.settlement_method];
+
+      for (const leg of settlement.legs) {
+        // Mixed legs are paid through their currency's own method, on a rail that can pay the leg's destination;
+        // legs of an auto settlement already carry the method they were routed to
+        leg.settlement_method = this.destinations.getMethodFor(leg, leg.settlement_method || (method.split
+          ? this.resolveMethod(leg.currency, this.getPayoutAmount(leg))
+          : settlement.settlement_method));
+        await this.attemptLeg(settlement, leg);
+      }
+
+      if (settlement.legs.every(leg => leg.status === 'failed')) {
+        const [leg] = settlement.legs;
+        throw settlement.legs.length === 1
+          ? new UTPError(leg.failure_reason, leg.failure_code || 'SETTLEMENT_RAIL_FAILED', 502)
+          : new UTPError(
+            `Every leg failed: ${settlement.legs.map(l => l.failure_reason).join('; ')}`,
+            'SETTLEMENT_RAIL_FAILED',
+            502
+          );
       }
+
+      return {
+        status: this.getStatusFromLegs(settlement.legs),
+        estimated_completion: settlement.legs.length === 1
+          ? settlement.legs[0].estimated_completion
+          : new Date(Date.now() + 15000).toISOString(),
+        transaction_details: this.describeLegs(settlement.legs)
+      };
     } catch (error) {
       settlement.status = 'failed';
       settlement.error_message = error.message;
+      settlement.failed_at = new Date().toISOString();
+      settlement.updated_at = settlement.failed_at;
+      this.settlements.set(settlement.settlement_id, settlement);
       throw error;
     }
   }
 
   /**
-   * Process UPI settlement
+   * Make one payout attempt for a leg and record it on the settlement
    * @private
+   * @param {Object} settlement - Settlement the leg belongs to
+   * @param {Object} leg - Leg with its settlement_method
+   * @returns {Promise<Object>} The leg, now processing, completed, retry_scheduled or failed
    */
-  async processUPI(settlement, merchant_account) {
-    // Simulate UPI payment processing
-    await this.simulateProcessingTime(1000); // 1 second for UPI
-    
-    return {
-      status: 'completed',
-      estimated_completion: new Date(Date.now() + 2000).toISOString(),
-      transaction_details: {
-        method: 'upi',
-        vpa: merchant_account.vpa,
-        transaction_id: `UPI${Date.now()}`,
-        upi_reference: `UR${Math.random().toString(36).substr(2, 9).toUpperCase()}`
-      }
+  async attemptLeg(settlement, leg) {
+    const number = (leg.attempt_count || 0) + 1;
+    const attempt = {
+      attempt_id: uuidv4(),
+      attempt: number,
+      currency: leg.currency,
+      settlement_method: leg.settlement_method,
+      rail: this.settlement_methods[leg.settlement_method].rail,
+      // The rail is idempotent by reference, so every retry needs a fresh one
+      rail_reference: this.getLegReference(settlement, leg, number),
+      status: 'pending',
+      started_at: new Date().toISOString()
     };
+
+    leg.attempt_count = number;
+    leg.rail = attempt.rail;
+    leg.rail_reference = attempt.rail_reference;
+
+    try {
+      const result = await this.processRail(leg.settlement_method, {
+        reference: attempt.rail_reference,
+        amount: this.getPayoutAmount(leg),
+        currency: leg.currency,
+        narration: this.getNarration(settlement)
+      }, leg.beneficiary || settlement.merchant_account);
+
+      leg.status = result.status;
+      leg.transaction_details = result.transaction_details;
+      leg.estimated_completion = result.estimated_completion;
+      leg.next_retry_at = null;
+      attempt.status = result.status;
+      attempt.transaction_details = result.transaction_details;
+    } catch (error) {
+      this.failLeg(leg, attempt, error.code, error.message);
+    }
+
+    attempt.finished_at = new Date().toISOString();
+    settlement.attempts = [...(settlement.attempts || []), attempt];
+    return leg;
   }
 
   /**
-   * Process NEFT settlement
+   * Record a failed attempt on its leg: a retryable failure schedules the next
+   * attempt with exponential backoff until max_attempts, anything else fails the leg
    * @private
    */
-  async processNEFT(settlement, merchant_account) {
-    // Simulate NEFT payment processing
-    await this.simulateProcessingTime(2000); // 2 seconds for NEFT
-    
-    return {
-      status: 'completed',
-      estimated_completion: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hours
-      transaction_details: {
-        method: 'neft',
-        account_number: merchant_account.account_number,
-        ifsc_code: merchant_account.ifsc_code,
-        transaction_id: `NEFT${Date.now()}`,
-        reference_number: `REF${Math.random().toString(36).substr(2, 12).toUpperCase()}`
+  failLeg(leg, attempt, failure_code, failure_reason) {
+    const classification = this.classifyFailure(failure_code);
+    const attempts_made = leg.attempt_count || 1;
+
+    attempt.status = 'failed';
+    attempt.failure_code = failure_code || null;
+    attempt.failure_reason = failure_reason;
+    attempt.classification = classification;
+
+    leg.failure_code = failure_code || null;
+    leg.failure_reason = failure_reason;
+    leg.failure_classification = classification;
+
+    if (classification === 'retryable' && attempts_made < this.retry_policy.max_attempts) {
+      leg.status = 'retry_scheduled';
+      leg.next_retry_at = new Date(Date.now() + this.getRetryDelay(attempts_made)).toISOString();
+      leg.estimated_completion = leg.next_retry_at;
+      attempt.next_retry_at = leg.next_retry_at;
+      return;
+    }
+
+    leg.status = 'failed';
+    leg.next_retry_at = null;
+    if (classification === 'retryable') {
+      leg.failure_reason = `${failure_reason} (gave up after ${attempts_made} attempts)`;
+    }
+  }
+
+  /**
+   * Classify a payout failure code
+   * @param {string} failure_code - Rail or bank failure code
+   * @returns {string} retryable (bank timeouts, outages, insufficient float) or terminal
+   */
+  classifyFailure(failure_code) {
+    return this.retry_policy.retryable_codes.includes(failure_code) ? 'retryable' : 'terminal';
+  }
+
+  /**
+   * Backoff before the attempt after `attempts_made`: base_delay_ms doubled per attempt, capped at max_delay_ms
+   * @param {number} attempts_made - Attempts made so far
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(attempts_made) {
+    const { base_delay_ms, max_delay_ms } = this.retry_policy;
+    return Math.min(base_delay_ms * Math.pow(2, attempts_made - 1), max_delay_ms);
+  }
+
+  /**
+   * Rail reference of a leg's attempt: the settlement ID (with the leg key for
+   * settlements of several legs), suffixed with the attempt number from the second attempt on
+   * @private
+   */
+  getLegReference(settlement, leg, attempt) {
+    const base = this.settlement_methods[settlement.settlement_method].split || settlement.legs.length > 1
+      ? `${settlement.settlement_id}-${this.getLegKey(leg)}`
+      : settlement.settlement_id;
+    return attempt > 1 ? `${base}-r${attempt}` : base;
+  }
+
+  /**
+   * Send a payout through the rail of a settlement method and wait briefly for it to confirm
+   * @private
+   * @param {string} settlement_method - Method code
+   * @param {Object} payout - { reference, amount, currency, narration }
+   * @param {Object} merchant_account - Beneficiary details
+   * @returns {Promise<Object>} { status, rail, rail_reference, estimated_completion, transaction_details }
+   */
+  async processRail(settlement_method, payout, merchant_account) {
+    const method = this.settlement_methods[settlement_method];
+    const rail = this.getRail(method.rail);
+    let update;
+
+    try {
+      update = await this.awaitConfirmation(rail, await rail.initiate({ ...payout, beneficiary: merchant_account }));
+    } catch (error) {
+      if (error.code !== 'RAIL_TIMEOUT') {
+        throw error;
       }
+
+      // The bank may still have accepted the payout: keep it open and let polling or a callback settle it
+      update = {
+        reference: payout.reference,
+        status: 'pending',
+        estimated_completion: null,
+        transaction_details: { method: rail.channel, rail: method.rail, bank_status: 'UNKNOWN', error: error.message }
+      };
+    }
+
+    if (update.status === 'failed' || update.status === 'cancelled') {
+      throw new UTPError(
+        `${method.name} ${update.status}: ${update.failure_reason || 'no reason given'}`,
+        update.failure_code || 'SETTLEMENT_RAIL_FAILED',
+        502
+      );
+    }
+
+    return {
+      status: update.status === 'completed' ? 'completed' : 'processing',
+      rail: method.rail,
+      rail_reference: payout.reference,
+      estimated_completion: update.estimated_completion || new Date().toISOString(),
+      transaction_details: update.transaction_details
     };
   }
 
   /**
-   * Process BINR settlement
+   * Poll a rail until the payout is final or confirmation_wait_ms has passed
    * @private
    */
-  async processBINR(settlement, merchant_account) {
-    // Simulate BINR token transfer
-    await this.simulateProcessingTime(500); // 500ms for token transfer
-    
-    return {
-      status: 'completed',
-      estimated_completion: new Date(Date.now() + 5000).toISOString(),
-      transaction_details: {
-        method: 'binr_transfer',
-        recipient_wallet: merchant_account.wallet_address,
-        transaction_hash: `0x${Math.random().toString(16).substr(2, 64)}`,
-        block_number: Math.floor(Math.random() * 1000000) + 18000000,
-        gas_used: 21000
+  async awaitConfirmation(rail, update) {
+    const deadline = Date.now() + this.confirmation_wait_ms;
+    let current = update;
+
+    while (!rail.isFinal(current.status) && Date.now() < deadline) {
+      await this.wait(this.rail_poll_interval_ms);
+      current = await rail.getStatus(current.reference);
+    }
+
+    return current;
+  }
+
+  /**
+   * Apply a payout status update from a rail to the settlement leg it belongs to
+   * @param {Object} update - Rail update ({ reference, status, failure_reason, transaction_details })
+   * @returns {Promise<Object|null>} Updated settlement, or null if no leg has that reference
+   */
+  async applyRailUpdate(update) {
+    const match = this.settlements.findOne(s => (s.legs || []).some(leg => leg.rail_reference === update.reference));
+    if (!match) {
+      return null;
+    }
+
+    let changed = false;
+    const settlement = await this.store.transaction(async () => {
+      const current = this.settlements.get(match.settlement_id);
+      const leg = current.legs.find(l => l.rail_reference === update.reference);
+
+      // Final legs never change, and a pending update carries no news
+      if (leg.status !== 'processing' || update.status === 'pending') {
+        return current;
       }
-    };
+
+      leg.transaction_details = { ...leg.transaction_details, ...update.transaction_details };
+      const attempt = (current.attempts || []).find(a => a.rail_reference === update.reference) || {};
+
+      if (update.status === 'failed') {
+        this.failLeg(leg, attempt, update.failure_code, update.failure_reason || 'Payout failed');
+      } else {
+        leg.status = update.status;
+        attempt.status = update.status;
+        if (update.status === 'cancelled') {
+          leg.failure_reason = update.failure_reason || update.status;
+        }
+      }
+      attempt.finished_at = new Date().toISOString();
+      this.last_polled.delete(update.reference);
+
+      // A leg awaiting a retry is still booked as paid out; only a final failure returns it
+      if (leg.status === 'failed' || leg.status === 'cancelled') {
+        await this.returnLeg(current, leg);
+      }
+
+      current.status = this.getStatusFromLegs(current.legs);
+      current.transaction_details = this.describeLegs(current.legs);
+      current.updated_at = new Date().toISOString();
+      if (current.status === 'completed') {
+        current.completed_at = current.updated_at;
+      }
+
+      this.settlements.set(current.settlement_id, current);
+      changed = true;
+      return current;
+    });
+
+    if (changed) {
+      this.emit('settlement_updated', settlement);
+    }
+
+    return settlement;
   }
 
   /**
-   * Process BGT settlement
+   * Book a leg that finally failed back to the merchant, cancelling any reserve
+   * withheld from it. Runs inside the transaction that stores the settlement.
    * @private
    */
-  async processBGT(settlement, merchant_account) {
-    // Simulate Gold token transfer
-    await this.simulateProcessingTime(800); // 800ms for gold token
-    
-    return {
-      status: 'completed',
-      estimated_completion: new Date(Date.now() + 10000).toISOString(),
-      transaction_details: {
-        method: 'bgt_transfer',
-        recipient_wallet: merchant_account.wallet_address,
-        token_amount: settlement.net_amount,
-        transaction_hash: `0x${Math.random().toString(16).substr(2, 64)}`,
-        block_number: Math.floor(Math.random() * 1000000) + 18000000
+  async returnLeg(settlement, leg) {
+    const entry = await this.ledger.recordPayoutReturn(settlement, leg, leg.failure_reason);
+    settlement.ledger_entry_ids = [...(settlement.ledger_entry_ids || []), entry.entry_id];
+    this.risk.cancelReserve(settlement.settlement_id, this.getLegKey(leg), leg.failure_reason);
+    return entry;
+  }
+
+  /**
+   * Handle a status callback posted by a rail
+   * @param {string} rail_code - Rail the callback is for (upi, neft, binr, bgt, bst, bpt)
+   * @param {Object} payload - Callback body
+   * @param {string} signature - Signature header
+   * @returns {Promise<Object|null>} Updated settlement, or null if the callback matches no settlement
+   */
+  async handleRailCallback(rail_code, payload, signature) {
+    const update = this.getRail(rail_code).handleCallback(payload, signature);
+    return this.applyRailUpdate(update);
+  }
+
+  /**
+   * Poll the rails for the open legs of a settlement
+   * @param {string} settlement_id - Settlement ID
+   * @param {Object} options - { due_only: skip legs polled within their rail's status_poll_interval_ms }
+   * @returns {Promise<Object>} Settlement status
+   */
+  async refreshSettlement(settlement_id, { due_only = false } = {}) {
+    const settlement = this.settlements.get(settlement_id);
+    if (!settlement) {
+      throw new UTPError('Settlement not found', 'SETTLEMENT_NOT_FOUND', 404);
+    }
+
+    const now = Date.now();
+    const legs = settlement.legs.filter(l => l.status === 'processing' && (!due_only || this.isPollDue(l, now)));
+    for (const leg of legs) {
+      this.last_polled.set(leg.rail_reference, now);
+      await this.applyRailUpdate(await this.getRail(leg.rail).getStatus(leg.rail_reference));
+    }
+
+    return this.getSettlementStatus(settlement_id);
+  }
+
+  /**
+   * Whether a processing leg's rail is due another status poll
+   * @private
+   */
+  isPollDue(leg, now) {
+    const last_polled = this.last_polled.get(leg.rail_reference);
+    return !last_polled || now - last_polled >= this.getRail(leg.rail).status_poll_interval_ms;
+  }
+
+  /**
+   * Poll the rails for every settlement still processing, each leg at most once per its rail's status_poll_interval_ms
+   * @returns {Promise<number>} Settlements that changed status
+   */
+  async pollProcessingSettlements() {
+    let updated = 0;
+
+    for (const settlement of this.settlements.find({ status: 'processing' })) {
+      try {
+        const refreshed = await this.refreshSettlement(settlement.settlement_id, { due_only: true });
+        if (refreshed.status !== 'processing') {
+          updated++;
+        }
+      } catch (error) {
+        console.error(`Settlement status poll failed for ${settlement.settlement_id}:`, error.message);
       }
-    };
+    }
+
+    return updated;
+  }
+
+  /**
+   * Cancel the legs of a settlement its rails have not paid yet
+   * @param {string} settlement_id - Settlement ID
+   * @param {string} reason - Cancellation reason
+   * @returns {Promise<Object>} Settlement status
+   */
+  async cancelSettlement(settlement_id, reason = 'cancelled') {
+    const settlement = this.settlements.get(settlement_id);
+    if (!settlement) {
+      throw new UTPError('Settlement not found', 'SETTLEMENT_NOT_FOUND', 404);
+    }
+
+    const open_legs = settlement.legs.filter(leg => leg.status === 'processing');
+    if (open_legs.length === 0) {
+      throw new UTPError(`Settlement is ${settlement.status} and cannot be cancelled`, 'SETTLEMENT_NOT_CANCELLABLE', 409);
+    }
+
+    for (const leg of open_legs) {
+      const update = await this.getRail(leg.rail).cancel(leg.rail_reference);
+      await this.applyRailUpdate({ ...update, failure_reason: update.status === 'cancelled' ? reason : update.failure_reason });
+    }
+
+    return this.getSettlementStatus(settlement_id);
   }
 
   /**
-   * Process Mixed settlement
+   * Retry every payout leg whose backoff has elapsed; legs of frozen merchants wait for the freeze to lift
+   * @param {Date} now - Retry legs due at or before this time
+   * @returns {Promise<number>} Legs retried
+   */
+  async processDueRetries(now = new Date()) {
+    if (this.retrying) {
+      return 0;
+    }
+
+    this.retrying = true;
+    let retried = 0;
+
+    try {
+      const due = this.settlements.find(s =>
+        (s.legs || []).some(leg => this.isRetryDue(leg, now)) && !this.risk.isPayoutBlocked(s.merchant_id) && !s.reversed_amount
+      );
+      for (const settlement of due) {
+        try {
+          retried += await this.retrySettlement(settlement.settlement_id, now);
+        } catch (error) {
+          console.error(`Settlement retry failed for ${settlement.settlement_id}:`, error.message);
+        }
+      }
+    } finally {
+      this.retrying = false;
+    }
+
+    return retried;
+  }
+
+  /**
+   * Make the next attempt for the legs of a settlement that are due a retry
    * @private
+   * @returns {Promise<number>} Legs retried
    */
-  async processMixed(settlement, merchant_account) {
-    // Split settlement: 50% BINR, 50% INR
-    const binr_amount = settlement.net_amount * 0.5;
-    const inr_amount = settlement.net_amount * 0.5;
-    
-    await this.simulateProcessingTime(1500); // 1.5 seconds for mixed
-    
-    return {
-      status: 'completed',
-      estimated_completion: new Date(Date.now() + 15000).toISOString(),
-      transaction_details: {
-        method: 'mixed',
-        binr_amount: Math.round(binr_amount * 100) / 100,
-        inr_amount: Math.round(inr_amount * 100) / 100,
-        binr_transaction: `0x${Math.random().toString(16).substr(2, 64)}`,
-        inr_reference: `MI${Date.now()}`
+  async retrySettlement(settlement_id, now) {
+    // Attempt on a copy: rail calls happen outside the transaction that stores the outcome
+    const settlement = structuredClone(this.settlements.get(settlement_id));
+    // Money taken back from a settlement must not be paid out by a retry
+    if (settlement.reversed_amount > 0) {
+      throw new UTPError(`Settlement ${settlement_id} has been reversed; its payouts are not retried`, 'SETTLEMENT_REVERSED', 409);
+    }
+    const legs = settlement.legs.filter(leg => this.isRetryDue(leg, now));
+
+    for (const leg of legs) {
+      await this.attemptLeg(settlement, leg);
+    }
+
+    const updated = await this.store.transaction(async () => {
+      const current = this.settlements.get(settlement_id);
+      const known_attempts = new Set((current.attempts || []).map(attempt => attempt.attempt_id));
+      current.attempts = [
+        ...(current.attempts || []),
+        ...settlement.attempts.filter(attempt => !known_attempts.has(attempt.attempt_id))
+      ];
+
+      for (const leg of legs) {
+        current.legs[current.legs.findIndex(l => this.getLegKey(l) === this.getLegKey(leg))] = leg;
+        if (leg.status === 'failed') {
+          await this.returnLeg(current, leg);
+        }
+      }
+
+      current.status = this.getStatusFromLegs(current.legs);
+      current.transaction_details = this.describeLegs(current.legs);
+      current.updated_at = new Date().toISOString();
+      if (current.status === 'completed') {
+        current.completed_at = current.updated_at;
+      }
+
+      this.settlements.set(settlement_id, current);
+      return current;
+    });
+
+    this.emit('settlement_updated', updated);
+    return legs.length;
+  }
+
+  /**
+   * Whether a leg's next attempt is due
+   * @private
+   */
+  isRetryDue(leg, now) {
+    return leg.status === 'retry_scheduled' && new Date(leg.next_retry_at) <= now;
+  }
+
+  /**
+   * Earliest retry scheduled on a settlement's legs
+   * @private
+   */
+  getNextRetryAt(settlement) {
+    const retries = (settlement.legs || [])
+      .filter(leg => leg.status === 'retry_scheduled')
+      .map(leg => leg.next_retry_at)
+      .sort();
+    return retries[0] || null;
+  }
+
+  /**
+   * Claw back the completed token payouts of a settlement (POST /api/settlement/:id/reverse).
+   * Each leg is reversed on its rail and booked back to the merchant's payable balance,
+   * which first pays off what refunds of the settlement left the merchant owing.
+   * @param {string} settlement_id - Settlement ID
+   * @param {Object} reversal_data - { reason, requested_by }
+   * @returns {Promise<Object>} Settlement status
+   */
+  async clawbackSettlement(settlement_id, reversal_data = {}) {
+    const { reason = 'clawback', requested_by = null } = reversal_data;
+    const settlement = this.settlements.get(settlement_id);
+    if (!settlement) {
+      throw new UTPError('Settlement not found', 'SETTLEMENT_NOT_FOUND', 404);
+    }
+
+    const legs = settlement.legs.filter(leg => REVERSIBLE_CURRENCIES.includes(leg.currency) && leg.status === 'completed');
+    if (legs.length === 0) {
+      throw new UTPError(
+        `Settlement is ${settlement.status} and has no completed token payout to reverse`,
+        'SETTLEMENT_NOT_REVERSIBLE',
+        409
+      );
+    }
+
+    for (const leg of legs) {
+      const update = await this.getRail(leg.rail).reverse(leg.rail_reference, { reason });
+      if (update.status !== 'reversed') {
+        throw new UTPError(`${leg.currency.toUpperCase()} payout was not reversed: ${update.status}`, 'SETTLEMENT_REVERSAL_FAILED', 502);
+      }
+
+      // Book each leg as soon as its rail has reversed it
+      await this.store.transaction(async () => {
+        const current = this.settlements.get(settlement_id);
+        const current_leg = current.legs.find(l => this.getLegKey(l) === this.getLegKey(leg));
+        current_leg.status = 'reversed';
+        current_leg.transaction_details = { ...current_leg.transaction_details, ...update.transaction_details };
+
+        const entry = await this.ledger.recordClawback(current, current_leg, reason);
+        const recoveries = await this.recoverReceivables(current, current_leg);
+        const reversed_at = new Date().toISOString();
+
+        current.reversals = [...(current.reversals || []), {
+          reversal_id: uuidv4(),
+          settlement_id,
+          type: 'clawback',
+          amount: this.getPayoutAmount(current_leg),
+          currency: current_leg.currency,
+          reason,
+          requested_by,
+          status: 'completed',
+          rail_reference: current_leg.rail_reference,
+          reversal_hash: update.transaction_details.reversal_hash || null,
+          ledger_entry_id: entry.entry_id,
+          reversed_at
+        }];
+        current.reversed_amount = this.roundAmount(
+          (current.reversed_amount || 0) + this.getLegValue(current_leg, this.getPayoutAmount(current_leg)),
+          current.currency
+        );
+        current.ledger_entry_ids = [...(current.ledger_entry_ids || []), entry.entry_id, ...recoveries.map(recovery => recovery.entry_id)];
+        current.status = this.getStatusFromLegs(current.legs);
+        current.reversal_status = this.getReversalStatus(current);
+        current.transaction_details = this.describeLegs(current.legs);
+        current.updated_at = reversed_at;
+
+        this.settlements.set(settlement_id, current);
+      });
+    }
+
+    this.emit('settlement_updated', this.settlements.get(settlement_id));
+    return this.getSettlementStatus(settlement_id);
+  }
+
+  /**
+   * Set a clawed back leg against what the settlement's pending refund reversals left the
+   * merchant owing. A reversal completes once all of it is recovered.
+   * @private
+   * @returns {Promise<Array>} Recovery entries
+   */
+  async recoverReceivables(settlement, leg) {
+    const pending = (settlement.reversals || []).filter(reversal => reversal.refund_id && reversal.status === 'pending');
+    const entries = await this.ledger.recordReceivableRecovery(settlement, leg, pending);
+
+    for (const reversal of pending) {
+      const recoveries = entries.filter(entry => entry.metadata.reversal_id === reversal.reversal_id);
+      reversal.ledger_entry_ids = [...(reversal.ledger_entry_ids || []), ...recoveries.map(entry => entry.entry_id)];
+      if (Object.keys(this.ledger.getRefundReceivable(reversal.refund_id, settlement.merchant_id)).length === 0) {
+        reversal.status = 'completed';
+        reversal.recovered_at = new Date().toISOString();
       }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get the adapter for a rail
+   * @private
+   */
+  getRail(rail_code) {
+    const rail = this.rails.get(rail_code);
+    if (!rail) {
+      throw new UTPError(`No settlement rail configured for ${rail_code}`, 'SETTLEMENT_RAIL_NOT_FOUND', 404);
+    }
+    return rail;
+  }
+
+  /**
+   * Derive a settlement status from its legs
+   * @param {Array} legs - Legs with a status
+   * @returns {string} Settlement status
+   */
+  getStatusFromLegs(legs) {
+    const statuses = legs.map(leg => leg.status);
+
+    if (statuses.every(status => status === 'completed')) return 'completed';
+    if (statuses.some(status => status === 'processing' || status === 'pending')) return 'processing';
+    if (statuses.some(status => status === 'retry_scheduled')) return 'retry_scheduled';
+    if (statuses.every(status => status === 'reversed')) return 'reversed';
+    if (statuses.some(status => status === 'reversed')) return 'partially_reversed';
+    if (statuses.every(status => status === 'cancelled')) return 'cancelled';
+    if (statuses.some(status => status === 'completed')) return 'partially_failed';
+    return 'failed';
+  }
+
+  /**
+   * How much of a settlement has been reversed, by refunds or clawbacks
+   * @param {Object} settlement - Settlement with its reversed_amount
+   * @returns {string|null} reversed, partially_reversed, or null if nothing was reversed
+   */
+  getReversalStatus(settlement) {
+    if (!(settlement.reversed_amount > 0)) return null;
+    return settlement.reversed_amount >= settlement.net_amount ? 'reversed' : 'partially_reversed';
+  }
+
+  /**
+   * Transaction details of a settlement: the leg's own for a single leg, one entry per leg otherwise
+   * @private
+   */
+  describeLegs(legs) {
+    return legs.length === 1 ? legs[0].transaction_details || null : this.describeMixedLegs(legs);
+  }
+
+  /**
+   * Transaction details of a mixed or split settlement, one entry per leg
+   * @private
+   */
+  describeMixedLegs(legs) {
+    return {
+      method: new Set(legs.map(leg => leg.currency)).size > 1 ? 'mixed' : 'split',
+      legs: legs.map(leg => ({
+        currency: leg.currency,
+        ...(leg.destination_id && { destination_id: leg.destination_id }),
+        amount: this.getPayoutAmount(leg),
+        value: leg.net_value,
+        settlement_method: leg.settlement_method,
+        status: leg.status,
+        ...leg.transaction_details
+      }))
     };
   }
 
   /**
-   * Simulate processing time
+   * Payment narration shown on the merchant's statement
+   * @private
+   */
+  getNarration(settlement) {
+    return `UTP settlement ${settlement.settlement_id}`;
+  }
+
+  /**
+   * Round an amount to the precision of its currency (paise for INR-valued, 8 decimals for metal tokens)
+   * @private
+   */
+  roundAmount(value, currency) {
+    const decimals = ['bgt', 'bst', 'bpt'].includes(currency) ? 8 : 2;
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * Wait between rail status polls
    * @private
    */
-  async simulateProcessingTime(ms) {
+  async wait(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   /**
-   * Get service status
+   * Get service status with live settlement counts
    */
   getStatus() {
+    const status_counts = {};
+    let total_volume = 0;
+
+    let reversed_settlements = 0;
+
+    for (const settlement of this.settlements.values()) {
+      status_counts[settlement.status] = (status_counts[settlement.status] || 0) + 1;
+      if (settlement.reversal_status) {
+        reversed_settlements++;
+      }
+      if (settlement.currency === 'inr' && settlement.status === 'completed') {
+        total_volume += settlement.amount;
+      }
+    }
+
     return {
       service: 'UTP Settlement Service',
       status: 'active',
-      uptime: '99.99%',
       settlement_methods: Object.keys(this.settlement_methods).length,
-      pending_settlements: Array.from(this.settlements.values()).filter(s => s.status === 'pending').length,
-      completed_settlements: Array.from(this.settlements.values()).filter(s => s.status === 'completed').length,
+      total_settlements: this.settlements.size,
+      pending_settlements: status_counts.pending || 0,
+      processing_settlements: status_counts.processing || 0,
+      completed_settlements: status_counts.completed || 0,
+      failed_settlements: status_counts.failed || 0,
+      retry_scheduled_settlements: status_counts.retry_scheduled || 0,
+      reversed_settlements,
+      status_counts,
+      retry_policy: {
+        max_attempts: this.retry_policy.max_attempts,
+        base_delay_ms: this.retry_policy.base_delay_ms,
+        max_delay_ms: this.retry_policy.max_delay_ms
+      },
+      completed_inr_volume: Math.round(total_volume * 100) / 100,
       last_updated: new Date().toISOString()
     };
   }
 }
 
-module.exports = UTPSettlementService;
\ No newline at end of file
+module.exports = UTPSettlementService;
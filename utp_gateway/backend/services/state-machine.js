@@ -0,0 +1,97 @@
+/**
+ * UTP State Machine
+ * Validates status transitions and records a timestamped history on the entity
+ */
+class UTPStateMachine {
+  /**
+   * @param {string} entity - Entity name used in error messages (e.g. 'payment')
+   * @param {Object} transitions - Map of status to the statuses it may move to
+   */
+  constructor(entity, transitions) {
+    this.entity = entity;
+    this.transitions = transitions;
+  }
+
+  /**
+   * Get all known statuses
+   * @returns {Array} Status names
+   */
+  getStatuses() {
+    return Object.keys(this.transitions);
+  }
+
+  /**
+   * Check whether a transition is allowed
+   * @param {string} from - Current status
+   * @param {string} to - Target status
+   * @returns {boolean}
+   */
+  canTransition(from, to) {
+    return (this.transitions[from] || []).includes(to);
+  }
+
+  /**
+   * Check whether a status has no outgoing transitions
+   * @param {string} status - Status name
+   * @returns {boolean}
+   */
+  isTerminal(status) {
+    return (this.transitions[status] || []).length === 0;
+  }
+
+  /**
+   * Set the initial status of an entity
+   * @param {Object} record - Entity record
+   * @param {string} status - Initial status
+   * @returns {Object} The updated record
+   */
+  initialize(record, status) {
+    if (!this.transitions[status]) {
+      throw new Error(`Unknown ${this.entity} status: ${status}`);
+    }
+
+    record.status = status;
+    record.status_history = [{
+      from: null,
+      to: status,
+      reason: 'created',
+      timestamp: new Date().toISOString()
+    }];
+
+    return record;
+  }
+
+  /**
+   * Move an entity to a new status
+   * @param {Object} record - Entity record
+   * @param {string} to - Target status
+   * @param {Object} details - Extra fields stored on the history entry (e.g. reason, actor)
+   * @returns {Object} The history entry
+   */
+  transition(record, to, details = {}) {
+    const from = record.status;
+
+    if (!this.transitions[to]) {
+      throw new Error(`Unknown ${this.entity} status: ${to}`);
+    }
+
+    if (!this.canTransition(from, to)) {
+      throw new Error(`Invalid ${this.entity} status transition: ${from} -> ${to}`);
+    }
+
+    const entry = {
+      from,
+      to,
+      ...details,
+      timestamp: new Date().toISOString()
+    };
+
+    record.status = to;
+    record.status_history = record.status_history || [];
+    record.status_history.push(entry);
+
+    return entry;
+  }
+}
+
+module.exports = UTPStateMachine;
@@ -0,0 +1,326 @@
+const { UTPError } = require('../middleware/error.middleware');
+
+// CSV header names (lower case, punctuation stripped) recognised for each statement field
+const CSV_COLUMNS = {
+  date: ['date', 'txn date', 'transaction date', 'posting date', 'tran date'],
+  value_date: ['value date', 'value dt'],
+  description: ['description', 'narration', 'particulars', 'remarks', 'details'],
+  reference: ['reference', 'ref no', 'ref no utr', 'utr', 'utr no', 'chq ref no', 'cheque ref no', 'transaction id'],
+  debit: ['debit', 'withdrawal', 'withdrawal amt', 'withdrawal amount', 'dr', 'debit amount'],
+  credit: ['credit', 'deposit', 'deposit amt', 'deposit amount', 'cr', 'credit amount'],
+  amount: ['amount', 'txn amount', 'transaction amount'],
+  type: ['type', 'dr cr', 'debit credit', 'cr dr'],
+  balance: ['balance', 'closing balance', 'running balance']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parse a bank statement file into statement lines
+ * @param {string} content - File content
+ * @param {string} format - csv or mt940 (detected from the content when omitted)
+ * @returns {Object} { format, account_number, statement_number, opening_balance, closing_balance, lines }
+ * Each line is { line_number, date, value_date, description, reference, amount, direction, balance, raw }
+ */
+const parseStatement = (content, format) => {
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new UTPError('Statement content is empty', 'INVALID_STATEMENT', 400);
+  }
+
+  const statement_format = (format || detectFormat(content)).toLowerCase();
+  switch (statement_format) {
+    case 'csv':
+      return parseCsv(content);
+    case 'mt940':
+      return parseMt940(content);
+    default:
+      throw new UTPError(`Unsupported statement format: ${format}. Supported: csv, mt940`, 'INVALID_STATEMENT_FORMAT', 400);
+  }
+};
+
+/**
+ * Guess the format of a statement file
+ * @param {string} content - File content
+ * @returns {string} csv or mt940
+ */
+const detectFormat = (content) => (/^:20:/m.test(content) && /^:61:/m.test(content) ? 'mt940' : 'csv');
+
+/**
+ * Parse a CSV statement with a header row. Amounts come either as separate
+ * debit/credit columns or as one amount column (negative, or with a Dr/Cr type, for debits).
+ * @param {string} content - CSV text
+ * @returns {Object} Parsed statement
+ */
+const parseCsv = (content) => {
+  const rows = splitCsvRows(content).filter(row => row.some(cell => cell.trim() !== ''));
+  const header_index = rows.findIndex(row => findColumn(row, 'date') !== -1 &&
+    (findColumn(row, 'debit') !== -1 || findColumn(row, 'amount') !== -1));
+
+  if (header_index === -1) {
+    throw new UTPError('CSV statement needs a header row with a date and a debit or amount column', 'INVALID_STATEMENT', 400);
+  }
+
+  const header = rows[header_index];
+  const columns = Object.fromEntries(Object.keys(CSV_COLUMNS).map(field => [field, findColumn(header, field)]));
+  const cell = (row, field) => (columns[field] === -1 ? '' : (row[columns[field]] || '').trim());
+  const lines = [];
+
+  rows.slice(header_index + 1).forEach((row, index) => {
+    const line_number = header_index + index + 2;
+    let amount;
+    let direction;
+
+    if (columns.debit !== -1 && parseAmount(cell(row, 'debit'))) {
+      amount = parseAmount(cell(row, 'debit'));
+      direction = 'debit';
+    } else if (columns.credit !== -1 && parseAmount(cell(row, 'credit'))) {
+      amount = parseAmount(cell(row, 'credit'));
+      direction = 'credit';
+    } else if (columns.amount !== -1 && cell(row, 'amount') !== '') {
+      const raw_amount = cell(row, 'amount');
+      const signed = parseAmount(raw_amount, true);
+      const type = `${cell(row, 'type')} ${raw_amount}`.toLowerCase();
+      amount = Math.abs(signed);
+      direction = signed < 0 || /\b(dr|debit)\b/.test(type) ? 'debit' : 'credit';
+    }
+
+    // Opening/closing balance rows and notes carry no amount
+    if (!amount) return;
+
+    lines.push({
+      line_number,
+      date: parseDate(cell(row, 'date'), line_number),
+      value_date: cell(row, 'value_date') ? parseDate(cell(row, 'value_date'), line_number) : null,
+      description: cell(row, 'description'),
+      reference: cell(row, 'reference') || null,
+      amount,
+      direction,
+      balance: cell(row, 'balance') ? parseAmount(cell(row, 'balance'), true) : null,
+      raw: row.join(',')
+    });
+  });
+
+  return {
+    format: 'csv',
+    account_number: null,
+    statement_number: null,
+    opening_balance: null,
+    closing_balance: null,
+    lines
+  };
+};
+
+/**
+ * Parse a SWIFT MT940 customer statement
+ * - :25: account, :28C: statement number, :60F:/:62F: opening and closing balance
+ * - :61: one statement line (value date, entry date, D/C mark, amount, type, references)
+ * - :86: narrative of the preceding :61: line
+ * @param {string} content - MT940 text
+ * @returns {Object} Parsed statement
+ */
+const parseMt940 = (content) => {
+  const statement = {
+    format: 'mt940',
+    account_number: null,
+    statement_number: null,
+    opening_balance: null,
+    closing_balance: null,
+    lines: []
+  };
+
+  // Join continuation lines onto the tag they belong to
+  const fields = [];
+  content.split(/\r?\n/).forEach((text, index) => {
+    const match = text.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (match) {
+      fields.push({ tag: match[1], value: match[2], line_number: index + 1 });
+    } else if (fields.length > 0 && text.trim() !== '' && !/^-\}?$/.test(text.trim())) {
+      fields[fields.length - 1].value += `\n${text}`;
+    }
+  });
+
+  let current = null;
+  for (const field of fields) {
+    switch (field.tag) {
+      case '25':
+        statement.account_number = field.value.trim();
+        break;
+      case '28C':
+        statement.statement_number = field.value.trim();
+        break;
+      case '60F':
+      case '60M':
+        statement.opening_balance = parseMt940Balance(field.value);
+        break;
+      case '62F':
+      case '62M':
+        statement.closing_balance = parseMt940Balance(field.value);
+        break;
+      case '61':
+        current = parseMt940Line(field.value, field.line_number);
+        statement.lines.push(current);
+        break;
+      case '86':
+        if (current) {
+          current.description = field.value.replace(/\n/g, ' ').trim();
+          current.raw += `\n:86:${field.value}`;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (statement.lines.length === 0 && !fields.some(field => field.tag === '20')) {
+    throw new UTPError('MT940 statement has no :20: header or :61: lines', 'INVALID_STATEMENT', 400);
+  }
+
+  return statement;
+};
+
+/**
+ * Parse the value of an MT940 :61: field
+ * @private
+ */
+const parseMt940Line = (value, line_number) => {
+  const [first_line, ...details] = value.split('\n');
+  const match = first_line.match(/^(\d{6})(\d{4})?(R?[CD])([A-Z])?(\d+,\d*)([A-Z]\w{3})([^/]*)(?:\/\/(.*))?$/);
+
+  if (!match) {
+    throw new UTPError(`Invalid MT940 :61: line ${line_number}: ${first_line}`, 'INVALID_STATEMENT', 400);
+  }
+
+  const [, value_date, entry_date, mark, , amount, transaction_type, customer_reference, bank_reference] = match;
+  const date = parseMt940Date(value_date);
+  // Reversal marks (RC, RD) move money the opposite way
+  const debit = mark === 'D' || mark === 'RC';
+
+  return {
+    line_number,
+    date: entry_date ? `${date.slice(0, 5)}${entry_date.slice(0, 2)}-${entry_date.slice(2)}` : date,
+    value_date: date,
+    description: details.join(' ').trim(),
+    reference: customer_reference && customer_reference !== 'NONREF' ? customer_reference.trim() : null,
+    bank_reference: bank_reference ? bank_reference.trim() : null,
+    transaction_type,
+    amount: parseFloat(amount.replace(',', '.')),
+    direction: debit ? 'debit' : 'credit',
+    balance: null,
+    raw: `:61:${value}`
+  };
+};
+
+/**
+ * Parse an MT940 balance (D/C mark, YYMMDD date, currency, amount)
+ * @private
+ */
+const parseMt940Balance = (value) => {
+  const match = value.trim().match(/^([CD])(\d{6})([A-Z]{3})(\d+,\d*)$/);
+  if (!match) return null;
+
+  const amount = parseFloat(match[4].replace(',', '.'));
+  return {
+    date: parseMt940Date(match[2]),
+    currency: match[3],
+    amount: match[1] === 'D' ? -amount : amount
+  };
+};
+
+// YYMMDD -> YYYY-MM-DD
+const parseMt940Date = (value) => `20${value.slice(0, 2)}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+
+/**
+ * Parse a statement date (YYYY-MM-DD, DD/MM/YYYY, DD-MM-YY or DD-Mon-YYYY) to YYYY-MM-DD
+ * @private
+ */
+const parseDate = (value, line_number) => {
+  const text = value.trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  match = text.match(/^(\d{1,2})[/.\- ]([A-Za-z]{3}|\d{1,2})[/.\- ](\d{2}|\d{4})$/);
+  if (match) {
+    const month = /^\d+$/.test(match[2]) ? parseInt(match[2]) : MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    if (month >= 1 && month <= 12) {
+      return `${year}-${String(month).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    }
+  }
+
+  throw new UTPError(`Invalid date on statement line ${line_number}: ${value}`, 'INVALID_STATEMENT', 400);
+};
+
+/**
+ * Parse an amount such as "1,23,456.78", "₹ 500.00 Dr" or "-20"
+ * @private
+ */
+const parseAmount = (value, signed = false) => {
+  const text = String(value || '').replace(/[₹,\s]|INR|Dr|Cr/gi, '');
+  if (text === '') return 0;
+
+  const amount = parseFloat(text.replace(/^\((.*)\)$/, '-$1'));
+  if (!Number.isFinite(amount)) return 0;
+  return signed ? amount : Math.abs(amount);
+};
+
+/**
+ * Find the column of a statement field in a CSV header row
+ * @private
+ */
+const findColumn = (header, field) => {
+  const names = header.map(name => name.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim());
+  return names.findIndex(name => CSV_COLUMNS[field].includes(name));
+};
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells with commas, quotes and newlines
+ * @private
+ */
+const splitCsvRows = (content) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+module.exports = {
+  parseStatement,
+  parseCsv,
+  parseMt940,
+  detectFormat
+};
@@ -5,7 +5,9 @@ let dashboardState = {
     currentSection: 'overview',
     merchantData: {},
     transactions: [],
-    analytics: {}
+    analytics: {},
+    livePrices: {},
+    priceStream: null
 };
 
 // Initialize dashboard
@@ -479,6 +481,9 @@ function getToastIcon(type) {
 
 // Real-time updates
 function startRealTimeUpdates() {
+    // Stream live token prices over WebSocket
+    startPriceStream();
+    
     // Update metrics every 30 seconds
     setInterval(() => {
         if (dashboardState.currentSection === 'overview') {
@@ -494,6 +499,58 @@ function startRealTimeUpdates() {
     }, 15000);
 }
 
+function startPriceStream() {
+    if (typeof UTPPriceStreamClient === 'undefined') {
+        return;
+    }
+    
+    dashboardState.priceStream = new UTPPriceStreamClient({ assets: ['bgt', 'bst', 'bpt', 'binr'] })
+        .on('price', (message) => updateLivePrice(message.asset_type, message.price.price))
+        .on('price_feed_halted', (message) => setLivePriceHalted(message.asset_type, true))
+        .on('price_feed_resumed', (message) => setLivePriceHalted(message.asset_type, false))
+        .on('status', updatePriceStreamStatus)
+        .connect();
+}
+
+function updateLivePrice(asset, price) {
+    dashboardState.livePrices[asset] = price;
+    
+    const element = document.querySelector(`.live-price[data-price-asset="${asset}"]`);
+    if (!element) return;
+    
+    const unit = asset === 'binr' ? '' : '/g';
+    const formatted = new Intl.NumberFormat('en-IN', {
+        style: 'currency',
+        currency: 'INR',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    }).format(price);
+    element.querySelector('.live-price-value').textContent = `${formatted}${unit}`;
+    element.classList.remove('halted');
+    
+    // Briefly highlight the update
+    element.classList.add('updated');
+    setTimeout(() => element.classList.remove('updated'), 1000);
+}
+
+function setLivePriceHalted(asset, halted) {
+    const element = document.querySelector(`.live-price[data-price-asset="${asset}"]`);
+    if (!element) return;
+    
+    element.classList.toggle('halted', halted);
+    if (halted) {
+        element.querySelector('.live-price-value').textContent = 'Halted';
+    }
+}
+
+function updatePriceStreamStatus(status) {
+    const indicator = document.getElementById('priceStreamStatus');
+    if (!indicator) return;
+    
+    indicator.className = `dashboard-status ${status}`;
+    indicator.innerHTML = `<i class="fas fa-circle"></i> ${status === 'online' ? 'Live' : 'Offline'}`;
+}
+
 function checkForNewTransactions() {
     // In a real implementation, this would check for new transactions
     console.log('Checking for new transactions...');
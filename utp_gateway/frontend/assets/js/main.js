@@ -18,6 +18,7 @@ function initializeApp() {
     
     // Initialize API connections
     initializeAPIConnections();
+    initializePriceStream();
     
     console.log('✅ UTP Gateway initialized successfully!');
 }
@@ -232,6 +233,45 @@ async function initializeAPIConnections() {
     }
 }
 
+// Live token prices for the conversion widget
+const livePrices = {};
+
+function initializePriceStream() {
+    if (typeof UTPPriceStreamClient === 'undefined') {
+        return;
+    }
+    
+    new UTPPriceStreamClient({ assets: ['bgt', 'bst', 'bpt', 'binr'] })
+        .on('price', (message) => updateLivePrice(message.asset_type, message.price.price))
+        .connect();
+}
+
+function updateLivePrice(asset, price) {
+    livePrices[asset] = price;
+    
+    // Token cards
+    document.querySelectorAll(`[data-live-price="${asset}"]`).forEach(element => {
+        const formatted = price.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        element.textContent = asset === 'binr' ? `₹${formatted}` : `₹${formatted}/g`;
+    });
+    
+    // Hero payment demo: token amount for the demo payment
+    const demoAmountElement = document.querySelector('.demo-amount');
+    const tokenPrice = document.querySelector(`.token-option[data-token="${asset}"] .token-price`);
+    if (demoAmountElement && tokenPrice) {
+        const demoAmount = parseFloat(demoAmountElement.textContent.replace(/[^0-9.]/g, '')) || 0;
+        const tokenAmount = demoAmount / price;
+        tokenPrice.textContent = asset === 'binr'
+            ? `${tokenAmount.toLocaleString('en-IN', { maximumFractionDigits: 2 })} BINR`
+            : `${tokenAmount.toFixed(2)}g`;
+    }
+    
+    // Payment demo modal, if open
+    if (document.getElementById('demoAmount')) {
+        updateDemoConversion();
+    }
+}
+
 // Update system status indicator
 function updateSystemStatus(status) {
     const statusIndicators = document.querySelectorAll('.dashboard-status');
@@ -341,7 +381,8 @@ function updateDemoConversion() {
     
     const conversion = conversions[token];
     if (conversion) {
-        const convertedAmount = (amount / conversion.rate).toFixed(2);
+        const rate = livePrices[token] || conversion.rate;
+        const convertedAmount = (amount / rate).toFixed(2);
         conversionElement.textContent = `${convertedAmount} ${conversion.symbol}`;
     }
 }
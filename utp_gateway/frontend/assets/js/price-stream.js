@@ -0,0 +1,86 @@
+// UTP Gateway - Live price stream client (/ws/prices)
+
+class UTPPriceStreamClient {
+    constructor(options = {}) {
+        this.url = options.url || getPriceStreamURL();
+        this.token = options.token || localStorage.getItem('utp_access_token');
+        this.assets = options.assets || [];
+        this.pairs = options.pairs || [];
+        this.handlers = {};
+        this.socket = null;
+        this.reconnectDelay = 1000;
+        this.maxReconnectDelay = 30000;
+        this.closed = false;
+    }
+
+    // Register a handler for a message type (price, rate, price_feed_halted, ...)
+    on(type, handler) {
+        this.handlers[type] = this.handlers[type] || [];
+        this.handlers[type].push(handler);
+        return this;
+    }
+
+    connect() {
+        if (!('WebSocket' in window)) {
+            console.warn('⚠️ WebSocket not supported, live prices disabled');
+            return this;
+        }
+
+        this.closed = false;
+        const url = this.token ? `${this.url}?token=${encodeURIComponent(this.token)}` : this.url;
+        this.socket = new WebSocket(url);
+
+        this.socket.addEventListener('open', () => {
+            this.reconnectDelay = 1000;
+            this.send({ action: 'subscribe', assets: this.assets, pairs: this.pairs });
+            this.emit('status', 'online');
+        });
+
+        this.socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+            this.emit(message.type, message);
+        });
+
+        this.socket.addEventListener('close', () => {
+            this.emit('status', 'offline');
+            if (!this.closed) {
+                // Reconnect with backoff
+                setTimeout(() => this.connect(), this.reconnectDelay);
+                this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+            }
+        });
+
+        return this;
+    }
+
+    close() {
+        this.closed = true;
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    emit(type, payload) {
+        (this.handlers[type] || []).forEach(handler => handler(payload));
+    }
+}
+
+// Price stream URL for the gateway serving this page (falls back to the local API)
+function getPriceStreamURL() {
+    if (window.location.protocol === 'http:' || window.location.protocol === 'https:') {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host}/ws/prices`;
+    }
+    return 'ws://localhost:3002/ws/prices';
+}
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+
+/**
+ * Run the mock bank sandbox on its own port
+ * Point the gateway at it with BANK_API_URL=http://localhost:<BANK_SANDBOX_PORT>
+ */
+
+const express = require('express');
+const config = require('../backend/config');
+const { UTPMockBank, createMockBankRouter, SCENARIOS } = require('../backend/sandbox/mock-bank');
+
+const bank = new UTPMockBank({
+  ...config.bank.sandbox,
+  api_key: config.bank.api_key,
+  webhook_secret: config.bank.webhook_secret
+});
+
+const app = express();
+app.use(createMockBankRouter(bank));
+
+app.listen(config.bank.sandbox.port, () => {
+  console.log(`🏦 UTP Mock Bank running on http://localhost:${config.bank.sandbox.port}`);
+  console.log('Beneficiary scenarios:');
+  Object.entries(SCENARIOS).forEach(([scenario, description]) => {
+    console.log(`• ${scenario}* - ${description}`);
+  });
+});
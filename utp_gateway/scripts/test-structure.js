@@ -114,7 +114,8 @@ addTest('Middleware files exist', () => {
   const middlewareFiles = [
     'backend/middleware/auth.middleware.js',
     'backend/middleware/validation.middleware.js',
-    'backend/middleware/error.middleware.js'
+    'backend/middleware/error.middleware.js',
+    'backend/middleware/idempotency.middleware.js'
   ];
   
   return middlewareFiles.every(file => checkFile(file, file));
@@ -122,8 +123,33 @@ addTest('Middleware files exist', () => {
 
 addTest('Service files exist', () => {
   const serviceFiles = [
+    'backend/services/index.js',
     'backend/services/conversion.js',
-    'backend/services/settlement.js'
+    'backend/services/settlement.js',
+    'backend/services/state-machine.js',
+    'backend/services/price-feeds/index.js',
+    'backend/services/price-stream.js',
+    'backend/services/price-history.js',
+    'backend/services/ledger.js',
+    'backend/services/settlement-scheduler.js',
+    'backend/services/settlement-calendar.js',
+    'backend/services/mixed-split.js',
+    'backend/services/settlement-risk.js',
+    'backend/services/payout-destinations.js',
+    'backend/services/reconciliation.js',
+    'backend/services/statement-parser.js',
+    'backend/services/gst.js',
+    'backend/services/invoicing.js',
+    'backend/services/invoice-pdf.js',
+    'backend/services/kyc.js',
+    'backend/services/merchant-lifecycle.js',
+    'backend/services/fee-plans.js',
+    'backend/services/merchant-analytics.js',
+    'backend/services/marketplace.js',
+    'backend/services/rails/index.js',
+    'backend/sandbox/mock-bank.js',
+    'backend/models/index.js',
+    'backend/models/repository.js'
   ];
   
   return serviceFiles.every(file => checkFile(file, file));
@@ -135,9 +161,11 @@ addTest('Route files exist', () => {
     'backend/routes/payments.routes.js',
     'backend/routes/merchant.routes.js',
     'backend/routes/settlement.routes.js',
+    'backend/routes/reconciliation.routes.js',
     'backend/routes/conversion.routes.js',
     'backend/routes/integration.routes.js',
-    'backend/routes/admin.routes.js'
+    'backend/routes/admin.routes.js',
+    'backend/routes/ledger.routes.js'
   ];
   
   return routeFiles.every(file => checkFile(file, file));
@@ -157,7 +185,8 @@ addTest('Frontend assets exist', () => {
     'frontend/assets/css/main.css',
     'frontend/assets/css/dashboard.css',
     'frontend/assets/js/main.js',
-    'frontend/assets/js/dashboard.js'
+    'frontend/assets/js/dashboard.js',
+    'frontend/assets/js/price-stream.js'
   ];
   
   return assetFiles.every(file => checkFile(file, file));
@@ -0,0 +1,2 @@
+// Unit tests run against the in-memory store so they never touch the journal on disk
+process.env.DB_TYPE = 'memory';
@@ -0,0 +1,49 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { store } = require('../../backend/models');
+
+/**
+ * An app serving only the given routers, e.g. { '/api/payments': paymentRoutes }
+ */
+const createApp = (routers) => {
+  const app = express();
+  app.use(express.json());
+  for (const [mount_path, router] of Object.entries(routers)) {
+    app.use(mount_path, router);
+  }
+  return app;
+};
+
+/**
+ * Authorization header for a user, merchant or admin token
+ */
+const bearer = (user_id, user_type = 'customer') => {
+  const token = jwt.sign({ user_id, user_type }, process.env.JWT_SECRET || 'default-secret');
+  return `Bearer ${token}`;
+};
+
+/**
+ * Register a merchant straight in the store, active unless told otherwise
+ */
+const seedMerchant = (merchant_id, overrides = {}) => {
+  const merchant = {
+    merchant_id,
+    business_name: `Merchant ${merchant_id}`,
+    business_type: 'private_limited',
+    status: 'active',
+    kyc_status: 'pending',
+    verification_level: 1,
+    bank_details: { vpa: `${merchant_id}@upi`, account_number: '123456789012', ifsc_code: 'HDFC0001234', wallet_address: '0xabc' },
+    status_history: [],
+    registration_date: new Date().toISOString(),
+    ...overrides
+  };
+  store.collection('merchants').set(merchant_id, merchant);
+  return merchant;
+};
+
+module.exports = {
+  createApp,
+  bearer,
+  seedMerchant
+};
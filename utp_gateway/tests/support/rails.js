@@ -0,0 +1,87 @@
+const config = require('../../backend/config');
+const { SettlementRailAdapter } = require('../../backend/services/rails');
+
+/**
+ * A settlement rail that records every request and answers payouts from a script of
+ * outcomes: a status, or a partial rail update such as { status: 'failed', failure_code }.
+ * Payouts are completed once the script runs out.
+ */
+class TestRail extends SettlementRailAdapter {
+  constructor(rail, options = {}) {
+    super({ rail, name: rail.toUpperCase(), ...options });
+    this.type = 'test';
+    this.channel = options.channel || rail;
+    this.outcomes = [];
+    this.payouts = [];
+    this.updates = new Map(); // reference -> last rail update
+    this.cancelled = [];
+    this.reversed = [];
+    this.verifications = [];
+    this.name_at_bank = options.name_at_bank || null;
+  }
+
+  // Answer the next payouts with these outcomes
+  script(...outcomes) {
+    this.outcomes.push(...outcomes);
+    return this;
+  }
+
+  // Report a payout's final status, as the bank would on a later poll
+  settle(reference, status = 'completed') {
+    this.updates.set(reference, { ...this.updates.get(reference), status });
+  }
+
+  async initiate(payout) {
+    this.payouts.push(payout);
+    const outcome = this.outcomes.shift() || 'completed';
+    const update = {
+      reference: payout.reference,
+      rail_reference: `${this.rail}_${payout.reference}`,
+      transaction_details: {},
+      ...(typeof outcome === 'string' ? { status: outcome } : outcome)
+    };
+    this.updates.set(payout.reference, update);
+    return update;
+  }
+
+  async getStatus(reference) {
+    return this.updates.get(reference) || { reference, status: 'pending' };
+  }
+
+  handleCallback(payload) {
+    return payload;
+  }
+
+  async cancel(reference) {
+    this.cancelled.push(reference);
+    return { reference, status: 'cancelled' };
+  }
+
+  async reverse(reference) {
+    this.reversed.push(reference);
+    return { reference, status: 'reversed', transaction_details: { reversal_hash: `0x${reference}` } };
+  }
+
+  async verifyBeneficiary({ reference, beneficiary }) {
+    this.verifications.push(beneficiary);
+    return {
+      reference,
+      rail_reference: `${this.rail}_${reference}`,
+      status: 'verified',
+      method: 'penny_drop',
+      name_at_bank: this.name_at_bank || beneficiary.account_holder_name || 'Test Merchant',
+      transaction_details: {}
+    };
+  }
+}
+
+/**
+ * A TestRail for every configured rail, on the rail's channel
+ * @returns {Map<string, TestRail>}
+ */
+const createTestRails = () => new Map(Object.entries(config.rails).map(([rail, options]) => [rail, new TestRail(rail, { channel: options.channel })]));
+
+module.exports = {
+  TestRail,
+  createTestRails
+};
@@ -0,0 +1,111 @@
+const request = require('supertest');
+const UTPConversionService = require('../../backend/services/conversion');
+const StaticPriceFeed = require('../../backend/services/price-feeds/static');
+const { conversionService, settlementService } = require('../../backend/services');
+const paymentRoutes = require('../../backend/routes/payments.routes');
+const { createApp, seedMerchant } = require('../support/app');
+const { createTestRails } = require('../support/rails');
+
+const setPrices = (service, prices) => {
+  for (const [asset_type, price] of Object.entries(prices)) {
+    service.setPriceFeed(asset_type, new StaticPriceFeed({ name: `${asset_type} fixed`, price, unit: 'gram' }));
+  }
+};
+
+describe('UTPConversionService quotes', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new UTPConversionService();
+    setPrices(service, { bgt: 6000, binr: 1 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('freezes prices, spread, slippage and fee for the quote window', async () => {
+    const quote = await service.createQuote('binr', 'bgt', 12000);
+    setPrices(service, { bgt: 7000 });
+
+    const verified = service.verifyQuote(quote.quote_id, { from_asset: 'binr', to_asset: 'bgt', amount: 12000 });
+
+    expect(verified).toMatchObject({ price_from: 1, price_to: 6000, net_amount: quote.net_amount, status: 'open' });
+    expect(new Date(quote.expires_at) - new Date(quote.created_at)).toBe(service.quote_ttl_ms);
+  });
+
+  it('rejects a quote once it has expired', async () => {
+    const quote = await service.createQuote('binr', 'bgt', 12000);
+    jest.spyOn(Date, 'now').mockReturnValue(new Date(quote.expires_at).getTime());
+
+    expect(() => service.verifyQuote(quote.quote_id)).toThrow(expect.objectContaining({ code: 'QUOTE_EXPIRED', statusCode: 410 }));
+    expect(service.isQuoteExpired(quote.quote_id)).toBe(true);
+  });
+
+  it('rejects a quote whose locked terms were changed', async () => {
+    const quote = await service.createQuote('binr', 'bgt', 12000);
+    service.quotes.set(quote.quote_id, { ...quote, price_to: 5000 });
+
+    expect(() => service.verifyQuote(quote.quote_id)).toThrow(expect.objectContaining({ code: 'QUOTE_INVALID_SIGNATURE' }));
+  });
+
+  it('rejects a quote used for a different trade', async () => {
+    const quote = await service.createQuote('binr', 'bgt', 12000);
+
+    expect(() => service.verifyQuote(quote.quote_id, { amount: 13000 })).toThrow(expect.objectContaining({ code: 'QUOTE_MISMATCH' }));
+    expect(() => service.verifyQuote('quo_missing')).toThrow(expect.objectContaining({ code: 'QUOTE_NOT_FOUND' }));
+  });
+
+  it('holds a quote for one payment and frees it when that payment is not completed', async () => {
+    const quote = await service.createQuote('binr', 'bgt', 12000);
+
+    service.reserveQuote(quote.quote_id, 'pay_1');
+    expect(() => service.reserveQuote(quote.quote_id, 'pay_2')).toThrow(expect.objectContaining({ code: 'QUOTE_ALREADY_USED' }));
+
+    expect(service.releaseQuote(quote.quote_id, 'pay_1')).toBe(true);
+    expect(service.reserveQuote(quote.quote_id, 'pay_2').reserved_by).toBe('pay_2');
+  });
+
+  it('executes a quote only once', async () => {
+    const quote = await service.createQuote('binr', 'bgt', 12000);
+
+    service.consumeQuote(quote.quote_id);
+
+    expect(() => service.consumeQuote(quote.quote_id)).toThrow(expect.objectContaining({ code: 'QUOTE_ALREADY_USED' }));
+  });
+});
+
+describe('payments at a locked quote', () => {
+  const app = createApp({ '/api/payments': paymentRoutes });
+
+  const createPayment = quote_id => request(app).post('/api/payments/create')
+    .send({ customer_id: 'cus_1', merchant_id: 'mer_1', amount: 6000, currency: 'binr', settlement_type: 'bgt', quote_id });
+
+  beforeEach(() => {
+    settlementService.rails = createTestRails();
+    seedMerchant('mer_1');
+    setPrices(conversionService, { bgt: 6000, binr: 1 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('settles at the quoted amount even after prices move', async () => {
+    const quote = await conversionService.createQuote('binr', 'bgt', 6000, { merchant_id: 'mer_1' });
+    const created = await createPayment(quote.quote_id);
+    setPrices(conversionService, { bgt: 5000 });
+
+    const confirmed = await request(app).post('/api/payments/confirm').send({ payment_id: created.body.payment_id });
+
+    expect(confirmed.body.status).toBe('completed');
+    expect(confirmed.body.settlement.amount).toBe(quote.net_amount);
+  });
+
+  it('fails to confirm with QUOTE_EXPIRED once the customer\'s quote has expired', async () => {
+    const quote = await conversionService.createQuote('binr', 'bgt', 6000, { merchant_id: 'mer_1' });
+    const created = await createPayment(quote.quote_id);
+    const expired_at = new Date(quote.expires_at).getTime();
+    jest.spyOn(Date, 'now').mockReturnValue(expired_at);
+
+    const confirmed = await request(app).post('/api/payments/confirm').send({ payment_id: created.body.payment_id });
+
+    expect(confirmed.body).toMatchObject({ success: false, error_code: 'QUOTE_EXPIRED' });
+  });
+});
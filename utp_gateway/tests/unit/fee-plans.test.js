@@ -0,0 +1,136 @@
+const request = require('supertest');
+const StaticPriceFeed = require('../../backend/services/price-feeds/static');
+const { store } = require('../../backend/models');
+const { conversionService, settlementService, feePlans } = require('../../backend/services');
+const { boundFee } = require('../../backend/services/fee-plans');
+const merchantRoutes = require('../../backend/routes/merchant.routes');
+const settlementRoutes = require('../../backend/routes/settlement.routes');
+const adminRoutes = require('../../backend/routes/admin.routes');
+const { integrationManager } = require('../../backend/routes/integration.routes');
+const { createApp, seedMerchant } = require('../support/app');
+const { createTestRails } = require('../support/rails');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('merchant fee plans', () => {
+  const app = createApp({ '/api/merchants': merchantRoutes, '/api/settlement': settlementRoutes, '/api/admin': adminRoutes });
+
+  const createPlan = body => request(app).post('/api/admin/fee-plans').send({ admin_id: 'adm_1', ...body });
+
+  const assign = (merchant_id, plan_id) => request(app).post(`/api/admin/merchants/${merchant_id}/fee-plan`)
+    .send({ plan_id, reason: 'negotiated pricing', admin_id: 'adm_1' });
+
+  const settlementFee = async (merchant_id, amount) => (await request(app).post('/api/settlement/execute')
+    .send({ merchant_id, payment_id: `pay_${merchant_id}_${amount}`, amount, settlement_method: 'inr_upi' })).body.legs[0].fees.settlement_fee;
+
+  const negotiated = {
+    name: 'Negotiated',
+    transaction_fee: { tiers: [{ min_monthly_volume: 0, rate: 0.002 }], asset_rates: { bgt: 0.001 } },
+    settlement_fee: { method_rates: { inr_upi: 0.0005 } },
+    minimum_fee: 1,
+    maximum_fee: 3
+  };
+
+  beforeEach(() => {
+    settlementService.rails = createTestRails();
+    conversionService.setPriceFeed('bgt', new StaticPriceFeed({ name: 'bgt fixed', price: 6000, unit: 'gram' }));
+    jest.spyOn(integrationManager, 'dispatchEvent').mockResolvedValue([]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps a fee within its floor and cap, and never above the amount', () => {
+    expect(boundFee(0.5, { minimum_fee: 1, maximum_fee: 3 })).toBe(1);
+    expect(boundFee(7, { minimum_fee: 1, maximum_fee: 3 })).toBe(3);
+    expect(boundFee(2, { minimum_fee: 1, maximum_fee: null })).toBe(2);
+    expect(boundFee(0.5, { minimum_fee: 1 }, 0.8)).toBe(0.8);
+  });
+
+  it('has a standard plan for every business type', () => {
+    ['partnership', 'ngo', 'government'].forEach(business_type => seedMerchant(`mer_${business_type}`, { business_type }));
+
+    expect(feePlans.getActivePlan('mer_ngo')).toMatchObject({ type: 'standard', business_type: 'ngo', minimum_fee: 0, maximum_fee: 500 });
+    expect(feePlans.getActivePlan('mer_partnership').transaction_fee.tiers.map(tier => tier.rate)).toEqual([0.002, 0.00175, 0.0015]);
+    expect(feePlans.getActivePlan('mer_government').name).toBe('Standard (government)');
+    expect(feePlans.getActivePlan('mer_unregistered')).toBeNull();
+  });
+
+  it('charges the rate of the volume tier the merchant reached this month', () => {
+    seedMerchant('mer_volume');
+    const payments = store.collection('payments');
+    const completed_at = new Date().toISOString();
+    payments.set('pay_big', { payment_id: 'pay_big', merchant_id: 'mer_volume', status: 'completed', amount_inr: 1200000, completed_at });
+    payments.set('pay_old', { payment_id: 'pay_old', merchant_id: 'mer_volume', status: 'completed', amount_inr: 9000000, completed_at: new Date(Date.now() - 40 * DAY_MS).toISOString() });
+    payments.set('pay_failed', { payment_id: 'pay_failed', merchant_id: 'mer_volume', status: 'failed', amount_inr: 9000000, completed_at });
+
+    const terms = feePlans.getTransactionFeeTerms('mer_volume', 'binr');
+
+    expect(terms).toMatchObject({ rate: 0.00125, rate_source: 'volume_tier', monthly_volume: 1200000, tier: { min_monthly_volume: 1000000 } });
+    expect(feePlans.getPlanSummary('mer_volume').next_tier).toMatchObject({ min_monthly_volume: 10000000, volume_needed: 8800000 });
+  });
+
+  it('refuses plans it cannot charge', async () => {
+    const no_tiers = await createPlan({ name: 'Broken' });
+    const too_high = await createPlan({ ...negotiated, settlement_fee: { method_rates: { inr_upi: 0.08 } } });
+    const unknown_method = await createPlan({ ...negotiated, settlement_fee: { method_rates: { inr_cheque: 0.001 } } });
+
+    expect(no_tiers.status).toBe(400);
+    expect(no_tiers.body.error_code).toBe('INVALID_FEE_PLAN');
+    expect(too_high.body.error_code).toBe('INVALID_FEE_PLAN');
+    expect(unknown_method.body.error_code).toBe('INVALID_FEE_PLAN');
+  });
+
+  it('charges settlements at the assigned plan\'s method rate within its floor and cap', async () => {
+    seedMerchant('mer_custom', { verification_level: 3 });
+    const { body } = await createPlan(negotiated);
+
+    expect(await settlementFee('mer_custom', 5000)).toBe(5);
+
+    const assigned = await assign('mer_custom', body.plan.plan_id);
+
+    expect(assigned.body).toMatchObject({ success: true });
+    expect(await settlementFee('mer_custom', 5000)).toBe(2.5);
+    expect(await settlementFee('mer_custom', 100000)).toBe(3);
+    expect(await settlementFee('mer_custom', 100)).toBe(1);
+    expect(store.collection('merchants').get('mer_custom').fee_plan_history).toEqual([
+      expect.objectContaining({ to: body.plan.plan_id, reason: 'negotiated pricing', assigned_by: 'adm_1' })
+    ]);
+  });
+
+  it('waives the fees a promotion covers while it runs', async () => {
+    seedMerchant('mer_promo', { verification_level: 3 });
+    const { body } = await createPlan(negotiated);
+    await assign('mer_promo', body.plan.plan_id);
+
+    const promotion = await request(app).post(`/api/admin/fee-plans/${body.plan.plan_id}/promotions`).send({
+      name: 'Launch week',
+      starts_at: new Date(Date.now() - DAY_MS).toISOString(),
+      ends_at: new Date(Date.now() + DAY_MS).toISOString(),
+      fees: ['settlement']
+    });
+
+    expect(promotion.status).toBe(201);
+    expect(await settlementFee('mer_promo', 5000)).toBe(0);
+    expect(feePlans.getTransactionFeeTerms('mer_promo', 'binr')).toMatchObject({ rate: 0.002, promotion: null });
+    expect(feePlans.getSettlementFeeTerms('mer_promo', 'inr_upi', new Date(Date.now() + 2 * DAY_MS))).toMatchObject({ rate: 0.0005, promotion: null });
+  });
+
+  it('previews the conversion and settlement fees of a payment', async () => {
+    seedMerchant('mer_preview', { verification_level: 3 });
+    const { body } = await createPlan(negotiated);
+    await assign('mer_preview', body.plan.plan_id);
+
+    const preview = await request(app).get('/api/merchants/mer_preview/fees/preview?amount=1&currency=bgt&settlement_type=binr');
+    const unconverted = await request(app).get('/api/merchants/mer_preview/fees/preview?amount=1000&currency=binr&settlement_type=binr');
+
+    expect(preview.body).toMatchObject({
+      fee_plan: { plan_id: body.plan.plan_id },
+      payment: { amount: 1, currency: 'bgt', settlement_type: 'binr' },
+      conversion: { fee_rate: 0.1 },
+      settlement: { settlement_method: 'binr_transfer' }
+    });
+    expect(preview.body.total_fees).toBeCloseTo(preview.body.conversion.fee + preview.body.settlement.total_fee, 2);
+    expect(unconverted.body).toMatchObject({ conversion: null, settlement: { amount: 1000, settlement_fee: 1 } });
+  });
+});
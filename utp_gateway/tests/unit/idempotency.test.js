@@ -0,0 +1,128 @@
+const express = require('express');
+const request = require('supertest');
+const UTPMemoryStore = require('../../backend/models/memory.store');
+const { IdempotencyStore, idempotency } = require('../../backend/middleware/idempotency.middleware');
+
+describe('idempotency middleware', () => {
+  let app;
+  let calls;
+  let records;
+  let release;
+
+  beforeEach(() => {
+    records = new UTPMemoryStore().collection('idempotency_keys');
+    const keys = new IdempotencyStore(60 * 1000, records);
+    calls = 0;
+    release = null;
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      if (req.get('X-User')) {
+        req.user = { user_id: req.get('X-User') };
+      }
+      next();
+    });
+    app.post('/payments/create', idempotency(keys), (req, res) => {
+      calls++;
+      res.status(201).json({ payment_id: `pay_${calls}` });
+    });
+    app.post('/settlements/execute', idempotency(keys), (req, res) => {
+      calls++;
+      res.status(200).json({ settlement_id: `set_${calls}` });
+    });
+    app.post('/payments/slow', idempotency(keys), async (req, res) => {
+      calls++;
+      await new Promise(resolve => { release = resolve; });
+      res.status(201).json({ payment_id: `pay_${calls}` });
+    });
+    app.post('/payments/broken', idempotency(keys), (req, res) => {
+      calls++;
+      res.status(503).json({ error: 'bank unavailable' });
+    });
+    app.use((err, req, res, next) => res.status(err.statusCode || 500).json({ code: err.code }));
+  });
+
+  const create = (user, key, body = { amount: 100 }) => request(app)
+    .post('/payments/create')
+    .set('X-User', user)
+    .set('Idempotency-Key', key)
+    .send(body);
+
+  it('replays the original response to a retry', async () => {
+    const first = await create('u_1', 'key-1');
+    const retry = await create('u_1', 'key-1');
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual({ payment_id: 'pay_1' });
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(calls).toBe(1);
+  });
+
+  it('rejects a key reused with a different body', async () => {
+    await create('u_1', 'key-1');
+    const conflict = await create('u_1', 'key-1', { amount: 200 });
+
+    expect(conflict.status).toBe(409);
+    expect(conflict.body.code).toBe('UTP_CONFLICT');
+  });
+
+  it('scopes keys to the caller', async () => {
+    await create('u_1', 'key-1');
+    const other = await create('u_2', 'key-1');
+
+    expect(other.body).toEqual({ payment_id: 'pay_2' });
+    expect(calls).toBe(2);
+  });
+
+  it('scopes keys to the endpoint', async () => {
+    await create('u_1', 'key-1');
+    const other = await request(app)
+      .post('/settlements/execute')
+      .set('X-User', 'u_1')
+      .set('Idempotency-Key', 'key-1')
+      .send({ amount: 100 });
+
+    expect(other.body).toEqual({ settlement_id: 'set_2' });
+  });
+
+  it('processes requests without a key every time', async () => {
+    await request(app).post('/payments/create').send({ amount: 100 });
+    await request(app).post('/payments/create').send({ amount: 100 });
+
+    expect(calls).toBe(2);
+  });
+
+  it('refuses a retry while the original request is still in flight', async () => {
+    const original = request(app).post('/payments/slow').set('Idempotency-Key', 'key-1').send({ amount: 100 }).then(res => res);
+    while (!release) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const retry = await request(app).post('/payments/slow').set('Idempotency-Key', 'key-1').send({ amount: 100 });
+    release();
+
+    expect(retry.status).toBe(409);
+    expect((await original).status).toBe(201);
+    expect(calls).toBe(1);
+  });
+
+  it('frees the key of a request that failed with a server error', async () => {
+    const send = () => request(app).post('/payments/broken').set('Idempotency-Key', 'key-1').send({ amount: 100 });
+
+    expect((await send()).status).toBe(503);
+    expect((await send()).headers['idempotent-replayed']).toBeUndefined();
+    expect(calls).toBe(2);
+  });
+
+  it('keeps completed keys across a restart and frees those left in flight', async () => {
+    await create('u_1', 'key-1');
+    records.set('stale', { record_id: 'stale', status: 'in_progress', expires_at: Date.now() + 60 * 1000 });
+
+    const restarted = new IdempotencyStore(60 * 1000, records);
+
+    expect(restarted.get('stale')).toBeNull();
+    expect(records.find(record => record.status === 'completed')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,159 @@
+const request = require('supertest');
+const { settlementService, invoiceService } = require('../../backend/services');
+const { isValidGstin } = require('../../backend/services/gst');
+const merchantRoutes = require('../../backend/routes/merchant.routes');
+const settlementRoutes = require('../../backend/routes/settlement.routes');
+const { createApp, seedMerchant } = require('../support/app');
+const { createTestRails } = require('../support/rails');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('GST invoices and credit notes', () => {
+  const app = createApp({ '/api/merchants': merchantRoutes, '/api/settlement': settlementRoutes });
+  const { confirmation_wait_ms } = settlementService;
+  let rails;
+
+  // This month (IST), and an instant once it has ended
+  const period = new Date(Date.now() + 330 * 60 * 1000).toISOString().slice(0, 7);
+  const next_month = () => new Date(Date.now() + 40 * DAY_MS);
+
+  const execute = (merchant_id, body) => request(app).post('/api/settlement/execute')
+    .send({ merchant_id, amount: 5000, settlement_method: 'inr_upi', ...body });
+
+  const issue = merchant_id => invoiceService.generateInvoice(merchant_id, period, { now: next_month() });
+
+  beforeEach(() => {
+    rails = createTestRails();
+    settlementService.rails = rails;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    settlementService.confirmation_wait_ms = confirmation_wait_ms;
+    jest.restoreAllMocks();
+  });
+
+  it('validates GSTINs by format, state code and check character', () => {
+    expect(isValidGstin('27ABCDE1234F1Z0')).toBe(true);
+    expect(isValidGstin('27ABCDE1234F1Z1')).toBe(false);
+    expect(isValidGstin('99ABCDE1234F1Z0')).toBe(false);
+    expect(invoiceService.validateTaxDetails({ gstin: '29abcde1234f1zw' })).toEqual({ gstin: '29ABCDE1234F1ZW', state_code: '29' });
+    expect(() => invoiceService.validateTaxDetails({ gstin: '29ABCDE1234F1ZW', state_code: '27' }))
+      .toThrow('GSTIN 29ABCDE1234F1ZW is registered in Karnataka, not Maharashtra');
+  });
+
+  it('refuses invalid tax details on the merchant', async () => {
+    seedMerchant('mer_tax');
+
+    const res = await request(app).put('/api/merchants/mer_tax/tax-details').send({ gstin: '27ABCDE1234F1Z1' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error_code).toBe('INVALID_GSTIN');
+  });
+
+  it('invoices a month\'s fees with CGST and SGST to a merchant in the supplier\'s state', async () => {
+    seedMerchant('mer_intra', { verification_level: 3, gstin: '27ABCDE1234F1Z0', address: 'Pune' });
+    const { body: settlement } = await execute('mer_intra', { payment_id: 'pay_intra' });
+    const { settlement_fee, gst } = settlement.legs[0].fees;
+
+    const invoice = await issue('mer_intra');
+
+    expect(invoice).toMatchObject({
+      type: 'tax_invoice',
+      period,
+      supply_type: 'intra_state',
+      sac_code: '997158',
+      supplier: { gstin: '27AAACU1234A1Z0', state: 'Maharashtra' },
+      recipient: { gstin: '27ABCDE1234F1Z0', state_code: '27' },
+      place_of_supply: { state_code: '27', state: 'Maharashtra' }
+    });
+    expect(invoice.invoice_number).toMatch(/^UTP\d{4}-\d{6}$/);
+    expect(invoice.lines).toEqual([expect.objectContaining({ reference_id: settlement.settlement_id, taxable_value: settlement_fee, igst: 0 })]);
+    expect(invoice.totals).toMatchObject({ taxable_value: settlement_fee, total_tax: gst, igst: 0 });
+    expect(invoice.totals.cgst + invoice.totals.sgst).toBeCloseTo(gst, 2);
+  });
+
+  it('charges IGST to a merchant in another state and numbers invoices in one series', async () => {
+    seedMerchant('mer_inter', { verification_level: 3, gstin: '29ABCDE1234F1ZW' });
+    seedMerchant('mer_second', { verification_level: 3, state_code: '29' });
+    await execute('mer_inter', { payment_id: 'pay_inter' });
+    await execute('mer_second', { payment_id: 'pay_second' });
+
+    const first = await issue('mer_inter');
+    const second = await issue('mer_second');
+    const number = invoice => Number(invoice.invoice_number.split('-')[1]);
+
+    expect(first).toMatchObject({ supply_type: 'inter_state', totals: { cgst: 0, sgst: 0 } });
+    expect(first.totals.igst).toBe(first.totals.total_tax);
+    expect(second.recipient).toMatchObject({ gstin: null, state: 'Karnataka' });
+    expect(number(second)).toBe(number(first) + 1);
+  });
+
+  it('issues one invoice per month, only once the month has ended', async () => {
+    seedMerchant('mer_once', { verification_level: 3 });
+    seedMerchant('mer_idle');
+    await execute('mer_once', { payment_id: 'pay_once' });
+
+    await expect(invoiceService.generateInvoice('mer_once', period)).rejects.toMatchObject({ code: 'INVOICE_PERIOD_OPEN' });
+    await issue('mer_once');
+    await expect(issue('mer_once')).rejects.toMatchObject({ code: 'INVOICE_EXISTS', statusCode: 409 });
+    await expect(issue('mer_idle')).rejects.toMatchObject({ code: 'NO_INVOICEABLE_FEES', statusCode: 422 });
+    await expect(invoiceService.generateInvoice('mer_once', '2025-13')).rejects.toMatchObject({ code: 'INVALID_INVOICE_PERIOD' });
+  });
+
+  it('nets fees refunded before invoicing and credits those refunded after', async () => {
+    settlementService.confirmation_wait_ms = 1;
+    seedMerchant('mer_credit', { verification_level: 3 });
+    const { body: paid } = await execute('mer_credit', { payment_id: 'pay_paid' });
+    rails.get('upi').script('pending', 'pending');
+    const { body: returned } = await execute('mer_credit', { payment_id: 'pay_returned' });
+    const { body: open } = await execute('mer_credit', { payment_id: 'pay_open' });
+    const fail = async settlement_id => {
+      rails.get('upi').settle(settlement_id, 'failed');
+      await settlementService.refreshSettlement(settlement_id);
+    };
+
+    await fail(returned.settlement_id);
+    const invoice = await issue('mer_credit');
+
+    expect(invoice.lines.map(line => line.reference_id)).toEqual([paid.settlement_id, open.settlement_id]);
+
+    // A failed payout credits its invoiced fee at once; a second pass finds nothing left to credit
+    await fail(open.settlement_id);
+
+    expect(await invoiceService.issueCreditNotes('mer_credit')).toHaveLength(0);
+
+    const [credit_note] = invoiceService.listInvoices('mer_credit', { type: 'credit_note' })
+      .map(summary => invoiceService.getInvoice('mer_credit', summary.invoice_id));
+
+    expect(credit_note).toMatchObject({
+      type: 'credit_note',
+      original_invoice_number: invoice.invoice_number,
+      lines: [expect.objectContaining({ reference_id: open.settlement_id, taxable_value: open.legs[0].fees.settlement_fee })]
+    });
+    expect(credit_note.invoice_number).toMatch(/^UTPCN\d{4}-\d{6}$/);
+  });
+
+  it('lists invoices and downloads them as JSON or PDF', async () => {
+    seedMerchant('mer_docs', { verification_level: 3 });
+    await execute('mer_docs', { payment_id: 'pay_docs' });
+    const invoice = await issue('mer_docs');
+    const url = `/api/merchants/mer_docs/invoices/${invoice.invoice_number}`;
+
+    const listed = await request(app).get('/api/merchants/mer_docs/invoices?type=tax_invoice');
+    const json = await request(app).get(`${url}?format=json`);
+    const pdf = await request(app).get(`${url}?format=pdf`).buffer(true).parse((res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+    const unsupported = await request(app).get(`${url}?format=xml`);
+
+    expect(listed.body.invoices).toEqual([expect.objectContaining({ invoice_number: invoice.invoice_number })]);
+    expect(json.headers['content-disposition']).toBe(`attachment; filename="${invoice.invoice_number}.json"`);
+    expect(json.body).toMatchObject({ invoice_id: invoice.invoice_id, totals: invoice.totals });
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+    expect(pdf.body.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(unsupported.body.error_code).toBe('UNSUPPORTED_FORMAT');
+  });
+});
@@ -0,0 +1,151 @@
+const request = require('supertest');
+const { store } = require('../../backend/models');
+const { kycService } = require('../../backend/services');
+const merchantRoutes = require('../../backend/routes/merchant.routes');
+const adminRoutes = require('../../backend/routes/admin.routes');
+const { integrationManager } = require('../../backend/routes/integration.routes');
+const { createApp, seedMerchant } = require('../support/app');
+
+describe('merchant KYC', () => {
+  const app = createApp({ '/api/merchants': merchantRoutes, '/api/admin': adminRoutes });
+  const pdf = Buffer.from('%PDF-1.4 test document');
+  let dispatchEvent;
+
+  const upload = (merchant_id, document) => request(app).post(`/api/merchants/${merchant_id}/kyc/documents`)
+    .send({ content_type: 'application/pdf', content: pdf.toString('base64'), ...document });
+
+  const review = (document_id, action, body = {}) => request(app).post(`/api/admin/kyc/documents/${document_id}/${action}`)
+    .send({ admin_id: 'adm_1', ...body });
+
+  const uploadAndApprove = async (merchant_id, document) => {
+    const { body } = await upload(merchant_id, document);
+    return (await review(body.document.document_id, 'approve')).body;
+  };
+
+  beforeEach(() => {
+    dispatchEvent = jest.spyOn(integrationManager, 'dispatchEvent').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('checks the number printed on each document type', async () => {
+    seedMerchant('mer_formats');
+
+    const bad_pan = await upload('mer_formats', { document_type: 'pan', document_number: 'ABC1234' });
+    const individual_pan = await upload('mer_formats', { document_type: 'pan', document_number: 'ABCPD1234E' });
+    const bad_cin = await upload('mer_formats', { document_type: 'incorporation', document_number: 'U72900MH2999PTC123456' });
+    const bad_ifsc = await upload('mer_formats', { document_type: 'cancelled_cheque', account_number: '123456789012', ifsc_code: 'HDFC1234' });
+    await upload('mer_formats', { document_type: 'pan', document_number: 'abccd1234e' });
+    const other_gstin = await upload('mer_formats', { document_type: 'gstin_certificate', document_number: '27ABCPD1234E1ZE' });
+
+    expect(bad_pan.body).toMatchObject({ error_code: 'INVALID_PAN', error: 'Invalid PAN: ABC1234' });
+    expect(individual_pan.body).toMatchObject({ error_code: 'INVALID_PAN', error: 'PAN ABCPD1234E is not held by a private limited business' });
+    expect(bad_cin.body.error_code).toBe('INVALID_CIN');
+    expect(bad_ifsc.body.error).toBe('Invalid IFSC code on the cheque: HDFC1234');
+    expect(other_gstin.body).toMatchObject({ error_code: 'GSTIN_PAN_MISMATCH', error: 'GSTIN 27ABCPD1234E1ZE is not registered to PAN ABCCD1234E' });
+  });
+
+  it('refuses files that are not what their content type says', async () => {
+    seedMerchant('mer_files');
+
+    const not_pdf = await upload('mer_files', { document_type: 'pan', document_number: 'ABCCD1234E', content: Buffer.from('hello').toString('base64') });
+    const word = await upload('mer_files', { document_type: 'pan', document_number: 'ABCCD1234E', content_type: 'application/msword' });
+
+    expect(not_pdf.body).toMatchObject({ error_code: 'INVALID_KYC_DOCUMENT', error: 'The document file is not a valid application/pdf file' });
+    expect(word.body.error).toContain('Unsupported file type: application/msword');
+  });
+
+  it('raises the verification level as reviewers approve each level\'s documents', async () => {
+    seedMerchant('mer_levels');
+
+    const submitted = await upload('mer_levels', { document_type: 'pan', document_number: 'ABCCD1234E' });
+    expect(submitted.status).toBe(201);
+    expect(submitted.body.kyc).toMatchObject({ kyc_status: 'in_review', verification_level: 1 });
+
+    const pan = await review(submitted.body.document.document_id, 'approve');
+    expect(pan.body.kyc).toMatchObject({
+      kyc_status: 'partially_verified',
+      verification_level: 2,
+      limits: { max_settlement_amount: 200000 },
+      next_level: { level: 3, missing_documents: ['cancelled_cheque', 'gstin_certificate', 'incorporation'] }
+    });
+
+    await uploadAndApprove('mer_levels', { document_type: 'gstin_certificate', document_number: '27ABCCD1234E1Z5' });
+    await uploadAndApprove('mer_levels', { document_type: 'incorporation', document_number: 'U72900MH2015PTC123456' });
+    const verified = await uploadAndApprove('mer_levels', { document_type: 'cancelled_cheque', account_number: '123456789012', ifsc_code: 'HDFC0001234' });
+
+    expect(verified.kyc).toMatchObject({ kyc_status: 'verified', verification_level: 3, next_level: null });
+    expect(store.collection('merchants').get('mer_levels')).toMatchObject({ gstin: '27ABCCD1234E1Z5', state_code: '27', kyc_status: 'verified' });
+  });
+
+  it('asks the merchant to act on a rejected document until a new upload replaces it', async () => {
+    seedMerchant('mer_rejected');
+    const { body } = await upload('mer_rejected', { document_type: 'pan', document_number: 'ABCCD1234E' });
+    const document_id = body.document.document_id;
+
+    const without_notes = await review(document_id, 'reject');
+    const rejected = await review(document_id, 'reject', { notes: 'PAN is not legible' });
+    const again = await review(document_id, 'approve');
+
+    expect(without_notes.body.error_code).toBe('KYC_REVIEW_NOTES_REQUIRED');
+    expect(rejected.body.kyc).toMatchObject({ kyc_status: 'action_required', documents: expect.arrayContaining([expect.objectContaining({ document_type: 'pan', review_notes: 'PAN is not legible' })]) });
+    expect(again.status).toBe(409);
+    expect(again.body.error_code).toBe('KYC_DOCUMENT_NOT_PENDING');
+
+    // The raw file can be uploaded with the other fields as query parameters
+    const replaced = await request(app).post('/api/merchants/mer_rejected/kyc/documents?document_type=pan&document_number=ABCCD1234E')
+      .set('Content-Type', 'application/pdf')
+      .send(pdf);
+
+    expect(replaced.body.kyc.kyc_status).toBe('in_review');
+    expect(kycService.getDocument(document_id).status).toBe('superseded');
+  });
+
+  it('audits each decision and sends the merchant a kyc.completed event', async () => {
+    seedMerchant('mer_audit');
+    const { body } = await upload('mer_audit', { document_type: 'pan', document_number: 'ABCCD1234E' });
+
+    await review(body.document.document_id, 'request-info', { notes: 'Upload both sides' });
+    const logs = [...store.collection('audit_logs').values()].filter(log => log.target_id === 'mer_audit');
+
+    expect(logs).toEqual([expect.objectContaining({
+      admin_id: 'adm_1',
+      action: 'kyc_request_info',
+      severity: 'low',
+      details: expect.objectContaining({ document_type: 'pan', notes: 'Upload both sides', verification_level: 1 })
+    })]);
+    expect(dispatchEvent).toHaveBeenCalledWith('mer_audit', 'kyc.completed', expect.objectContaining({
+      decision: 'request_info',
+      document_status: 'info_requested',
+      kyc_status: 'action_required',
+      previous_verification_level: 1
+    }));
+  });
+
+  it('queues documents for review and lets admins download the uploaded file', async () => {
+    seedMerchant('mer_queue');
+    const { body } = await upload('mer_queue', { document_type: 'pan', document_number: 'ABCCD1234E', file_name: 'my pan.pdf' });
+
+    const queue = await request(app).get('/api/admin/kyc/queue?merchant_id=mer_queue');
+    const file = await request(app).get(`/api/admin/kyc/documents/${body.document.document_id}?download=true`).buffer(true).parse((res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+
+    expect(queue.body.documents.map(document => document.document_id)).toEqual([body.document.document_id]);
+    expect(file.headers['content-disposition']).toBe('attachment; filename="my_pan.pdf"');
+    expect(file.body.equals(pdf)).toBe(true);
+  });
+
+  it('holds payments and settlements to the limits of the merchant\'s level', () => {
+    seedMerchant('mer_limits');
+
+    expect(() => kycService.assertTransactionAllowed('mer_limits', 20000, 'inr'))
+      .toThrow(expect.objectContaining({ code: 'KYC_TRANSACTION_LIMIT_EXCEEDED', statusCode: 403 }));
+    expect(() => kycService.assertSettlementAllowed('mer_limits', 30000, 'inr'))
+      .toThrow(expect.objectContaining({ code: 'KYC_SETTLEMENT_LIMIT_EXCEEDED', statusCode: 403 }));
+    expect(() => kycService.assertSettlementAllowed('mer_limits', 20000, 'inr')).not.toThrow();
+    expect(kycService.getLimits('mer_limits')).toMatchObject({ verification_level: 1, max_transaction_amount: 10000, daily_settlement_amount: 50000 });
+  });
+});
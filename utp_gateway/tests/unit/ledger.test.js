@@ -0,0 +1,144 @@
+const UTPLedger = require('../../backend/services/ledger');
+const UTPMemoryStore = require('../../backend/models/memory.store');
+
+describe('UTPLedger', () => {
+  let ledger;
+
+  beforeEach(() => {
+    ledger = new UTPLedger(new UTPMemoryStore(), { gst_rate: 0.18 });
+  });
+
+  const payment = (overrides = {}) => ({
+    type: 'payment',
+    reference_type: 'payment',
+    reference_id: 'pay_1',
+    lines: [
+      { account_type: 'customer_wallet', owner_id: 'cust_1', currency: 'bgt', direction: 'debit', amount: 0.12345678 },
+      { account_type: 'merchant_payable', owner_id: 'm_1', currency: 'bgt', direction: 'credit', amount: 0.12345678 }
+    ],
+    ...overrides
+  });
+
+  describe('post', () => {
+    it('posts a balanced entry and updates account balances', async () => {
+      const entry = await ledger.post(payment());
+
+      expect(entry.lines.map(line => line.account_id)).toEqual([
+        'customer_wallet:cust_1:bgt',
+        'merchant_payable:m_1:bgt'
+      ]);
+      expect(entry.totals).toEqual({ bgt: 0.12345678 });
+      expect(ledger.getAccount('merchant_payable:m_1:bgt').balance).toBe(0.12345678);
+      // A liability debited below zero shows the net outflow
+      expect(ledger.getAccount('customer_wallet:cust_1:bgt').balance).toBe(-0.12345678);
+    });
+
+    it('rejects an entry that does not balance and leaves accounts untouched', async () => {
+      const lines = payment().lines;
+      lines[1] = { ...lines[1], amount: 0.12345677 };
+
+      await expect(ledger.post(payment({ lines }))).rejects.toMatchObject({
+        code: 'LEDGER_UNBALANCED',
+        statusCode: 400
+      });
+      expect(ledger.accounts.size).toBe(0);
+      expect(ledger.entries.size).toBe(0);
+    });
+
+    it('balances each currency separately', async () => {
+      const lines = [
+        { account_type: 'customer_wallet', owner_id: 'cust_1', currency: 'inr', direction: 'debit', amount: 100 },
+        { account_type: 'merchant_payable', owner_id: 'm_1', currency: 'bgt', direction: 'credit', amount: 100 }
+      ];
+
+      await expect(ledger.post(payment({ lines }))).rejects.toThrow('inr off by 100, bgt off by -100');
+    });
+
+    it('rejects unknown accounts, missing owners and non-positive amounts', async () => {
+      const [debit, credit] = payment().lines;
+
+      await expect(ledger.post(payment({ lines: [{ ...debit, account_type: 'suspense' }, credit] })))
+        .rejects.toMatchObject({ code: 'INVALID_LEDGER_ACCOUNT' });
+      await expect(ledger.post(payment({ lines: [{ ...debit, owner_id: undefined }, credit] })))
+        .rejects.toMatchObject({ code: 'INVALID_LEDGER_ACCOUNT' });
+      await expect(ledger.post(payment({ lines: [{ ...debit, amount: 0 }, { ...credit, amount: 0 }] })))
+        .rejects.toMatchObject({ code: 'INVALID_LEDGER_ENTRY' });
+      await expect(ledger.post(payment({ lines: [debit] })))
+        .rejects.toMatchObject({ code: 'INVALID_LEDGER_ENTRY' });
+    });
+
+    it('posts an entry with the same entry_key only once', async () => {
+      const first = await ledger.post(payment({ entry_key: 'payment:pay_1' }));
+      const replay = await ledger.post(payment({ entry_key: 'payment:pay_1' }));
+
+      expect(replay.entry_id).toBe(first.entry_id);
+      expect(ledger.entries.size).toBe(1);
+      expect(ledger.getAccount('merchant_payable:m_1:bgt').entry_count).toBe(1);
+    });
+
+    it('finds entry keys posted before the ledger was created', async () => {
+      await ledger.post(payment({ entry_key: 'payment:pay_1' }));
+      const reopened = new UTPLedger(ledger.store, { gst_rate: 0.18 });
+
+      await reopened.post(payment({ entry_key: 'payment:pay_1' }));
+      expect(reopened.entries.size).toBe(1);
+    });
+  });
+
+  describe('recordFee', () => {
+    it('splits a GST-inclusive fee into revenue and GST payable', async () => {
+      await ledger.recordFee({
+        reference_type: 'payment',
+        reference_id: 'pay_1',
+        entry_key: 'fee:pay_1',
+        merchant_id: 'm_1',
+        currency: 'inr',
+        fee: 11.8,
+        description: 'Conversion fee'
+      });
+
+      expect(ledger.getAccount('gst_payable:inr').balance).toBe(1.8);
+      expect(ledger.getAccount('fee_revenue:inr').balance).toBe(10);
+      expect(ledger.getAccount('merchant_payable:m_1:inr').balance).toBe(-11.8);
+    });
+  });
+
+  describe('recordPayout', () => {
+    it('pays a payment out of the treasury net of the settlement fee and its GST', async () => {
+      await ledger.recordPayment({ payment_id: 'pay_1', customer_id: 'cust_1', merchant_id: 'm_1', amount: 1000, currency: 'binr', settlement_type: 'binr' });
+
+      await ledger.recordPayout({
+        settlement_id: 'set_1',
+        merchant_id: 'm_1',
+        settlement_method: 'binr_transfer',
+        legs: [{ currency: 'binr', net_amount: 994.1, fees: { settlement_fee: 5, gst: 0.9 } }]
+      });
+
+      expect(ledger.getAccount('merchant_payable:m_1:binr').balance).toBe(0);
+      expect(ledger.getAccount('treasury:binr').balance).toBe(-994.1);
+      expect(ledger.getAccount('fee_revenue:binr').balance).toBe(5);
+      expect(ledger.getAccount('gst_payable:binr').balance).toBe(0.9);
+      expect(ledger.getTrialBalance().balanced).toBe(true);
+    });
+  });
+
+  describe('getTrialBalance', () => {
+    it('balances and matches the journal after several postings', async () => {
+      await ledger.post(payment());
+      await ledger.post(payment({
+        reference_id: 'pay_2',
+        lines: [
+          { account_type: 'customer_wallet', owner_id: 'cust_2', currency: 'inr', direction: 'debit', amount: 0.1 },
+          { account_type: 'merchant_payable', owner_id: 'm_1', currency: 'inr', direction: 'credit', amount: 0.2 },
+          { account_type: 'customer_wallet', owner_id: 'cust_3', currency: 'inr', direction: 'debit', amount: 0.1 }
+        ]
+      }));
+
+      const trial_balance = ledger.getTrialBalance();
+      expect(trial_balance.balanced).toBe(true);
+      expect(trial_balance.journal_verified).toBe(true);
+      expect(trial_balance.currencies.inr.total_debits).toBe(0.2);
+      expect(trial_balance.currencies.inr.total_credits).toBe(0.2);
+    });
+  });
+});
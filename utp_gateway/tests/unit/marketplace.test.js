@@ -0,0 +1,252 @@
+const request = require('supertest');
+const { store } = require('../../backend/models');
+const { settlementService } = require('../../backend/services');
+const UTPMarketplace = require('../../backend/services/marketplace');
+const paymentRoutes = require('../../backend/routes/payments.routes');
+const merchantRoutes = require('../../backend/routes/merchant.routes');
+const { createApp, bearer, seedMerchant } = require('../support/app');
+const { createTestRails } = require('../support/rails');
+
+describe('UTPMarketplace split arithmetic', () => {
+  const marketplace = new UTPMarketplace({ max_splits: 10 });
+
+  const total = (splits, field) => marketplace.roundAmount(splits.reduce((sum, split) => sum + split[field], 0), 'inr');
+
+  describe('allocate', () => {
+    it('takes commission from each share and leaves the rest to the marketplace', () => {
+      const { splits } = marketplace.allocate('m_market', [
+        { merchant_id: 'm_a', percentage: 30 },
+        { merchant_id: 'm_b', amount: 200 }
+      ], 1000, 'inr', 0.1);
+
+      expect(splits.map(({ merchant_id, role, gross_amount, commission, unallocated, amount }) =>
+        ({ merchant_id, role, gross_amount, commission, unallocated, amount }))).toEqual([
+        { merchant_id: 'm_a', role: 'sub_merchant', gross_amount: 300, commission: 30, unallocated: 0, amount: 270 },
+        { merchant_id: 'm_b', role: 'sub_merchant', gross_amount: 200, commission: 20, unallocated: 0, amount: 180 },
+        { merchant_id: 'm_market', role: 'platform', gross_amount: 0, commission: 50, unallocated: 500, amount: 550 }
+      ]);
+      expect(total(splits, 'amount')).toBe(1000);
+    });
+
+    it('gives the rounding remainder to the marketplace', () => {
+      const { splits } = marketplace.allocate('m_market', [
+        { merchant_id: 'm_a', percentage: 33.33 },
+        { merchant_id: 'm_b', percentage: 33.33 },
+        { merchant_id: 'm_c', percentage: 33.33 }
+      ], 99.99, 'inr', 0.025);
+
+      expect(splits.slice(0, 3).map(split => split.amount)).toEqual([32.5, 32.5, 32.5]);
+      expect(splits[3].amount).toBe(2.49);
+      expect(total(splits, 'amount')).toBe(99.99);
+    });
+
+    it('keeps token amounts to 8 decimals', () => {
+      const { splits } = marketplace.allocate('m_market', [{ merchant_id: 'm_a', percentage: 100 / 3 }], 0.1, 'bgt', 0);
+
+      expect(splits[0].amount).toBe(0.03333333);
+      expect(splits[1].amount).toBe(0.06666667);
+    });
+
+    it('rejects splits that add up to more than the payment', () => {
+      expect(() => marketplace.allocate('m_market', [
+        { merchant_id: 'm_a', percentage: 60 },
+        { merchant_id: 'm_b', amount: 401 }
+      ], 1000, 'inr', 0)).toThrow(expect.objectContaining({ code: 'SPLIT_EXCEEDS_AMOUNT', statusCode: 400 }));
+    });
+  });
+
+  describe('getSplits', () => {
+    it('rebuilds the requested splits from the allocations', () => {
+      const { splits } = marketplace.allocate('m_market', [
+        { merchant_id: 'm_a', percentage: 30 },
+        { merchant_id: 'm_b', amount: 200 }
+      ], 1000, 'inr', 0.1);
+
+      expect(marketplace.getSplits(splits)).toEqual([
+        { merchant_id: 'm_a', percentage: 30 },
+        { merchant_id: 'm_b', amount: 200 }
+      ]);
+    });
+  });
+
+  describe('getRefundShares', () => {
+    const refund = (splits, amount, currency = 'inr') => {
+      const shares = marketplace.getRefundShares(splits, amount, currency);
+      for (const { split, amount: share } of shares) {
+        split.refunded_amount = marketplace.roundAmount(split.refunded_amount + share, currency);
+      }
+      return shares.map(share => [share.split.merchant_id, share.amount]);
+    };
+
+    it('takes a partial refund back in proportion to each allocation', () => {
+      const { splits } = marketplace.allocate('m_market', [
+        { merchant_id: 'm_a', percentage: 30 },
+        { merchant_id: 'm_b', amount: 200 }
+      ], 1000, 'inr', 0.1);
+
+      expect(refund(splits, 100)).toEqual([['m_a', 27], ['m_b', 18], ['m_market', 55]]);
+    });
+
+    it('takes back exactly each allocation over a series of partial refunds', () => {
+      const { splits } = marketplace.allocate('m_market', [
+        { merchant_id: 'm_a', percentage: 33.33 },
+        { merchant_id: 'm_b', percentage: 33.33 },
+        { merchant_id: 'm_c', percentage: 33.33 }
+      ], 99.99, 'inr', 0.025);
+
+      const refunded = [10, 10, 33.33, 46.66]
+        .map(amount => refund(splits, amount))
+        .map(shares => marketplace.roundAmount(shares.reduce((sum, [, amount]) => sum + amount, 0), 'inr'));
+
+      expect(refunded).toEqual([10, 10, 33.33, 46.66]);
+      expect(splits.map(split => split.refunded_amount)).toEqual(splits.map(split => split.amount));
+    });
+
+    it('skips recipients that were allocated nothing', () => {
+      const { splits } = marketplace.allocate('m_market', [{ merchant_id: 'm_a', percentage: 100 }], 50, 'inr', 0);
+
+      expect(refund(splits, 50)).toEqual([['m_a', 50]]);
+    });
+  });
+});
+
+describe('marketplace split payments', () => {
+  const app = createApp({ '/api/payments': paymentRoutes, '/api/merchants': merchantRoutes });
+  const merchant_configs = store.collection('merchant_configs');
+  let rails;
+
+  // A marketplace with two active sub-merchants, each with its own settlement schedule
+  const seedMarketplace = (prefix, schedules = {}) => {
+    const ids = { market: `${prefix}_market`, a: `${prefix}_a`, b: `${prefix}_b` };
+    seedMerchant(ids.market, { verification_level: 3 });
+    seedMerchant(ids.a, { verification_level: 3, parent_merchant_id: ids.market });
+    seedMerchant(ids.b, { verification_level: 3, parent_merchant_id: ids.market });
+    for (const merchant_id of Object.values(ids)) {
+      merchant_configs.set(merchant_id, { merchant_id, settlement_preferences: { settlement_schedule: schedules[merchant_id] || 'instant' } });
+    }
+    return ids;
+  };
+
+  const createPayment = (merchant_id, splits, amount = 1000) => request(app).post('/api/payments/create')
+    .send({ customer_id: 'cus_1', merchant_id, amount, currency: 'binr', settlement_type: 'binr', splits });
+
+  const payShares = async (ids, splits = [{ merchant_id: ids.a, percentage: 30 }, { merchant_id: ids.b, amount: 200 }]) => {
+    const { body } = await createPayment(ids.market, splits);
+    return request(app).post('/api/payments/confirm').send({ payment_id: body.payment_id });
+  };
+
+  const shares = settlement => settlement.splits.map(split => [split.merchant_id, split.amount, split.settlement.status]);
+
+  beforeEach(() => {
+    rails = createTestRails();
+    settlementService.rails = rails;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('registers sub-merchants one level under a marketplace that sets its commission', async () => {
+    const ids = seedMarketplace('reg');
+
+    const commission = await request(app).put(`/api/merchants/${ids.market}/marketplace`).send({ commission_rate: 0.1 });
+    const too_high = await request(app).put(`/api/merchants/${ids.market}/marketplace`).send({ commission_rate: 0.6 });
+    const nested = await request(app).post('/api/merchants/register').send({
+      business_name: 'Nested store',
+      business_type: 'private_limited',
+      contact_person: 'Asha',
+      email: 'asha@example.in',
+      phone: '+919876543210',
+      address: 'Pune',
+      tax_id: 'ABCCD1234E',
+      parent_merchant_id: ids.a
+    });
+    const listed = await request(app).get(`/api/merchants/${ids.market}/sub-merchants`);
+
+    expect(commission.body).toMatchObject({ commission_rate: 0.1, previous_commission_rate: 0 });
+    expect(too_high.body.error_code).toBe('INVALID_COMMISSION_RATE');
+    expect(nested.status).toBe(400);
+    expect(nested.body.error).toContain('A sub-merchant cannot have sub-merchants of its own');
+    expect(listed.body).toMatchObject({ commission_rate: 0.1, count: 2 });
+    expect(listed.body.sub_merchants.map(merchant => merchant.merchant_id)).toEqual([ids.a, ids.b]);
+  });
+
+  it('pays each sub-merchant its share less commission and the marketplace the rest', async () => {
+    const ids = seedMarketplace('pay');
+    await request(app).put(`/api/merchants/${ids.market}/marketplace`).send({ commission_rate: 0.1 });
+
+    const res = await payShares(ids);
+
+    expect(res.body.status).toBe('completed');
+    expect(res.body.settlement).toMatchObject({ type: 'split', status: 'completed', amount: 1000 });
+    expect(shares(res.body.settlement)).toEqual([[ids.a, 270, 'completed'], [ids.b, 180, 'completed'], [ids.market, 550, 'completed']]);
+    expect(rails.get('binr').payouts.map(payout => payout.beneficiary.vpa)).toEqual([`${ids.a}@upi`, `${ids.b}@upi`, `${ids.market}@upi`]);
+  });
+
+  it('settles each recipient on its own schedule', async () => {
+    const ids = seedMarketplace('sched', { sched_a: 'daily' });
+
+    const res = await payShares(ids);
+
+    expect(shares(res.body.settlement)).toEqual([[ids.a, 300, 'scheduled'], [ids.b, 200, 'completed'], [ids.market, 500, 'completed']]);
+    expect(rails.get('binr').payouts).toHaveLength(2);
+  });
+
+  it('refuses splits to merchants that are not active sub-merchants of the marketplace', async () => {
+    const ids = seedMarketplace('refuse');
+    seedMerchant('refuse_outsider');
+    store.collection('merchants').set(ids.b, { ...store.collection('merchants').get(ids.b), status: 'suspended' });
+
+    const outsider = await createPayment(ids.market, [{ merchant_id: 'refuse_outsider', percentage: 50 }]);
+    const suspended = await createPayment(ids.market, [{ merchant_id: ids.b, percentage: 50 }]);
+    const duplicate = await createPayment(ids.market, [{ merchant_id: ids.a, percentage: 60 }, { merchant_id: ids.a, amount: 100 }]);
+
+    expect(outsider.body).toMatchObject({ error_code: 'INVALID_SPLIT_RECIPIENT', error: `Payment creation failed: refuse_outsider is not a sub-merchant of ${ids.market}` });
+    expect(suspended.status).toBe(403);
+    expect(suspended.body.error_code).toBe('MERCHANT_NOT_ACTIVE');
+    expect(duplicate.body.error_code).toBe('INVALID_SPLIT');
+  });
+
+  it('checks every share can be paid out before sending any payout', async () => {
+    const ids = seedMarketplace('check');
+    store.collection('merchants').set(ids.b, { ...store.collection('merchants').get(ids.b), verification_level: 1 });
+
+    const res = await createPayment(ids.market, [{ merchant_id: ids.a, percentage: 30 }, { merchant_id: ids.b, amount: 30000 }], 50000);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error_code).toBe('KYC_SETTLEMENT_LIMIT_EXCEEDED');
+    expect(rails.get('binr').payouts).toHaveLength(0);
+  });
+
+  it('keeps the shares already paid when another share\'s payout fails', async () => {
+    const ids = seedMarketplace('partial');
+    const executeSettlement = settlementService.executeSettlement.bind(settlementService);
+    jest.spyOn(settlementService, 'executeSettlement').mockImplementation(settlement_data =>
+      settlement_data.merchant_id === ids.b ? Promise.reject(new Error('Rail unavailable')) : executeSettlement(settlement_data));
+
+    const res = await payShares(ids);
+
+    expect(res.body.status).toBe('completed');
+    expect(res.body.settlement.status).toBe('partially_failed');
+    expect(shares(res.body.settlement)).toEqual([[ids.a, 300, 'completed'], [ids.b, 200, 'failed'], [ids.market, 500, 'completed']]);
+    expect(res.body.settlement.splits[1].settlement.error).toBe('Rail unavailable');
+  });
+
+  it('takes refunds back from every recipient in proportion to its share', async () => {
+    const ids = seedMarketplace('refund', { refund_a: 'daily' });
+    const { body } = await payShares(ids);
+
+    const res = await request(app).post(`/api/payments/${body.payment_id}/refund`)
+      .set('Authorization', bearer('cus_1'))
+      .send({ amount: 100 });
+    const reversals = res.body.refund.split_reversals;
+
+    expect(res.body).toMatchObject({ status: 'partially_refunded', refundable_amount: 900 });
+    expect(reversals.map(share => [share.merchant_id, share.amount, share.paid_out])).toEqual([
+      [ids.a, 30, false],
+      [ids.b, 20, true],
+      [ids.market, 50, true]
+    ]);
+    // A share still queued is reduced instead of reversed
+    expect(reversals[0].netted_queue_item_ids).toHaveLength(1);
+    expect(reversals[1].settlement_reversal).toMatchObject({ amount: 20, status: 'pending' });
+  });
+});
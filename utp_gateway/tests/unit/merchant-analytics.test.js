@@ -0,0 +1,186 @@
+const request = require('supertest');
+const { store } = require('../../backend/models');
+const { conversionService, merchantAnalytics } = require('../../backend/services');
+const merchantRoutes = require('../../backend/routes/merchant.routes');
+const { createApp, seedMerchant } = require('../support/app');
+
+// An instant given as local (IST) time
+const ist = local => new Date(`${local}:00+05:30`).toISOString();
+
+describe('merchant analytics', () => {
+  const app = createApp({ '/api/merchants': merchantRoutes });
+  const payments = store.collection('payments');
+  const settlements = store.collection('settlements');
+
+  const seedPayment = (merchant_id, payment_id, created_at, fields = {}) => payments.set(payment_id, {
+    payment_id,
+    merchant_id,
+    amount: 1000,
+    amount_inr: 1000,
+    currency: 'binr',
+    settlement_type: 'binr',
+    status: 'completed',
+    created_at: ist(created_at),
+    ...fields
+  });
+
+  const analytics = (merchant_id, from, to, group_by) =>
+    merchantAnalytics.getAnalytics(merchant_id, { from: ist(from), to: ist(to), group_by });
+
+  it('counts only the window\'s payments and rates only those with a final outcome', () => {
+    seedMerchant('mer_window');
+    seedPayment('mer_window', 'pay_w1', '2025-03-03T10:00');
+    seedPayment('mer_window', 'pay_w2', '2025-03-04T10:00', { status: 'partially_refunded', amount_inr: 3000, refunded_amount: 500 });
+    seedPayment('mer_window', 'pay_w3', '2025-03-05T10:00', { status: 'failed' });
+    seedPayment('mer_window', 'pay_w4', '2025-03-05T11:00', { status: 'expired' });
+    seedPayment('mer_window', 'pay_w5', '2025-03-06T10:00', { status: 'pending' });
+    seedPayment('mer_window', 'pay_before', '2025-02-28T23:59');
+    seedPayment('mer_window', 'pay_at_end', '2025-03-10T00:00');
+    seedPayment('mer_other', 'pay_other', '2025-03-03T10:00');
+
+    const { summary, date_range } = analytics('mer_window', '2025-03-01T00:00', '2025-03-10T00:00');
+
+    expect(date_range).toEqual({ start: ist('2025-03-01T00:00'), end: ist('2025-03-10T00:00') });
+    expect(summary).toMatchObject({
+      total_transactions: 5,
+      successful_transactions: 2,
+      failed_transactions: 1,
+      abandoned_transactions: 1,
+      open_transactions: 1,
+      total_volume: 4000,
+      refunded_volume: 500,
+      net_volume: 3500,
+      average_transaction_value: 2000,
+      success_rate: 50,
+      failure_rate: 25,
+      abandonment_rate: 25
+    });
+  });
+
+  it('breaks payments down by currency, settlement type and status', () => {
+    seedMerchant('mer_breakdown');
+    const price = conversionService.getTokenPrice('bgt');
+    seedPayment('mer_breakdown', 'pay_b1', '2025-03-03T10:00');
+    seedPayment('mer_breakdown', 'pay_b2', '2025-03-03T11:00', { currency: 'BGT', amount: 1, amount_inr: 6000, settlement_type: 'inr' });
+    seedPayment('mer_breakdown', 'pay_b3', '2025-03-03T12:00', { currency: 'bgt', amount: 2, amount_inr: undefined, settlement_type: 'inr' });
+    seedPayment('mer_breakdown', 'pay_b4', '2025-03-03T13:00', { currency: 'bgt', status: 'failed', settlement_type: 'inr' });
+
+    const { breakdowns, summary } = analytics('mer_breakdown', '2025-03-03T00:00', '2025-03-04T00:00');
+
+    expect(breakdowns.by_currency).toEqual({
+      binr: { count: 1, successful: 1, volume: 1000, success_rate: 100 },
+      bgt: { count: 3, successful: 2, volume: Math.round((6000 + 2 * price) * 100) / 100, success_rate: 66.67 }
+    });
+    expect(breakdowns.by_settlement_type).toMatchObject({ binr: { count: 1 }, inr: { count: 3, successful: 2 } });
+    expect(breakdowns.by_status).toMatchObject({ completed: { count: 3 }, failed: { count: 1, volume: 0 } });
+    expect(summary.total_volume).toBe(breakdowns.by_currency.binr.volume + breakdowns.by_currency.bgt.volume);
+  });
+
+  it('groups the time series by local day, week from Monday or month, cut to the window', () => {
+    seedMerchant('mer_series');
+    seedPayment('mer_series', 'pay_s1', '2025-03-01T00:30');
+    seedPayment('mer_series', 'pay_s2', '2025-03-03T23:30', { status: 'failed' });
+    seedPayment('mer_series', 'pay_s3', '2025-03-04T00:30');
+    seedPayment('mer_series', 'pay_s4', '2025-04-02T10:00');
+
+    const by_day = analytics('mer_series', '2025-03-03T12:00', '2025-03-05T00:00', 'day').time_series;
+    const by_week = analytics('mer_series', '2025-03-01T00:00', '2025-03-10T00:00', 'week').time_series;
+    const by_month = analytics('mer_series', '2025-03-01T00:00', '2025-05-01T00:00', 'month').time_series;
+
+    expect(by_day).toEqual([
+      expect.objectContaining({ period: '2025-03-03', start: ist('2025-03-03T12:00'), end: ist('2025-03-04T00:00'), total_transactions: 1, failed_transactions: 1, success_rate: 0 }),
+      expect.objectContaining({ period: '2025-03-04', start: ist('2025-03-04T00:00'), total_transactions: 1, total_volume: 1000 })
+    ]);
+    expect(by_week.map(bucket => [bucket.period, bucket.start, bucket.total_transactions])).toEqual([
+      ['2025-02-24', ist('2025-03-01T00:00'), 1],
+      ['2025-03-03', ist('2025-03-03T00:00'), 2]
+    ]);
+    expect(by_month.map(bucket => [bucket.period, bucket.total_transactions])).toEqual([['2025-03', 3], ['2025-04', 1]]);
+  });
+
+  it('reports settlement outcomes and the latency from confirmation to payout', () => {
+    seedMerchant('mer_payouts');
+    seedPayment('mer_payouts', 'pay_p1', '2025-03-03T09:00', { processed_at: ist('2025-03-03T10:00') });
+    seedPayment('mer_payouts', 'pay_p2', '2025-03-03T09:00', { processed_at: ist('2025-03-03T10:30') });
+    settlements.set('stl_p1', {
+      settlement_id: 'stl_p1', merchant_id: 'mer_payouts', payment_ids: ['pay_p1', 'pay_p2'], amount: 2000, currency: 'inr',
+      settlement_method: 'inr_upi', status: 'completed', created_at: ist('2025-03-03T10:45'), completed_at: ist('2025-03-03T11:00')
+    });
+    settlements.set('stl_p2', {
+      settlement_id: 'stl_p2', merchant_id: 'mer_payouts', payment_id: 'pay_p1', amount: 500, currency: 'inr',
+      settlement_method: 'inr_neft', status: 'failed', created_at: ist('2025-03-04T10:00')
+    });
+    settlements.set('stl_p3', {
+      settlement_id: 'stl_p3', merchant_id: 'mer_payouts', amount: 300, currency: 'inr', reserve_release: true,
+      settlement_method: 'inr_upi', status: 'completed', created_at: ist('2025-03-05T10:00'), completed_at: ist('2025-03-05T10:00')
+    });
+    settlements.set('stl_p4', {
+      settlement_id: 'stl_p4', merchant_id: 'mer_payouts', amount: 100, currency: 'inr',
+      settlement_method: 'inr_upi', status: 'processing', created_at: ist('2025-03-05T11:00')
+    });
+
+    const result = analytics('mer_payouts', '2025-03-01T00:00', '2025-03-10T00:00').settlements;
+
+    expect(result).toMatchObject({
+      total_settlements: 4,
+      paid_out: 2,
+      failed: 1,
+      in_flight: 1,
+      paid_out_amount: 2300,
+      success_rate: 66.67,
+      by_status: { completed: 2, failed: 1, processing: 1 },
+      by_method: { inr_upi: { count: 3, paid_out: 2, amount: 2400 }, inr_neft: { count: 1, paid_out: 0, amount: 500 } },
+      latency_seconds: { samples: 2, average: 2700, median: 1800, max: 3600 }
+    });
+  });
+
+  it('compares the window with the one of the same length just before it', () => {
+    seedMerchant('mer_growth');
+    seedPayment('mer_growth', 'pay_g1', '2025-03-02T10:00', { amount_inr: 2000 });
+    seedPayment('mer_growth', 'pay_g2', '2025-03-06T10:00', { amount_inr: 2000 });
+    seedPayment('mer_growth', 'pay_g3', '2025-03-07T10:00', { amount_inr: 1000 });
+
+    const { growth } = analytics('mer_growth', '2025-03-05T00:00', '2025-03-09T00:00');
+    const first = analytics('mer_growth', '2025-03-01T00:00', '2025-03-05T00:00').growth;
+
+    expect(growth).toEqual({
+      previous_date_range: { start: ist('2025-03-01T00:00'), end: ist('2025-03-05T00:00') },
+      previous_volume: 2000,
+      volume_growth_rate: 50,
+      previous_transactions: 1,
+      transaction_growth_rate: 100
+    });
+    expect(first.volume_growth_rate).toBeNull();
+  });
+
+  it('refuses windows and groupings it cannot compute', () => {
+    seedMerchant('mer_invalid');
+    const error = (code, statusCode = 400) => expect.objectContaining({ code, statusCode });
+
+    expect(() => merchantAnalytics.getAnalytics('mer_unknown', { from: ist('2025-03-01T00:00'), to: ist('2025-03-02T00:00') }))
+      .toThrow(error('MERCHANT_NOT_FOUND', 404));
+    expect(() => merchantAnalytics.getAnalytics('mer_invalid', { from: 'yesterday', to: ist('2025-03-02T00:00') }))
+      .toThrow(error('INVALID_DATE_RANGE'));
+    expect(() => analytics('mer_invalid', '2025-03-02T00:00', '2025-03-01T00:00')).toThrow('from must be before to');
+    expect(() => analytics('mer_invalid', '2025-03-01T00:00', '2025-03-02T00:00', 'hour')).toThrow(error('INVALID_GROUP_BY'));
+    expect(() => analytics('mer_invalid', '2020-01-01T00:00', '2025-01-01T00:00', 'day')).toThrow(error('ANALYTICS_RANGE_TOO_LARGE'));
+    expect(analytics('mer_invalid', '2020-01-01T00:00', '2025-01-01T00:00', 'month').time_series).toHaveLength(60);
+  });
+
+  it('serves custom windows and groupings from the analytics endpoint', async () => {
+    seedMerchant('mer_api');
+    store.collection('merchant_analytics').set('mer_api', { merchant_id: 'mer_api', total_transactions: 0, total_volume: 0, success_rate: 1 });
+    seedPayment('mer_api', 'pay_a1', '2025-03-03T10:00');
+    seedPayment('mer_api', 'pay_a2', '2025-03-12T10:00');
+
+    const res = await request(app).get('/api/merchants/mer_api/analytics')
+      .query({ from: ist('2025-03-01T00:00'), to: ist('2025-04-01T00:00'), group_by: 'week' });
+    const invalid = await request(app).get('/api/merchants/mer_api/analytics').query({ from: ist('2025-03-01T00:00'), group_by: 'year' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ period: null, group_by: 'week', summary: { total_transactions: 2, total_volume: 2000 } });
+    expect(res.body.time_series.map(bucket => bucket.period)).toEqual(['2025-02-24', '2025-03-03', '2025-03-10', '2025-03-17', '2025-03-24', '2025-03-31']);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error_code).toBe('INVALID_GROUP_BY');
+  });
+});
@@ -0,0 +1,119 @@
+const request = require('supertest');
+const { store } = require('../../backend/models');
+const { settlementService, settlementScheduler } = require('../../backend/services');
+const paymentRoutes = require('../../backend/routes/payments.routes');
+const settlementRoutes = require('../../backend/routes/settlement.routes');
+const adminRoutes = require('../../backend/routes/admin.routes');
+const { integrationManager } = require('../../backend/routes/integration.routes');
+const { createApp, seedMerchant } = require('../support/app');
+const { createTestRails } = require('../support/rails');
+
+describe('merchant lifecycle', () => {
+  const app = createApp({ '/api/payments': paymentRoutes, '/api/settlement': settlementRoutes, '/api/admin': adminRoutes });
+  const merchant_configs = store.collection('merchant_configs');
+  let dispatchEvent;
+
+  const change = (merchant_id, action, body = { reason: 'review complete' }) =>
+    request(app).post(`/api/admin/merchants/${merchant_id}/${action}`).send({ admin_id: 'adm_1', ...body });
+
+  const createPayment = merchant_id => request(app).post('/api/payments/create')
+    .send({ customer_id: 'cus_1', merchant_id, amount: 1000, currency: 'binr', settlement_type: 'binr' });
+
+  const execute = merchant_id => request(app).post('/api/settlement/execute')
+    .send({ merchant_id, payment_id: `pay_${merchant_id}`, amount: 1000, settlement_method: 'binr_transfer' });
+
+  beforeEach(() => {
+    settlementService.rails = createTestRails();
+    dispatchEvent = jest.spyOn(integrationManager, 'dispatchEvent').mockResolvedValue([]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('activates a merchant only once it has reached the activation KYC level', async () => {
+    seedMerchant('mer_new', { status: 'pending_verification' });
+
+    const unverified = await change('mer_new', 'activate');
+    store.collection('merchants').set('mer_new', { ...store.collection('merchants').get('mer_new'), verification_level: 2 });
+    const activated = await change('mer_new', 'activate');
+
+    expect(unverified.status).toBe(409);
+    expect(unverified.body.error_code).toBe('KYC_VERIFICATION_REQUIRED');
+    expect(activated.body).toMatchObject({ previous_status: 'pending_verification', status: 'active', reason: 'review complete' });
+    expect(activated.body.status_history).toEqual([expect.objectContaining({ from: 'pending_verification', to: 'active', action: 'activate', changed_by: 'adm_1' })]);
+  });
+
+  it('requires a reason and an allowed transition', async () => {
+    seedMerchant('mer_rules');
+
+    const no_reason = await change('mer_rules', 'suspend', { reason: '  ' });
+    const not_suspended = await change('mer_rules', 'reactivate');
+    const unknown = await change('mer_unknown', 'suspend');
+
+    expect(no_reason.body).toMatchObject({ error_code: 'REASON_REQUIRED', error: 'A reason is required to suspend a merchant' });
+    expect(not_suspended.status).toBe(409);
+    expect(not_suspended.body.error).toBe('Cannot reactivate a merchant that is active');
+    expect(unknown.status).toBe(404);
+  });
+
+  it('refuses payments and payouts while a merchant is suspended', async () => {
+    seedMerchant('mer_suspended');
+
+    await change('mer_suspended', 'suspend', { reason: 'chargeback spike' });
+    const payment = await createPayment('mer_suspended');
+    const payout = await execute('mer_suspended');
+
+    expect(payment.status).toBe(403);
+    expect(payment.body.error_code).toBe('MERCHANT_NOT_ACTIVE');
+    expect(payout.body).toMatchObject({ error_code: 'MERCHANT_NOT_ACTIVE', error: 'Merchant mer_suspended is suspended, not active' });
+    expect(settlementService.rails.get('binr').payouts).toHaveLength(0);
+
+    await change('mer_suspended', 'reactivate', { reason: 'resolved' });
+
+    expect((await createPayment('mer_suspended')).status).toBe(200);
+    expect((await execute('mer_suspended')).body.status).toBe('completed');
+  });
+
+  it('refuses payments for merchant IDs that were never registered', async () => {
+    const payment = await createPayment('mer_ghost');
+
+    expect(payment.status).toBe(404);
+    expect(payment.body.error_code).toBe('MERCHANT_NOT_FOUND');
+  });
+
+  it('audits each change and sends merchant.suspended for a suspension', async () => {
+    seedMerchant('mer_audited');
+
+    await change('mer_audited', 'suspend', { reason: 'fraud review' });
+    await change('mer_audited', 'reactivate', { reason: 'cleared' });
+    const logs = [...store.collection('audit_logs').values()].filter(log => log.target_id === 'mer_audited');
+
+    expect(logs.map(log => [log.action, log.severity, log.details.reason])).toEqual([
+      ['merchant_suspend', 'high', 'fraud review'],
+      ['merchant_reactivate', 'medium', 'cleared']
+    ]);
+    expect(dispatchEvent.mock.calls.map(([merchant_id, event, data]) => [merchant_id, event, data.status])).toEqual([
+      ['mer_audited', 'merchant.suspended', 'suspended'],
+      ['mer_audited', 'account.updated', 'active']
+    ]);
+  });
+
+  it('closes a merchant only once nothing is left to pay it, and for good', async () => {
+    seedMerchant('mer_closing', { verification_level: 3 });
+    merchant_configs.set('mer_closing', { merchant_id: 'mer_closing', settlement_preferences: { settlement_schedule: 'daily' } });
+    const { body } = await createPayment('mer_closing');
+    await request(app).post('/api/payments/confirm').send({ payment_id: body.payment_id });
+
+    const open = await change('mer_closing', 'close');
+
+    expect(open.status).toBe(409);
+    expect(open.body).toMatchObject({ error_code: 'MERCHANT_HAS_OPEN_PAYOUTS', error: 'Merchant still has 1 scheduled payouts' });
+
+    await settlementScheduler.runDue({ merchant_id: 'mer_closing', force: true });
+    const closed = await change('mer_closing', 'close');
+    const reopened = await change('mer_closing', 'reactivate');
+
+    expect(closed.body.status).toBe('closed');
+    expect(reopened.status).toBe(409);
+  });
+});
@@ -0,0 +1,106 @@
+const request = require('supertest');
+const StaticPriceFeed = require('../../backend/services/price-feeds/static');
+const { store } = require('../../backend/models');
+const { conversionService, settlementService } = require('../../backend/services');
+const { validateMixedSplit, applyMixedSplit, fromMethodSplit } = require('../../backend/services/mixed-split');
+const paymentRoutes = require('../../backend/routes/payments.routes');
+const merchantRoutes = require('../../backend/routes/merchant.routes');
+const { createApp, seedMerchant } = require('../support/app');
+const { createTestRails } = require('../support/rails');
+
+describe('mixed settlement splits', () => {
+  it('splits by percentage and sends what the legs leave to the remainder', () => {
+    const split = { type: 'percentage', legs: [{ currency: 'bgt', percentage: 20 }, { currency: 'binr', percentage: 30 }], remainder: 'inr' };
+
+    expect(applyMixedSplit(1000, split)).toEqual([
+      { currency: 'bgt', amount: 200, percentage: 20 },
+      { currency: 'binr', amount: 300, percentage: 30 },
+      { currency: 'inr', amount: 500, percentage: 50 }
+    ]);
+  });
+
+  it('gives the paise left by rounding to the last leg of a split that allocates everything', () => {
+    const thirds = { type: 'percentage', legs: [{ currency: 'inr', percentage: 33.34 }, { currency: 'binr', percentage: 33.33 }, { currency: 'bgt', percentage: 33.33 }] };
+
+    const legs = applyMixedSplit(100.01, thirds);
+
+    expect(legs.map(leg => leg.amount)).toEqual([33.34, 33.33, 33.34]);
+    expect(legs.reduce((sum, leg) => sum + Math.round(leg.amount * 100), 0)).toBe(10001);
+  });
+
+  it('fills fixed legs in order until the payout runs out', () => {
+    const split = { type: 'fixed', legs: [{ currency: 'bgt', amount: 600 }, { currency: 'binr', amount: 600 }], remainder: 'inr' };
+
+    expect(applyMixedSplit(1000, split)).toEqual([
+      { currency: 'bgt', amount: 600, percentage: 60 },
+      { currency: 'binr', amount: 400, percentage: 40 }
+    ]);
+    expect(applyMixedSplit(2000, split).map(leg => leg.currency)).toEqual(['bgt', 'binr', 'inr']);
+  });
+
+  it('expresses a method default split as percentage rules', () => {
+    expect(fromMethodSplit({ inr: 0.5, binr: 0.5 })).toEqual({
+      type: 'percentage',
+      legs: [{ currency: 'inr', percentage: 50 }, { currency: 'binr', percentage: 50 }]
+    });
+  });
+
+  it('rejects splits it cannot pay out', () => {
+    const invalid = split => () => validateMixedSplit(split);
+
+    expect(invalid({ type: 'ratio', legs: [{ currency: 'inr', percentage: 10 }] })).toThrow(expect.objectContaining({ code: 'INVALID_MIXED_SPLIT', statusCode: 400 }));
+    expect(invalid({ type: 'percentage', legs: [] })).toThrow('legs must be a non-empty array');
+    expect(invalid({ type: 'percentage', legs: [{ currency: 'usd', percentage: 10 }] })).toThrow('unsupported leg currency usd');
+    expect(invalid({ type: 'percentage', legs: [{ currency: 'bgt', percentage: 10 }, { currency: 'bgt', percentage: 10 }] })).toThrow('bgt appears in more than one leg');
+    expect(invalid({ type: 'percentage', legs: [{ currency: 'bgt', percentage: 60 }, { currency: 'binr', percentage: 50 }] })).toThrow('leg percentages add up to 110, more than 100');
+    expect(invalid({ type: 'fixed', legs: [{ currency: 'bgt', amount: 0 }] })).toThrow('bgt leg needs a positive amount');
+    expect(invalid({ type: 'fixed', legs: [{ currency: 'bgt', amount: 10 }], remainder: 'usd' })).toThrow('unsupported remainder currency usd');
+  });
+
+  describe('paying a mixed settlement', () => {
+    const app = createApp({ '/api/payments': paymentRoutes, '/api/merchants': merchantRoutes });
+
+    const setSplit = mixed_split => request(app).put('/api/merchants/mer_1/config').send({ settlement_preferences: { mixed_split } });
+
+    beforeEach(() => {
+      settlementService.rails = createTestRails();
+      conversionService.setPriceFeed('bgt', new StaticPriceFeed({ name: 'bgt fixed', price: 6000, unit: 'gram' }));
+      conversionService.setPriceFeed('binr', new StaticPriceFeed({ name: 'binr fixed', price: 1 }));
+      seedMerchant('mer_1', { verification_level: 3 });
+      store.collection('merchant_configs').set('mer_1', { merchant_id: 'mer_1', settlement_preferences: {} });
+    });
+
+    it('refuses to store an invalid split on the merchant', async () => {
+      const res = await setSplit({ type: 'percentage', legs: [{ currency: 'bgt', percentage: 120 }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('leg percentages add up to 120');
+    });
+
+    it('pays each leg on its own rail, converting token legs at the rate locked with the quote', async () => {
+      await setSplit({ type: 'percentage', legs: [{ currency: 'bgt', percentage: 25 }, { currency: 'binr', percentage: 25 }], remainder: 'inr' });
+
+      const created = await request(app).post('/api/payments/create')
+        .send({ customer_id: 'cus_1', merchant_id: 'mer_1', amount: 10, currency: 'bgt', settlement_type: 'mixed' });
+      const { breakdown, converted_amount } = created.body.conversion_details;
+      const [gold] = breakdown;
+
+      expect(breakdown.map(leg => [leg.currency, leg.percentage])).toEqual([['bgt', 25], ['binr', 25], ['inr', 50]]);
+      expect(breakdown.reduce((sum, leg) => sum + Math.round(leg.value * 100), 0)).toBe(Math.round(converted_amount * 100));
+      expect(gold).toMatchObject({ locked_price: 6000, conversion_rate: 1 / 6000 });
+      expect(gold.amount).toBeCloseTo(gold.value / 6000, 6);
+
+      // The leg keeps its locked rate when the price moves before the payment is confirmed
+      conversionService.setPriceFeed('bgt', new StaticPriceFeed({ name: 'bgt fixed', price: 7000, unit: 'gram' }));
+      const confirmed = await request(app).post('/api/payments/confirm').send({ payment_id: created.body.payment_id });
+
+      expect(confirmed.body.settlement.legs.map(leg => [leg.currency, leg.settlement_method, leg.status])).toEqual([
+        ['bgt', 'bgt_transfer', 'completed'],
+        ['binr', 'binr_transfer', 'completed'],
+        ['inr', 'inr_upi', 'completed']
+      ]);
+      expect(confirmed.body.settlement.legs[0].amount).toBe(gold.amount);
+      expect(['bgt', 'binr', 'upi'].map(rail => settlementService.rails.get(rail).payouts.length)).toEqual([1, 1, 1]);
+    });
+  });
+});
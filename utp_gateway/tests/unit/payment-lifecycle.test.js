@@ -0,0 +1,116 @@
+const request = require('supertest');
+const { store } = require('../../backend/models');
+const { settlementService } = require('../../backend/services');
+const paymentRoutes = require('../../backend/routes/payments.routes');
+const { createApp, bearer, seedMerchant } = require('../support/app');
+const { createTestRails } = require('../support/rails');
+
+describe('payment lifecycle', () => {
+  const app = createApp({ '/api/payments': paymentRoutes });
+  const payments = store.collection('payments');
+
+  const createPayment = async () => {
+    const res = await request(app).post('/api/payments/create')
+      .send({ customer_id: 'cus_1', merchant_id: 'mer_1', amount: 1000, currency: 'binr', settlement_type: 'binr' });
+    expect(res.status).toBe(200);
+    return res.body.payment_id;
+  };
+
+  const confirmPayment = payment_id => request(app).post('/api/payments/confirm').send({ payment_id });
+
+  const history = payment_id => payments.get(payment_id).status_history.map(({ from, to }) => `${from}->${to}`);
+
+  beforeEach(() => {
+    settlementService.rails = createTestRails();
+    seedMerchant('mer_1');
+  });
+
+  it('creates a pending payment and records each transition through to completion', async () => {
+    const payment_id = await createPayment();
+    expect(payments.get(payment_id).status).toBe('pending');
+
+    const res = await confirmPayment(payment_id);
+
+    expect(res.body.status).toBe('completed');
+    expect(history(payment_id)).toEqual(['null->pending', 'pending->processing', 'processing->completed']);
+    expect(payments.get(payment_id).status_history.every(entry => entry.timestamp)).toBe(true);
+  });
+
+  it('cancels a pending payment and refuses to confirm it afterwards', async () => {
+    const payment_id = await createPayment();
+
+    const cancelled = await request(app).post(`/api/payments/${payment_id}/cancel`).send({ reason: 'changed_mind' });
+    const confirmed = await confirmPayment(payment_id);
+
+    expect(cancelled.body).toMatchObject({ success: true, status: 'cancelled' });
+    expect(confirmed.status).toBe(400);
+    expect(payments.get(payment_id).status).toBe('cancelled');
+  });
+
+  it('refuses to cancel a completed payment', async () => {
+    const payment_id = await createPayment();
+    await confirmPayment(payment_id);
+
+    const res = await request(app).post(`/api/payments/${payment_id}/cancel`).send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Payment cannot be cancelled in status: completed');
+  });
+
+  it('expires a payment confirmed after its TTL', async () => {
+    const payment_id = await createPayment();
+    payments.set(payment_id, { ...payments.get(payment_id), expires_at: new Date(Date.now() - 1000).toISOString() });
+
+    const res = await confirmPayment(payment_id);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('expired');
+    expect(history(payment_id)).toEqual(['null->pending', 'pending->expired']);
+  });
+
+  it('holds refunds while a dispute is open and returns the payment to its status when the merchant wins', async () => {
+    const payment_id = await createPayment();
+    await confirmPayment(payment_id);
+
+    const opened = await request(app).post(`/api/payments/${payment_id}/dispute`)
+      .set('Authorization', bearer('cus_1'))
+      .send({ reason: 'item_not_received' });
+    const refund = await request(app).post(`/api/payments/${payment_id}/refund`)
+      .set('Authorization', bearer('cus_1'))
+      .send({});
+    const resolved = await request(app).post(`/api/payments/${payment_id}/dispute/resolve`)
+      .set('Authorization', bearer('adm_1', 'admin'))
+      .send({ outcome: 'merchant_won' });
+
+    expect(opened.body.dispute).toMatchObject({ reason: 'item_not_received', opened_by: 'cus_1' });
+    expect(refund.status).toBe(400);
+    expect(resolved.body.dispute).toMatchObject({ outcome: 'merchant_won', resolved_by: 'adm_1' });
+    expect(payments.get(payment_id).status).toBe('completed');
+  });
+
+  it('refunds the customer when the customer wins the dispute', async () => {
+    const payment_id = await createPayment();
+    await confirmPayment(payment_id);
+    await request(app).post(`/api/payments/${payment_id}/dispute`)
+      .set('Authorization', bearer('cus_1'))
+      .send({ reason: 'fraudulent' });
+
+    const res = await request(app).post(`/api/payments/${payment_id}/dispute/resolve`)
+      .set('Authorization', bearer('adm_1', 'admin'))
+      .send({ outcome: 'customer_won' });
+
+    expect(res.body).toMatchObject({ status: 'refunded', refund: { amount: 1000, initiated_by: 'adm_1' } });
+    expect(res.body.dispute.refund_id).toBe(res.body.refund.refund_id);
+    expect(history(payment_id).slice(-3)).toEqual(['completed->disputed', 'disputed->completed', 'completed->refunded']);
+  });
+
+  it('resolves a dispute only for an admin', async () => {
+    const payment_id = await createPayment();
+
+    const res = await request(app).post(`/api/payments/${payment_id}/dispute/resolve`)
+      .set('Authorization', bearer('cus_1'))
+      .send({ outcome: 'merchant_won' });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,148 @@
+const request = require('supertest');
+const { store } = require('../../backend/models');
+const { UTPError } = require('../../backend/middleware/error.middleware');
+const { settlementService, payoutDestinations } = require('../../backend/services');
+const merchantRoutes = require('../../backend/routes/merchant.routes');
+const settlementRoutes = require('../../backend/routes/settlement.routes');
+const { createApp, seedMerchant } = require('../support/app');
+const { createTestRails } = require('../support/rails');
+
+describe('payout destinations', () => {
+  const app = createApp({ '/api/merchants': merchantRoutes, '/api/settlement': settlementRoutes });
+  let rails;
+
+  const add = (merchant_id, body) => request(app).post(`/api/merchants/${merchant_id}/destinations`).send(body);
+
+  const addVpa = async (merchant_id, vpa, extra = {}) =>
+    (await add(merchant_id, { type: 'upi', details: { vpa, account_holder_name: 'Ravi Kumar' }, ...extra })).body.destination;
+
+  const execute = body => request(app).post('/api/settlement/execute')
+    .send({ merchant_id: 'mer_1', amount: 5000, settlement_method: 'inr_upi', ...body });
+
+  beforeEach(() => {
+    rails = createTestRails();
+    settlementService.rails = rails;
+    store.collection('payout_destinations').clear();
+    seedMerchant('mer_1', { verification_level: 3 });
+    store.collection('merchant_configs').set('mer_1', { merchant_id: 'mer_1', settlement_preferences: {} });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rejects destinations it cannot verify or pay', () => {
+    const invalid = data => () => payoutDestinations.validateDestination(data);
+
+    expect(invalid({ type: 'cheque' })).toThrow(expect.objectContaining({ code: 'INVALID_DESTINATION', statusCode: 400 }));
+    expect(invalid({ type: 'bank_account', details: { account_number: '123456789012', ifsc_code: 'HDFC1234' } })).toThrow('invalid IFSC code HDFC1234');
+    expect(invalid({ type: 'bank_account', details: { account_number: '123456789012', ifsc_code: 'hdfc0001234' } })).toThrow('account_holder_name is required');
+    expect(invalid({ type: 'upi', details: { vpa: 'ravi' } })).toThrow('invalid VPA ravi');
+    expect(invalid({ type: 'wallet', details: { wallet_address: '0xabc' }, currencies: ['inr'] })).toThrow('wallet currencies must be some of binr, bgt, bst, bpt');
+  });
+
+  it('verifies a bank account by penny drop and makes the first of its type primary', async () => {
+    const res = await add('mer_1', {
+      type: 'bank_account',
+      details: { account_number: '123456789012', ifsc_code: 'hdfc0001234', account_holder_name: 'Ravi Kumar' }
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.destination).toMatchObject({
+      type: 'bank_account',
+      is_primary: true,
+      label: 'Bank account ••9012',
+      details: { ifsc_code: 'HDFC0001234' },
+      verification: { status: 'verified', method: 'penny_drop', attempts: 1, name_match: true }
+    });
+    expect(rails.get('neft').verifications).toHaveLength(1);
+
+    const again = await add('mer_1', {
+      type: 'bank_account',
+      details: { account_number: '123456789012', ifsc_code: 'HDFC0001234', account_holder_name: 'Ravi Kumar' }
+    });
+
+    expect(again.status).toBe(409);
+    expect(again.body.error_code).toBe('DESTINATION_EXISTS');
+  });
+
+  it('fails a VPA held by someone else and leaves one the bank could not reach pending', async () => {
+    rails.get('upi').name_at_bank = 'Suresh Traders';
+    const mismatch = await addVpa('mer_1', 'ravi@okhdfc');
+
+    expect(mismatch.verification).toMatchObject({ status: 'failed', failure_code: 'NAME_MISMATCH', name_at_bank: 'Suresh Traders' });
+
+    rails.get('upi').name_at_bank = null;
+    jest.spyOn(rails.get('upi'), 'verifyBeneficiary').mockRejectedValueOnce(new UTPError('UPI timed out', 'RAIL_TIMEOUT', 504));
+    const pending = await addVpa('mer_1', 'ravi@okicici');
+
+    expect(pending.verification).toMatchObject({ status: 'pending', failure_code: 'RAIL_TIMEOUT' });
+
+    const retried = await request(app).post(`/api/merchants/mer_1/destinations/${pending.destination_id}/verify`);
+
+    expect(retried.body.destination.verification).toMatchObject({ status: 'verified', attempts: 2, reference: `${pending.destination_id}-v2` });
+  });
+
+  it('matches holder names regardless of titles, case and company suffixes', () => {
+    expect(payoutDestinations.namesMatch('Mr. Ravi Kumar', 'RAVI KUMAR')).toBe(true);
+    expect(payoutDestinations.namesMatch('Kumar Traders', 'KUMAR TRADERS PVT LTD')).toBe(true);
+    expect(payoutDestinations.namesMatch('Ravi Kumar', 'RAVI SHARMA')).toBe(false);
+  });
+
+  it('keeps one primary per type and promotes the oldest when the primary is removed', async () => {
+    const first = await addVpa('mer_1', 'ravi@okhdfc');
+    const second = await addVpa('mer_1', 'ravi@okicici', { is_primary: true });
+    const third = await addVpa('mer_1', 'ravi@ybl');
+
+    expect(payoutDestinations.getDestination('mer_1', first.destination_id).is_primary).toBe(false);
+    expect(second.is_primary).toBe(true);
+
+    const demote = await request(app).put(`/api/merchants/mer_1/destinations/${second.destination_id}`).send({ is_primary: false });
+    expect(demote.status).toBe(409);
+    expect(demote.body.error_code).toBe('PRIMARY_DESTINATION_REQUIRED');
+
+    await request(app).delete(`/api/merchants/mer_1/destinations/${second.destination_id}`);
+    const listed = (await request(app).get('/api/merchants/mer_1/destinations')).body;
+
+    expect(listed.count).toBe(2);
+    expect(listed.destinations.map(d => [d.destination_id, d.is_primary])).toEqual([[first.destination_id, true], [third.destination_id, false]]);
+  });
+
+  it('pays a settlement to the destination it names, once verified', async () => {
+    const destination = await addVpa('mer_1', 'ravi@okicici');
+
+    const res = await execute({ payment_id: 'pay_dest', destination_id: destination.destination_id });
+
+    expect(res.body.status).toBe('completed');
+    expect(rails.get('upi').payouts.map(payout => payout.beneficiary.vpa)).toEqual(['ravi@okicici']);
+
+    rails.get('upi').name_at_bank = 'Someone Else';
+    const unverified = await addVpa('mer_1', 'ravi@ybl');
+    const refused = await execute({ payment_id: 'pay_unverified', destination_id: unverified.destination_id });
+
+    expect(refused.status).toBe(409);
+    expect(refused.body.error_code).toBe('DESTINATION_NOT_VERIFIED');
+  });
+
+  it('splits a leg across the destinations of the payout split', async () => {
+    const main = await addVpa('mer_1', 'ravi@okhdfc');
+    const savings = await addVpa('mer_1', 'ravi@okicici');
+    const setSplit = payout_split => request(app).put('/api/merchants/mer_1/config').send({ settlement_preferences: { payout_split } });
+
+    const invalid = await setSplit({ inr: [{ destination_id: main.destination_id, percentage: 70 }] });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toContain('inr percentages add up to 70, not 100');
+
+    await setSplit({ inr: [{ destination_id: main.destination_id, percentage: 60 }, { destination_id: savings.destination_id, percentage: 40 }] });
+    const res = await execute({ payment_id: 'pay_split' });
+
+    expect(res.body.legs.map(leg => [leg.leg_key, leg.destination_id, leg.amount])).toEqual([
+      ['inr', main.destination_id, 3000],
+      ['inr-2', savings.destination_id, 2000]
+    ]);
+    expect(rails.get('upi').payouts.map(payout => payout.beneficiary.vpa)).toEqual(['ravi@okhdfc', 'ravi@okicici']);
+
+    const removed = await request(app).delete(`/api/merchants/mer_1/destinations/${savings.destination_id}`);
+    expect(removed.status).toBe(409);
+    expect(removed.body.error_code).toBe('DESTINATION_IN_USE');
+  });
+});
@@ -0,0 +1,90 @@
+const UTPConversionService = require('../../backend/services/conversion');
+const { PriceFeedProvider } = require('../../backend/services/price-feeds');
+
+// A source whose price can be moved and whose fetches can be made to fail
+class TestPriceFeed extends PriceFeedProvider {
+  constructor(name, price, options = {}) {
+    super({ name, max_age_ms: 60 * 1000, ...options });
+    this.type = 'test';
+    this.price = price;
+    this.down = false;
+  }
+
+  async fetch() {
+    if (this.down) {
+      throw new Error(`${this.name} timed out`);
+    }
+    return { price: this.price, unit: 'gram', volume: this.volume };
+  }
+}
+
+describe('UTPConversionService price aggregation', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new UTPConversionService();
+    service.aggregation = { method: 'median', max_deviation: 0.02, min_sources: 2 };
+  });
+
+  it('takes the median of the sources and drops outliers', async () => {
+    service.setPriceFeed('bgt', [new TestPriceFeed('A', 6000), new TestPriceFeed('B', 6020), new TestPriceFeed('C', 9000)]);
+
+    const price = await service.fetchPriceFromSource('bgt');
+
+    expect(price.price).toBe(6010);
+    expect(price.aggregation).toMatchObject({ sources_queried: 3, sources_fresh: 3, sources_used: 2, rejected_outliers: [{ source: 'C', price: 9000 }] });
+  });
+
+  it('weights sources by volume for VWAP', async () => {
+    service.aggregation.method = 'vwap';
+    const heavy = new TestPriceFeed('A', 6000);
+    heavy.volume = 3;
+    service.setPriceFeed('bgt', [heavy, new TestPriceFeed('B', 6040)]);
+
+    expect((await service.fetchPriceFromSource('bgt')).price).toBe(6010);
+  });
+
+  it('halts an asset when too few sources have a fresh price, and resumes it once they do', async () => {
+    const events = [];
+    service.on('price_feed_halted', halt => events.push(['halted', halt.reason]));
+    service.on('price_feed_resumed', () => events.push(['resumed']));
+    const down = new TestPriceFeed('B', 6020);
+    down.down = true;
+    service.setPriceFeed('bgt', [new TestPriceFeed('A', 6000), down]);
+
+    await expect(service.fetchPriceFromSource('bgt')).rejects.toMatchObject({ code: 'PRICE_FEED_HALTED', statusCode: 503 });
+    expect(() => service.assertPriceFeedActive('binr', 'bgt')).toThrow(expect.objectContaining({ code: 'PRICE_FEED_HALTED' }));
+    expect(service.getPriceFeedStatus().bgt.status).toBe('halted');
+
+    down.down = false;
+    await service.fetchPriceFromSource('bgt');
+
+    expect(service.isHalted('bgt')).toBe(false);
+    expect(events).toEqual([['halted', 'Only 1 fresh price source(s), 2 required'], ['resumed']]);
+  });
+
+  it('counts a source whose fetch fails with its last price until that is older than max_age_ms', async () => {
+    const flaky = new TestPriceFeed('B', 6020);
+    service.setPriceFeed('bgt', [new TestPriceFeed('A', 6000), flaky]);
+    await service.fetchPriceFromSource('bgt');
+
+    flaky.down = true;
+    const price = await service.fetchPriceFromSource('bgt');
+
+    expect(price.price).toBe(6010);
+    expect(price.aggregation).toMatchObject({ sources_fresh: 2, sources_from_last_price: 1 });
+    expect(service.isHalted('bgt')).toBe(false);
+
+    flaky.last_price.observed_at = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+
+    await expect(service.fetchPriceFromSource('bgt')).rejects.toMatchObject({ code: 'PRICE_FEED_HALTED' });
+  });
+
+  it('does not count a source whose latest price is itself stale', async () => {
+    const lagging = new TestPriceFeed('B', 6020);
+    lagging.fetch = async () => ({ price: 6020, unit: 'gram', observed_at: new Date(Date.now() - 2 * 60 * 1000).toISOString() });
+    service.setPriceFeed('bgt', [new TestPriceFeed('A', 6000), lagging]);
+
+    await expect(service.fetchPriceFromSource('bgt')).rejects.toMatchObject({ code: 'PRICE_FEED_HALTED' });
+  });
+});
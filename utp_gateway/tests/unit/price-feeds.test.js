@@ -0,0 +1,87 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createPriceFeed, UNIT_TO_GRAMS } = require('../../backend/services/price-feeds');
+
+describe('price feeds', () => {
+  it('normalises a USD per troy ounce quote to INR per gram', async () => {
+    const feed = createPriceFeed({ provider: 'static', name: 'LBMA', price: 2000, currency: 'USD', unit: 'troy_ounce' }, { fx_rates: { USD: 83 } });
+
+    const price = await feed.getPrice('bgt');
+
+    expect(price).toMatchObject({ source: 'LBMA', provider: 'static', currency: 'INR', unit: 'gram' });
+    expect(price.price).toBeCloseTo(2000 * 83 / UNIT_TO_GRAMS.troy_ounce, 2);
+    expect(price.freshness).toMatchObject({ stale: false, last_error: null });
+  });
+
+  it('prices BINR at its peg', async () => {
+    const feed = createPriceFeed({ provider: 'fixed', price: 1 });
+
+    expect(await feed.getPrice('binr')).toMatchObject({ price: 1, unit: 'unit', confidence: 1 });
+  });
+
+  it('rejects invalid prices and unknown currencies and remembers the error', async () => {
+    const feed = createPriceFeed({ provider: 'static', name: 'Broken', price: -5 });
+    const euro_feed = createPriceFeed({ provider: 'static', name: 'Euro', price: 60, currency: 'EUR', unit: 'gram' });
+
+    await expect(feed.getPrice('bgt')).rejects.toThrow('Broken returned an invalid price: -5');
+    await expect(euro_feed.getPrice('bgt')).rejects.toThrow('No INR rate configured for EUR');
+    expect(feed.getFreshness()).toMatchObject({ stale: true, observed_at: null, last_error: 'Broken returned an invalid price: -5' });
+  });
+
+  it('reports a price older than max_age_ms as stale', async () => {
+    const feed = createPriceFeed({ provider: 'static', price: 6000, unit: 'gram' }, { max_age_ms: 1000 });
+    await feed.getPrice('bgt');
+    feed.last_price.observed_at = new Date(Date.now() - 5000).toISOString();
+
+    expect(feed.getFreshness()).toMatchObject({ stale: true, max_age_ms: 1000 });
+  });
+
+  it('replays recorded prices per asset from a file, looping at the end', async () => {
+    const data_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'utp-replay-'));
+    const file = path.join(data_dir, 'prices.json');
+    fs.writeFileSync(file, JSON.stringify({ bgt: [{ price: 6000 }, { price: 6010, observed_at: '2025-01-01T10:00:00Z' }] }));
+    const feed = createPriceFeed({ provider: 'file_replay', file, use_recorded_time: true, max_age_ms: Number.MAX_SAFE_INTEGER });
+
+    try {
+      const prices = [await feed.getPrice('bgt'), await feed.getPrice('bgt'), await feed.getPrice('bgt')];
+
+      expect(prices.map(price => price.price)).toEqual([6000, 6010, 6000]);
+      expect(prices[1].observed_at).toBe('2025-01-01T10:00:00.000Z');
+      await expect(feed.getPrice('bst')).rejects.toThrow('has no replay entries for bst');
+    } finally {
+      fs.rmSync(data_dir, { recursive: true, force: true });
+    }
+  });
+
+  it('reads the price, time and volume of an HTTP JSON feed from their paths', async () => {
+    const server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ path: req.url, data: { inr: 6123.456, at: '2025-01-01T10:00:00Z', volume: 42 } }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const feed = createPriceFeed({
+        provider: 'http_json',
+        name: 'Stub',
+        url: `http://127.0.0.1:${server.address().port}/prices/{asset}`,
+        price_path: 'data.inr',
+        timestamp_path: 'data.at',
+        volume_path: 'data.volume'
+      });
+
+      expect(await feed.fetch('bgt')).toMatchObject({ price: 6123.456, observed_at: '2025-01-01T10:00:00Z', volume: 42 });
+      expect(await feed.getPrice('bgt')).toMatchObject({ price: 6123.46, volume: 42, provider: 'http_json' });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('refuses providers it does not know and feeds missing their settings', () => {
+    expect(() => createPriceFeed({ provider: 'carrier_pigeon' })).toThrow('Unknown price feed provider: carrier_pigeon');
+    expect(() => createPriceFeed({ provider: 'http_json', name: 'No URL' })).toThrow('HTTP JSON price feed No URL requires a url');
+    expect(() => createPriceFeed({ provider: 'file_replay', name: 'No file' })).toThrow('File replay price feed No file requires a file');
+  });
+});
@@ -0,0 +1,86 @@
+const UTPMemoryStore = require('../../backend/models/memory.store');
+const UTPPriceHistory = require('../../backend/services/price-history');
+
+describe('UTPPriceHistory', () => {
+  const base = Date.UTC(2025, 0, 1, 10, 0, 0);
+  let store;
+  let history;
+
+  const record = (asset_type, price, offset_ms) => history.record({
+    asset_type,
+    price,
+    source: 'test',
+    timestamp: new Date(base + offset_ms).toISOString()
+  });
+
+  beforeEach(() => {
+    store = new UTPMemoryStore();
+    history = new UTPPriceHistory({ store, tick_retention_ms: 60 * 60 * 1000, max_candles: 100 });
+  });
+
+  it('rolls ticks up into OHLC candles per interval', async () => {
+    await record('bgt', 6000, 0);
+    await record('bgt', 6050, 20 * 1000);
+    await record('bgt', 5990, 40 * 1000);
+    await record('bgt', 6010, 70 * 1000);
+
+    const minutes = history.getCandles('bgt', { interval: '1m', from: base, to: base + 2 * 60 * 1000 });
+    const hour = history.getCandles('bgt', { interval: '1h', from: base, to: base + 60 * 60 * 1000 });
+
+    expect(minutes.candles.map(({ open, high, low, close, ticks }) => ({ open, high, low, close, ticks }))).toEqual([
+      { open: 6000, high: 6050, low: 5990, close: 5990, ticks: 3 },
+      { open: 6010, high: 6010, low: 6010, close: 6010, ticks: 1 }
+    ]);
+    expect(hour.candles).toEqual([expect.objectContaining({ open: 6000, high: 6050, low: 5990, close: 6010, ticks: 4 })]);
+  });
+
+  it('keeps open and close in time order when a price arrives late', async () => {
+    await record('bgt', 6010, 30 * 1000);
+    await record('bgt', 6000, 10 * 1000);
+
+    const [candle] = history.getCandles('bgt', { interval: '1m', from: base, to: base + 60 * 1000 }).candles;
+
+    expect(candle).toMatchObject({ open: 6000, close: 6010 });
+  });
+
+  it('answers the price and rate that applied at a past time', async () => {
+    await record('bgt', 6000, 0);
+    await record('bgt', 6100, 60 * 1000);
+    await record('binr', 1, 0);
+
+    expect(history.getPriceAt('bgt', base + 30 * 1000)).toMatchObject({
+      price: 6000,
+      recorded_at: new Date(base).toISOString(),
+      valid_until: new Date(base + 60 * 1000).toISOString()
+    });
+    expect(history.getRateAt('bgt', 'binr', String(base + 90 * 1000)).rate).toBe(6100);
+    expect(() => history.getPriceAt('bgt', base - 1)).toThrow(expect.objectContaining({ code: 'PRICE_HISTORY_NOT_FOUND', statusCode: 404 }));
+  });
+
+  it('rejects unknown intervals and ranges that are inverted or too long', () => {
+    expect(() => history.getCandles('bgt', { interval: '2h' })).toThrow(expect.objectContaining({ code: 'INVALID_CANDLE_INTERVAL' }));
+    expect(() => history.getCandles('bgt', { interval: '1m', from: base, to: base - 1 })).toThrow('from must be before to');
+    expect(() => history.getCandles('bgt', { interval: '1m', from: base, to: base + 101 * 60 * 1000 })).toThrow(expect.objectContaining({ code: 'INVALID_TIME_RANGE' }));
+    expect(() => history.getPriceAt('bgt', 'yesterday')).toThrow('Invalid timestamp: yesterday');
+  });
+
+  it('rebuilds its index from the stored ticks after a restart', async () => {
+    await record('bgt', 6000, 0);
+
+    const restarted = new UTPPriceHistory({ store });
+
+    expect(restarted.getPriceAt('bgt', base).price).toBe(6000);
+    expect(restarted.getCandles('bgt', { interval: '1d', from: base, to: base }).count).toBe(1);
+  });
+
+  it('prunes ticks past their retention but keeps each asset\'s latest', async () => {
+    await record('bgt', 6000, 0);
+    await record('bgt', 6100, 60 * 1000);
+
+    const removed = await history.prune(base + 3 * 60 * 60 * 1000);
+
+    expect(removed.ticks).toBe(1);
+    expect(history.getPriceAt('bgt', base + 4 * 60 * 60 * 1000).price).toBe(6100);
+    expect(store.collection('price_ticks').size).toBe(1);
+  });
+});
@@ -0,0 +1,121 @@
+const http = require('http');
+const { WebSocket } = require('ws');
+const UTPConversionService = require('../../backend/services/conversion');
+const UTPPriceStream = require('../../backend/services/price-stream');
+const StaticPriceFeed = require('../../backend/services/price-feeds/static');
+const { bearer } = require('../support/app');
+
+// A client that queues the messages it receives so a test can wait for the next one of a type
+const connect = (url, headers = {}) => new Promise((resolve, reject) => {
+  const socket = new WebSocket(url, { headers });
+  const messages = [];
+  const waiting = [];
+
+  socket.on('message', data => {
+    messages.push(JSON.parse(data.toString()));
+    waiting.splice(0).forEach(check => check());
+  });
+  socket.next = type => new Promise(resolve_next => {
+    const check = () => {
+      const index = messages.findIndex(message => message.type === type);
+      if (index === -1) return waiting.push(check);
+      resolve_next(messages.splice(index, 1)[0]);
+    };
+    check();
+  });
+  socket.request = message => socket.send(JSON.stringify(message));
+  socket.on('open', () => resolve(socket));
+  socket.on('unexpected-response', (req, res) => reject(Object.assign(new Error('handshake refused'), { status: res.statusCode })));
+  socket.on('error', reject);
+});
+
+describe('UTPPriceStream', () => {
+  let server;
+  let stream;
+  let conversion;
+  let url;
+  const sockets = [];
+
+  const open = async (options = {}) => {
+    const socket = await connect(url, options.headers);
+    sockets.push(socket);
+    await socket.next('welcome');
+    return socket;
+  };
+
+  const start = async (options = {}) => {
+    conversion = new UTPConversionService();
+    conversion.setPriceFeed('bgt', new StaticPriceFeed({ price: 6000, unit: 'gram' }));
+    conversion.setPriceFeed('binr', new StaticPriceFeed({ price: 1 }));
+    stream = new UTPPriceStream(conversion, { path: '/ws/prices', max_subscriptions: 2, heartbeat_interval_ms: 60000, ...options });
+    server = http.createServer();
+    stream.attach(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}/ws/prices`;
+  };
+
+  afterEach(async () => {
+    sockets.splice(0).forEach(socket => socket.terminate());
+    stream.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('pushes a price to subscribers of the asset when the conversion service caches one', async () => {
+    await start();
+    const socket = await open();
+
+    socket.request({ action: 'subscribe', assets: ['BGT'] });
+    expect(await socket.next('subscribed')).toMatchObject({ assets: ['bgt'], pairs: [] });
+
+    await conversion.getPrice('bgt');
+    expect(await socket.next('price')).toMatchObject({ asset_type: 'bgt', price: { price: 6000 } });
+  });
+
+  it('pushes the rate of a subscribed pair when either asset is priced', async () => {
+    await start();
+    const socket = await open();
+
+    socket.request({ action: 'subscribe', pairs: ['bgt/binr'] });
+    await socket.next('subscribed');
+    await conversion.getPrice('bgt');
+
+    expect(await socket.next('rate')).toMatchObject({ pair: 'bgt/binr', rate: 6000, from_price: 6000, to_price: 1 });
+  });
+
+  it('limits subscriptions per connection and rejects unsupported assets', async () => {
+    await start();
+    const socket = await open();
+
+    socket.request({ action: 'subscribe', assets: ['bgt', 'bst', 'bpt'] });
+    expect(await socket.next('error')).toMatchObject({ error_code: 'SUBSCRIPTION_LIMIT_EXCEEDED' });
+
+    socket.request({ action: 'subscribe', assets: ['doge'] });
+    expect(await socket.next('error')).toMatchObject({ error_code: 'INVALID_SUBSCRIPTION', error: 'Unsupported assets: doge' });
+
+    socket.request({ action: 'ping' });
+    expect(await socket.next('pong')).toBeDefined();
+  });
+
+  it('tells subscribers when an asset feed halts', async () => {
+    await start();
+    const socket = await open();
+    socket.request({ action: 'subscribe', assets: ['bgt'] });
+    await socket.next('subscribed');
+
+    conversion.haltAsset('bgt', 'All sources failed');
+
+    expect(await socket.next('price_feed_halted')).toMatchObject({ asset_type: 'bgt', reason: 'All sources failed' });
+  });
+
+  it('accepts a JWT and refuses anonymous connections when auth is required', async () => {
+    await start({ require_auth: true });
+
+    await expect(connect(url)).rejects.toMatchObject({ status: 401 });
+    await expect(connect(url, { authorization: 'Bearer not-a-token' })).rejects.toMatchObject({ status: 403 });
+
+    const socket = await connect(url, { authorization: bearer('usr_1') });
+    sockets.push(socket);
+    expect(await socket.next('welcome')).toMatchObject({ authenticated: true });
+    expect(stream.getStatus()).toMatchObject({ connections: 1, authenticated_connections: 1 });
+  });
+});
@@ -0,0 +1,148 @@
+const express = require('express');
+const config = require('../../backend/config');
+const { createRailAdapter } = require('../../backend/services/rails');
+const { UTPMockBank, createMockBankRouter } = require('../../backend/sandbox/mock-bank');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('HTTP rail adapter against the mock bank', () => {
+  let bank;
+  let server;
+  let rails;
+  let callbacks;
+
+  // Poll a payout until the bank reports a final status
+  const settled = async (rail, reference) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const update = await rails[rail].getStatus(reference);
+      if (update.status !== 'pending') return update;
+      await sleep(10);
+    }
+    throw new Error(`${reference} never settled`);
+  };
+
+  const account = { account_number: '1234567890', ifsc_code: 'HDFC0001234', account_holder_name: 'Test Merchant' };
+
+  beforeEach(async () => {
+    bank = new UTPMockBank({
+      api_key: 'bank_key',
+      webhook_secret: 'bank_secret',
+      upi_confirm_delay_ms: 20,
+      imps_confirm_delay_ms: 20,
+      token_confirm_delay_ms: 20,
+      neft_batch_interval_ms: 60 * 60 * 1000
+    });
+    callbacks = [];
+    // Callbacks for payouts that settle after a test ends find the server closed
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const app = express();
+    app.use('/bank', createMockBankRouter(bank));
+    app.post('/callbacks/:rail', express.json(), (req, res) => {
+      callbacks.push({ rail: req.params.rail, body: req.body, signature: req.get('X-Bank-Signature') });
+      res.json({ received: true });
+    });
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+
+    const base_url = `http://127.0.0.1:${server.address().port}`;
+    const defaults = { api_url: `${base_url}/bank`, api_key: 'bank_key', webhook_secret: 'bank_secret', callback_url: `${base_url}/callbacks`, timeout: 2000 };
+    rails = Object.fromEntries(Object.entries(config.rails).map(([rail, rail_config]) => [rail, createRailAdapter(rail, rail_config, defaults)]));
+  });
+
+  afterEach(async () => {
+    bank.close();
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  it('starts a UPI payout as pending and reports it completed with a UTR once the bank confirms it', async () => {
+    const started = await rails.upi.initiate({ reference: 'stl_1', amount: 994.1, currency: 'inr', beneficiary: { vpa: 'merchant@hdfc' } });
+
+    expect(started).toMatchObject({ reference: 'stl_1', status: 'pending', transaction_details: { method: 'upi', rail: 'upi' } });
+
+    const update = await settled('upi', 'stl_1');
+
+    expect(update.status).toBe('completed');
+    expect(update.transaction_details.utr).toMatch(/^UTR/);
+    expect(update.rail_reference).toBe(started.rail_reference);
+  });
+
+  it('returns the original payout when a reference is replayed', async () => {
+    const payout = { reference: 'stl_2', amount: 500, currency: 'inr', beneficiary: { vpa: 'merchant@hdfc' } };
+
+    const first = await rails.upi.initiate(payout);
+    const replay = await rails.upi.initiate(payout);
+
+    expect(replay.rail_reference).toBe(first.rail_reference);
+    expect(bank.payouts.size).toBe(1);
+    await expect(rails.upi.initiate({ ...payout, amount: 600 })).rejects.toMatchObject({ code: 'DUPLICATE_REFERENCE', statusCode: 422 });
+  });
+
+  it('surfaces beneficiaries the bank rejects up front and payouts that fail later', async () => {
+    await expect(rails.upi.initiate({ reference: 'stl_3', amount: 100, beneficiary: { vpa: 'reject@hdfc' } }))
+      .rejects.toMatchObject({ code: 'INVALID_BENEFICIARY', statusCode: 422 });
+
+    await rails.imps.initiate({ reference: 'stl_4', amount: 100, beneficiary: { ...account, account_number: 'fail000001' } });
+
+    expect(await settled('imps', 'stl_4')).toMatchObject({ status: 'failed', failure_code: 'ACCOUNT_CLOSED' });
+  });
+
+  it('queues NEFT payouts until their batch settles', async () => {
+    const queued = await rails.neft.initiate({ reference: 'stl_5', amount: 25000, currency: 'inr', beneficiary: account });
+
+    expect(queued.status).toBe('pending');
+    expect(queued.transaction_details).toMatchObject({ bank_status: 'QUEUED', batch_id: expect.any(String) });
+
+    bank.runNeftBatch();
+
+    expect(await rails.neft.getStatus('stl_5')).toMatchObject({ status: 'completed', transaction_details: { batch_id: queued.transaction_details.batch_id } });
+  });
+
+  it('cancels a payout before it is paid and reports a payout the bank never recorded as failed', async () => {
+    await rails.upi.initiate({ reference: 'stl_6', amount: 100, beneficiary: { vpa: 'pending@hdfc' } });
+
+    expect(await rails.upi.cancel('stl_6')).toMatchObject({ status: 'cancelled' });
+    expect(await rails.upi.getStatus('stl_lost')).toMatchObject({ status: 'failed', failure_code: 'PAYOUT_NOT_FOUND' });
+  });
+
+  it('reverses a paid token transfer but not a bank payout', async () => {
+    await rails.bgt.initiate({ reference: 'stl_7', amount: 2, currency: 'bgt', beneficiary: { wallet_address: '0xmerchant' } });
+    expect(await settled('bgt', 'stl_7')).toMatchObject({ status: 'completed', transaction_details: { method: 'bgt_transfer' } });
+
+    const reversed = await rails.bgt.reverse('stl_7', { reason: 'refund' });
+
+    expect(reversed.status).toBe('reversed');
+    expect(reversed.transaction_details.reversal_hash).toMatch(/^0x/);
+    await expect(rails.upi.reverse('stl_1')).rejects.toMatchObject({ code: 'RAIL_OPERATION_UNSUPPORTED' });
+  });
+
+  it('verifies bank accounts by penny drop and VPAs by name lookup', async () => {
+    const penny_drop = await rails.neft.verifyBeneficiary({ reference: 'ver_1', beneficiary: account });
+    const lookup = await rails.upi.verifyBeneficiary({ reference: 'ver_2', beneficiary: { vpa: 'mismatch@hdfc', name: 'Test Merchant' } });
+
+    expect(penny_drop).toMatchObject({ status: 'verified', method: 'penny_drop', name_at_bank: 'TEST MERCHANT', transaction_details: { amount: 1 } });
+    expect(lookup).toMatchObject({ status: 'verified', method: 'vpa_lookup', name_at_bank: 'UNRELATED ACCOUNT HOLDER' });
+    await expect(rails.binr.verifyBeneficiary({ reference: 'ver_3', beneficiary: {} })).rejects.toMatchObject({ code: 'RAIL_OPERATION_UNSUPPORTED' });
+  });
+
+  it('accepts the bank\'s signed callbacks and refuses forged ones', async () => {
+    await rails.upi.initiate({ reference: 'stl_8', amount: 100, beneficiary: { vpa: 'merchant@hdfc' } });
+    await settled('upi', 'stl_8');
+    for (let attempt = 0; attempt < 50 && callbacks.length === 0; attempt++) await sleep(10);
+
+    const [callback] = callbacks;
+
+    expect(callback).toMatchObject({ rail: 'upi', body: { event: 'payout.success' } });
+    expect(rails.upi.handleCallback(callback.body, callback.signature)).toMatchObject({ reference: 'stl_8', status: 'completed' });
+    expect(() => rails.upi.handleCallback(callback.body, 'f'.repeat(64))).toThrow(expect.objectContaining({ code: 'INVALID_RAIL_SIGNATURE', statusCode: 401 }));
+  });
+
+  it('turns a wrong API key and an unreachable bank into rail errors', async () => {
+    const wrong_key = createRailAdapter('upi', config.rails.upi, { api_url: rails.upi.api_url, api_key: 'nope' });
+    const unreachable = createRailAdapter('upi', config.rails.upi, { api_url: 'http://127.0.0.1:1', timeout: 500 });
+
+    await expect(wrong_key.getStatus('stl_9')).rejects.toMatchObject({ code: 'UNAUTHORIZED', statusCode: 422 });
+    await expect(unreachable.getStatus('stl_9')).rejects.toMatchObject({ code: 'RAIL_UNAVAILABLE', statusCode: 503 });
+  });
+});
@@ -0,0 +1,117 @@
+const { store } = require('../../backend/models');
+const UTPReconciliationService = require('../../backend/services/reconciliation');
+
+describe('UTPReconciliationService', () => {
+  const settlements = store.collection('settlements');
+  let service;
+
+  // A completed INR payout as the settlement service stores it
+  const seedPayout = (settlement_id, amount, { utr = null, date = '2024-10-18' } = {}) => {
+    const completed_at = `${date}T10:00:00.000Z`;
+    settlements.set(settlement_id, {
+      settlement_id,
+      merchant_id: 'mer_1',
+      settlement_method: 'inr_upi',
+      currency: 'inr',
+      status: 'completed',
+      created_at: completed_at,
+      executed_at: completed_at,
+      legs: [{
+        currency: 'inr',
+        settlement_method: 'inr_upi',
+        status: 'completed',
+        net_amount: amount,
+        rail_reference: settlement_id,
+        transaction_details: { utr, completed_at }
+      }]
+    });
+  };
+
+  const statement = (...lines) => ['Date,Narration,Ref No./UTR,Withdrawal Amt.,Deposit Amt.', ...lines].join('\n');
+
+  beforeEach(() => {
+    ['settlements', 'bank_statements', 'reconciled_payouts', 'system_alerts'].forEach(name => store.collection(name).clear());
+    service = new UTPReconciliationService({ amount_tolerance: 0.01, date_window_days: 3, unmatched_alert_hours: 48 });
+  });
+
+  it('classifies each debit line by how it matches a payout', async () => {
+    seedPayout('set_utr', 5000, { utr: 'UTR123456' });
+    seedPayout('set_amount', 2500);
+    seedPayout('set_short', 8000, { utr: 'UTR777777' });
+
+    const imported = await service.importStatement({
+      content: statement(
+        '2024-10-18,UTP payout,UTR123456,5000.00,',
+        '2024-10-19,UTP payout,,2500.00,',
+        '2024-10-19,UTP payout,UTR777777,7999.00,',
+        '2024-10-19,Unknown debit,UTRXYZ12345,123.00,',
+        '2024-10-19,Unknown debit,UTRXYZ12345,123.00,',
+        '2024-10-19,Account funding,,,100000.00'
+      ),
+      filename: 'oct.csv'
+    });
+
+    expect(imported.lines.map(({ status, settlement_id, match_method }) => ({ status, settlement_id, match_method }))).toEqual([
+      { status: 'matched', settlement_id: 'set_utr', match_method: 'reference' },
+      { status: 'matched', settlement_id: 'set_amount', match_method: 'amount_date' },
+      { status: 'amount_mismatch', settlement_id: 'set_short', match_method: 'reference' },
+      { status: 'unmatched', settlement_id: null, match_method: null },
+      { status: 'duplicate', settlement_id: null, match_method: null },
+      { status: 'ignored', settlement_id: null, match_method: null }
+    ]);
+    expect(imported.lines[2].amount_difference).toBe(-1);
+    expect(imported).toMatchObject({ period_from: '2024-10-18', period_to: '2024-10-19' });
+  });
+
+  it('refuses a statement it has already imported', async () => {
+    const content = statement('2024-10-18,UTP payout,UTR123456,5000.00,');
+    await service.importStatement({ content });
+
+    await expect(service.importStatement({ content })).rejects.toMatchObject({ code: 'STATEMENT_ALREADY_IMPORTED', statusCode: 409 });
+  });
+
+  it('lists a line matching an already reconciled payout as a duplicate', async () => {
+    seedPayout('set_utr', 5000, { utr: 'UTR123456' });
+    await service.importStatement({ content: statement('2024-10-18,UTP payout,UTR123456,5000.00,') });
+
+    const second = await service.importStatement({ content: statement('2024-10-18,UTP payout again,UTR123456,5000.00,') });
+
+    expect(second.lines[0]).toMatchObject({ status: 'duplicate', settlement_id: 'set_utr' });
+  });
+
+  it('matches open lines once the payout reference is known', async () => {
+    const imported = await service.importStatement({ content: statement('2024-10-18,UTP payout,UTR555555,100.00,', '2024-10-18,UTP payout,UTR666666,200.00,') });
+    expect(imported.summary.counts.unmatched).toBe(2);
+
+    seedPayout('set_late', 100, { utr: 'UTR555555' });
+
+    expect(await service.rematchOpenLines()).toBe(1);
+    expect(service.getStatement(imported.statement_id, 'matched').lines).toEqual([expect.objectContaining({ settlement_id: 'set_late' })]);
+  });
+
+  it('raises one alert per aged unmatched line and payout missing from a covering statement', async () => {
+    seedPayout('set_missing', 750, { utr: 'UTR888888', date: '2024-10-17' });
+    seedPayout('set_after', 900, { utr: 'UTR999999', date: '2024-10-25' });
+    await service.importStatement({ content: statement('2024-10-18,Unknown debit,UTRXYZ12345,123.00,') });
+
+    const alerts = await service.raiseAlerts(new Date('2024-11-01T00:00:00Z'));
+    const again = await service.raiseAlerts(new Date('2024-11-02T00:00:00Z'));
+
+    expect(alerts.map(alert => alert.title)).toEqual(['Unmatched bank statement line', 'Payout missing from bank statement']);
+    expect(alerts[1].metadata).toMatchObject({ source: 'reconciliation', settlement_id: 'set_missing', utr: 'UTR888888' });
+    expect(again).toHaveLength(0);
+    expect(store.collection('system_alerts').size).toBe(2);
+  });
+
+  it('reports match rate, exceptions and unreconciled payouts', async () => {
+    seedPayout('set_utr', 5000, { utr: 'UTR123456' });
+    seedPayout('set_open', 300, { utr: 'UTR300300' });
+    await service.importStatement({ content: statement('2024-10-18,UTP payout,UTR123456,5000.00,', '2024-10-18,Unknown debit,UTRXYZ12345,123.00,') });
+
+    const report = service.getReport({ from: '2024-10-01', to: '2024-10-31' });
+
+    expect(report).toMatchObject({ statements: 1, covered_until: '2024-10-18', match_rate: 50 });
+    expect(report.unmatched_lines).toEqual([expect.objectContaining({ amount: 123, reference: 'UTRXYZ12345' })]);
+    expect(report.unreconciled_payouts).toEqual([expect.objectContaining({ settlement_id: 'set_open', amount: 300 })]);
+  });
+});
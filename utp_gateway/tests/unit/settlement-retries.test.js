@@ -0,0 +1,110 @@
+const request = require('supertest');
+const { settlementService } = require('../../backend/services');
+const settlementRoutes = require('../../backend/routes/settlement.routes');
+const { createApp, seedMerchant } = require('../support/app');
+const { createTestRails } = require('../support/rails');
+
+describe('settlement payout retries and clawbacks', () => {
+  const app = createApp({ '/api/settlement': settlementRoutes });
+  const retry_policy = settlementService.retry_policy;
+  let rails;
+
+  const execute = body => request(app).post('/api/settlement/execute').send({ merchant_id: 'mer_1', amount: 5000, settlement_method: 'inr_upi', ...body });
+
+  const status = async settlement_id => (await request(app).get(`/api/settlement/status/${settlement_id}`)).body.settlement;
+
+  const after = ms => new Date(Date.now() + ms);
+
+  beforeEach(() => {
+    rails = createTestRails();
+    settlementService.rails = rails;
+    settlementService.retry_policy = retry_policy;
+    seedMerchant('mer_1', { verification_level: 3 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('classifies bank outages as retryable and everything else as terminal', () => {
+    expect(['RAIL_TIMEOUT', 'RAIL_UNAVAILABLE', 'INSUFFICIENT_FLOAT'].map(code => settlementService.classifyFailure(code)))
+      .toEqual(['retryable', 'retryable', 'retryable']);
+    expect(settlementService.classifyFailure('ACCOUNT_CLOSED')).toBe('terminal');
+    expect(settlementService.classifyFailure(undefined)).toBe('terminal');
+  });
+
+  it('doubles the backoff per attempt up to the maximum delay', () => {
+    expect([1, 2, 3].map(attempts => settlementService.getRetryDelay(attempts)))
+      .toEqual([retry_policy.base_delay_ms, retry_policy.base_delay_ms * 2, retry_policy.base_delay_ms * 4]);
+    expect(settlementService.getRetryDelay(20)).toBe(retry_policy.max_delay_ms);
+  });
+
+  it('retries a retryable failure with a fresh rail reference once its backoff has elapsed', async () => {
+    rails.get('upi').script({ status: 'failed', failure_code: 'INSUFFICIENT_FLOAT', failure_reason: 'Insufficient float' });
+
+    const res = await execute({ payment_id: 'pay_retry' });
+    const settlement_id = res.body.settlement_id;
+    const scheduled = await status(settlement_id);
+
+    expect(scheduled).toMatchObject({ status: 'retry_scheduled' });
+    expect(new Date(scheduled.next_retry_at) - Date.now()).toBeGreaterThan(retry_policy.base_delay_ms - 5000);
+
+    expect(await settlementService.processDueRetries()).toBe(0);
+    expect(await settlementService.processDueRetries(after(retry_policy.base_delay_ms + 1000))).toBe(1);
+
+    const settled = await status(settlement_id);
+    const references = rails.get('upi').payouts.map(payout => payout.reference);
+
+    expect(settled.status).toBe('completed');
+    expect(references).toEqual([settlement_id, `${settlement_id}-r2`]);
+  });
+
+  it('fails a terminal failure at once without retrying it', async () => {
+    rails.get('upi').script({ status: 'failed', failure_code: 'ACCOUNT_CLOSED', failure_reason: 'Beneficiary account is closed' });
+
+    const res = await execute({ payment_id: 'pay_terminal' });
+
+    expect(res.status).toBe(502);
+    expect(res.body).toMatchObject({ error_code: 'ACCOUNT_CLOSED', error: 'UPI Transfer failed: Beneficiary account is closed' });
+    expect(await settlementService.processDueRetries(after(24 * 60 * 60 * 1000))).toBe(0);
+    expect(rails.get('upi').payouts).toHaveLength(1);
+  });
+
+  it('gives up on a retryable failure after max_attempts', async () => {
+    settlementService.retry_policy = { ...retry_policy, max_attempts: 2 };
+    const outage = { status: 'failed', failure_code: 'BANK_UNAVAILABLE', failure_reason: 'Bank is down' };
+    rails.get('upi').script(outage, outage);
+
+    const res = await execute({ payment_id: 'pay_give_up' });
+    await settlementService.processDueRetries(after(retry_policy.max_delay_ms));
+
+    const settlement = settlementService.settlements.get(res.body.settlement_id);
+
+    expect(settlement.status).toBe('failed');
+    expect(settlement.legs[0]).toMatchObject({ attempt_count: 2, failure_classification: 'retryable' });
+    expect(settlement.legs[0].failure_reason).toBe('UPI Transfer failed: Bank is down (gave up after 2 attempts)');
+    expect(settlement.attempts.map(attempt => attempt.classification)).toEqual(['retryable', 'retryable']);
+  });
+
+  it('claws back a completed token payout on its rail', async () => {
+    const res = await execute({ payment_id: 'pay_token', amount: 100, settlement_method: 'binr_transfer' });
+
+    const clawback = await request(app).post(`/api/settlement/${res.body.settlement_id}/reverse`)
+      .send({ reason: 'fraud', requested_by: 'adm_1' });
+
+    expect(clawback.body.settlement).toMatchObject({ status: 'reversed' });
+    expect(rails.get('binr').reversed).toEqual([res.body.settlement_id]);
+    expect(settlementService.settlements.get(res.body.settlement_id).reversals).toEqual([
+      expect.objectContaining({ type: 'clawback', reason: 'fraud', requested_by: 'adm_1', currency: 'binr', reversal_hash: `0x${res.body.settlement_id}` })
+    ]);
+  });
+
+  it('refuses to claw back a bank payout', async () => {
+    const res = await execute({ payment_id: 'pay_bank' });
+
+    const clawback = await request(app).post(`/api/settlement/${res.body.settlement_id}/reverse`).send({});
+
+    expect(clawback.status).toBe(409);
+    expect(clawback.body.error_code).toBe('SETTLEMENT_NOT_REVERSIBLE');
+    expect(rails.get('upi').reversed).toHaveLength(0);
+  });
+});
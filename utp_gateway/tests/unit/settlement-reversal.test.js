@@ -0,0 +1,137 @@
+const UTPSettlementService = require('../../backend/services/settlement');
+const UTPLedger = require('../../backend/services/ledger');
+const { TestRail } = require('../support/rails');
+
+describe('UTPSettlementService refund reversals', () => {
+  let service;
+  let ledger;
+  let rail;
+
+  const seedSettlement = (leg_status, overrides = {}) => {
+    const settlement = {
+      settlement_id: `set_${leg_status}`,
+      payment_id: `pay_${leg_status}`,
+      payment_ids: [`pay_${leg_status}`],
+      merchant_id: 'mer_1',
+      amount: 1000,
+      currency: 'inr',
+      settlement_method: 'inr_upi',
+      merchant_account: { vpa: 'merchant@upi' },
+      net_amount: 990,
+      status: service.getStatusFromLegs([{ status: leg_status }]),
+      legs: [{
+        currency: 'inr',
+        amount: 1000,
+        fees: { settlement_fee: 8.47, gst: 1.53, total_fee: 10 },
+        net_amount: 990,
+        settlement_method: 'inr_upi',
+        rail: 'upi',
+        status: leg_status,
+        attempt_count: 1,
+        next_retry_at: leg_status === 'retry_scheduled' ? new Date(Date.now() - 1000).toISOString() : null
+      }],
+      attempts: [],
+      reversed_amount: 0,
+      reversals: [],
+      created_at: new Date().toISOString(),
+      ...overrides
+    };
+    service.settlements.set(settlement.settlement_id, settlement);
+    return settlement;
+  };
+
+  beforeEach(() => {
+    rail = new TestRail('upi');
+    ledger = new UTPLedger();
+    service = new UTPSettlementService(ledger, { rails: new Map([['upi', rail], ['bgt', new TestRail('bgt')]]) });
+    service.merchant_lifecycle.merchants.set('mer_1', { merchant_id: 'mer_1', status: 'active' });
+  });
+
+  it('reverses a completed payout by the refunded amount', () => {
+    seedSettlement('completed');
+
+    const reversal = service.reverseSettlement('pay_completed', { refund_id: 'ref_1', amount: 400, reason: 'customer_request' });
+
+    // A bank payout is final: the merchant owes the refund back
+    expect(reversal).toMatchObject({ settlement_id: 'set_completed', refund_id: 'ref_1', amount: 400, status: 'pending' });
+    expect(service.settlements.get('set_completed').reversed_amount).toBe(400);
+  });
+
+  it('tracks a refund in reversal_status and leaves the status to the legs', () => {
+    seedSettlement('completed');
+
+    service.reverseSettlement('pay_completed', { refund_id: 'ref_1', amount: 400 });
+    expect(service.getSettlementStatus('set_completed')).toMatchObject({ status: 'completed', reversal_status: 'partially_reversed' });
+
+    service.reverseSettlement('pay_completed', { refund_id: 'ref_2', amount: 590 });
+    expect(service.getSettlementStatus('set_completed')).toMatchObject({ status: 'completed', reversed_amount: 990, reversal_status: 'reversed' });
+    expect(service.reverseSettlement('pay_completed', { refund_id: 'ref_3', amount: 1 })).toBeNull();
+    expect(service.getStatus().reversed_settlements).toBe(1);
+  });
+
+  it.each(['pending', 'processing', 'retry_scheduled'])('refuses a refund while the payout is %s', leg_status => {
+    seedSettlement(leg_status);
+
+    expect(() => service.reverseSettlement(`pay_${leg_status}`, { refund_id: 'ref_1', amount: 400 }))
+      .toThrow(expect.objectContaining({ code: 'SETTLEMENT_IN_PROGRESS', statusCode: 409 }));
+    expect(service.settlements.get(`set_${leg_status}`).reversals).toHaveLength(0);
+  });
+
+  it('pays a retried payout and then lets it be refunded', async () => {
+    seedSettlement('retry_scheduled');
+    expect(() => service.reverseSettlement('pay_retry_scheduled', { refund_id: 'ref_1', amount: 990 })).toThrow('has not settled yet');
+
+    await service.processDueRetries();
+
+    expect(rail.payouts).toHaveLength(1);
+    expect(service.settlements.get('set_retry_scheduled').status).toBe('completed');
+    expect(service.reverseSettlement('pay_retry_scheduled', { refund_id: 'ref_1', amount: 990 })).toMatchObject({ amount: 990 });
+  });
+
+  it('keeps a refund owed by the merchant until a clawback of the payout recovers it', async () => {
+    seedSettlement('completed', {
+      currency: 'bgt',
+      settlement_method: 'bgt',
+      net_amount: 1.99,
+      legs: [{
+        currency: 'bgt',
+        amount: 2,
+        fees: { settlement_fee: 0.00847458, gst: 0.00152542, total_fee: 0.01 },
+        net_amount: 1.99,
+        rail: 'bgt',
+        rail_reference: 'set_completed-r1',
+        status: 'completed'
+      }]
+    });
+    const reversal = service.reverseSettlement('pay_completed', { refund_id: 'ref_1', amount: 0.5 });
+    await ledger.post({
+      reference_type: 'payment',
+      reference_id: 'pay_completed',
+      type: 'settlement_reversal',
+      entry_key: 'settlement_reversal:ref_1',
+      lines: [
+        { account_type: 'merchant_receivable', owner_id: 'mer_1', currency: 'bgt', direction: 'debit', amount: 0.5 },
+        { account_type: 'merchant_payable', owner_id: 'mer_1', currency: 'bgt', direction: 'credit', amount: 0.5 }
+      ]
+    });
+    expect(reversal.status).toBe('pending');
+    expect(ledger.getRefundReceivable('ref_1', 'mer_1')).toEqual({ bgt: 0.5 });
+
+    const settlement = await service.clawbackSettlement('set_completed', { reason: 'recover refund' });
+
+    expect(settlement.reversals.find(entry => entry.refund_id === 'ref_1')).toMatchObject({ status: 'completed', recovered_at: expect.any(String) });
+    expect(ledger.getRefundReceivable('ref_1', 'mer_1')).toEqual({});
+    const { balances } = ledger.getBalances('mer_1');
+    expect(balances.merchant_receivable.bgt).toBeCloseTo(0, 8);
+    expect(balances.merchant_payable.bgt).toBe(1.99);
+  });
+
+  it('never retries the payout of a reversed settlement', async () => {
+    seedSettlement('retry_scheduled', { reversed_amount: 990 });
+
+    expect(await service.processDueRetries()).toBe(0);
+    await expect(service.retrySettlement('set_retry_scheduled', new Date()))
+      .rejects.toMatchObject({ code: 'SETTLEMENT_REVERSED' });
+    expect(rail.payouts).toHaveLength(0);
+  });
+});
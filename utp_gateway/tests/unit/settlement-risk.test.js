@@ -0,0 +1,136 @@
+const request = require('supertest');
+const { store } = require('../../backend/models');
+const { settlementService, settlementRisk, settlementScheduler } = require('../../backend/services');
+const paymentRoutes = require('../../backend/routes/payments.routes');
+const settlementRoutes = require('../../backend/routes/settlement.routes');
+const { createApp, seedMerchant } = require('../support/app');
+const { createTestRails } = require('../support/rails');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('settlement reserves, holds and freezes', () => {
+  const app = createApp({ '/api/payments': paymentRoutes, '/api/settlement': settlementRoutes });
+  let rails;
+
+  const execute = (merchant_id, body) => request(app).post('/api/settlement/execute')
+    .send({ merchant_id, amount: 5000, settlement_method: 'inr_upi', ...body });
+
+  const createPayment = async merchant_id => (await request(app).post('/api/payments/create')
+    .send({ customer_id: 'cus_1', merchant_id, amount: 1000, currency: 'binr', settlement_type: 'binr' })).body.payment_id;
+
+  const confirm = payment_id => request(app).post('/api/payments/confirm').send({ payment_id });
+
+  beforeEach(() => {
+    rails = createTestRails();
+    settlementService.rails = rails;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('reserve policies', () => {
+    it('follows the risk tier of the merchant\'s score', () => {
+      seedMerchant('mer_tiers');
+
+      expect(settlementRisk.applyRiskScore('mer_tiers', 85)).toMatchObject({ source: 'risk_score', percentage: 10, hold_days: 90, risk_tier: 80 });
+      expect(settlementRisk.applyRiskScore('mer_tiers', 70)).toMatchObject({ percentage: 5, hold_days: 30, risk_tier: 65 });
+      expect(settlementRisk.applyRiskScore('mer_tiers', 20)).toMatchObject({ percentage: 0, hold_days: 0, risk_tier: null });
+    });
+
+    it('keeps a manual policy over the risk tiers until it is cleared', () => {
+      seedMerchant('mer_manual');
+      settlementRisk.setReservePolicy('mer_manual', { percentage: 15, hold_days: 60, reason: 'chargebacks', updated_by: 'adm_1' });
+
+      expect(settlementRisk.applyRiskScore('mer_manual', 90)).toMatchObject({ source: 'manual', percentage: 15, risk_score: 90 });
+      expect(settlementRisk.clearReservePolicy('mer_manual')).toMatchObject({ source: 'risk_score', percentage: 10 });
+      expect(() => settlementRisk.setReservePolicy('mer_manual', { percentage: 100, hold_days: 1 })).toThrow(expect.objectContaining({ code: 'INVALID_RESERVE_POLICY' }));
+      expect(() => settlementRisk.setReservePolicy('mer_manual', { percentage: 5 })).toThrow('Reserve hold_days must be a positive whole number of days');
+    });
+  });
+
+  describe('rolling reserves', () => {
+    it('withholds the reserve from each payout and releases it fee-free once the hold ends', async () => {
+      seedMerchant('mer_reserve', { verification_level: 3 });
+      settlementRisk.setReservePolicy('mer_reserve', { percentage: 10, hold_days: 30 });
+
+      const res = await execute('mer_reserve', { payment_id: 'pay_reserve' });
+
+      expect(res.body.reserve).toMatchObject({ percentage: 10, hold_days: 30, amount: 499.41 });
+      expect(rails.get('upi').payouts.map(payout => payout.amount)).toEqual([4494.69]);
+      expect(settlementRisk.getReserveSummary('mer_reserve')).toMatchObject({ held: { inr: 499.41 }, released: {} });
+
+      expect((await settlementRisk.releaseDue()).released).toHaveLength(0);
+      const result = await settlementRisk.releaseDue(new Date(Date.now() + 31 * DAY_MS));
+
+      expect(result.released).toEqual([expect.objectContaining({ merchant_id: 'mer_reserve', currency: 'inr', amount: 499.41 })]);
+      expect(rails.get('upi').payouts.map(payout => payout.amount)).toEqual([4494.69, 499.41]);
+      expect(settlementRisk.getReserveSummary('mer_reserve')).toMatchObject({ held: {}, released: { inr: 499.41 } });
+    });
+
+    it('leaves reserves below the method minimum to wait for more to come due', async () => {
+      seedMerchant('mer_small', { verification_level: 3 });
+      settlementRisk.setReservePolicy('mer_small', { percentage: 0.25, hold_days: 1 });
+      await execute('mer_small', { payment_id: 'pay_small', amount: 200 });
+
+      const result = await settlementRisk.releaseDue(new Date(Date.now() + 2 * DAY_MS));
+      const [reserve] = settlementRisk.listReserves({ merchant_id: 'mer_small' });
+
+      expect(result.waiting).toEqual([expect.objectContaining({ merchant_id: 'mer_small', currency: 'inr', reserves: 1 })]);
+      await expect(settlementRisk.releaseReserve(reserve.reserve_id)).rejects.toMatchObject({ code: 'RESERVE_BELOW_MINIMUM' });
+    });
+  });
+
+  describe('freezes', () => {
+    it('refuses payouts and reserve releases to a frozen merchant until it is unfrozen', async () => {
+      seedMerchant('mer_frozen', { verification_level: 3 });
+      settlementRisk.setReservePolicy('mer_frozen', { percentage: 10, hold_days: 1 });
+      await execute('mer_frozen', { payment_id: 'pay_before' });
+      settlementRisk.freezeMerchant('mer_frozen', { reason: 'fraud review', placed_by: 'adm_1' });
+
+      const frozen = await execute('mer_frozen', { payment_id: 'pay_frozen' });
+      const release = await settlementRisk.releaseDue(new Date(Date.now() + 2 * DAY_MS));
+
+      expect(frozen.status).toBe(423);
+      expect(frozen.body).toMatchObject({ error_code: 'MERCHANT_PAYOUTS_FROZEN', error: 'Payouts to merchant mer_frozen are frozen: fraud review' });
+      expect(release.released).toHaveLength(0);
+      expect(() => settlementRisk.freezeMerchant('mer_frozen', { reason: 'again' })).toThrow(expect.objectContaining({ code: 'MERCHANT_ALREADY_FROZEN' }));
+
+      settlementRisk.unfreezeMerchant('mer_frozen', { reason: 'cleared', released_by: 'adm_1' });
+
+      expect((await execute('mer_frozen', { payment_id: 'pay_after' })).body.status).toBe('completed');
+    });
+  });
+
+  describe('payment holds', () => {
+    it('queues the payout of a held payment until the hold is released', async () => {
+      seedMerchant('mer_hold');
+      const payment_id = await createPayment('mer_hold');
+      const hold = settlementRisk.holdPayment(payment_id, { reason: 'customer complaint', placed_by: 'adm_1' });
+
+      const confirmed = await confirm(payment_id);
+      const held_run = await settlementScheduler.runDue({ merchant_id: 'mer_hold', force: true });
+
+      expect(confirmed.body.settlement).toMatchObject({ type: 'scheduled', schedule: 'instant' });
+      expect(store.collection('payments').get(payment_id).status_history.map(entry => entry.reason)).toContain('settlement_held');
+      expect(held_run.held).toEqual([expect.objectContaining({ payment_id, hold_id: hold.hold_id, reason: 'customer complaint' })]);
+      expect(rails.get('binr').payouts).toHaveLength(0);
+
+      settlementRisk.releaseHold(hold.hold_id, { reason: 'resolved', released_by: 'adm_1' });
+      const run = await settlementScheduler.runDue({ merchant_id: 'mer_hold', force: true });
+
+      expect(run.settlements).toEqual([expect.objectContaining({ merchant_id: 'mer_hold', amount: 1000 })]);
+      expect(() => settlementRisk.releaseHold(hold.hold_id)).toThrow(expect.objectContaining({ code: 'HOLD_NOT_ACTIVE' }));
+    });
+
+    it('refuses to hold a payment already paid out or without a reason', async () => {
+      seedMerchant('mer_paid');
+      const payment_id = await createPayment('mer_paid');
+
+      expect(() => settlementRisk.holdPayment(payment_id, {})).toThrow('A reason is required to hold payouts');
+
+      await confirm(payment_id);
+
+      expect(() => settlementRisk.holdPayment(payment_id, { reason: 'too late' })).toThrow(expect.objectContaining({ code: 'PAYMENT_ALREADY_SETTLED', statusCode: 409 }));
+    });
+  });
+});
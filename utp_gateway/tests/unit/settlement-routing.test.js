@@ -0,0 +1,103 @@
+const request = require('supertest');
+const { settlementService } = require('../../backend/services');
+const UTPSettlementCalendar = require('../../backend/services/settlement-calendar');
+const settlementRoutes = require('../../backend/routes/settlement.routes');
+const { createApp, seedMerchant } = require('../support/app');
+const { createTestRails } = require('../support/rails');
+
+// An instant given as local (IST) time
+const ist = local => new Date(`${local}:00+05:30`);
+
+describe('IMPS, RTGS and automatic INR routing', () => {
+  const app = createApp({ '/api/settlement': settlementRoutes });
+  const { calendar, confirmation_wait_ms } = settlementService;
+  let rails;
+
+  const execute = body => request(app).post('/api/settlement/execute')
+    .send({ merchant_id: 'mer_1', settlement_method: 'inr_auto', ...body });
+
+  const calendarWith = rtgs => new UTPSettlementCalendar({
+    calendar: { timezone_offset_minutes: 330, weekly_offs: [0], holidays: [] },
+    neft_window: { start: '08:00', end: '19:00', batch_interval_minutes: 30, business_days_only: true },
+    rail_windows: { imps: { start: '00:00', end: '24:00', business_days_only: false }, rtgs },
+    daily_cutoff: '16:00',
+    next_day_payout_time: '10:00'
+  });
+
+  beforeEach(() => {
+    rails = createTestRails();
+    settlementService.rails = rails;
+    settlementService.calendar = calendarWith({ start: '07:00', end: '18:00', business_days_only: true });
+    seedMerchant('mer_1', { verification_level: 3 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    settlementService.calendar = calendar;
+    settlementService.confirmation_wait_ms = confirmation_wait_ms;
+    jest.restoreAllMocks();
+  });
+
+  it('holds IMPS and RTGS payouts to their own limits', async () => {
+    const below = await execute({ payment_id: 'pay_small_rtgs', amount: 150000, settlement_method: 'inr_rtgs' });
+    const above = await execute({ payment_id: 'pay_large_imps', amount: 600000, settlement_method: 'inr_imps' });
+    const imps = await execute({ payment_id: 'pay_imps', amount: 150000, settlement_method: 'inr_imps' });
+
+    expect(below.status).toBe(400);
+    expect(below.body.error).toContain('Amount below minimum: 200000');
+    expect(above.body.error).toContain('Amount above maximum: 500000');
+    expect(imps.body.legs[0].fees.settlement_fee).toBe(225);
+    expect(rails.get('imps').payouts).toHaveLength(1);
+  });
+
+  it('routes by amount and by which rail windows are open', () => {
+    const route = (amount, at) => settlementService.routeAutoMethod('inr_auto', amount, { now: ist(at) });
+
+    expect(route(5000, '2025-01-06T21:00')).toMatchObject({ settlement_method: 'inr_upi', window_open: true });
+    expect(route(300000, '2025-01-06T11:00')).toMatchObject({ settlement_method: 'inr_rtgs', rail: 'rtgs', reason: 'first_fitting_method_open' });
+    expect(route(300000, '2025-01-06T21:00')).toMatchObject({ settlement_method: 'inr_imps', rail: 'imps', reason: 'first_fitting_method_open' });
+    expect(route(600000, '2025-01-05T21:00')).toMatchObject({ settlement_method: 'inr_rtgs', window_open: false, reason: 'all_windows_closed' });
+  });
+
+  it('routes only to methods whose rail can pay the beneficiary', () => {
+    expect(settlementService.routeAutoMethod('inr_auto', 300000, { channels: ['neft', 'imps', 'rtgs'], now: ist('2025-01-06T21:00') }))
+      .toMatchObject({ settlement_method: 'inr_imps' });
+    expect(() => settlementService.routeAutoMethod('inr_auto', 300000, { channels: ['upi'] }))
+      .toThrow(expect.objectContaining({ code: 'NO_PAYOUT_METHOD', statusCode: 422 }));
+  });
+
+  it('pays an auto settlement on the routed method at that method\'s fee', async () => {
+    settlementService.calendar = calendarWith({ start: '00:00', end: '24:00', business_days_only: false });
+
+    const res = await execute({ payment_id: 'pay_rtgs', amount: 300000 });
+
+    expect(res.body.status).toBe('completed');
+    expect(res.body.legs).toEqual([expect.objectContaining({ settlement_method: 'inr_rtgs', routing_reason: 'first_fitting_method_open' })]);
+    expect(res.body.legs[0].fees.settlement_fee).toBe(150);
+    expect(rails.get('rtgs').payouts).toHaveLength(1);
+    expect(rails.get('upi').payouts).toHaveLength(0);
+  });
+
+  it('polls a processing payout no more often than its rail\'s status poll interval', async () => {
+    settlementService.confirmation_wait_ms = 1;
+    const rtgs = rails.get('rtgs');
+    rtgs.status_poll_interval_ms = 120000;
+    rtgs.script('pending');
+
+    const res = await execute({ payment_id: 'pay_poll', amount: 300000, settlement_method: 'inr_rtgs' });
+    const getStatus = jest.spyOn(rtgs, 'getStatus');
+
+    expect(res.body.status).toBe('processing');
+    expect(await settlementService.pollProcessingSettlements()).toBe(0);
+
+    rtgs.settle(res.body.settlement_id);
+    expect(await settlementService.pollProcessingSettlements()).toBe(0);
+    expect(getStatus).toHaveBeenCalledTimes(1);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 120000);
+
+    expect(await settlementService.pollProcessingSettlements()).toBe(1);
+    expect(settlementService.settlements.get(res.body.settlement_id).status).toBe('completed');
+  });
+});
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { store } = require('../../backend/models');
+const { settlementService, settlementScheduler } = require('../../backend/services');
+const { UTPSettlementScheduler } = require('../../backend/services/settlement-scheduler');
+const UTPSettlementCalendar = require('../../backend/services/settlement-calendar');
+const paymentRoutes = require('../../backend/routes/payments.routes');
+const { createApp, bearer, seedMerchant } = require('../support/app');
+const { createTestRails } = require('../support/rails');
+
+// An instant given as local (IST) time
+const ist = local => new Date(`${local}:00+05:30`);
+
+const calendar_options = {
+  calendar: { timezone_offset_minutes: 330, weekly_offs: [0], holidays: ['2025-01-07'] },
+  neft_window: { start: '08:00', end: '19:00', batch_interval_minutes: 30, business_days_only: true },
+  rail_windows: { rtgs: { start: '07:00', end: '18:00', business_days_only: true } },
+  daily_cutoff: '16:00',
+  next_day_payout_time: '10:00'
+};
+
+describe('UTPSettlementCalendar', () => {
+  const calendar = new UTPSettlementCalendar(calendar_options);
+
+  it('settles hourly at the top of the next hour', () => {
+    expect(calendar.getDueAt('hourly', ist('2025-01-06T10:20'))).toEqual(ist('2025-01-06T11:00'));
+  });
+
+  it('settles daily at the cut-off, rolling past the cut-off, weekly offs and holidays', () => {
+    expect(calendar.getDueAt('daily', ist('2025-01-06T10:20'))).toEqual(ist('2025-01-06T16:00'));
+    expect(calendar.getDueAt('daily', ist('2025-01-06T16:30'))).toEqual(ist('2025-01-08T16:00'));
+    expect(calendar.getDueAt('daily', ist('2025-01-05T09:00'))).toEqual(ist('2025-01-06T16:00'));
+  });
+
+  it('settles T+1 on the next business day', () => {
+    expect(calendar.getDueAt('t_plus_1', ist('2025-01-04T12:00'))).toEqual(ist('2025-01-06T10:00'));
+    expect(calendar.getDueAt('t_plus_1', ist('2025-01-06T12:00'))).toEqual(ist('2025-01-08T10:00'));
+    expect(() => calendar.getDueAt('weekly')).toThrow('Unsupported settlement schedule: weekly');
+  });
+
+  it('runs NEFT batches every interval inside the window on business days', () => {
+    expect(calendar.isNeftWindowOpen(ist('2025-01-06T10:10'))).toBe(true);
+    expect(calendar.nextNeftBatch(ist('2025-01-06T10:10'))).toEqual(ist('2025-01-06T10:30'));
+    expect(calendar.nextNeftBatch(ist('2025-01-06T19:30'))).toEqual(ist('2025-01-08T08:00'));
+    expect(calendar.isNeftWindowOpen(ist('2025-01-05T10:00'))).toBe(false);
+  });
+
+  it('opens windowed rails at their next start and leaves others open', () => {
+    expect(calendar.isRailWindowOpen('rtgs', ist('2025-01-06T20:00'))).toBe(false);
+    expect(calendar.nextRailWindow('rtgs', ist('2025-01-06T20:00'))).toEqual(ist('2025-01-08T07:00'));
+    expect(calendar.isRailWindowOpen('imps', ist('2025-01-05T03:00'))).toBe(true);
+    expect(calendar.getRailWindows(ist('2025-01-06T20:00')).rtgs).toMatchObject({ open: false, opens_at: ist('2025-01-08T07:00').toISOString() });
+  });
+
+  it('reads named holidays from a holiday file', () => {
+    const data_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'utp-holidays-'));
+    const holiday_file = path.join(data_dir, 'holidays.json');
+    fs.writeFileSync(holiday_file, JSON.stringify(['2025-01-26', { date: '2025-03-14', name: 'Holi' }]));
+
+    try {
+      const with_file = new UTPSettlementCalendar({ ...calendar_options, calendar: { ...calendar_options.calendar, holiday_file } });
+
+      expect(with_file.getHolidays(ist('2025-01-08T00:00'))).toEqual([
+        { date: '2025-01-26', name: 'Bank holiday' },
+        { date: '2025-03-14', name: 'Holi' }
+      ]);
+      expect(with_file.isBusinessDay(ist('2025-03-14T12:00'))).toBe(false);
+    } finally {
+      fs.rmSync(data_dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('UTPSettlementScheduler', () => {
+  const app = createApp({ '/api/payments': paymentRoutes });
+  const merchant_configs = store.collection('merchant_configs');
+
+  const setSchedule = (merchant_id, preferences) => {
+    seedMerchant(merchant_id, { verification_level: 3 });
+    merchant_configs.set(merchant_id, { merchant_id, settlement_preferences: preferences });
+  };
+
+  const pay = async (merchant_id, amount) => {
+    const created = await request(app).post('/api/payments/create')
+      .send({ customer_id: 'cus_1', merchant_id, amount, currency: 'binr', settlement_type: 'binr' });
+    const confirmed = await request(app).post('/api/payments/confirm').send({ payment_id: created.body.payment_id });
+    return confirmed.body;
+  };
+
+  const refund = (merchant_id, payment_id, amount) => request(app).post(`/api/payments/${payment_id}/refund`)
+    .set('Authorization', bearer(merchant_id, 'merchant'))
+    .send({ amount });
+
+  const later = () => new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+  beforeEach(() => {
+    settlementService.rails = createTestRails();
+  });
+
+  it('queues a payment of a merchant on a schedule instead of paying it', async () => {
+    setSchedule('mer_hourly', { settlement_schedule: 'hourly' });
+
+    const payment = await pay('mer_hourly', 1000);
+
+    expect(payment.settlement).toMatchObject({ type: 'scheduled', schedule: 'hourly', currency: 'binr', amount: 1000 });
+    expect(settlementService.rails.get('binr').payouts).toHaveLength(0);
+    expect(settlementScheduler.getMerchantQueue('mer_hourly').pending).toEqual([
+      expect.objectContaining({ currency: 'binr', net_amount: 1000, items: 1 })
+    ]);
+  });
+
+  it('nets payments and refunds made before payout into one settlement once due', async () => {
+    setSchedule('mer_netted', { settlement_schedule: 'hourly' });
+    const first = await pay('mer_netted', 1000);
+    await pay('mer_netted', 500);
+    await refund('mer_netted', first.payment_id, 300);
+
+    const early = await settlementScheduler.runDue({ merchant_id: 'mer_netted' });
+    const run = await settlementScheduler.runDue({ merchant_id: 'mer_netted', now: later() });
+
+    expect(early.settlements).toHaveLength(0);
+    expect(run.settlements).toEqual([expect.objectContaining({ currency: 'binr', settlement_method: 'binr_transfer', amount: 1200, line_items: 3 })]);
+    expect(settlementService.rails.get('binr').payouts).toHaveLength(1);
+    expect(settlementScheduler.getMerchantQueue('mer_netted').items).toHaveLength(0);
+  });
+
+  it('pays nothing for a payment fully refunded before payout', async () => {
+    setSchedule('mer_refunded', { settlement_schedule: 'daily' });
+    const payment = await pay('mer_refunded', 1000);
+    await refund('mer_refunded', payment.payment_id, 1000);
+
+    const run = await settlementScheduler.runDue({ merchant_id: 'mer_refunded', force: true });
+
+    expect(run.netted).toEqual([{ merchant_id: 'mer_refunded', currency: 'binr', items: 2 }]);
+    expect(run.settlements).toHaveLength(0);
+    expect(settlementService.rails.get('binr').payouts).toHaveLength(0);
+  });
+
+  it('settles at most batch_size payments per settlement', async () => {
+    const scheduler = new UTPSettlementScheduler(settlementService, { batch_size: 2 });
+    setSchedule('mer_batched', { settlement_schedule: 't_plus_1' });
+    await pay('mer_batched', 100);
+    await pay('mer_batched', 200);
+    await pay('mer_batched', 300);
+
+    const run = await scheduler.runDue({ merchant_id: 'mer_batched', force: true });
+
+    expect(run.settlements.map(settlement => settlement.amount)).toEqual([300, 300]);
+  });
+
+  it('holds NEFT payouts for the next batch window', async () => {
+    const scheduler = new UTPSettlementScheduler(settlementService, { calendar: new UTPSettlementCalendar(calendar_options) });
+    setSchedule('mer_neft', { settlement_schedule: 'daily', inr_settlement_method: 'inr_neft' });
+    scheduler.enqueue({ payment_id: 'pay_neft', merchant_id: 'mer_neft', settlement_type: 'inr', conversion_details: { converted_amount: 50000 } }, 'daily');
+
+    const sunday = await scheduler.runDue({ merchant_id: 'mer_neft', now: ist('2025-01-05T12:00'), force: true });
+    const monday = await scheduler.runDue({ merchant_id: 'mer_neft', now: ist('2025-01-06T08:00') });
+
+    expect(sunday.deferred).toEqual([expect.objectContaining({ settlement_method: 'inr_neft', reason: 'neft_window_closed', due_at: ist('2025-01-06T08:00').toISOString() })]);
+    expect(monday.settlements).toEqual([expect.objectContaining({ settlement_method: 'inr_neft', amount: 50000 })]);
+    expect(settlementService.rails.get('neft').payouts).toHaveLength(1);
+  });
+
+  it('refuses to start a run while one is in progress', async () => {
+    const scheduler = new UTPSettlementScheduler(settlementService);
+    scheduler.running = true;
+
+    await expect(scheduler.runDue()).rejects.toMatchObject({ code: 'SETTLEMENT_RUN_IN_PROGRESS', statusCode: 409 });
+  });
+});
@@ -0,0 +1,67 @@
+const request = require('supertest');
+const config = require('../../backend/config');
+const { settlementService } = require('../../backend/services');
+const settlementRoutes = require('../../backend/routes/settlement.routes');
+const { createApp, seedMerchant } = require('../support/app');
+const { createTestRails } = require('../support/rails');
+
+describe('settlement subsystem', () => {
+  const app = createApp({ '/api/settlement': settlementRoutes });
+
+  const execute = body => request(app).post('/api/settlement/execute').send({ merchant_id: 'mer_1', ...body });
+
+  beforeEach(() => {
+    settlementService.rails = createTestRails();
+    seedMerchant('mer_1', { verification_level: 3 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('serves the one method registry from config', async () => {
+    const res = await request(app).get('/api/settlement/methods');
+
+    expect(res.body.settlement_methods.map(method => method.code)).toEqual(Object.keys(config.settlement.methods));
+  });
+
+  it('executes a payout through the service the rest of the gateway reads', async () => {
+    const before = settlementService.getStatus().completed_settlements;
+
+    const res = await execute({ payment_id: 'pay_1', amount: 5000, settlement_method: 'inr_upi' });
+    const status = await request(app).get(`/api/settlement/status/${res.body.settlement_id}`);
+
+    expect(res.body).toMatchObject({ status: 'completed', fees: { settlement_fee: 5, gst: 0.9, total_fee: 5.9 }, net_amount: 4994.1 });
+    expect(status.body.settlement).toMatchObject({ settlement_id: res.body.settlement_id, status: 'completed' });
+    expect(settlementService.getStatus().completed_settlements).toBe(before + 1);
+    expect(settlementService.rails.get('upi').payouts).toEqual([expect.objectContaining({ amount: 4994.1, currency: 'inr' })]);
+  });
+
+  it('holds every method to its limits', async () => {
+    const gold = await execute({ payment_id: 'pay_2', amount: 1001, settlement_method: 'bgt_transfer' });
+    const upi = await execute({ payment_id: 'pay_3', amount: 5, settlement_method: 'inr_upi' });
+
+    expect(gold.status).toBe(400);
+    expect(gold.body.error).toContain('1000');
+    expect(upi.status).toBe(400);
+    expect(settlementService.rails.get('bgt').payouts).toHaveLength(0);
+  });
+
+  it('settles a mixed payout as an INR and a BINR leg', async () => {
+    const res = await execute({ payment_id: 'pay_4', amount: 1000, settlement_method: 'mixed_settlement' });
+
+    expect(res.body.status).toBe('completed');
+    expect(res.body.legs.map(({ currency, amount, settlement_method }) => ({ currency, amount, settlement_method }))).toEqual([
+      { currency: 'inr', amount: 500, settlement_method: 'inr_upi' },
+      { currency: 'binr', amount: 500, settlement_method: 'binr_transfer' }
+    ]);
+    expect(res.body.net_amount).toBe(994.1);
+  });
+
+  it('rejects methods it does not know and settlements missing their fields', async () => {
+    const unknown = await execute({ payment_id: 'pay_5', amount: 100, settlement_method: 'carrier_pigeon' });
+    const missing = await execute({ amount: 100, settlement_method: 'inr_upi' });
+
+    expect(unknown.body.error).toContain('Invalid settlement method: carrier_pigeon');
+    expect(missing.body.error).toContain('Missing required field: payment_id');
+  });
+});
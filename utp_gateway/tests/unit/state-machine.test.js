@@ -0,0 +1,37 @@
+const UTPStateMachine = require('../../backend/services/state-machine');
+
+describe('UTPStateMachine', () => {
+  const machine = new UTPStateMachine('payment', {
+    pending: ['processing', 'cancelled'],
+    processing: ['completed', 'failed'],
+    completed: [],
+    failed: [],
+    cancelled: []
+  });
+
+  it('records the initial status and each transition', () => {
+    const payment = machine.initialize({ payment_id: 'pay_1' }, 'pending');
+    machine.transition(payment, 'processing', { reason: 'confirmed' });
+
+    expect(payment.status).toBe('processing');
+    expect(payment.status_history.map(({ from, to, reason }) => ({ from, to, reason }))).toEqual([
+      { from: null, to: 'pending', reason: 'created' },
+      { from: 'pending', to: 'processing', reason: 'confirmed' }
+    ]);
+  });
+
+  it('rejects transitions the map does not allow and unknown statuses', () => {
+    const payment = machine.initialize({}, 'pending');
+
+    expect(() => machine.transition(payment, 'completed')).toThrow('Invalid payment status transition: pending -> completed');
+    expect(() => machine.transition(payment, 'refunded')).toThrow('Unknown payment status: refunded');
+    expect(() => machine.initialize({}, 'draft')).toThrow('Unknown payment status: draft');
+    expect(payment.status).toBe('pending');
+  });
+
+  it('treats statuses without outgoing transitions as terminal', () => {
+    expect(machine.isTerminal('completed')).toBe(true);
+    expect(machine.isTerminal('pending')).toBe(false);
+    expect(machine.canTransition('processing', 'failed')).toBe(true);
+  });
+});
@@ -0,0 +1,116 @@
+const { parseStatement, detectFormat } = require('../../backend/services/statement-parser');
+
+describe('statement parser', () => {
+  describe('CSV', () => {
+    it('reads separate debit and credit columns', () => {
+      const content = [
+        'Account statement for 50100012345678',
+        'Txn Date,Value Date,Narration,Ref No./UTR,Withdrawal Amt.,Deposit Amt.,Closing Balance',
+        '18-Oct-2024,18/10/24,"UTP SETTLEMENT, MERCHANT m_1",UTR123456,,"1,25,000.50","2,25,000.50"',
+        '19/10/2024,19/10/2024,BANK CHARGES,,₹ 500.00,,"2,24,500.50"',
+        ',,Closing balance,,,,"2,24,500.50"'
+      ].join('\r\n');
+
+      const statement = parseStatement(content);
+
+      expect(statement.format).toBe('csv');
+      expect(statement.lines).toEqual([
+        expect.objectContaining({
+          line_number: 3,
+          date: '2024-10-18',
+          value_date: '2024-10-18',
+          description: 'UTP SETTLEMENT, MERCHANT m_1',
+          reference: 'UTR123456',
+          amount: 125000.5,
+          direction: 'credit',
+          balance: 225000.5
+        }),
+        expect.objectContaining({
+          line_number: 4,
+          date: '2024-10-19',
+          reference: null,
+          amount: 500,
+          direction: 'debit'
+        })
+      ]);
+    });
+
+    it('reads a single amount column signed or marked Dr/Cr', () => {
+      const content = [
+        'Date,Description,Amount,Type',
+        '2024-10-18,Payout,-20,',
+        '2024-10-18,Return,300.00,Cr',
+        '2024-10-19,Fee,15.00 Dr,'
+      ].join('\n');
+
+      expect(parseStatement(content, 'csv').lines.map(line => [line.amount, line.direction])).toEqual([
+        [20, 'debit'],
+        [300, 'credit'],
+        [15, 'debit']
+      ]);
+    });
+
+    it('rejects a statement without a usable header or with a bad date', () => {
+      expect(() => parseStatement('Narration,Balance\nfoo,10')).toThrow(expect.objectContaining({ code: 'INVALID_STATEMENT' }));
+      expect(() => parseStatement('Date,Amount\n31/13/2024,10')).toThrow('Invalid date on statement line 2');
+    });
+  });
+
+  describe('MT940', () => {
+    const content = [
+      ':20:STMT241019',
+      ':25:HDFC0000001/50100012345678',
+      ':28C:00042/001',
+      ':60F:C241017INR10000,00',
+      ':61:2410181018C5000,00NTRFUTR123456//BANKREF1',
+      ':86:UTP SETTLEMENT',
+      'MERCHANT m_1',
+      ':61:241019D1250,50NCHGNONREF',
+      ':61:241019RD100,00NTRFUTR999',
+      ':62F:C241019INR13849,50',
+      '-}'
+    ].join('\n');
+
+    it('detects the format', () => {
+      expect(detectFormat(content)).toBe('mt940');
+      expect(detectFormat('Date,Amount\n2024-10-18,10')).toBe('csv');
+    });
+
+    it('reads the header, balances and statement lines', () => {
+      const statement = parseStatement(content);
+
+      expect(statement).toMatchObject({
+        format: 'mt940',
+        account_number: 'HDFC0000001/50100012345678',
+        statement_number: '00042/001',
+        opening_balance: { date: '2024-10-17', currency: 'INR', amount: 10000 },
+        closing_balance: { date: '2024-10-19', currency: 'INR', amount: 13849.5 }
+      });
+      expect(statement.lines).toEqual([
+        expect.objectContaining({
+          line_number: 5,
+          date: '2024-10-18',
+          value_date: '2024-10-18',
+          description: 'UTP SETTLEMENT MERCHANT m_1',
+          reference: 'UTR123456',
+          bank_reference: 'BANKREF1',
+          transaction_type: 'NTRF',
+          amount: 5000,
+          direction: 'credit'
+        }),
+        expect.objectContaining({ reference: null, amount: 1250.5, direction: 'debit' }),
+        // A reversed debit moves money back in
+        expect.objectContaining({ reference: 'UTR999', amount: 100, direction: 'credit' })
+      ]);
+    });
+
+    it('rejects a malformed :61: line', () => {
+      expect(() => parseStatement(':20:X\n:61:garbage', 'mt940')).toThrow('Invalid MT940 :61: line 2');
+    });
+  });
+
+  it('rejects empty content and unknown formats', () => {
+    expect(() => parseStatement('  ')).toThrow(expect.objectContaining({ code: 'INVALID_STATEMENT' }));
+    expect(() => parseStatement('a,b', 'ofx')).toThrow(expect.objectContaining({ code: 'INVALID_STATEMENT_FORMAT' }));
+  });
+});
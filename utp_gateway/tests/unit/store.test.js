@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UTPMemoryStore = require('../../backend/models/memory.store');
+const UTPFileStore = require('../../backend/models/file.store');
+
+describe('UTPMemoryStore transactions', () => {
+  let store;
+  let payments;
+
+  beforeEach(() => {
+    store = new UTPMemoryStore();
+    payments = store.collection('payments');
+    payments.set('pay_1', { payment_id: 'pay_1', status: 'pending', amount: 100 });
+  });
+
+  it('commits the writes of a callback that succeeds', async () => {
+    const result = await store.transaction(() => {
+      payments.set('pay_2', { payment_id: 'pay_2', status: 'pending' });
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(payments.has('pay_2')).toBe(true);
+  });
+
+  it('rolls back sets, deletes and in-place changes when the callback throws', async () => {
+    const settlements = store.collection('settlements');
+    settlements.set('set_1', { settlement_id: 'set_1' });
+
+    await expect(store.transaction(async () => {
+      const payment = payments.get('pay_1');
+      payment.status = 'completed';
+      payment.amount = 0;
+      payments.set('pay_2', { payment_id: 'pay_2' });
+      settlements.delete('set_1');
+      await Promise.resolve();
+      throw new Error('rail timeout');
+    })).rejects.toThrow('rail timeout');
+
+    expect(payments.get('pay_1')).toEqual({ payment_id: 'pay_1', status: 'pending', amount: 100 });
+    expect(payments.has('pay_2')).toBe(false);
+    expect(settlements.get('set_1')).toEqual({ settlement_id: 'set_1' });
+  });
+
+  it('joins nested transactions into the outer one', async () => {
+    await store.transaction(async () => {
+      expect(store.inTransaction()).toBe(true);
+      payments.set('pay_2', { payment_id: 'pay_2' });
+
+      await store.transaction(() => {
+        payments.set('pay_3', { payment_id: 'pay_3' });
+      });
+    });
+
+    expect(store.inTransaction()).toBe(false);
+    expect(payments.has('pay_2')).toBe(true);
+    expect(payments.has('pay_3')).toBe(true);
+  });
+
+  it('rolls back the writes of a nested transaction with the outer one', async () => {
+    await expect(store.transaction(async () => {
+      await store.transaction(() => {
+        payments.set('pay_2', { payment_id: 'pay_2' });
+      });
+      throw new Error('outer failed');
+    })).rejects.toThrow('outer failed');
+
+    expect(payments.has('pay_2')).toBe(false);
+  });
+
+  it('runs transactions one at a time, so a rollback never undoes another commit', async () => {
+    const accounts = store.collection('ledger_accounts');
+    accounts.set('treasury:inr', { balance: 0 });
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+
+    const failing = store.transaction(async () => {
+      accounts.get('treasury:inr').balance += 10;
+      await gate;
+      throw new Error('rail rejected');
+    });
+    const committing = store.transaction(() => {
+      const account = accounts.get('treasury:inr');
+      account.balance += 5;
+      accounts.set('treasury:inr', account);
+    });
+
+    // The second transaction waits for the first instead of reading its uncommitted balance
+    await new Promise(resolve => setImmediate(resolve));
+    expect(accounts.get('treasury:inr').balance).toBe(10);
+    release();
+
+    await expect(failing).rejects.toThrow('rail rejected');
+    await committing;
+    expect(accounts.get('treasury:inr').balance).toBe(5);
+  });
+
+  it('keeps a write made outside a transaction that rolls back', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+
+    const failing = store.transaction(async () => {
+      payments.get('pay_1').status = 'processing';
+      await gate;
+      throw new Error('failed');
+    });
+    // An API call writing without a transaction while the other one waits on I/O
+    await new Promise(resolve => setImmediate(resolve));
+    payments.set('pay_1', { payment_id: 'pay_1', status: 'cancelled', amount: 100 });
+    release();
+
+    await expect(failing).rejects.toThrow('failed');
+    expect(payments.get('pay_1').status).toBe('cancelled');
+  });
+
+  it('does not let work started inside a finished transaction join it', async () => {
+    let later;
+    await store.transaction(() => {
+      later = new Promise(resolve => setTimeout(() => resolve(store.inTransaction()), 0));
+    });
+
+    expect(await later).toBe(false);
+  });
+});
+
+describe('UTPFileStore', () => {
+  let data_dir;
+
+  beforeEach(() => {
+    data_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'utp-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(data_dir, { recursive: true, force: true });
+  });
+
+  it('replays committed transactions and drops rolled back ones after a restart', async () => {
+    const store = new UTPFileStore({ data_dir });
+    const payments = store.collection('payments');
+
+    await store.transaction(() => {
+      payments.set('pay_1', { payment_id: 'pay_1', status: 'completed' });
+      payments.set('pay_2', { payment_id: 'pay_2', status: 'pending' });
+    });
+    await expect(store.transaction(() => {
+      payments.delete('pay_1');
+      throw new Error('failed');
+    })).rejects.toThrow('failed');
+    payments.delete('pay_2');
+
+    const reopened = new UTPFileStore({ data_dir }).collection('payments');
+    expect(reopened.get('pay_1')).toEqual({ payment_id: 'pay_1', status: 'completed' });
+    expect(reopened.has('pay_2')).toBe(false);
+  });
+
+  it('journals records a committed transaction changed in place', async () => {
+    const store = new UTPFileStore({ data_dir });
+    const payments = store.collection('payments');
+    payments.set('pay_1', { payment_id: 'pay_1', status: 'pending' });
+
+    await store.transaction(() => {
+      payments.get('pay_1').status = 'completed';
+    });
+
+    expect(new UTPFileStore({ data_dir }).collection('payments').get('pay_1').status).toBe('completed');
+  });
+
+  it('journals nothing for a transaction that rolls back', async () => {
+    const store = new UTPFileStore({ data_dir });
+    const payments = store.collection('payments');
+    payments.set('pay_1', { payment_id: 'pay_1', status: 'pending' });
+
+    await expect(store.transaction(() => {
+      payments.get('pay_1').status = 'completed';
+      payments.set('pay_2', { payment_id: 'pay_2' });
+      throw new Error('failed');
+    })).rejects.toThrow('failed');
+
+    expect(store.journal_lines).toBe(1);
+    const reopened = new UTPFileStore({ data_dir }).collection('payments');
+    expect(reopened.get('pay_1').status).toBe('pending');
+    expect(reopened.has('pay_2')).toBe(false);
+  });
+
+  it('ignores a torn final journal line', () => {
+    const store = new UTPFileStore({ data_dir });
+    store.collection('payments').set('pay_1', { payment_id: 'pay_1' });
+    fs.appendFileSync(store.file_path, '{"c":"payments","op":"set","k":"pay_2"');
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const payments = new UTPFileStore({ data_dir }).collection('payments');
+    warn.mockRestore();
+
+    expect(payments.has('pay_1')).toBe(true);
+    expect(payments.has('pay_2')).toBe(false);
+  });
+
+  it('compacts the journal to one line per live record', () => {
+    const store = new UTPFileStore({ data_dir, compact_threshold: 5 });
+    const payments = store.collection('payments');
+
+    for (let i = 0; i < 6; i++) {
+      payments.set('pay_1', { payment_id: 'pay_1', version: i });
+    }
+
+    expect(store.journal_lines).toBe(1);
+    expect(fs.readFileSync(store.file_path, 'utf8').trim().split('\n')).toHaveLength(1);
+    expect(new UTPFileStore({ data_dir }).collection('payments').get('pay_1').version).toBe(5);
+  });
+});